@@ -7,6 +7,10 @@ require('dotenv').config();
 
 const databaseConnection = require('./utils/database');
 const { initializeDatabase, getDatabaseStats } = require('./utils/initDatabase');
+const jobQueue = require('./services/JobQueue');
+const DocumentService = require('./services/DocumentService');
+const CircuitBreaker = require('./services/CircuitBreaker');
+const { resolveProviderName } = require('./services/providers');
 
 const app = express();
 
@@ -28,6 +32,8 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Logging
+// SSE接口可通过查询参数传递访问令牌，日志中不记录令牌
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/, '$1[REDACTED]'));
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
 // Body parsing middleware
@@ -50,14 +56,22 @@ app.get('/health', async (req, res) => {
       }
     }
     
+    // AI服务提供方的断路器断开时服务降级（AI功能暂时不可用）
+    const provider = resolveProviderName();
+    const circuitBreaker = CircuitBreaker.get(provider).getState();
+
     res.status(200).json({
-      status: 'OK',
+      status: circuitBreaker.state === CircuitBreaker.STATES.OPEN ? 'DEGRADED' : 'OK',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       database: {
         connected: dbHealth,
         stats: dbStats,
         info: databaseConnection.getConnectionInfo()
+      },
+      ai: {
+        provider,
+        circuitBreaker
       }
     });
   } catch (error) {
@@ -102,6 +116,16 @@ async function startServer() {
     // 只在非测试环境初始化数据库
     if (process.env.NODE_ENV !== 'test') {
       await initializeDatabase();
+
+      // 恢复中断的处理任务，然后启动后台任务队列
+      const documentService = new DocumentService();
+      jobQueue.setHandler(documentService);
+      const recoveredJobs = await jobQueue.recoverStaleJobs();
+      const recoveredDocuments = await documentService.recoverInterruptedDocuments();
+      if (recoveredJobs > 0 || recoveredDocuments > 0) {
+        console.log(`♻️ Recovered ${recoveredJobs} interrupted jobs and ${recoveredDocuments} documents`);
+      }
+      jobQueue.start();
     }
     
     // 启动服务器
@@ -119,12 +143,14 @@ async function startServer() {
 // 优雅关闭处理
 process.on('SIGTERM', async () => {
   console.log('📴 Received SIGTERM, shutting down gracefully...');
+  jobQueue.stop();
   await databaseConnection.disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('📴 Received SIGINT, shutting down gracefully...');
+  jobQueue.stop();
   await databaseConnection.disconnect();
   process.exit(0);
 });
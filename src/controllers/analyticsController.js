@@ -0,0 +1,186 @@
+const AnalyticsService = require('../services/AnalyticsService');
+
+const analyticsService = new AnalyticsService();
+
+// 未指定 from 时统计最近多少天
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * 解析日期查询参数，未提供时使用默认值
+ */
+const parseDate = (value, defaultValue) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 解析 from、to 时间范围，默认为最近30天，无效时返回null
+ */
+const parseRange = (query) => {
+  const to = parseDate(query.to, new Date());
+  const from = parseDate(query.from, to && new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000));
+  return from && to && from < to ? { from, to } : null;
+};
+
+/**
+ * 时间范围无效时的响应
+ */
+const invalidRange = (res) => res.status(400).json({
+  success: false,
+  message: '无效的时间范围，from 和 to 应为日期且 from 早于 to'
+});
+
+/**
+ * 统计粒度无效时的响应
+ */
+const invalidInterval = (res) => res.status(400).json({
+  success: false,
+  message: `interval 应为 ${AnalyticsService.INTERVALS.join('、')} 之一`
+});
+
+/**
+ * 统计失败时的响应
+ */
+const sendError = (res, error, message) => {
+  res.status(500).json({
+    success: false,
+    message: error.message || message,
+    error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+};
+
+/**
+ * 学习总览：练习成绩、等级分布、生成的练习题和提取的概念
+ */
+const getOverview = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return invalidRange(res);
+    }
+
+    const overview = await analyticsService.getOverview(req.user.id, range);
+
+    res.json({
+      success: true,
+      data: { range, ...overview }
+    });
+  } catch (error) {
+    console.error('Get analytics overview error:', error);
+    sendError(res, error, '获取学习总览失败');
+  }
+};
+
+/**
+ * 正确率和得分趋势，interval 为 day（默认）、week 或 month
+ */
+const getTrend = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return invalidRange(res);
+    }
+    const { interval = 'day' } = req.query;
+    if (!AnalyticsService.INTERVALS.includes(interval)) {
+      return invalidInterval(res);
+    }
+
+    const trend = await analyticsService.getTrend(req.user.id, range, interval);
+
+    res.json({
+      success: true,
+      data: { range, ...trend }
+    });
+  } catch (error) {
+    console.error('Get analytics trend error:', error);
+    sendError(res, error, '获取成绩趋势失败');
+  }
+};
+
+/**
+ * 薄弱题型和难度，limit 为错题组合的数量（1-50，默认10）
+ */
+const getWeaknesses = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return invalidRange(res);
+    }
+    const limit = req.query.limit === undefined || req.query.limit === '' ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit 应为1-50的整数'
+      });
+    }
+
+    const weaknesses = await analyticsService.getWeaknesses(req.user.id, range, limit);
+
+    res.json({
+      success: true,
+      data: { range, ...weaknesses }
+    });
+  } catch (error) {
+    console.error('Get analytics weaknesses error:', error);
+    sendError(res, error, '获取薄弱环节失败');
+  }
+};
+
+/**
+ * 答题耗时，interval 同成绩趋势
+ */
+const getTimeOnTask = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return invalidRange(res);
+    }
+    const { interval = 'day' } = req.query;
+    if (!AnalyticsService.INTERVALS.includes(interval)) {
+      return invalidInterval(res);
+    }
+
+    const time = await analyticsService.getTimeOnTask(req.user.id, range, interval);
+
+    res.json({
+      success: true,
+      data: { range, ...time }
+    });
+  } catch (error) {
+    console.error('Get analytics time error:', error);
+    sendError(res, error, '获取答题耗时失败');
+  }
+};
+
+/**
+ * 各文档的掌握度
+ */
+const getMastery = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return invalidRange(res);
+    }
+
+    const documents = await analyticsService.getDocumentMastery(req.user.id, range);
+
+    res.json({
+      success: true,
+      data: { range, documents }
+    });
+  } catch (error) {
+    console.error('Get analytics mastery error:', error);
+    sendError(res, error, '获取文档掌握度失败');
+  }
+};
+
+module.exports = {
+  getOverview,
+  getTrend,
+  getWeaknesses,
+  getTimeOnTask,
+  getMastery
+};
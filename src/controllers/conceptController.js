@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const ConceptGraphService = require('../services/ConceptGraphService');
+const Concept = require('../models/Concept');
+
+const conceptGraphService = new ConceptGraphService();
+
+// 概念类别
+const CONCEPT_CATEGORIES = Concept.schema.path('category').enumValues;
+
+/**
+ * 解析正整数查询参数，未提供时返回默认值，无效时返回null
+ */
+const parseInteger = (value, defaultValue, min, max) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+};
+
+/**
+ * 推断关系使用用户偏好的语言
+ */
+const preferredLanguage = (req) => (req.user.preferences && req.user.preferences.language) || 'zh';
+
+/**
+ * 获取用户的概念知识图谱
+ * 支持 category（逗号分隔的多个类别）、importance（最低重要性）、limit（节点数）过滤，rebuild=1 时强制重新构建
+ */
+const getGraph = async (req, res) => {
+  try {
+    const { category, importance: importanceQuery, limit: limitQuery, rebuild } = req.query;
+
+    const categories = category ? String(category).split(',').map(item => item.trim()).filter(Boolean) : [];
+    const invalidCategories = categories.filter(item => !CONCEPT_CATEGORIES.includes(item));
+    if (invalidCategories.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `无效的概念类别: ${invalidCategories.join(', ')}，可选值: ${CONCEPT_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const importance = parseInteger(importanceQuery, undefined, 1, 5);
+    const limit = parseInteger(limitQuery, undefined, 1, 500);
+    if (importance === null || limit === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'importance 应为1-5的整数，limit 应为1-500的整数'
+      });
+    }
+
+    const graph = await conceptGraphService.getGraph(req.user.id, {
+      categories,
+      importance,
+      limit,
+      rebuild: rebuild === '1' || rebuild === 'true',
+      language: preferredLanguage(req)
+    });
+
+    res.json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    console.error('Get concept graph error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || '获取概念图谱失败',
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+/**
+ * 获取概念在图谱中的相邻节点
+ * id 可以是图谱节点ID或概念ID；支持 relationship（parent、child、antonym、related）和 limit 过滤
+ */
+const getNeighbors = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { relationship, limit: limitQuery } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的概念ID'
+      });
+    }
+    if (relationship && !ConceptGraphService.NEIGHBOR_RELATIONSHIPS.includes(relationship)) {
+      return res.status(400).json({
+        success: false,
+        message: `无效的关系类型，可选值: ${ConceptGraphService.NEIGHBOR_RELATIONSHIPS.join(', ')}`
+      });
+    }
+    const limit = parseInteger(limitQuery, undefined, 1, 200);
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit 应为1-200的整数'
+      });
+    }
+
+    const result = await conceptGraphService.getNeighbors(req.user.id, id, {
+      relationship,
+      limit,
+      language: preferredLanguage(req)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get concept neighbors error:', error);
+    const statusCode = error.message.includes('不存在') ? 404 : 500;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || '获取相邻概念失败',
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+module.exports = {
+  getGraph,
+  getNeighbors
+};
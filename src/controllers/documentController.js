@@ -1,12 +1,20 @@
 const DocumentService = require('../services/DocumentService');
 const FileExtractService = require('../services/FileExtractService');
 const AIService = require('../services/AIService');
+const ExerciseService = require('../services/ExerciseService');
+const processingEvents = require('../services/ProcessingEvents');
+const { openEventStream } = require('../utils/sse');
+const Summary = require('../models/Summary');
 const { validationResult } = require('express-validator');
 
+// 摘要类型
+const SUMMARY_TYPES = Summary.schema.path('type').enumValues;
+
 class DocumentController {
   constructor() {
     this.documentService = new DocumentService();
     this.aiService = new AIService();
+    this.exerciseService = new ExerciseService({ aiService: this.aiService });
   }
 
   /**
@@ -51,7 +59,11 @@ class DocumentController {
       });
     } catch (error) {
       console.error('Upload document error:', error);
-      res.status(500).json({
+      // 文件为空、过大或格式不支持属于请求问题
+      const clientErrors = ['文件不能为空', '文件大小超过限制', '不支持'];
+      const statusCode = clientErrors.some(keyword => error.message.includes(keyword)) ? 400 : 500;
+
+      res.status(statusCode).json({
         success: false,
         message: error.message || '文档上传失败',
         error: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -216,6 +228,42 @@ class DocumentController {
     }
   }
 
+  /**
+   * 获取文档附属资源（如Word内嵌图片）
+   */
+  async getDocumentAsset(req, res) {
+    try {
+      const { documentId, assetName } = req.params;
+      const userId = req.user.id;
+
+      const document = await this.documentService.getDocument(documentId, userId);
+      const asset = (document.metadata.assets || []).find(item => item.name === assetName);
+
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          message: '资源不存在'
+        });
+      }
+
+      const fileStream = await this.documentService.getFileStream(asset.key);
+
+      res.setHeader('Content-Type', asset.mimeType || 'application/octet-stream');
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+
+      fileStream.pipe(res);
+    } catch (error) {
+      console.error('Get document asset error:', error);
+      const statusCode = error.message.includes('不存在') || error.message.includes('无权访问') ? 404 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || '获取文档资源失败',
+        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  }
+
   /**
    * 获取文档统计信息
    */
@@ -293,7 +341,11 @@ class DocumentController {
       });
     } catch (error) {
       console.error('Add URL document error:', error);
-      res.status(500).json({
+      // 网址不可抓取（内网地址、robots.txt、大小或超时限制等）属于请求问题
+      const clientErrors = ['禁止', '无效', '仅支持', '超过限制', '超时', '重定向次数过多', '无法解析域名', '网页请求失败'];
+      const statusCode = clientErrors.some(keyword => error.message.includes(keyword)) ? 400 : 500;
+
+      res.status(statusCode).json({
         success: false,
         message: error.message || 'URL文档添加失败',
         error: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -339,12 +391,104 @@ class DocumentController {
   }
 
   /**
-   * 重新处理文档（如果之前处理失败）
+   * 获取文档的处理任务状态
+   * GET /api/documents/:documentId/jobs
+   */
+  async getDocumentJobs(req, res) {
+    try {
+      const { documentId } = req.params;
+      const userId = req.user.id;
+
+      const result = await this.documentService.getDocumentJobs(documentId, userId);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Get document jobs error:', error);
+      const statusCode = error.message.includes('不存在') || error.message.includes('无权访问') ? 404 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || '获取处理任务失败',
+        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * 订阅单个文档的处理进度（Server-Sent Events）
+   * GET /api/documents/:documentId/events
+   * 连接后先发送 snapshot 事件（文档状态和最近一次运行的各阶段状态），之后推送 stage / run 事件
+   */
+  async streamDocumentEvents(req, res) {
+    try {
+      const { documentId } = req.params;
+      const userId = req.user.id;
+
+      // 先订阅再读取快照（同时验证文档归属），读取期间产生的事件在快照之后发送
+      const buffered = [];
+      let stream = null;
+      const unsubscribe = processingEvents.subscribe({ documentId }, (event) => {
+        if (stream) {
+          stream.send(event.type, event);
+        } else {
+          buffered.push(event);
+        }
+      });
+
+      let jobs;
+      try {
+        jobs = await this.documentService.getDocumentJobs(documentId, userId);
+      } catch (error) {
+        unsubscribe();
+        throw error;
+      }
+
+      stream = openEventStream(req, res);
+      stream.onClose(unsubscribe);
+      stream.send('snapshot', {
+        documentId,
+        processingStatus: jobs.processingStatus,
+        run: jobs.runs[0] || null
+      });
+      buffered.forEach(event => stream.send(event.type, event));
+    } catch (error) {
+      console.error('Stream document events error:', error);
+      const statusCode = error.message.includes('不存在') || error.message.includes('无权访问') ? 404 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || '订阅处理进度失败',
+        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * 订阅当前用户所有文档的处理进度（Server-Sent Events）
+   * GET /api/documents/events
+   */
+  async streamUserEvents(req, res) {
+    const userId = req.user.id;
+
+    const stream = openEventStream(req, res);
+    stream.onClose(processingEvents.subscribe({ userId }, (event) => {
+      stream.send(event.type, event);
+    }));
+    stream.send('ready', { userId: String(userId) });
+  }
+
+  /**
+   * 重新处理文档
+   * 可通过 stages 指定阶段：extraction、restructure、summary、concepts、exercises、mindmap
    */
   async reprocessDocument(req, res) {
     try {
       const { documentId } = req.params;
       const userId = req.user.id;
+      const { stages } = req.body || {};
 
       // 验证文档存在且属于当前用户
       const document = await this.documentService.getDocument(documentId, userId);
@@ -356,16 +500,21 @@ class DocumentController {
         });
       }
 
-      const result = await this.documentService.parseAndConvertDocument(documentId);
+      const result = await this.documentService.reprocessDocument(documentId, userId, { stages });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: '文档重新处理成功',
+        message: '文档已开始重新处理',
         data: result
       });
     } catch (error) {
       console.error('Reprocess document error:', error);
-      const statusCode = error.message.includes('不存在') || error.message.includes('无权访问') ? 404 : 500;
+      let statusCode = 500;
+      if (error.message.includes('不存在') || error.message.includes('无权访问')) {
+        statusCode = 404;
+      } else if (error.message.includes('无效的处理阶段') || error.message.includes('正在处理中') || error.message.includes('尚未提取')) {
+        statusCode = 400;
+      }
 
       res.status(statusCode).json({
         success: false,
@@ -377,8 +526,13 @@ class DocumentController {
 
   /**
    * 获取AI文档重构结果
+   * 带 stream=1 参数时重新生成并流式返回，见 streamAIContent
    */
   async getRestructuredContent(req, res) {
+    if (this._isStreamRequest(req)) {
+      return this.streamAIContent(req, res, 'restructure');
+    }
+
     try {
       const { documentId } = req.params;
       const userId = req.user.id;
@@ -415,21 +569,29 @@ class DocumentController {
 
   /**
    * 获取文档摘要
+   * 带 stream=1 参数时重新生成并流式返回，见 streamAIContent
    */
   async getDocumentSummary(req, res) {
+    if (this._isStreamRequest(req)) {
+      return this.streamAIContent(req, res, 'summary');
+    }
+
     try {
       const { documentId } = req.params;
       const userId = req.user.id;
-      const { type } = req.query; // 可选：指定摘要类型
+      // 未指定类型时使用用户偏好的摘要类型
+      const type = req.query.type || (req.user.preferences && req.user.preferences.defaultSummaryType) || 'detailed';
 
-      // 验证文档存在且属于当前用户
-      await this.documentService.getDocument(documentId, userId);
+      if (!SUMMARY_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `无效的摘要类型，可选值: ${SUMMARY_TYPES.join(', ')}`
+        });
+      }
 
-      // 从Summary集合中查询摘要
-      const Summary = require('../models/Summary');
-      const summaries = await Summary.findByDocument(documentId, { type });
+      const { summary, generated } = await this.documentService.getOrCreateSummary(documentId, userId, type);
 
-      if (!summaries || summaries.length === 0) {
+      if (!summary) {
         return res.status(404).json({
           success: false,
           message: '文档摘要尚未生成'
@@ -439,19 +601,31 @@ class DocumentController {
       res.json({
         success: true,
         data: {
-          summaries: summaries.map(summary => ({
+          type,
+          generated,
+          summaries: [{
             id: summary._id,
             type: summary.type,
             content: summary.content,
+            sections: summary.type === 'sections' ? summary.sections : undefined,
             wordCount: summary.metadata.wordCount,
             generatedAt: summary.generatedAt,
             aiModel: summary.metadata.aiModel
-          }))
+          }]
         }
       });
     } catch (error) {
       console.error('Get document summary error:', error);
-      const statusCode = error.message.includes('不存在') || error.message.includes('无权访问') ? 404 : 500;
+      if (error.code === 'AI_QUOTA_EXCEEDED') {
+        return this._sendQuotaExceeded(res, error);
+      }
+
+      let statusCode = 500;
+      if (error.message.includes('不存在') || error.message.includes('无权访问')) {
+        statusCode = 404;
+      } else if (error.message.includes('尚未提取')) {
+        statusCode = 400;
+      }
 
       res.status(statusCode).json({
         success: false,
@@ -461,6 +635,134 @@ class DocumentController {
     }
   }
 
+  /**
+   * 流式生成AI重构内容或摘要
+   * 请求头 Accept 含 text/event-stream 时使用SSE：delta 事件为文本增量，progress 为长文档分段进度，
+   * 结束时发送 done 事件，出错时发送 error 事件；否则以分块传输直接输出Markdown文本，出错时中断连接
+   * 生成完整结束后才保存结果，客户端中途断开时取消生成且不保存
+   * @param {string} target - restructure 或 summary
+   */
+  async streamAIContent(req, res, target) {
+    const { documentId } = req.params;
+    const userId = req.user.id;
+    const useSse = (req.headers.accept || '').includes('text/event-stream');
+    const abortController = new AbortController();
+    let stream = null;
+
+    // 收到第一段输出后才开始响应，此前的错误（如文档不存在）仍以JSON返回
+    const start = () => {
+      if (res.headersSent) {
+        return;
+      }
+      if (useSse) {
+        stream = openEventStream(req, res);
+        stream.onClose(() => abortController.abort());
+        return;
+      }
+      res.status(200).set({
+        'Content-Type': 'text/markdown; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          abortController.abort();
+        }
+      });
+    };
+
+    try {
+      const result = await this.documentService.streamAIContent(documentId, userId, target, {
+        signal: abortController.signal,
+        onDelta: (text) => {
+          start();
+          if (useSse) {
+            stream.send('delta', { text });
+          } else {
+            res.write(text);
+          }
+        },
+        onProgress: (progress) => {
+          if (useSse) {
+            start();
+            stream.send('progress', progress);
+          }
+        }
+      });
+
+      if (abortController.signal.aborted) {
+        return;
+      }
+      start();
+      if (useSse) {
+        stream.send('done', { length: result.content.length, saved: result.saved });
+        stream.close();
+      } else {
+        res.end();
+      }
+    } catch (error) {
+      console.error('Stream AI content error:', error);
+
+      if (abortController.signal.aborted) {
+        return;
+      }
+      if (res.headersSent) {
+        if (useSse) {
+          stream.send('error', { message: error.message });
+          stream.close();
+        } else {
+          res.destroy();
+        }
+        return;
+      }
+      if (error.code === 'AI_QUOTA_EXCEEDED') {
+        return this._sendQuotaExceeded(res, error);
+      }
+
+      let statusCode = 500;
+      if (error.message.includes('不存在') || error.message.includes('无权访问')) {
+        statusCode = 404;
+      } else if (error.message.includes('尚未提取')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'AI内容生成失败',
+        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * 是否请求流式生成（stream=1 或 stream=true）
+   */
+  _isStreamRequest(req) {
+    return ['1', 'true'].includes(String(req.query.stream));
+  }
+
+  /**
+   * 返回AI用量超出配额的错误（429），Retry-After 为距配额重置的秒数
+   */
+  _sendQuotaExceeded(res, error) {
+    const { period, limit, used, resetAt } = error.quota;
+    res.set('Retry-After', String(Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1)));
+    return res.status(429).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      quota: { period, limit, used, resetAt }
+    });
+  }
+
+  /**
+   * 是否要求忽略缓存重新生成（查询参数或请求体中 force=true）
+   */
+  _isForceRequest(req) {
+    return [req.query.force, req.body && req.body.force].some(value => ['1', 'true'].includes(String(value)));
+  }
+
   /**
    * 生成练习题
    */
@@ -484,6 +786,7 @@ class DocumentController {
         });
       }
 
+      let cache = null;
       const result = await this.aiService.generateExercises(
         document.markdownContent,
         document.title,
@@ -494,7 +797,10 @@ class DocumentController {
           language,
           documentId,
           userId,
-          saveToDatabase: true
+          saveToDatabase: true,
+          contentHash: await this.documentService.getContentHash(document),
+          force: this._isForceRequest(req),
+          onCache: (info) => { cache = info; }
         }
       );
 
@@ -504,11 +810,16 @@ class DocumentController {
           exercises: result.exercises,
           saved: result.saved,
           databaseId: result.databaseObject?._id,
-          options: { count, types, difficulty, language }
+          options: { count, types, difficulty, language },
+          cache,
+          validation: result.validation
         }
       });
     } catch (error) {
       console.error('Generate exercises error:', error);
+      if (error.code === 'AI_QUOTA_EXCEEDED') {
+        return this._sendQuotaExceeded(res, error);
+      }
       res.status(500).json({
         success: false,
         message: error.message || '生成练习题失败',
@@ -592,6 +903,7 @@ class DocumentController {
         });
       }
 
+      let cache = null;
       const result = await this.aiService.generateMindMap(
         document.markdownContent,
         {
@@ -600,7 +912,10 @@ class DocumentController {
           style,
           documentId,
           userId,
-          saveToDatabase: true
+          saveToDatabase: true,
+          contentHash: await this.documentService.getContentHash(document),
+          force: this._isForceRequest(req),
+          onCache: (info) => { cache = info; }
         }
       );
 
@@ -612,11 +927,16 @@ class DocumentController {
           saved: result.saved,
           databaseId: result.databaseObject?._id,
           isValidSyntax: result.mermaid ? this.aiService.validateMermaidSyntax(result.mermaid) : false,
-          options: { maxNodes, language, style }
+          options: { maxNodes, language, style },
+          cache,
+          validation: result.validation
         }
       });
     } catch (error) {
       console.error('Generate mind map error:', error);
+      if (error.code === 'AI_QUOTA_EXCEEDED') {
+        return this._sendQuotaExceeded(res, error);
+      }
       res.status(500).json({
         success: false,
         message: error.message || '生成思维导图失败',
@@ -643,22 +963,26 @@ class DocumentController {
         });
       }
 
-      const results = await this.aiService.processDocument(
-        document.markdownContent,
-        {
-          ...options,
-          documentId,
-          userId,
-          saveToDatabase: true
-        }
-      );
+      // 各项操作的缓存信息和输出校验记录，按操作名记录
+      const cache = {};
+      const validation = {};
+      const { results, stages } = await this.documentService.runAIBatch(document, userId, {
+        ...options,
+        contentHash: await this.documentService.getContentHash(document),
+        force: this._isForceRequest(req),
+        onCache: (info) => { cache[info.operation] = info; },
+        onValidation: (report) => { validation[report.operation] = report; }
+      });
 
       res.json({
         success: true,
-        data: results
+        data: { ...results, stages, cache, validation }
       });
     } catch (error) {
       console.error('Process with AI error:', error);
+      if (error.code === 'AI_QUOTA_EXCEEDED') {
+        return this._sendQuotaExceeded(res, error);
+      }
       res.status(500).json({
         success: false,
         message: error.message || 'AI批量处理失败',
@@ -724,12 +1048,16 @@ class DocumentController {
         });
       }
 
+      // 题目不含答案和解析，作答期间按本次作答的顺序返回
+      const attempt = await this.exerciseService.getActiveAttempt(exercise._id, userId);
+      const questions = this.exerciseService.serveQuestions(exercise, attempt);
+
       res.json({
         success: true,
         data: {
           id: exercise._id,
           title: exercise.title,
-          questions: exercise.questions,
+          questions,
           metadata: {
             totalQuestions: exercise.metadata.totalQuestions,
             totalPoints: exercise.metadata.totalPoints,
@@ -751,6 +1079,78 @@ class DocumentController {
       });
     }
   }
+
+  /**
+   * 开始作答练习题
+   */
+  async startExerciseAttempt(req, res) {
+    try {
+      const { exerciseId } = req.params;
+      const userId = req.user.id;
+
+      const attempt = await this.exerciseService.startAttempt(exerciseId, userId);
+
+      res.status(attempt.resumed ? 200 : 201).json({
+        success: true,
+        message: attempt.resumed ? '继续未完成的作答' : '开始作答',
+        data: attempt
+      });
+    } catch (error) {
+      console.error('Start exercise attempt error:', error);
+      let statusCode = 500;
+      if (error.message.includes('不存在') || error.message.includes('无权访问')) {
+        statusCode = 404;
+      } else if (error.message.includes('不允许重复作答')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || '开始作答失败',
+        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * 提交练习题作答并评分
+   */
+  async submitExerciseAttempt(req, res) {
+    try {
+      const { exerciseId, attemptId } = req.params;
+      const userId = req.user.id;
+      const { answers, deviceInfo, aiGrading, language } = req.body;
+
+      const result = await this.exerciseService.submitAttempt(exerciseId, attemptId, userId, {
+        answers,
+        deviceInfo: deviceInfo || req.get('User-Agent'),
+        aiGrading: aiGrading === undefined ? undefined : aiGrading === true || aiGrading === 'true',
+        language
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '提交成功',
+        data: result
+      });
+    } catch (error) {
+      console.error('Submit exercise attempt error:', error);
+      let statusCode = 500;
+      if (error.message.includes('不存在') || error.message.includes('无权访问')) {
+        statusCode = 404;
+      } else if (error.message.includes('已提交')) {
+        statusCode = 409;
+      } else if (error.message.includes('超过限制') || error.message.includes('格式不正确') || error.message.includes('不属于')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || '提交作答失败',
+        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  }
   /**
    * 一次性获取文档的特定文件相应总结、概念、测试、练习题等
    * @param {string} documentId - 文档ID
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const ReviewService = require('../services/ReviewService');
+
+const reviewService = new ReviewService();
+
+/**
+ * 解析正整数查询参数，未提供时返回默认值，无效时返回null
+ */
+const parseInteger = (value, defaultValue, min, max) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+};
+
+/**
+ * 获取今天要复习的卡片
+ * 支持 limit（卡片数）、newLimit（本次使用的每日新卡片数）、documentId（只复习该文档的概念）
+ */
+const getDueCards = async (req, res) => {
+  try {
+    const { limit: limitQuery, newLimit: newLimitQuery, documentId } = req.query;
+
+    const limit = parseInteger(limitQuery, 50, 1, 200);
+    const newCardsPerDay = parseInteger(newLimitQuery, undefined, 0, 200);
+    if (limit === null || newCardsPerDay === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit 应为1-200的整数，newLimit 应为0-200的整数'
+      });
+    }
+    if (documentId && !mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的文档ID'
+      });
+    }
+
+    const result = await reviewService.getDueCards(req.user.id, { limit, newCardsPerDay, documentId });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get due review cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || '获取复习卡片失败',
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+/**
+ * 提交概念的回忆评分
+ * grade 为0-5的整数（SM-2评分，3及以上为回忆成功），或 again、hard、good、easy
+ */
+const reviewConcept = async (req, res) => {
+  try {
+    const { conceptId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(conceptId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的概念ID'
+      });
+    }
+
+    const grade = ReviewService.parseGrade(req.body.grade);
+    if (grade === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'grade 应为0-5的整数，或 again、hard、good、easy 之一'
+      });
+    }
+
+    const card = await reviewService.review(req.user.id, conceptId, grade);
+
+    res.json({
+      success: true,
+      message: '复习已记录',
+      data: card
+    });
+  } catch (error) {
+    console.error('Review concept error:', error);
+    const statusCode = error.message.includes('不存在') || error.message.includes('无权访问') ? 404 : 500;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || '记录复习失败',
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+/**
+ * 预测未来几天的复习量，days 为天数（1-90，默认14）
+ */
+const getForecast = async (req, res) => {
+  try {
+    const days = parseInteger(req.query.days, 14, 1, 90);
+    if (days === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'days 应为1-90的整数'
+      });
+    }
+
+    const forecast = await reviewService.getForecast(req.user.id, { days });
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    console.error('Get review forecast error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || '获取复习预测失败',
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+module.exports = {
+  getDueCards,
+  reviewConcept,
+  getForecast
+};
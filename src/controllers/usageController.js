@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const UsageService = require('../services/UsageService');
+
+const usageService = new UsageService();
+
+/**
+ * 解析日期查询参数，未提供时使用默认值
+ */
+const parseDate = (value, defaultValue) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 获取AI用量统计及配额
+ * 默认统计本月（UTC）至今的用量；管理员可通过 userId 查询其他用户
+ */
+const getUsage = async (req, res) => {
+  try {
+    const { from: fromQuery, to: toQuery, userId: userIdQuery } = req.query;
+
+    let userId = req.user.id;
+    if (userIdQuery && userIdQuery !== userId) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: '无权查看其他用户的用量'
+        });
+      }
+      if (!mongoose.Types.ObjectId.isValid(userIdQuery)) {
+        return res.status(400).json({
+          success: false,
+          message: '无效的用户ID'
+        });
+      }
+      userId = userIdQuery;
+    }
+
+    const from = parseDate(fromQuery, UsageService.periodStart('monthly'));
+    const to = parseDate(toQuery, new Date());
+    if (!from || !to || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的时间范围，from 和 to 应为日期且 from 早于 to'
+      });
+    }
+
+    const [report, quota] = await Promise.all([
+      usageService.getUsageReport(userId, { from, to }),
+      usageService.getQuotaStatus(userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        range: { from, to },
+        ...report,
+        quota
+      }
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || '获取AI用量失败',
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+module.exports = {
+  getUsage
+};
@@ -90,6 +90,17 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * 允许通过查询参数 access_token 传递token
+ * 浏览器的 EventSource 无法设置请求头，仅用于SSE接口，需放在 authenticateToken 之前
+ */
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
 /**
  * 生成JWT token
  */
@@ -115,6 +126,7 @@ const verifyToken = (token) => {
 module.exports = {
   authenticateToken,
   optionalAuth,
+  allowQueryToken,
   generateToken,
   verifyToken
 };
\ No newline at end of file
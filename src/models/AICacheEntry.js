@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// AI生成结果缓存：相同内容、模型、提示词模板版本和选项的请求直接复用结果
+const aiCacheEntrySchema = new mongoose.Schema({
+  // 缓存键：操作、模型、提示词模板引用、规范化选项和内容哈希共同计算的哈希
+  key: {
+    type: String,
+    required: [true, '缓存键是必需的'],
+    unique: true
+  },
+  operation: {
+    type: String,
+    required: [true, '操作类型是必需的'],
+    enum: ['restructure', 'summary', 'exercises', 'concepts', 'mindmap', 'relations', 'grading']
+  },
+  model: {
+    type: String,
+    required: [true, '模型名称是必需的']
+  },
+  // 提示词模板引用，如 summary@1:zh
+  prompt: {
+    type: String,
+    required: [true, '提示词模板是必需的']
+  },
+  contentHash: {
+    type: String,
+    required: [true, '内容哈希是必需的'],
+    index: true
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, '缓存结果是必需的']
+  },
+  hits: {
+    type: Number,
+    default: 0,
+    min: [0, '命中次数不能为负数']
+  },
+  lastHitAt: {
+    type: Date,
+    default: null
+  },
+  // 过期时间，由TTL索引自动删除
+  expiresAt: {
+    type: Date,
+    required: [true, '过期时间是必需的']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+aiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 静态方法：查找未过期的缓存并记录命中
+// TTL索引的清理有延迟，查询时仍需排除已过期的记录
+aiCacheEntrySchema.statics.findValid = function(key) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { hits: 1 }, $set: { lastHitAt: now } },
+    { new: true }
+  ).lean();
+};
+
+module.exports = mongoose.model('AICacheEntry', aiCacheEntrySchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// AI调用用量记录：每次调用AI服务提供方记录一条，用于配额控制和费用统计
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, '用户ID是必需的']
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+  operation: {
+    type: String,
+    required: [true, '操作类型是必需的'],
+    enum: ['restructure', 'summary', 'exercises', 'concepts', 'mindmap', 'relations', 'grading']
+  },
+  provider: {
+    type: String,
+    required: [true, 'AI服务提供方是必需的']
+  },
+  model: {
+    type: String,
+    required: [true, '模型名称是必需的']
+  },
+  promptTokens: {
+    type: Number,
+    default: 0,
+    min: [0, 'token数不能为负数']
+  },
+  completionTokens: {
+    type: Number,
+    default: 0,
+    min: [0, 'token数不能为负数']
+  },
+  totalTokens: {
+    type: Number,
+    default: 0,
+    min: [0, 'token数不能为负数']
+  },
+  // 按调用时的模型价格估算的费用（美元）
+  cost: {
+    type: Number,
+    default: 0,
+    min: [0, '费用不能为负数']
+  },
+  // 流式输出无法取得提供方统计的用量，按文本长度估算
+  estimated: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 复合索引配置
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ documentId: 1, createdAt: -1 });
+
+// 静态方法：统计用户自指定时间起的token用量
+aiUsageSchema.statics.sumTokens = async function(userId, since) {
+  const [result] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: since } } },
+    { $group: { _id: null, totalTokens: { $sum: '$totalTokens' } } }
+  ]);
+  return result ? result.totalTokens : 0;
+};
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
@@ -216,10 +216,15 @@ conceptSchema.statics.getFrequentConcepts = function(userId, limit = 10) {
   ]);
 };
 
-// 静态方法：获取概念统计
-conceptSchema.statics.getConceptStats = function(userId) {
+// 静态方法：获取概念统计，range 为 { from, to } 时只统计该时间范围内提取的概念
+conceptSchema.statics.getConceptStats = function(userId, range) {
+  const match = { userId: new mongoose.Types.ObjectId(userId), isDeleted: false };
+  if (range) {
+    match.createdAt = { $gte: range.from, $lt: range.to };
+  }
+
   return this.aggregate([
-    { $match: { userId: new mongoose.Types.ObjectId(userId), isDeleted: false } },
+    { $match: match },
     {
       $group: {
         _id: '$category',
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// 概念图谱中两个节点之间的关系，由 ConceptGraphService 构建
+// 上下位关系统一存为 parent（source 是 target 的上位概念）；antonym、related 无方向
+const conceptEdgeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, '用户ID是必需的']
+  },
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConceptNode',
+    required: [true, '起始节点是必需的']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConceptNode',
+    required: [true, '目标节点是必需的']
+  },
+  relationship: {
+    type: String,
+    enum: ['parent', 'antonym', 'related'],
+    default: 'related'
+  },
+  strength: {
+    type: Number,
+    min: [0, '关联强度不能小于0'],
+    max: [1, '关联强度不能大于1'],
+    default: 0.5
+  },
+  // 关系的来源：ai 为模型推断，cooccurrence 为在文档中相邻出现
+  sources: [{
+    type: String,
+    enum: ['ai', 'cooccurrence']
+  }],
+  // 两个概念相邻出现的文档数
+  cooccurrences: {
+    type: Number,
+    default: 0,
+    min: [0, '共现次数不能为负数']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 复合索引配置
+conceptEdgeSchema.index({ userId: 1, source: 1, target: 1 }, { unique: true });
+conceptEdgeSchema.index({ userId: 1, target: 1 });
+
+module.exports = mongoose.model('ConceptEdge', conceptEdgeSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// 概念图谱节点：同一用户各文档中相同或同义的概念合并为一个节点，由 ConceptGraphService 构建
+const conceptNodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, '用户ID是必需的']
+  },
+  // 规范术语的归一化形式，重新构建时据此保留节点ID
+  key: {
+    type: String,
+    required: [true, '节点标识是必需的'],
+    maxlength: [200, '节点标识不能超过200个字符']
+  },
+  term: {
+    type: String,
+    required: [true, '概念术语是必需的'],
+    trim: true,
+    maxlength: [200, '术语不能超过200个字符']
+  },
+  // 合并到该节点的其他说法（同义词、不同写法）
+  aliases: [{
+    type: String,
+    maxlength: [200, '术语不能超过200个字符']
+  }],
+  definition: {
+    type: String,
+    default: '',
+    maxlength: [2000, '定义不能超过2000个字符']
+  },
+  category: {
+    type: String,
+    enum: ['person', 'place', 'concept', 'term', 'formula', 'theory', 'other'],
+    default: 'concept'
+  },
+  importance: {
+    type: Number,
+    min: [1, '重要性等级不能小于1'],
+    max: [5, '重要性等级不能大于5'],
+    default: 3
+  },
+  conceptIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Concept'
+  }],
+  documentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  builtAt: {
+    type: Date,
+    required: [true, '构建时间是必需的']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 复合索引配置
+conceptNodeSchema.index({ userId: 1, key: 1 }, { unique: true });
+conceptNodeSchema.index({ userId: 1, importance: -1 });
+conceptNodeSchema.index({ userId: 1, builtAt: -1 });
+conceptNodeSchema.index({ conceptIds: 1 });
+
+// 虚拟字段：出现在多少份文档中
+conceptNodeSchema.virtual('documentCount').get(function() {
+  return this.documentIds.length;
+});
+
+module.exports = mongoose.model('ConceptNode', conceptNodeSchema);
@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 
+// OCR单页识别结果
+const ocrPageSchema = new mongoose.Schema({
+  pageNumber: {
+    type: Number,
+    required: true,
+    min: [1, '页码必须大于0']
+  },
+  confidence: {
+    type: Number,
+    min: [0, '置信度不能小于0'],
+    max: [1, '置信度不能大于1']
+  },
+  lowConfidence: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 const documentSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,7 +34,7 @@ const documentSchema = new mongoose.Schema({
   originalFormat: {
     type: String,
     required: [true, '原始格式是必需的'],
-    enum: ['pdf', 'docx', 'pptx', 'image', 'url'],
+    enum: ['pdf', 'docx', 'pptx', 'image', 'url', 'markdown', 'txt'],
     index: true
   },
   filePath: {
@@ -67,6 +85,54 @@ const documentSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: [0, '页数不能为负数']
+    },
+    // 文本文件的原始编码（如 utf-8、gb18030、utf-16le）
+    encoding: {
+      type: String,
+      trim: true
+    },
+    assets: [{
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      key: {
+        type: String,
+        required: true
+      },
+      mimeType: {
+        type: String,
+        trim: true
+      },
+      size: {
+        type: Number,
+        min: [0, '文件大小不能为负数']
+      }
+    }],
+    // OCR识别信息（图片或扫描版PDF），用于提示识别质量较低的页面
+    ocr: {
+      engine: {
+        type: String,
+        trim: true
+      },
+      languages: {
+        type: String,
+        trim: true
+      },
+      averageConfidence: {
+        type: Number,
+        min: [0, '置信度不能小于0'],
+        max: [1, '置信度不能大于1']
+      },
+      lowConfidencePages: [{
+        type: Number
+      }],
+      // OCR识别失败的页面（内容为空）
+      failedPages: [{
+        type: Number
+      }],
+      pages: [ocrPageSchema]
     }
   },
   processingStatus: {
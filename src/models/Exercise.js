@@ -295,10 +295,15 @@ exerciseSchema.statics.searchByUser = function(userId, searchText, options = {})
     .populate('documentId', 'title originalFormat');
 };
 
-// 静态方法：获取练习统计
-exerciseSchema.statics.getUserStats = function(userId) {
+// 静态方法：获取练习统计，range 为 { from, to } 时只统计该时间范围内创建的练习
+exerciseSchema.statics.getUserStats = function(userId, range) {
+  const match = { userId: new mongoose.Types.ObjectId(userId), isDeleted: false };
+  if (range) {
+    match.createdAt = { $gte: range.from, $lt: range.to };
+  }
+
   return this.aggregate([
-    { $match: { userId: new mongoose.Types.ObjectId(userId), isDeleted: false } },
+    { $match: match },
     {
       $group: {
         _id: null,
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// 一次作答：开始作答时创建，提交后由评分结果生成 ExerciseRecord
+const exerciseAttemptSchema = new mongoose.Schema({
+  exerciseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise',
+    required: [true, '练习ID是必需的']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, '用户ID是必需的']
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, '文档ID是必需的']
+  },
+  // in_progress: 作答中；submitted: 已提交；expired: 超过时间限制未提交
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'expired'],
+    default: 'in_progress'
+  },
+  // 本次作答的题目（题目ID，按下发顺序）
+  questionIds: [{
+    type: String
+  }],
+  // 打乱题目和选项顺序用的随机种子，同一次作答每次下发的顺序相同
+  seed: {
+    type: Number,
+    default: 0
+  },
+  // 开始作答时的 settings.shuffleOptions，评分按同样的选项顺序换算答案
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
+  // 练习不允许重复作答（settings.allowRetry 关闭）时开始的作答，每个用户的每个练习只能有一个
+  singleAttempt: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // 按 Exercise.settings.timeLimit 计算的截止时间，不限时为null
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExerciseRecord',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 复合索引配置
+exerciseAttemptSchema.index({ userId: 1, exerciseId: 1, status: 1 });
+// 同一用户的同一练习最多一个作答中的作答，并发开始作答时只有一个能创建成功
+exerciseAttemptSchema.index(
+  { userId: 1, exerciseId: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+// 不允许重复作答的练习只能开始一次（含已提交和已过期的作答）
+exerciseAttemptSchema.index(
+  { userId: 1, exerciseId: 1, singleAttempt: 1 },
+  { unique: true, partialFilterExpression: { singleAttempt: true } }
+);
+
+module.exports = mongoose.model('ExerciseAttempt', exerciseAttemptSchema);
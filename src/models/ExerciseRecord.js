@@ -5,9 +5,10 @@ const answerSchema = new mongoose.Schema({
     type: String,
     required: [true, '题目ID是必需的']
   },
+  // 未作答时为空
   userAnswer: {
     type: String,
-    required: [true, '用户答案是必需的'],
+    default: '',
     maxlength: [2000, '答案不能超过2000个字符']
   },
   correctAnswer: {
@@ -319,16 +320,23 @@ exerciseRecordSchema.statics.findByUser = function(userId, options = {}) {
     .populate('documentId', 'title originalFormat');
 };
 
+// 完成时间的查询条件：timeRange 为天数（最近N天）或 { from, to } 时间范围
+function completedAtMatch(timeRange) {
+  if (typeof timeRange === 'number') {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - timeRange);
+    return { $gte: startDate };
+  }
+  return { $gte: timeRange.from, $lt: timeRange.to };
+}
+
 // 静态方法：获取用户表现统计
 exerciseRecordSchema.statics.getUserPerformanceStats = function(userId, timeRange = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - timeRange);
-  
   return this.aggregate([
     { 
       $match: { 
         userId: new mongoose.Types.ObjectId(userId),
-        completedAt: { $gte: startDate }
+        completedAt: completedAtMatch(timeRange)
       }
     },
     {
@@ -350,10 +358,15 @@ exerciseRecordSchema.statics.getUserPerformanceStats = function(userId, timeRang
   ]);
 };
 
-// 静态方法：获取弱项分析
-exerciseRecordSchema.statics.getWeaknessAnalysis = function(userId, limit = 10) {
+// 静态方法：获取弱项分析，timeRange 同 getUserPerformanceStats，不传时统计全部记录
+exerciseRecordSchema.statics.getWeaknessAnalysis = function(userId, limit = 10, timeRange) {
+  const match = { userId: new mongoose.Types.ObjectId(userId) };
+  if (timeRange !== undefined) {
+    match.completedAt = completedAtMatch(timeRange);
+  }
+
   return this.aggregate([
-    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $match: match },
     { $unwind: '$answers' },
     { $match: { 'answers.isCorrect': false } },
     {
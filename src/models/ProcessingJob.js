@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// 文档处理阶段（按执行顺序）
+const JOB_STAGES = ['extraction', 'restructure', 'summary', 'concepts', 'exercises', 'mindmap'];
+
+const jobErrorSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: [2000, '错误信息不能超过2000个字符']
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const processingJobSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, '文档ID是必需的'],
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, '用户ID是必需的'],
+    index: true
+  },
+  // 同一次处理（上传或重新处理）的各阶段任务共享同一个runId
+  runId: {
+    type: String,
+    required: [true, '运行ID是必需的'],
+    index: true
+  },
+  stage: {
+    type: String,
+    required: [true, '处理阶段是必需的'],
+    enum: JOB_STAGES
+  },
+  // waiting: 等待同一运行中的提取阶段完成；cancelled: 提取失败后不再执行
+  status: {
+    type: String,
+    enum: ['waiting', 'pending', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: [0, '尝试次数不能为负数']
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, '最大尝试次数必须大于0']
+  },
+  // 下次可执行的时间（失败重试时按退避时间推后）
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // 运行结束处理的时间（只记录在运行的首个任务上，保证结束处理只执行一次）
+  runSettledAt: {
+    type: Date,
+    default: null
+  },
+  // 每次失败的记录
+  errorHistory: [jobErrorSchema],
+  // 成功完成时处理器返回的结果摘要（如AI输出校验的修正次数和丢弃的条目）
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 复合索引配置
+processingJobSchema.index({ status: 1, runAt: 1 });
+processingJobSchema.index({ documentId: 1, createdAt: -1 });
+processingJobSchema.index({ status: 1, lockedAt: 1 });
+
+// 静态方法：领取下一个可执行的任务
+processingJobSchema.statics.claimNext = function(workerId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: now } },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy: workerId, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1, createdAt: 1 }, new: true }
+  );
+};
+
+// 静态方法：文档是否有未结束的任务
+processingJobSchema.statics.hasActiveJobs = async function(documentId) {
+  const count = await this.countDocuments({
+    documentId,
+    status: { $in: ['waiting', 'pending', 'processing'] }
+  });
+  return count > 0;
+};
+
+// 静态方法：获取文档的任务，按运行分组（最近的运行在前）
+processingJobSchema.statics.findRunsByDocument = async function(documentId, limit = 10) {
+  const jobs = await this.find({ documentId })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const runs = new Map();
+  for (const job of jobs) {
+    if (!runs.has(job.runId)) {
+      if (runs.size >= limit) {
+        break;
+      }
+      runs.set(job.runId, { runId: job.runId, createdAt: job.createdAt, jobs: [] });
+    }
+    runs.get(job.runId).jobs.push(job);
+  }
+
+  return [...runs.values()].map(run => ({
+    ...run,
+    jobs: run.jobs.sort((a, b) => JOB_STAGES.indexOf(a.stage) - JOB_STAGES.indexOf(b.stage))
+  }));
+};
+
+const ProcessingJob = mongoose.model('ProcessingJob', processingJobSchema);
+ProcessingJob.STAGES = JOB_STAGES;
+
+module.exports = ProcessingJob;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// 提示词模板：覆盖 src/prompts 下的同名模板，版本高于内置模板时生效
+const promptTemplateSchema = new mongoose.Schema({
+  templateId: {
+    type: String,
+    required: [true, '模板ID是必需的'],
+    enum: ['restructure', 'summary', 'exercises', 'concepts', 'mindmap', 'relations', 'grading', 'repair']
+  },
+  language: {
+    type: String,
+    required: [true, '模板语言是必需的'],
+    enum: ['zh', 'en']
+  },
+  version: {
+    type: Number,
+    required: [true, '模板版本是必需的'],
+    min: [1, '模板版本至少为1']
+  },
+  body: {
+    type: String,
+    required: [true, '模板内容是必需的'],
+    maxlength: [20000, '模板内容不能超过20000个字符']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, '模板说明不能超过500个字符']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 已发布的版本不可覆盖，修改模板时新增版本
+promptTemplateSchema.index({ templateId: 1, language: 1, version: 1 }, { unique: true });
+
+// 静态方法：查找启用的最高版本模板
+promptTemplateSchema.statics.findLatest = function(templateId, language) {
+  return this.findOne({ templateId, language, isActive: true }).sort({ version: -1 }).lean();
+};
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// 概念的复习卡片（正面为术语，背面为定义），按 SM-2 算法安排复习，由 ReviewService 维护
+// 第一次复习某个概念时创建；尚未复习过的概念为新卡片，每天引入的数量有上限
+const reviewCardSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, '用户ID是必需的']
+  },
+  conceptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Concept',
+    required: [true, '概念ID是必需的']
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, '文档ID是必需的']
+  },
+  // 难度系数，越大间隔增长越快
+  ease: {
+    type: Number,
+    min: [1.3, '难度系数不能小于1.3'],
+    default: 2.5
+  },
+  // 当前复习间隔（天）
+  interval: {
+    type: Number,
+    min: [0, '复习间隔不能为负数'],
+    default: 0
+  },
+  // 连续回忆成功的次数，回忆失败时清零
+  repetitions: {
+    type: Number,
+    min: [0, '连续成功次数不能为负数'],
+    default: 0
+  },
+  // 回忆失败（评分低于3）的次数
+  lapses: {
+    type: Number,
+    min: [0, '遗忘次数不能为负数'],
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    min: [0, '复习次数不能为负数'],
+    default: 0
+  },
+  // 最近一次的回忆评分（0-5）
+  lastGrade: {
+    type: Number,
+    min: [0, '评分不能小于0'],
+    max: [5, '评分不能大于5'],
+    default: null
+  },
+  lastReviewedAt: {
+    type: Date,
+    default: null
+  },
+  dueAt: {
+    type: Date,
+    required: [true, '到期时间是必需的']
+  },
+  // 第一次复习的时间，用于统计每天引入的新卡片数
+  introducedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 复合索引配置
+reviewCardSchema.index({ userId: 1, conceptId: 1 }, { unique: true });
+reviewCardSchema.index({ userId: 1, dueAt: 1 });
+reviewCardSchema.index({ userId: 1, introducedAt: -1 });
+
+module.exports = mongoose.model('ReviewCard', reviewCardSchema);
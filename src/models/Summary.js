@@ -16,7 +16,7 @@ const summarySchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, '摘要类型是必需的'],
-    enum: ['ai_generated', 'manual', 'oneline', 'detailed', 'keypoints'],
+    enum: ['ai_generated', 'manual', 'oneline', 'detailed', 'keypoints', 'sections'],
     default: 'ai_generated',
     index: true
   },
@@ -25,6 +25,31 @@ const summarySchema = new mongoose.Schema({
     required: [true, '摘要内容是必需的'],
     maxlength: [10000, '摘要内容不能超过10000个字符']
   },
+  // 按章节摘要（type 为 sections）：每个章节对应文档中的一个Markdown标题
+  sections: [{
+    heading: {
+      type: String,
+      maxlength: [500, '章节标题不能超过500个字符']
+    },
+    level: {
+      type: Number,
+      min: [1, '标题层级必须在1-6之间'],
+      max: [6, '标题层级必须在1-6之间']
+    },
+    path: {
+      type: String,
+      maxlength: [1000, '标题路径不能超过1000个字符']
+    },
+    offset: {
+      type: Number,
+      min: [0, '章节位置不能为负数']
+    },
+    summary: {
+      type: String,
+      required: [true, '章节摘要是必需的'],
+      maxlength: [2000, '章节摘要不能超过2000个字符']
+    }
+  }],
   generatedAt: {
     type: Date,
     default: Date.now,
@@ -47,6 +47,24 @@ const userSchema = new mongoose.Schema({
       default: 'zh-CN'
     }
   },
+  role: {
+    type: String,
+    enum: ['student', 'teacher', 'admin'],
+    default: 'student'
+  },
+  // 单独设置的AI用量配额（token数），未设置时使用角色或全局配额，0表示不限
+  aiQuota: {
+    daily: {
+      type: Number,
+      default: null,
+      min: [0, '配额不能为负数']
+    },
+    monthly: {
+      type: Number,
+      default: null,
+      min: [0, '配额不能为负数']
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
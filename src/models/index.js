@@ -5,9 +5,17 @@ const User = require('./User');
 const Document = require('./Document');
 const Summary = require('./Summary');
 const Concept = require('./Concept');
+const ConceptNode = require('./ConceptNode');
+const ConceptEdge = require('./ConceptEdge');
+const ReviewCard = require('./ReviewCard');
 const MindMap = require('./MindMap');
 const Exercise = require('./Exercise');
 const ExerciseRecord = require('./ExerciseRecord');
+const ExerciseAttempt = require('./ExerciseAttempt');
+const ProcessingJob = require('./ProcessingJob');
+const AICacheEntry = require('./AICacheEntry');
+const AIUsage = require('./AIUsage');
+const PromptTemplate = require('./PromptTemplate');
 
 // 导出所有模型
 module.exports = {
@@ -15,7 +23,15 @@ module.exports = {
   Document,
   Summary,
   Concept,
+  ConceptNode,
+  ConceptEdge,
+  ReviewCard,
   MindMap,
   Exercise,
-  ExerciseRecord
+  ExerciseRecord,
+  ExerciseAttempt,
+  ProcessingJob,
+  AICacheEntry,
+  AIUsage,
+  PromptTemplate
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+
+const analyticsController = require('../controllers/analyticsController');
+const { authenticateToken } = require('../middleware/auth');
+
+// 以下接口均支持 from、to 时间范围（按练习完成时间），默认为最近30天
+
+/**
+ * @route   GET /api/analytics/overview
+ * @desc    学习总览：练习成绩、等级分布、生成的练习题和提取的概念
+ * @access  Private
+ */
+router.get('/overview', authenticateToken, analyticsController.getOverview);
+
+/**
+ * @route   GET /api/analytics/trend
+ * @desc    正确率和得分趋势，interval 为 day、week 或 month
+ * @access  Private
+ */
+router.get('/trend', authenticateToken, analyticsController.getTrend);
+
+/**
+ * @route   GET /api/analytics/weaknesses
+ * @desc    各题型、各难度的正确率以及错题最多的组合，支持 limit
+ * @access  Private
+ */
+router.get('/weaknesses', authenticateToken, analyticsController.getWeaknesses);
+
+/**
+ * @route   GET /api/analytics/time
+ * @desc    答题耗时：总耗时、各周期耗时以及各题型的平均耗时，interval 为 day、week 或 month
+ * @access  Private
+ */
+router.get('/time', authenticateToken, analyticsController.getTimeOnTask);
+
+/**
+ * @route   GET /api/analytics/mastery
+ * @desc    各文档的掌握度
+ * @access  Private
+ */
+router.get('/mastery', authenticateToken, analyticsController.getMastery);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+const conceptController = require('../controllers/conceptController');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/concepts/graph
+ * @desc    获取跨文档的概念知识图谱（节点和关系），支持 category、importance、limit 过滤，rebuild=1 时重新构建
+ * @access  Private
+ */
+router.get('/graph', authenticateToken, conceptController.getGraph);
+
+/**
+ * @route   GET /api/concepts/:id/neighbors
+ * @desc    获取概念（图谱节点ID或概念ID）的相邻节点，支持 relationship、limit 过滤
+ * @access  Private
+ */
+router.get('/:id/neighbors', authenticateToken, conceptController.getNeighbors);
+
+module.exports = router;
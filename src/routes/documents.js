@@ -3,7 +3,7 @@ const multer = require('multer');
 const router = express.Router();
 
 const DocumentController = require('../controllers/documentController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, allowQueryToken } = require('../middleware/auth');
 const { validateDocumentUpload, validateUrlDocument } = require('../middleware/validation');
 
 // Initialize document controller
@@ -17,7 +17,7 @@ const upload = multer({
     files: 1 // Only allow single file upload
   },
   fileFilter: (req, file, cb) => {
-    // Allowed file types
+    // Allowed file types（旧版 .doc/.ppt 也放行，由 DocumentService 返回另存为新格式的提示）
     const allowedMimeTypes = [
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
@@ -30,9 +30,16 @@ const upload = multer({
       'image/gif',
       'image/bmp',
       'image/webp',
-      "text/plain",
+      'text/plain',
+      'text/markdown',
+      'text/x-markdown'
     ];
 
+    // 部分浏览器上传 .md 文件时不带具体类型，按扩展名识别
+    if (['application/octet-stream', ''].includes(file.mimetype) && /\.(md|markdown)$/i.test(file.originalname)) {
+      file.mimetype = 'text/markdown';
+    }
+
     if (allowedMimeTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
@@ -73,6 +80,19 @@ router.get('/stats',
   documentController.getDocumentStats.bind(documentController)
 );
 
+// 处理进度订阅（必须在 /:documentId 之前）
+
+/**
+ * @route   GET /api/documents/events
+ * @desc    订阅当前用户所有文档的处理进度（SSE，可用查询参数 access_token 认证）
+ * @access  Private
+ */
+router.get('/events',
+  allowQueryToken,
+  authenticateToken,
+  documentController.streamUserEvents.bind(documentController)
+);
+
 // 练习题管理路由（必须在 /:documentId 之前）
 
 /**
@@ -95,6 +115,26 @@ router.get('/exercises/:exerciseId',
   documentController.getExerciseDetail.bind(documentController)
 );
 
+/**
+ * @route   POST /api/documents/exercises/:exerciseId/attempts
+ * @desc    开始作答练习题（有未完成的作答时继续该次作答），返回的题目不含答案和解析
+ * @access  Private
+ */
+router.post('/exercises/:exerciseId/attempts',
+  authenticateToken,
+  documentController.startExerciseAttempt.bind(documentController)
+);
+
+/**
+ * @route   POST /api/documents/exercises/:exerciseId/attempts/:attemptId/submit
+ * @desc    提交作答，服务端评分并保存练习记录
+ * @access  Private
+ */
+router.post('/exercises/:exerciseId/attempts/:attemptId/submit',
+  authenticateToken,
+  documentController.submitExerciseAttempt.bind(documentController)
+);
+
 /**
  * @route   GET /api/documents/:documentId
  * @desc    获取文档详情
@@ -115,6 +155,16 @@ router.get('/:documentId/download',
   documentController.downloadDocument.bind(documentController)
 );
 
+/**
+ * @route   GET /api/documents/:documentId/assets/:assetName
+ * @desc    获取文档附属资源（如Word内嵌图片）
+ * @access  Private
+ */
+router.get('/:documentId/assets/:assetName',
+  authenticateToken,
+  documentController.getDocumentAsset.bind(documentController)
+);
+
 /**
  * @route   POST /api/documents/url
  * @desc    添加URL文档
@@ -136,9 +186,30 @@ router.get('/:documentId/markdown',
   documentController.getMarkdownContent.bind(documentController)
 );
 
+/**
+ * @route   GET /api/documents/:documentId/jobs
+ * @desc    获取文档的处理任务（按运行分组，包含各阶段状态、尝试次数和错误）
+ * @access  Private
+ */
+router.get('/:documentId/jobs',
+  authenticateToken,
+  documentController.getDocumentJobs.bind(documentController)
+);
+
+/**
+ * @route   GET /api/documents/:documentId/events
+ * @desc    订阅文档的处理进度（SSE，可用查询参数 access_token 认证）
+ * @access  Private
+ */
+router.get('/:documentId/events',
+  allowQueryToken,
+  authenticateToken,
+  documentController.streamDocumentEvents.bind(documentController)
+);
+
 /**
  * @route   POST /api/documents/:documentId/reprocess
- * @desc    重新处理文档（如果之前处理失败）
+ * @desc    重新处理文档（可指定阶段，新结果成功生成后才替换旧结果）
  * @access  Private
  */
 router.post('/:documentId/reprocess',
@@ -160,27 +231,29 @@ router.delete('/:documentId',
 
 /**
  * @route   GET /api/documents/:documentId/ai/restructure
- * @desc    获取AI文档重构结果
+ * @desc    获取AI文档重构结果（stream=1 时重新生成并以SSE或分块传输流式返回）
  * @access  Private
  */
 router.get('/:documentId/ai/restructure',
+  allowQueryToken,
   authenticateToken,
   documentController.getRestructuredContent.bind(documentController)
 );
 
 /**
  * @route   GET /api/documents/:documentId/ai/summary
- * @desc    获取文档摘要
+ * @desc    获取指定类型的文档摘要（type 默认为用户偏好，尚未生成时立即生成；stream=1 时重新生成并以SSE或分块传输流式返回）
  * @access  Private
  */
 router.get('/:documentId/ai/summary',
+  allowQueryToken,
   authenticateToken,
   documentController.getDocumentSummary.bind(documentController)
 );
 
 /**
  * @route   POST /api/documents/:documentId/ai/exercises
- * @desc    生成练习题
+ * @desc    生成练习题（相同内容和选项复用缓存结果，force=true 时重新生成）
  * @access  Private
  */
 router.post('/:documentId/ai/exercises',
@@ -200,7 +273,7 @@ router.get('/:documentId/ai/concepts',
 
 /**
  * @route   POST /api/documents/:documentId/ai/mindmap
- * @desc    生成思维导图
+ * @desc    生成思维导图（相同内容和选项复用缓存结果，force=true 时重新生成）
  * @access  Private
  */
 router.post('/:documentId/ai/mindmap',
@@ -210,7 +283,7 @@ router.post('/:documentId/ai/mindmap',
 
 /**
  * @route   POST /api/documents/:documentId/ai/process
- * @desc    批量AI处理
+ * @desc    批量AI处理并保存全部结果，按阶段返回处理状态（相同内容和选项复用缓存结果，force=true 时重新生成）
  * @access  Private
  */
 router.post('/:documentId/ai/process',
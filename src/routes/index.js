@@ -4,10 +4,18 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./auth');
 const documentRoutes = require('./documents');
+const usageRoutes = require('./usage');
+const conceptRoutes = require('./concepts');
+const analyticsRoutes = require('./analytics');
+const reviewRoutes = require('./review');
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/documents', documentRoutes);
+router.use('/usage', usageRoutes);
+router.use('/concepts', conceptRoutes);
+router.use('/analytics', analyticsRoutes);
+router.use('/review', reviewRoutes);
 
 // API info endpoint
 router.get('/', (req, res) => {
@@ -17,6 +25,10 @@ router.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       documents: '/api/documents',
+      usage: '/api/usage',
+      concepts: '/api/concepts',
+      analytics: '/api/analytics',
+      review: '/api/review',
       health: '/health'
     }
   });
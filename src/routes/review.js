@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+
+const reviewController = require('../controllers/reviewController');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/review/due
+ * @desc    获取今天要复习的卡片（术语 → 定义），先是到期的卡片，再按每日上限补充新卡片
+ * @access  Private
+ */
+router.get('/due', authenticateToken, reviewController.getDueCards);
+
+/**
+ * @route   GET /api/review/forecast
+ * @desc    预测未来几天每天到期的卡片数和新卡片数，支持 days
+ * @access  Private
+ */
+router.get('/forecast', authenticateToken, reviewController.getForecast);
+
+/**
+ * @route   POST /api/review/:conceptId
+ * @desc    提交概念的回忆评分（0-5 或 again、hard、good、easy），安排下一次复习
+ * @access  Private
+ */
+router.post('/:conceptId', authenticateToken, reviewController.reviewConcept);
+
+module.exports = router;
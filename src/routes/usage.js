@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+
+const usageController = require('../controllers/usageController');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/usage
+ * @desc    获取AI用量（按操作和模型分组）及配额，支持 from、to 时间范围，管理员可指定 userId
+ * @access  Private
+ */
+router.get('/', authenticateToken, usageController.getUsage);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const AICacheEntry = require('../models/AICacheEntry');
+
+// 默认缓存有效期（秒）
+const DEFAULT_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * AI生成结果缓存
+ * 缓存键由操作、模型、提示词模板引用（含版本）、规范化后的选项和文档内容哈希计算，任一变化都不会命中旧结果。
+ * 读写缓存失败只记录日志，不影响正常生成。
+ */
+class AICache {
+  /**
+   * @param {Object} options - 缓存选项
+   * @param {number} [options.ttl] - 有效期（秒），为0时不使用缓存，默认读取 AI_CACHE_TTL
+   */
+  constructor(options = {}) {
+    const envTtl = parseInt(process.env.AI_CACHE_TTL);
+    this.ttl = options.ttl !== undefined ? options.ttl : (Number.isNaN(envTtl) ? DEFAULT_TTL : envTtl);
+  }
+
+  get enabled() {
+    return this.ttl > 0;
+  }
+
+  /**
+   * 计算缓存键
+   * @param {Object} descriptor - { operation, model, prompt, options, contentHash }
+   * @returns {string} 缓存键
+   */
+  buildKey({ operation, model, prompt, options = {}, contentHash }) {
+    const source = JSON.stringify([operation, model, prompt, AICache.normalizeOptions(options), contentHash]);
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  /**
+   * 读取未过期的缓存
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|null>} 缓存记录
+   */
+  async get(key) {
+    try {
+      return await AICacheEntry.findValid(key);
+    } catch (error) {
+      console.error('[AICache] 读取缓存失败:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 写入缓存，已存在时覆盖并重新计算有效期
+   * @param {string} key - 缓存键
+   * @param {Object} entry - { operation, model, prompt, contentHash, result }
+   * @returns {Promise<Object|null>} 缓存记录
+   */
+  async set(key, entry) {
+    const expiresAt = new Date(Date.now() + this.ttl * 1000);
+    try {
+      return await AICacheEntry.findOneAndUpdate(
+        { key },
+        { $set: { ...entry, key, expiresAt, hits: 0, lastHitAt: null } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ).lean();
+    } catch (error) {
+      console.error('[AICache] 写入缓存失败:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 规范化选项：去掉空值、按键名排序，使选项书写顺序不影响缓存键
+   * @param {*} value - 选项
+   * @returns {*} 规范化后的选项
+   */
+  static normalizeOptions(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => AICache.normalizeOptions(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((result, key) => {
+        if (value[key] !== undefined && value[key] !== null) {
+          result[key] = AICache.normalizeOptions(value[key]);
+        }
+        return result;
+      }, {});
+    }
+    return value;
+  }
+}
+
+module.exports = AICache;
@@ -1,12 +1,22 @@
 require('dotenv').config();
-const OpenAI = require('openai');
 const { Exercise, MindMap } = require('../models');
+const { splitMarkdown, splitSections, estimateTokens, truncateMarkdown } = require('../utils/markdownChunker');
+const { createProvider } = require('./providers');
+const AICache = require('./AICache');
+const UsageService = require('./UsageService');
+const PromptRegistry = require('./PromptRegistry');
+const CircuitBreaker = require('./CircuitBreaker');
+const { validateAIOutput } = require('../utils/aiOutputSchemas');
+const config = require('../utils/config');
 
 // 简单的日志工具
 const logger = {
   info: (message, data = {}) => {
     console.log(`[AIService] INFO: ${message}`, data);
   },
+  warn: (message, data = {}) => {
+    console.warn(`[AIService] WARN: ${message}`, data);
+  },
   error: (message, error = {}) => {
     console.error(`[AIService] ERROR: ${message}`, error);
   },
@@ -17,47 +27,640 @@ const logger = {
   }
 };
 
-class AIService {
-  constructor() {
-    // 只在有API密钥时初始化OpenAI客户端
-    if (process.env.OPENAI_API_KEY) {
-      const config = {
-        apiKey: process.env.OPENAI_API_KEY,
-      };
+// 生成结果的长度上限（与模型定义一致）
+const RESULT_LIMITS = {
+  restructuredContent: 50000,
+  summary: 10000,
+  sectionSummary: 2000,
+  conceptTerm: 200,
+  conceptDefinition: 2000,
+  occurrenceContext: 500,
+  // 推断概念关系时每个概念附带的定义长度
+  relationDefinition: 100,
+  question: 1000,
+  option: 500,
+  answer: 2000,
+  explanation: 2000,
+  // 简答题评分反馈（ExerciseRecord 的 feedback 上限为1000）
+  gradingFeedback: 500,
+  sourceSection: 200,
+  keyword: 100
+};
+
+const CONCEPT_CATEGORIES = ['person', 'place', 'concept', 'term', 'formula', 'theory', 'other'];
+
+// 摘要类型：standard 常规摘要（按 length 控制长度），oneline 一句话概括，keypoints 要点列表
+const SUMMARY_VARIANTS = ['standard', 'oneline', 'keypoints'];
+
+// 分层摘要的最大层数
+const MAX_CONDENSE_DEPTH = 3;
+
+// 修正提示中最多列出的校验错误数
+const MAX_REPAIR_ERRORS = 20;
+
+// 可重试的HTTP状态码：请求超时、限流、服务端错误和过载
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504, 529];
+
+/**
+ * 是否为服务端的临时故障（超时、网络错误、429、5xx），这类错误会重试并计入断路器
+ * @param {Error} error - 提供方抛出的错误
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  return Boolean(error.timeout || error.network || RETRYABLE_STATUS.includes(error.status));
+}
+
+/**
+ * 为操作失败的错误加上说明；超出配额的错误原样抛出，调用方按 code 返回429
+ * @param {string} message - 失败说明，如「文档重构失败」
+ * @param {Error} error - 原始错误
+ * @returns {Error}
+ */
+function operationError(message, error) {
+  if (error.code === 'AI_QUOTA_EXCEEDED') {
+    return error;
+  }
+  return new Error(`${message}: ${error.message}`);
+}
 
-      // 如果设置了自定义baseURL，则使用它
-      if (process.env.OPENAI_BASE_URL) {
-        config.baseURL = process.env.OPENAI_BASE_URL;
+/**
+ * 等待指定时间，取消信号触发时提前结束
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} [signal] - 取消信号
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error('请求已取消'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('请求已取消'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
       }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
 
-      this.openai = new OpenAI(config);
-      logger.info('OpenAI客户端初始化成功', {
-        baseURL: config.baseURL || 'https://api.openai.com/v1',
-        hasApiKey: !!process.env.OPENAI_API_KEY
-      });
+/**
+ * 读取各操作的请求超时（AI_OPERATION_TIMEOUTS，如 {"restructure":120000}）
+ * @returns {Object} 操作到超时（毫秒）
+ */
+function parseOperationTimeouts() {
+  if (!process.env.AI_OPERATION_TIMEOUTS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.AI_OPERATION_TIMEOUTS);
+  } catch (error) {
+    console.error('[AIService] AI_OPERATION_TIMEOUTS 不是有效的JSON，已忽略');
+    return {};
+  }
+}
+
+/**
+ * 读取非负整数环境变量，未设置或无效时使用默认值
+ */
+function parseEnvInt(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+class AIService {
+  /**
+   * @param {Object} options - 服务选项
+   * @param {BaseProvider} [options.provider] - AI服务提供方，默认按 AI_PROVIDER 等环境变量创建
+   * @param {AICache} [options.cache] - 生成结果缓存，默认按 AI_CACHE_TTL 创建
+   * @param {UsageService} [options.usageService] - 用量计量与配额
+   * @param {PromptRegistry} [options.prompts] - 提示词模板注册表
+   * @param {CircuitBreaker} [options.breaker] - 断路器，默认使用同一提供方共享的断路器
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createProvider();
+    this.cache = options.cache || new AICache();
+    this.usageService = options.usageService || new UsageService();
+    this.prompts = options.prompts || new PromptRegistry();
+    this.breaker = options.breaker || CircuitBreaker.get(this.provider.name);
+    if (this.provider.isAvailable()) {
+      logger.info('AI服务提供方初始化成功', { provider: this.provider.name, model: this.provider.model });
     } else {
-      this.openai = null;
-      logger.error('OpenAI API密钥未配置');
+      logger.error(this.provider.getUnavailableMessage());
+    }
+    if (this.provider.name === 'mock') {
+      logger.warn('当前使用离线模拟的AI服务，生成的摘要、概念和练习题不是真实内容，仅供开发和测试');
     }
 
-    // 从环境变量获取模型配置
-    this.model = process.env.OPENAI_MODEL;
+    // 模型由提供方确定，其余生成参数从环境变量获取
+    this.model = this.provider.model;
     this.temperature = parseFloat(process.env.AI_TEMPERATURE) || 0.3;
     this.maxTokens = parseInt(process.env.AI_MAX_TOKENS) || 4000;
+    // 长文档按片段处理：每个片段的token上限和同时处理的片段数
+    this.chunkTokens = parseInt(process.env.AI_CHUNK_TOKENS) || 6000;
+    this.chunkConcurrency = parseInt(process.env.AI_CHUNK_CONCURRENCY) || 2;
+    // JSON输出未通过校验时附上错误重新生成的最多次数，0表示不重新生成
+    const repairAttempts = parseInt(process.env.AI_REPAIR_ATTEMPTS);
+    this.repairAttempts = Number.isNaN(repairAttempts) ? 2 : Math.max(repairAttempts, 0);
+    // 每次请求的超时（毫秒），可按操作单独设置
+    this.requestTimeout = config.AI_REQUEST_TIMEOUT;
+    this.operationTimeouts = parseOperationTimeouts();
+    // 临时故障的重试：最多重试次数、首次重试的基准等待时间和最长等待时间（毫秒）
+    this.maxRetries = parseEnvInt('AI_MAX_RETRIES', 2);
+    this.retryBaseDelay = parseEnvInt('AI_RETRY_BASE_DELAY', 1000);
+    this.retryMaxDelay = parseEnvInt('AI_RETRY_MAX_DELAY', 30000);
 
     logger.info('AIService配置加载完成', {
+      provider: this.provider.name,
       model: this.model,
       temperature: this.temperature,
-      maxTokens: this.maxTokens
+      maxTokens: this.maxTokens,
+      chunkTokens: this.chunkTokens,
+      cacheTtl: this.cache.ttl,
+      requestTimeout: this.requestTimeout,
+      maxRetries: this.maxRetries
+    });
+  }
+
+  /**
+   * OpenAI SDK客户端（仅使用openai提供方时存在），兼容直接访问客户端的旧代码
+   */
+  get openai() {
+    return this.provider.client || null;
+  }
+
+  /**
+   * 检查AI服务提供方是否可用
+   */
+  _checkProviderAvailable() {
+    if (!this.provider.isAvailable()) {
+      throw new Error(this.provider.getUnavailableMessage());
+    }
+  }
+
+  /**
+   * 检查用户的AI用量配额，超出时抛出 status 为429的错误
+   * 每个操作在调用AI服务提供方前检查一次，使用缓存的结果不检查（见 _withCache）；未提供 userId 的调用（如脚本）不计配额
+   * @param {Object} options - 调用选项 { userId }
+   */
+  async _checkQuota(options = {}) {
+    if (options.userId) {
+      await this.usageService.checkQuota(options.userId);
+    }
+  }
+
+  /**
+   * 取出需要传给每次调用的选项：取消信号和用量归属
+   * @param {Object} options - 操作选项
+   * @returns {Object} { signal, userId, documentId }
+   */
+  _callContext(options = {}) {
+    return { signal: options.signal, userId: options.userId, documentId: options.documentId };
+  }
+
+  /**
+   * 长文档分段处理时的模板变量
+   * @param {Object} options - 操作选项，分段时包含 chunk、totalChunks
+   * @returns {Object} { chunk, chunkNumber, totalChunks, chunkTitle }
+   */
+  _chunkVariables(options = {}) {
+    const { chunk, totalChunks } = options;
+    if (!chunk) {
+      return { chunk: false };
+    }
+    return { chunk: true, chunkNumber: chunk.index + 1, totalChunks, chunkTitle: chunk.title || '' };
+  }
+
+  /**
+   * 调用AI服务提供方完成一次对话，超时、重试和断路器见 _callProvider
+   * @param {string} task - 调用用途（restructure、summary、concepts、exercises、mindmap、relations、grading）
+   * @param {string} prompt - 提示词
+   * @param {Object} options - 调用选项
+   * @param {number} [options.temperature] - 温度
+   * @param {boolean} [options.json] - 是否要求返回JSON对象
+   * @param {Object} [options.params] - 任务参数，供离线模拟生成结果
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {string} [options.userId] - 用户ID，提供时记录本次调用的用量
+   * @param {string} [options.documentId] - 文档ID，记录用量时一并记录
+   * @returns {Promise<string>} 模型输出
+   */
+  async _complete(task, prompt, options = {}) {
+    const { temperature = this.temperature, json = false, params = {}, signal, userId, documentId } = options;
+    const result = await this._callProvider(task, signal, request => this.provider.complete({
+      task,
+      messages: [{ role: 'user', content: prompt }],
+      model: this.model,
+      temperature,
+      maxTokens: this.maxTokens,
+      json,
+      params,
+      ...request
+    }));
+
+    if (userId) {
+      await this.usageService.record({
+        userId,
+        documentId,
+        operation: task,
+        provider: this.provider.name,
+        model: result.model || this.model,
+        promptTokens: result.usage ? result.usage.promptTokens : 0,
+        completionTokens: result.usage ? result.usage.completionTokens : 0
+      });
+    }
+    return result.content;
+  }
+
+  /**
+   * 调用AI服务提供方，统一处理超时、重试和断路器
+   * 每次尝试单独计时；临时故障（超时、网络错误、429、5xx）按指数退避加随机抖动重试，最多 maxRetries 次，
+   * 服务端返回 Retry-After 时按其等待。断路器断开时直接失败（code 为 AI_CIRCUIT_OPEN）。
+   * @param {string} task - 调用用途，用于确定超时
+   * @param {AbortSignal} [signal] - 调用方的取消信号
+   * @param {Function} call - 发起一次请求 ({ signal, timeout }) => Promise
+   * @returns {Promise<*>} 请求结果
+   */
+  async _callProvider(task, signal, call) {
+    const timeout = this._timeoutFor(task);
+
+    for (let attempt = 1; ; attempt++) {
+      this.breaker.acquire();
+      let failure;
+      try {
+        const result = await this._withTimeout(task, timeout, signal, attemptSignal => call({ signal: attemptSignal, timeout }));
+        this.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        failure = error;
+      }
+
+      const delay = this._recordFailure(failure, signal) ? this._retryDelay(failure, attempt) : null;
+      if (delay === null) {
+        throw failure;
+      }
+      logger.info('AI请求失败，稍后重试', { task, attempt, status: failure.status, delay, message: failure.message });
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * 在超时时间内完成请求，超时后取消请求并抛出 timeout 为 true 的错误
+   * @param {string} task - 调用用途
+   * @param {number} timeout - 超时（毫秒），为0时不限
+   * @param {AbortSignal} [signal] - 调用方的取消信号，触发时一并取消请求
+   * @param {Function} run - 发起请求 (signal) => Promise
+   * @returns {Promise<*>} 请求结果
+   */
+  async _withTimeout(task, timeout, signal, run) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    let timer;
+    const pending = run(controller.signal);
+    const timedOut = new Promise((resolve, reject) => {
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          const error = new Error(`AI请求超时（${task}，${timeout / 1000}秒）`);
+          error.timeout = true;
+          controller.abort();
+          reject(error);
+        }, timeout);
+      }
     });
+    // 超时后请求仍可能失败，避免未处理的拒绝
+    pending.catch(() => {});
+
+    try {
+      return await Promise.race([pending, timedOut]);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * 按失败原因更新断路器
+   * @param {Error} error - 请求失败的错误
+   * @param {AbortSignal} [signal] - 调用方的取消信号
+   * @returns {boolean} 是否为可重试的临时故障
+   */
+  _recordFailure(error, signal) {
+    if (signal && signal.aborted) {
+      this.breaker.release();
+      return false;
+    }
+    if (isTransientError(error)) {
+      this.breaker.recordFailure(error);
+      return true;
+    }
+    // 服务端正常响应了客户端错误（如400、401），说明服务可用
+    if (error.status) {
+      this.breaker.recordSuccess();
+    } else {
+      this.breaker.release();
+    }
+    return false;
+  }
+
+  /**
+   * 第 attempt 次失败后的重试等待时间
+   * @param {Error} error - 请求失败的错误，retryAfter 为服务端要求的等待时间（毫秒）
+   * @param {number} attempt - 已尝试次数
+   * @returns {number|null} 等待时间（毫秒），不再重试时为null
+   */
+  _retryDelay(error, attempt) {
+    if (attempt > this.maxRetries) {
+      return null;
+    }
+    if (error.retryAfter !== undefined) {
+      // 要求等待的时间过长时直接失败，由调用方（如后台任务）稍后重试
+      return error.retryAfter <= this.retryMaxDelay ? error.retryAfter : null;
+    }
+    // 指数退避，在一半到全部之间随机取值，避免并发请求同时重试
+    const backoff = Math.min(this.retryBaseDelay * 2 ** (attempt - 1), this.retryMaxDelay);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * 操作的请求超时（毫秒）
+   * @param {string} task - 调用用途
+   * @returns {number}
+   */
+  _timeoutFor(task) {
+    const timeout = parseInt(this.operationTimeouts[task]);
+    return Number.isNaN(timeout) ? this.requestTimeout : timeout;
+  }
+
+  /**
+   * 调用AI服务提供方获取JSON结果，并按输出格式（utils/aiOutputSchemas.js）校验
+   * 未通过校验时附上错误重新生成，最多 repairAttempts 次；列表中仍不合格的条目直接丢弃，不用默认值补全
+   * @param {string} task - 调用用途（exercises、concepts、mindmap、relations、grading）
+   * @param {string} prompt - 提示词
+   * @param {Object} options - 调用选项，同 _complete，另含：
+   * @param {string} [options.language] - 语言，用于选择修正提示词的模板
+   * @param {Object} [options.context] - 校验上下文，见 validateAIOutput
+   * @param {Object} [options.validation] - 校验记录 { repairAttempts, discarded }，累加本次的修正次数和丢弃的条目
+   * @param {Object} [options.chunk] - 分段处理时的片段，丢弃的条目记录所在片段
+   * @returns {Promise<*>} 校验通过的结果
+   */
+  async _completeJson(task, prompt, options = {}) {
+    const { language, context, validation, chunk, ...callOptions } = options;
+    let best = null;
+    let currentPrompt = prompt;
+    let attempt = 0;
+
+    for (;;) {
+      const output = await this._complete(task, currentPrompt, { ...callOptions, json: true });
+
+      let result;
+      try {
+        result = validateAIOutput(task, JSON.parse(output), context);
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) {
+          throw error;
+        }
+        result = { value: null, errors: [`输出不是有效的JSON: ${error.message}`], discarded: [] };
+      }
+
+      // 保留合格条目最多的一次结果
+      const score = result.value === null ? -1 : (Array.isArray(result.value) ? result.value.length : 1);
+      if (!best || score >= best.score) {
+        best = { ...result, score };
+      }
+
+      const errors = result.errors.concat(...result.discarded.map(item => item.errors));
+      if (errors.length === 0 || attempt >= this.repairAttempts) {
+        break;
+      }
+
+      attempt++;
+      logger.info('AI输出未通过校验，附上错误重新生成', { task, attempt, errors: errors.slice(0, 5) });
+      ({ prompt: currentPrompt } = await this.prompts.render('repair', language, {
+        prompt,
+        output,
+        errors: errors.slice(0, MAX_REPAIR_ERRORS).map(error => `- ${error}`).join('\n')
+      }));
+    }
+
+    if (validation) {
+      validation.repairAttempts += attempt;
+      validation.discarded.push(...best.discarded.map(item => ({
+        ...item,
+        ...(chunk && { chunk: chunk.index + 1, section: chunk.title || null })
+      })));
+    }
+
+    if (best.value === null) {
+      throw new Error(`AI输出格式不正确（已重新生成${attempt}次）: ${best.errors.slice(0, 3).join('；')}`);
+    }
+    return best.value;
+  }
+
+  /**
+   * 创建校验记录，在各片段的生成中累加
+   * @returns {Object} { repairAttempts, discarded }
+   */
+  _createValidation() {
+    return { repairAttempts: 0, discarded: [] };
+  }
+
+  /**
+   * 报告一个操作的校验记录：有修正或丢弃时记录日志，并通过 onValidation 回调通知调用方
+   * @param {string} operation - 操作
+   * @param {Object} validation - 校验记录
+   * @param {Object} options - 调用选项 { onValidation }
+   * @returns {Object} { operation, repairAttempts, discarded }
+   */
+  _reportValidation(operation, validation, options = {}) {
+    const report = { operation, ...validation };
+    if (validation.repairAttempts > 0 || validation.discarded.length > 0) {
+      logger.info('AI输出校验结果', {
+        operation,
+        repairAttempts: validation.repairAttempts,
+        discarded: validation.discarded.length
+      });
+    }
+    if (options.onValidation) {
+      options.onValidation(report);
+    }
+    return report;
+  }
+
+  /**
+   * 优先使用缓存的生成结果
+   * 只有调用方提供文档内容哈希时才使用缓存（后台处理流程不传，每次都重新生成）；
+   * 需要生成时才检查提供方是否可用和用量配额，命中缓存不消耗用量，超出配额时仍可取得
+   * @param {string} operation - 操作（restructure、summary、exercises、concepts、mindmap、relations、grading）
+   * @param {Object} keyOptions - 影响生成结果的选项，参与计算缓存键
+   * @param {Object} options - 调用选项
+   * @param {string} [options.contentHash] - 文档内容哈希（Document.syncStatus.syncHash）
+   * @param {boolean} [options.force] - 忽略已有缓存，重新生成并覆盖
+   * @param {Function} [options.onCache] - 缓存信息回调 ({ operation, hit, cachedAt, expiresAt }) => void
+   * @param {Function} generate - 生成结果的函数
+   * @returns {Promise<*>} 生成结果
+   */
+  async _withCache(operation, keyOptions, options, generate) {
+    const { contentHash, force = false, onCache } = options;
+    const report = (hit, entry) => {
+      if (onCache) {
+        onCache({
+          operation,
+          hit,
+          cachedAt: entry ? entry.updatedAt : null,
+          expiresAt: entry ? entry.expiresAt : null
+        });
+      }
+    };
+
+    const run = async () => {
+      this._checkProviderAvailable();
+      await this._checkQuota(options);
+      return generate();
+    };
+
+    if (!contentHash || !this.cache.enabled) {
+      const result = await run();
+      report(false, null);
+      return result;
+    }
+
+    // 提示词模板引用（含版本）参与计算缓存键，模板更新后旧结果不再命中
+    const template = await this.prompts.get(operation, keyOptions.language);
+    const descriptor = {
+      operation,
+      model: `${this.provider.name}:${this.model}`,
+      prompt: template.ref,
+      contentHash
+    };
+    // 分段大小会改变长文档的生成结果，一并计入缓存键
+    const key = this.cache.buildKey({ ...descriptor, options: { ...keyOptions, chunkTokens: this.chunkTokens } });
+
+    if (!force) {
+      const cached = await this.cache.get(key);
+      if (cached) {
+        logger.debug('使用缓存的生成结果', { operation, contentHash });
+        report(true, cached);
+        return cached.result;
+      }
+    }
+
+    const result = await run();
+    const entry = await this.cache.set(key, { ...descriptor, result });
+    report(false, entry);
+    return result;
+  }
+
+  /**
+   * 依次流式执行多个请求，各请求的输出之间以空行分隔
+   * @param {string} task - 调用用途
+   * @param {Array<Object>} requests - 请求列表 [{ prompt, temperature, params }]
+   * @param {Object} options - { signal, onProgress, userId, documentId }，多个请求时按完成数量报告进度
+   * @returns {AsyncGenerator<string>} 文本增量
+   */
+  async *_streamSequence(task, requests, options = {}) {
+    for (let i = 0; i < requests.length; i++) {
+      if (i > 0) {
+        yield '\n\n';
+      }
+
+      const { prompt, temperature = this.temperature, params = {} } = requests[i];
+      let output = '';
+      // 是否占用着断路器的请求名额（半开状态下只放行一个试探请求）
+      let acquired = false;
+      try {
+        // 只在开始输出前重试：已产出的文本无法撤回
+        for (let attempt = 1; ; attempt++) {
+          this.breaker.acquire();
+          acquired = true;
+          try {
+            for await (const delta of this.provider.stream({
+              task,
+              messages: [{ role: 'user', content: prompt }],
+              model: this.model,
+              temperature,
+              maxTokens: this.maxTokens,
+              params,
+              signal: options.signal,
+              timeout: this._timeoutFor(task)
+            })) {
+              output += delta;
+              yield delta;
+            }
+            acquired = false;
+            this.breaker.recordSuccess();
+            break;
+          } catch (error) {
+            acquired = false;
+            const transient = this._recordFailure(error, options.signal);
+            const delay = transient && !output ? this._retryDelay(error, attempt) : null;
+            if (delay === null) {
+              throw error;
+            }
+            logger.info('AI流式请求失败，稍后重试', { task, attempt, status: error.status, delay, message: error.message });
+            await sleep(delay, options.signal);
+          }
+        }
+      } finally {
+        // 调用方中途停止读取时释放名额
+        if (acquired) {
+          this.breaker.release();
+        }
+        // 流式输出没有提供方统计的用量，按文本估算；中途停止时已输出的部分同样计入
+        if (options.userId) {
+          await this.usageService.record({
+            userId: options.userId,
+            documentId: options.documentId,
+            operation: task,
+            provider: this.provider.name,
+            model: this.model,
+            promptTokens: estimateTokens(prompt),
+            completionTokens: estimateTokens(output),
+            estimated: true
+          });
+        }
+      }
+
+      if (requests.length > 1 && options.onProgress) {
+        options.onProgress({
+          percent: Math.round(((i + 1) / requests.length) * 100),
+          message: `已处理 ${i + 1}/${requests.length} 部分`
+        });
+      }
+    }
   }
 
   /**
-   * 检查OpenAI客户端是否可用
+   * 限制流式输出的总长度，达到上限后停止读取
+   * @param {AsyncIterable<string>} deltas - 文本增量
+   * @param {number} maxLength - 最大字符数
+   * @returns {AsyncGenerator<string>} 文本增量
    */
-  _checkOpenAIAvailable() {
-    if (!this.openai) {
-      throw new Error('OpenAI API密钥未配置，请设置OPENAI_API_KEY环境变量');
+  async *_limitStream(deltas, maxLength) {
+    let length = 0;
+    for await (const delta of deltas) {
+      const piece = delta.slice(0, maxLength - length);
+      if (piece) {
+        length += piece.length;
+        yield piece;
+      }
+      if (length >= maxLength) {
+        return;
+      }
     }
   }
 
@@ -65,94 +668,255 @@ class AIService {
 
   /**
    * 文档重构 - 将文档内容重新组织和优化
+   * 长文档按章节分段重构后按原顺序拼接
    * @param {string} content - 原始文档内容
    * @param {Object} options - 重构选项
+   * @param {Function} [options.onProgress] - 分段处理进度回调 ({ percent, message }) => void
+   * @param {string} [options.contentHash] - 文档内容哈希，提供时使用缓存，见 _withCache
    * @returns {Promise<string>} 重构后的markdown内容
    */
   async restructureDocument(content, options = {}) {
-    this._checkOpenAIAvailable();
-
     const { style = 'academic', language = 'zh' } = options;
+    return this._withCache('restructure', { style, language }, options, async () => {
+      const chunks = this._splitContent(content);
+      if (chunks.length <= 1) {
+        const restructured = await this._restructureChunk(content, options);
+        return truncateMarkdown(restructured, RESULT_LIMITS.restructuredContent);
+      }
 
-    const prompt = `请对以下文档内容进行重构，要求：
-1. 保持原有信息的完整性
-2. 优化文档结构和逻辑
-3. 使用清晰的标题层级
-4. 改善语言表达和可读性
-5. 输出格式为markdown
-6. 风格：${style}
-7. 语言：${language}
+      // 每段的篇幅按长度上限平均分配
+      const maxLength = Math.floor(RESULT_LIMITS.restructuredContent / chunks.length);
+      const sections = await this._mapChunks(chunks, chunk => this._restructureChunk(chunk.content, {
+        ...options,
+        chunk,
+        totalChunks: chunks.length,
+        maxLength
+      }), options.onProgress);
 
-原始内容：
-${content}
+      return this._stitchSections(sections, RESULT_LIMITS.restructuredContent);
+    });
+  }
 
-请输出重构后的文档：`;
+  /**
+   * 流式文档重构，逐步产出重构后的文本
+   * 长文档按片段依次重构，片段之间以空行分隔，总长度超过上限时截断
+   * @param {string} content - 原始文档内容
+   * @param {Object} options - 重构选项，同 restructureDocument
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {AsyncGenerator<string>} 文本增量
+   */
+  async *restructureDocumentStream(content, options = {}) {
+    this._checkProviderAvailable();
+    await this._checkQuota(options);
+
+    const chunks = this._splitContent(content);
+    const maxLength = Math.floor(RESULT_LIMITS.restructuredContent / Math.max(chunks.length, 1));
+    const requests = chunks.length <= 1
+      ? [await this._buildRestructureRequest(content, options)]
+      : await Promise.all(chunks.map(chunk => this._buildRestructureRequest(chunk.content, {
+        ...options,
+        chunk,
+        totalChunks: chunks.length,
+        maxLength
+      })));
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: this.temperature,
-        max_tokens: this.maxTokens,
-      });
+      yield* this._limitStream(this._streamSequence('restructure', requests, options), RESULT_LIMITS.restructuredContent);
+    } catch (error) {
+      throw operationError('文档重构失败', error);
+    }
+  }
+
+  /**
+   * 重构单段内容
+   * @param {string} content - 内容
+   * @param {Object} options - 重构选项，分段时包含 chunk、totalChunks、maxLength
+   * @returns {Promise<string>} 重构后的markdown内容
+   */
+  async _restructureChunk(content, options = {}) {
+    const request = await this._buildRestructureRequest(content, options);
 
-      return response.choices[0].message.content;
+    try {
+      return await this._complete('restructure', request.prompt, { ...request, ...this._callContext(options) });
     } catch (error) {
-      throw new Error(`文档重构失败: ${error.message}`);
+      throw operationError('文档重构失败', error);
     }
   }
 
+  /**
+   * 构造文档重构的请求
+   * @param {string} content - 内容
+   * @param {Object} options - 重构选项
+   * @returns {Promise<Object>} { prompt, params, template }
+   */
+  async _buildRestructureRequest(content, options = {}) {
+    const { style = 'academic', language = 'zh', maxLength } = options;
+
+    const { prompt, template } = await this.prompts.render('restructure', language, {
+      content,
+      style,
+      language,
+      maxLength,
+      ...this._chunkVariables(options)
+    });
+
+    return { prompt, template, params: { content, style, language } };
+  }
+
   /**
    * AI摘要生成
+   * 长文档先为每个片段生成摘要，再由各部分摘要生成全文摘要（分层摘要）
    * @param {string} content - 文档内容
    * @param {Object} options - 摘要选项
+   * @param {string} [options.variant='standard'] - 摘要类型：standard、oneline、keypoints
+   * @param {string} [options.length='medium'] - 常规摘要的长度：short、medium、long
+   * @param {Function} [options.onProgress] - 分段处理进度回调 ({ percent, message }) => void
+   * @param {string} [options.contentHash] - 文档内容哈希，提供时使用缓存，见 _withCache
    * @returns {Promise<string>} 摘要内容（markdown格式）
    */
   async generateSummary(content, options = {}) {
-    this._checkOpenAIAvailable();
+    const { variant = 'standard', length = 'medium', language = 'zh', includeKeyPoints = true } = options;
+    if (!SUMMARY_VARIANTS.includes(variant)) {
+      throw new Error(`不支持的摘要类型: ${variant}`);
+    }
 
-    const { length = 'medium', language = 'zh', includeKeyPoints = true } = options;
+    const keyOptions = variant === 'standard' ? { length, language, includeKeyPoints } : { variant, language };
+    return this._withCache('summary', keyOptions, options, async () => {
+      const summary = await this._summarizeContent(content, options);
+      return truncateMarkdown(summary, RESULT_LIMITS.summary);
+    });
+  }
 
-    const lengthMap = {
-      short: '100-200字',
-      medium: '300-500字',
-      long: '500-800字'
-    };
+  /**
+   * 按章节生成摘要
+   * 按文档的主要标题层级切分章节（见 splitSections），每个章节生成简短摘要，过长的章节先分段概括
+   * @param {string} content - 文档内容
+   * @param {Object} options - 摘要选项，同 generateSummary（不含 variant、length）
+   * @returns {Promise<Array<Object>>} 章节摘要 [{ heading, level, path, offset, summary }]
+   */
+  async generateSectionSummaries(content, options = {}) {
+    const { language = 'zh' } = options;
+    return this._withCache('summary', { variant: 'sections', language }, options, async () => {
+      const sections = splitSections(content);
+      const summaries = await this._mapChunks(sections, section => this._summarizeContent(section.content, {
+        ...options,
+        variant: 'section',
+        // 第一个章节之前的无标题部分按引言概括
+        sectionTitle: section.heading || (language === 'en' ? 'Introduction' : '引言'),
+        onProgress: null
+      }), options.onProgress);
+
+      return sections.map((section, index) => ({
+        heading: section.heading,
+        level: section.level,
+        path: section.path,
+        offset: section.offset,
+        summary: truncateMarkdown(summaries[index].trim(), RESULT_LIMITS.sectionSummary)
+      }));
+    });
+  }
 
-    const prompt = `请为以下文档生成摘要，要求：
-1. 长度：${lengthMap[length]}
-2. 语言：${language}
-3. ${includeKeyPoints ? '包含关键要点列表' : ''}
-4. 输出格式为markdown
-5. 保持客观和准确
+  /**
+   * 生成一段内容的摘要，超过片段上限时先概括各片段（分层摘要）
+   * @param {string} content - 内容
+   * @param {Object} options - 摘要选项
+   * @returns {Promise<string>} 摘要内容
+   */
+  async _summarizeContent(content, options = {}) {
+    const chunks = this._splitContent(content);
+    return chunks.length <= 1
+      ? this._summarizeChunk(content, options)
+      : this._summarizeChunk(await this._condense(chunks, options), { ...options, fromSections: true });
+  }
 
-文档内容：
-${content}
+  /**
+   * 流式摘要生成，逐步产出摘要文本
+   * 长文档先生成各部分摘要（通过 onProgress 报告进度），再流式输出全文摘要
+   * @param {string} content - 文档内容
+   * @param {Object} options - 摘要选项，同 generateSummary
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {AsyncGenerator<string>} 文本增量
+   */
+  async *generateSummaryStream(content, options = {}) {
+    this._checkProviderAvailable();
+    await this._checkQuota(options);
 
-请生成摘要：`;
+    const chunks = this._splitContent(content);
+    const request = chunks.length <= 1
+      ? await this._buildSummaryRequest(content, options)
+      : await this._buildSummaryRequest(await this._condense(chunks, options), { ...options, fromSections: true });
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.2,
-        max_tokens: this.maxTokens,
-      });
+      yield* this._limitStream(this._streamSequence('summary', [request], options), RESULT_LIMITS.summary);
+    } catch (error) {
+      throw operationError('摘要生成失败', error);
+    }
+  }
+
+  /**
+   * 生成单段内容的摘要
+   * @param {string} content - 内容
+   * @param {Object} options - 摘要选项，分段时包含 chunk、totalChunks；fromSections 表示内容为各部分摘要
+   * @returns {Promise<string>} 摘要内容
+   */
+  async _summarizeChunk(content, options = {}) {
+    const request = await this._buildSummaryRequest(content, options);
 
-      return response.choices[0].message.content;
+    try {
+      return await this._complete('summary', request.prompt, { ...request, ...this._callContext(options) });
     } catch (error) {
-      throw new Error(`摘要生成失败: ${error.message}`);
+      throw operationError('摘要生成失败', error);
     }
+  }
+
+  /**
+   * 构造摘要生成的请求
+   * @param {string} content - 内容
+   * @param {Object} options - 摘要选项
+   * @returns {Promise<Object>} { prompt, temperature, params, template }
+   */
+  async _buildSummaryRequest(content, options = {}) {
+    const {
+      variant = 'standard',
+      length = 'medium',
+      language = 'zh',
+      includeKeyPoints = true,
+      sectionTitle = '',
+      chunk,
+      fromSections
+    } = options;
+
+    const { prompt, template } = await this.prompts.render('summary', language, {
+      content,
+      language,
+      standard: variant === 'standard',
+      oneline: variant === 'oneline',
+      keypoints: variant === 'keypoints',
+      section: variant === 'section',
+      sectionTitle,
+      lengthShort: length === 'short',
+      lengthMedium: length === 'medium',
+      lengthLong: length === 'long',
+      includeKeyPoints,
+      // 分段摘要和基于各部分摘要的全文摘要互斥
+      fromSections: !chunk && Boolean(fromSections),
+      ...this._chunkVariables(options)
+    });
+
+    return { prompt, temperature: 0.2, template, params: { content, variant, length, language, includeKeyPoints } };
   }  /**
 
    * AI出题 - 基于文档内容生成练习题
+   * 长文档按各片段的篇幅分配题目数量，逐段出题后合并
    * @param {string} content - 文档内容
+   * @param {string} title - 练习标题（通常为文档标题）
    * @param {Object} options - 出题选项
-   * @returns {Promise<Object>} 包含练习数据和数据库对象的结果
+   * @param {Function} [options.onProgress] - 分段处理进度回调 ({ percent, message }) => void
+   * @param {string} [options.contentHash] - 文档内容哈希，提供时使用缓存（命中时仍会保存为新的练习），见 _withCache
+   * @param {Function} [options.onValidation] - 输出校验回调，见 extractConcepts
+   * @returns {Promise<Object>} 包含练习数据、数据库对象和校验记录（validation）的结果
    */
-  async generateExercises(content,tittle , options = {}) {
-    this._checkOpenAIAvailable();
-
+  async generateExercises(content, title, options = {}) {
     const {
       count = 5,
       types = ['multiple_choice', 'true_false', 'short_answer'],
@@ -163,211 +927,315 @@ ${content}
       saveToDatabase = true
     } = options;
 
-    const prompt = `基于以下文档内容生成${count}道练习题，要求：
-1. 题目类型：${types.join(', ')}
-2. 难度：${difficulty}
-3. 语言：${language}
-4. 必须严格按照以下JSON格式输出，不要包含任何其他文字：
-
-{
-  "exercises": [
-    {
-      "type": "multiple_choice",
-      "question": "题目内容",
-      "options": ["A选项", "B选项", "C选项", "D选项"],
-      "correct_answer": "A",
-      "explanation": "答案解释"
-    },
-    {
-      "type": "true_false",
-      "question": "判断题内容",
-      "correct_answer": true,
-      "explanation": "答案解释"
-    },
-    {
-      "type": "short_answer",
-      "question": "简答题内容",
-      "sample_answer": "参考答案",
-      "key_points": ["要点1", "要点2"]
-    }
-  ]
-}
+    const validation = this._createValidation();
+    const exercises = await this._withCache('exercises', { count, types, difficulty, language }, options, async () => {
+      const chunks = this._splitContent(content);
+      let generated;
+      if (chunks.length <= 1) {
+        generated = await this._generateChunkExercises(content, count, { ...options, validation });
+      } else {
+        const counts = this._allocateByTokens(chunks, count);
+        const results = await this._mapChunks(chunks, (chunk, index) => counts[index] > 0
+          ? this._generateChunkExercises(chunk.content, counts[index], { ...options, validation, chunk, totalChunks: chunks.length })
+          : [], options.onProgress);
+
+        generated = results.flatMap((items, index) => items
+          .slice(0, counts[index])
+          .map(exercise => ({ ...exercise, source_section: exercise.source_section || chunks[index].title })));
+      }
 
-文档内容：
-${content}`;
+      if (generated.length === 0 && count > 0) {
+        throw new Error(`AI出题失败: 没有通过校验的题目（丢弃${validation.discarded.length}道）`);
+      }
+      return generated;
+    });
+    const validationReport = this._reportValidation('exercises', validation, options);
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.4,
-        max_tokens: this.maxTokens,
-        response_format: { type: "json_object" },
-      });
+    // 如果需要保存到数据库且提供了必要参数
+    if (saveToDatabase && documentId && userId) {
+      try {
+        logger.debug('开始转换AI生成的题目数据', { exerciseCount: exercises.length });
 
-      const result = JSON.parse(response.choices[0].message.content);
-      const exercises = result.exercises;
-      
-      // 如果需要保存到数据库且提供了必要参数
-      if (saveToDatabase && documentId && userId) {
-        try {
-          logger.debug('开始转换AI生成的题目数据', { exerciseCount: exercises.length });
-          
-          // 转换AI生成的题目格式为数据库格式
-          const questions = exercises.map((exercise, index) => {
-            // 根据题目类型确定正确答案
-            let correctAnswer = '';
-            
-            if (exercise.type === 'short_answer') {
-              correctAnswer = exercise.sample_answer || exercise.correct_answer || exercise.correctAnswer || '参考答案待补充';
-            } else if (exercise.type === 'true_false') {
-              correctAnswer = String(exercise.correct_answer !== undefined ? exercise.correct_answer : 
-                              exercise.correctAnswer !== undefined ? exercise.correctAnswer : 'true');
-            } else if (exercise.type === 'multiple_choice') {
-              correctAnswer = exercise.correct_answer || exercise.correctAnswer || 'A';
-            } else {
-              correctAnswer = exercise.correct_answer || exercise.correctAnswer || exercise.sample_answer || '默认答案';
-            }
-            
-            return {
-              id: `q_${Date.now()}_${index}`,
-              type: exercise.type,
-              question: exercise.question || '题目内容待补充',
-              options: exercise.options || [],
-              correctAnswer: correctAnswer,
-              explanation: exercise.explanation || '',
-              difficulty: this._mapDifficultyToNumber(difficulty),
-              points: 10, // 默认分值
-              tags: [],
-              metadata: {
-                sourceSection: '',
-                keywordsCovered: exercise.key_points || [],
-                estimatedTime: 60
-              }
-            };
-          });
-          
-          logger.debug('题目数据转换完成', { 
-            originalCount: exercises.length, 
-            convertedCount: questions.length,
-            questions: questions.map(q => ({ type: q.type, hasAnswer: !!q.correctAnswer, answer: q.correctAnswer }))
-          });
-          
-          // 创建Exercise对象
-          const exerciseDoc = new Exercise({
-            documentId,
-            userId,
-            title: `${tittle}`,
-            description: `基于文档内容自动生成的${count}道练习题`,
-            questions,
+        // 转换AI生成的题目格式为数据库格式（题目均已通过校验，答案字段一定存在）
+        const questions = exercises.map((exercise, index) => {
+          const correctAnswer = exercise.type === 'short_answer' ? exercise.sample_answer : exercise.correct_answer;
+
+          return {
+            id: `q_${Date.now()}_${index}`,
+            type: exercise.type,
+            question: String(exercise.question).slice(0, RESULT_LIMITS.question),
+            options: (exercise.options || []).map(option => String(option).slice(0, RESULT_LIMITS.option)),
+            correctAnswer: String(correctAnswer).slice(0, RESULT_LIMITS.answer),
+            explanation: String(exercise.explanation || '').slice(0, RESULT_LIMITS.explanation),
+            difficulty: this._mapDifficultyToNumber(difficulty),
+            points: 10, // 默认分值
+            tags: [],
             metadata: {
-              generationPrompt: `生成${count}道${difficulty}难度的${types.join(', ')}题目`,
-              aiModel: this.model,
-              generationTime: Date.now()
+              sourceSection: String(exercise.source_section || '').slice(0, RESULT_LIMITS.sourceSection),
+              keywordsCovered: (exercise.key_points || []).map(point => String(point).slice(0, RESULT_LIMITS.keyword)),
+              estimatedTime: 60
             }
-          });
-          
-          const savedExercise = await exerciseDoc.save();
-          logger.info('练习题已保存到数据库', { exerciseId: savedExercise._id });
-          
-          return {
-            exercises,
-            databaseObject: savedExercise,
-            saved: true
-          };
-        } catch (dbError) {
-          logger.error('保存练习题到数据库失败', dbError);
-          return {
-            exercises,
-            databaseObject: null,
-            saved: false,
-            error: dbError.message
           };
-        }
+        });
+
+        logger.debug('题目数据转换完成', {
+          originalCount: exercises.length,
+          convertedCount: questions.length,
+          questions: questions.map(q => ({ type: q.type, hasAnswer: !!q.correctAnswer, answer: q.correctAnswer }))
+        });
+
+        // 记录模板引用，便于复现生成结果
+        const template = await this.prompts.get('exercises', language);
+
+        // 创建Exercise对象
+        const exerciseDoc = new Exercise({
+          documentId,
+          userId,
+          title: `${title}`,
+          description: `基于文档内容自动生成的${exercises.length}道练习题`,
+          questions,
+          metadata: {
+            generationPrompt: `${template.ref} 生成${count}道${difficulty}难度的${types.join(', ')}题目`,
+            aiModel: this.model,
+            generationTime: Date.now()
+          }
+        });
+
+        const savedExercise = await exerciseDoc.save();
+        logger.info('练习题已保存到数据库', { exerciseId: savedExercise._id });
+
+        return {
+          exercises,
+          databaseObject: savedExercise,
+          saved: true,
+          validation: validationReport
+        };
+      } catch (dbError) {
+        logger.error('保存练习题到数据库失败', dbError);
+        return {
+          exercises,
+          databaseObject: null,
+          saved: false,
+          error: dbError.message,
+          validation: validationReport
+        };
       }
-      
-      return { exercises, saved: false };
+    }
+
+    return { exercises, saved: false, validation: validationReport };
+  }
+
+  /**
+   * 基于单段内容生成练习题
+   * @param {string} content - 内容
+   * @param {number} count - 题目数量
+   * @param {Object} options - 出题选项，分段时包含 chunk、totalChunks
+   * @returns {Promise<Array>} AI生成的题目
+   */
+  async _generateChunkExercises(content, count, options = {}) {
+    const {
+      types = ['multiple_choice', 'true_false', 'short_answer'],
+      difficulty = 'medium',
+      language = 'zh'
+    } = options;
+
+    const { prompt } = await this.prompts.render('exercises', language, {
+      content,
+      count,
+      types,
+      difficulty,
+      language,
+      ...this._chunkVariables(options)
+    });
+
+    try {
+      return await this._completeJson('exercises', prompt, {
+        temperature: 0.4,
+        params: { content, count, types, difficulty, language },
+        language,
+        context: { types },
+        validation: options.validation,
+        chunk: options.chunk,
+        ...this._callContext(options)
+      });
     } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error(`AI出题响应格式错误: ${error.message}`);
-      }
-      throw new Error(`AI出题失败: ${error.message}`);
+      throw operationError('AI出题失败', error);
     }
   }
 
   /**
    * 提取概念 - 从文档中提取关键概念
+   * 长文档逐段提取后按术语去重合并，出现位置换算为全文位置
    * @param {string} content - 文档内容
    * @param {Object} options - 提取选项
+   * @param {Function} [options.onProgress] - 分段处理进度回调 ({ percent, message }) => void
+   * @param {string} [options.contentHash] - 文档内容哈希，提供时使用缓存，见 _withCache
+   * @param {Function} [options.onValidation] - 输出校验回调 ({ operation, repairAttempts, discarded }) => void，见 _completeJson
    * @returns {Promise<Array>} 概念数组，符合Concept模型格式
    */
   async extractConcepts(content, options = {}) {
-    this._checkOpenAIAvailable();
+    const { maxConcepts = 10, language = 'zh' } = options;
+    const validation = this._createValidation();
+    const concepts = await this._withCache('concepts', { maxConcepts, language }, options, async () => {
+      const chunks = this._splitContent(content);
+      if (chunks.length <= 1) {
+        return this._mergeConcepts([await this._extractChunkConcepts(content, { ...options, validation })], maxConcepts);
+      }
+
+      const results = await this._mapChunks(chunks, chunk => this._extractChunkConcepts(chunk.content, {
+        ...options,
+        validation,
+        chunk,
+        totalChunks: chunks.length
+      }), options.onProgress);
+
+      return this._mergeConcepts(results.map((concepts, index) => concepts.map(concept => ({
+        ...concept,
+        occurrences: (concept.occurrences || []).map(occurrence => ({
+          ...occurrence,
+          position: (Number(occurrence.position) || 0) + chunks[index].offset
+        }))
+      }))), maxConcepts);
+    });
 
+    this._reportValidation('concepts', validation, options);
+    return concepts;
+  }
+
+  /**
+   * 从单段内容中提取概念
+   * @param {string} content - 内容
+   * @param {Object} options - 提取选项，分段时包含 chunk、totalChunks
+   * @returns {Promise<Array>} AI返回的概念
+   */
+  async _extractChunkConcepts(content, options = {}) {
     const { maxConcepts = 10, language = 'zh' } = options;
 
-    const prompt = `从以下文档中提取关键概念，要求：
-1. 最多提取${maxConcepts}个概念
-2. 语言：${language}
-3. 必须严格按照以下JSON格式输出，不要包含任何其他文字：
-
-{
-  "concepts": [
-    {
-      "term": "概念术语",
-      "definition": "概念定义（详细说明）",
-      "category": "person|place|concept|term|formula|theory|other",
-      "importance": 1-5,
-      "occurrences": [
-        {
-          "position": 文档中的字符位置,
-          "context": "包含该概念的上下文片段",
-          "confidence": 0.0-1.0
-        }
-      ],
-      "relatedTerms": ["相关术语1", "相关术语2"]
+    const { prompt } = await this.prompts.render('concepts', language, {
+      content,
+      maxConcepts,
+      language,
+      ...this._chunkVariables(options)
+    });
+
+    try {
+      return await this._completeJson('concepts', prompt, {
+        params: { content, maxConcepts, language },
+        language,
+        validation: options.validation,
+        chunk: options.chunk,
+        ...this._callContext(options)
+      });
+    } catch (error) {
+      throw operationError('概念提取失败', error);
     }
-  ]
-}
+  }
+
+  /**
+   * 按评分要点为简答题答案评分
+   * @param {Object} input - 评分内容
+   * @param {string} input.question - 题目
+   * @param {string} input.referenceAnswer - 参考答案
+   * @param {Array<string>} input.keyPoints - 评分要点
+   * @param {string} input.answer - 学生答案
+   * @param {number} input.maxPoints - 满分
+   * @param {Object} options - 评分选项
+   * @param {string} [options.language='zh'] - 反馈语言
+   * @param {string} [options.contentHash] - 评分内容的哈希，提供时使用缓存，见 _withCache
+   * @param {Function} [options.onValidation] - 输出校验回调，见 extractConcepts
+   * @returns {Promise<Object>} { score, coveredKeyPoints, feedback }，coveredKeyPoints 为覆盖的要点下标（从0开始）
+   */
+  async gradeShortAnswer(input, options = {}) {
+    const { language = 'zh' } = options;
+    const { question, referenceAnswer, keyPoints, answer, maxPoints } = input;
+    const validation = this._createValidation();
+    const grading = await this._withCache('grading', { language }, options, async () => {
+      const { prompt } = await this.prompts.render('grading', language, {
+        question,
+        referenceAnswer,
+        keyPoints: keyPoints.map((point, index) => `${index + 1}. ${point}`).join('\n'),
+        answer,
+        maxPoints,
+        language
+      });
 
-注意：
-- term: 概念的核心术语，不超过200字符
-- definition: 详细定义，不超过2000字符
-- category: 必须是枚举值之一
-- importance: 1-5的数字，5最重要
-- occurrences: 在文档中出现的位置和上下文
-- relatedTerms: 相关术语列表
+      try {
+        const result = await this._completeJson('grading', prompt, {
+          params: { keyPoints, answer, maxPoints, language },
+          language,
+          context: { maxPoints, keyPointCount: keyPoints.length },
+          validation,
+          ...this._callContext(options)
+        });
+        return {
+          score: result.score,
+          coveredKeyPoints: [...new Set(result.coveredKeyPoints)].map(number => number - 1).sort((a, b) => a - b),
+          feedback: result.feedback.trim().slice(0, RESULT_LIMITS.gradingFeedback)
+        };
+      } catch (error) {
+        throw operationError('简答题评分失败', error);
+      }
+    });
 
-文档内容：
-${content}`;
+    this._reportValidation('grading', validation, options);
+    return grading;
+  }
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: this.temperature,
-        max_tokens: this.maxTokens,
-        response_format: { type: "json_object" },
+  /**
+   * 推断概念之间的关系（同义、上下位、反义、相关），用于构建跨文档的概念图谱
+   * @param {Array<Object>} concepts - 概念 [{ term, definition, category }]，术语各不相同
+   * @param {Object} options - 推断选项
+   * @param {number} [options.maxRelations=100] - 最多返回的关系数
+   * @param {string} [options.contentHash] - 概念列表的哈希，提供时使用缓存，见 _withCache
+   * @param {Function} [options.onValidation] - 输出校验回调，见 extractConcepts
+   * @returns {Promise<Array<Object>>} 关系 [{ source, target, relationship, strength }]，source、target 为术语
+   */
+  async inferConceptRelations(concepts, options = {}) {
+    const { maxRelations = 100, language = 'zh' } = options;
+    const terms = concepts.map(concept => concept.term);
+    const validation = this._createValidation();
+    const relations = await this._withCache('relations', { maxRelations, language }, options, async () => {
+      const { prompt } = await this.prompts.render('relations', language, {
+        terms: concepts.map(concept =>
+          `- ${concept.term} (${concept.category}): ${String(concept.definition || '').replace(/\s+/g, ' ').slice(0, RESULT_LIMITS.relationDefinition)}`
+        ).join('\n'),
+        maxRelations,
+        language
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
-      return result.concepts;
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error(`概念提取响应格式错误: ${error.message}`);
+      try {
+        const result = await this._completeJson('relations', prompt, {
+          params: { terms, maxRelations, language },
+          language,
+          context: { terms },
+          validation,
+          ...this._callContext(options)
+        });
+        return result.slice(0, maxRelations).map(relation => ({
+          source: relation.source,
+          target: relation.target,
+          relationship: relation.relationship,
+          strength: relation.strength === undefined ? 0.5 : relation.strength
+        }));
+      } catch (error) {
+        throw operationError('概念关系推断失败', error);
       }
-      throw new Error(`概念提取失败: ${error.message}`);
-    }
+    });
+
+    this._reportValidation('relations', validation, options);
+    return relations;
   }  /**
 
    * 生成思维导图 - 基于文档内容生成Mermaid格式的思维导图
+   * 长文档先生成各部分摘要，再基于摘要生成思维导图
    * @param {string} content - 文档内容
    * @param {Object} options - 生成选项
-   * @returns {Promise<Object>} 包含title和mermaid内容的对象
+   * @param {Function} [options.onProgress] - 分段处理进度回调 ({ percent, message }) => void
+   * @param {string} [options.contentHash] - 文档内容哈希，提供时使用缓存（命中时仍会保存为新的思维导图），见 _withCache
+   * @param {Function} [options.onValidation] - 输出校验回调，见 extractConcepts
+   * @returns {Promise<Object>} 包含title、mermaid内容和校验记录（validation）的对象
    */
   async generateMindMap(content, options = {}) {
-    this._checkOpenAIAvailable();
-
     const { 
       maxNodes = 20, 
       language = 'zh', 
@@ -377,71 +1245,17 @@ ${content}`;
       saveToDatabase = true
     } = options;
 
-    const prompt = `基于以下文档内容生成思维导图，要求：
-1. 使用Mermaid mindmap语法
-2. 最多${maxNodes}个节点
-3. 语言：${language}
-4. 样式：${style}
-5. 必须严格按照以下JSON格式输出，不要包含任何其他文字：
-
-{
-  "title": "思维导图标题",
-  "mermaid": "mindmap代码内容"
-}
-
-## Mermaid Mindmap 语法规则：
-- 必须以 \`mindmap\` 开头
-- 根节点格式：\`root((文本内容))\`
-- 使用空格缩进表示层级关系（2空格为一级，4空格为二级，以此类推）
-- 节点形状语法：
-  * \`((文本))\` - 圆形
-  * \`(文本)\` - 圆角矩形  
-  * \`[文本]\` - 矩形
-  * \`{{文本}}\` - 六边形
-  * \`))文本((\` - 云形
-  * \`>文本]\` - 不对称形状
-- 同级节点必须使用相同缩进
-- 避免使用 \`---\` 或 \`[(text)]\` 等错误语法
-- 节点文本不宜过长
-- 建议层级深度不超过4-5层
-
-## 正确示例：
-\`\`\`
-mindmap
-  root((主题))
-    分支1
-      子节点1
-      子节点2
-    分支2
-      子节点3
-        孙节点1
-        孙节点2
-\`\`\`
-
-文档内容：
-${content}
-
-请生成JSON格式的思维导图：`;
-
+    const validation = this._createValidation();
     try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: this.temperature,
-        max_tokens: this.maxTokens,
-        response_format: { type: "json_object" },
-      });
-
-      const result = JSON.parse(response.choices[0].message.content);
-
-      // 验证返回的数据结构
-      if (!result.title || !result.mermaid) {
-        throw new Error('AI返回的JSON格式不正确，缺少title或mermaid字段');
-      }
+      const result = await this._withCache('mindmap', { maxNodes, language, style }, options,
+        () => this._generateMindMapContent(content, { ...options, maxNodes, language, style, validation }));
+      const validationReport = this._reportValidation('mindmap', validation, options);
 
       // 如果需要保存到数据库且提供了必要参数
       if (saveToDatabase && documentId && userId) {
         try {
+          const template = await this.prompts.get('mindmap', language);
+
           // 创建MindMap对象
           const mindMapDoc = new MindMap({
             documentId,
@@ -450,7 +1264,7 @@ ${content}
             mermaidContent: result.mermaid,
             mermaidType: 'mindmap',
             metadata: {
-              generationPrompt: `生成${maxNodes}个节点的${style}风格思维导图`,
+              generationPrompt: `${template.ref} 生成${maxNodes}个节点的${style}风格思维导图`,
               aiModel: this.model,
               generationTime: Date.now()
             }
@@ -463,7 +1277,8 @@ ${content}
             title: result.title,
             mermaid: result.mermaid,
             databaseObject: savedMindMap,
-            saved: true
+            saved: true,
+            validation: validationReport
           };
         } catch (dbError) {
           logger.error('保存思维导图到数据库失败', dbError);
@@ -472,7 +1287,8 @@ ${content}
             mermaid: result.mermaid,
             databaseObject: null,
             saved: false,
-            error: dbError.message
+            error: dbError.message,
+            validation: validationReport
           };
         }
       }
@@ -480,14 +1296,206 @@ ${content}
       return { 
         title: result.title, 
         mermaid: result.mermaid, 
-        saved: false 
+        saved: false,
+        validation: validationReport
       };
     } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error(`思维导图响应格式错误: ${error.message}`);
+      throw operationError('思维导图生成失败', error);
+    }
+  }
+
+  /**
+   * 生成思维导图内容，长文档先生成各部分摘要
+   * @param {string} content - 文档内容
+   * @param {Object} options - 生成选项，同 generateMindMap
+   * @returns {Promise<Object>} { title, mermaid }
+   */
+  async _generateMindMapContent(content, options = {}) {
+    const { maxNodes, language, style } = options;
+
+    const chunks = this._splitContent(content);
+    if (chunks.length > 1) {
+      content = await this._condense(chunks, options);
+    }
+
+    const { prompt } = await this.prompts.render('mindmap', language, { content, maxNodes, language, style });
+
+    const result = await this._completeJson('mindmap', prompt, {
+      params: { content, maxNodes, language, style },
+      language,
+      validation: options.validation,
+      ...this._callContext(options)
+    });
+
+    return { title: result.title, mermaid: result.mermaid };
+  }
+
+  /**
+   * 按token上限切分文档内容
+   * @param {string} content - 文档内容
+   * @returns {Array<Object>} 片段列表，见 splitMarkdown
+   */
+  _splitContent(content) {
+    return splitMarkdown(content, { maxTokens: this.chunkTokens });
+  }
+
+  /**
+   * 以有限并发逐段处理，结果与片段顺序一致
+   * @param {Array<Object>} chunks - 片段列表
+   * @param {Function} handler - 处理函数 (chunk, index) => Promise
+   * @param {Function} [onProgress] - 进度回调 ({ percent, message }) => void
+   * @returns {Promise<Array>} 各片段的处理结果
+   */
+  async _mapChunks(chunks, handler, onProgress) {
+    const results = new Array(chunks.length);
+    let nextIndex = 0;
+    let finished = 0;
+
+    const worker = async () => {
+      while (nextIndex < chunks.length) {
+        const index = nextIndex++;
+        results[index] = await handler(chunks[index], index);
+        finished++;
+        if (onProgress) {
+          onProgress({
+            percent: Math.round((finished / chunks.length) * 100),
+            message: `已处理 ${finished}/${chunks.length} 部分`
+          });
+        }
       }
-      throw new Error(`思维导图生成失败: ${error.message}`);
+    };
+
+    const workerCount = Math.min(this.chunkConcurrency, chunks.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+  }
+
+  /**
+   * 将各部分内容按顺序拼接，总长度超限时压缩较长的部分
+   * @param {Array<string>} sections - 各部分内容
+   * @param {number} maxLength - 总长度上限
+   * @returns {string} 拼接后的内容
+   */
+  _stitchSections(sections, maxLength) {
+    const parts = sections.map(section => (section || '').trim()).filter(Boolean);
+    let budget = maxLength - 2 * Math.max(parts.length - 1, 0);
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+
+    if (total <= budget) {
+      return parts.join('\n\n');
+    }
+
+    // 短的部分保持完整，剩余篇幅在较长的部分之间平均分配
+    const limits = new Array(parts.length);
+    const order = parts.map((part, index) => index).sort((a, b) => parts[a].length - parts[b].length);
+    order.forEach((index, position) => {
+      limits[index] = Math.min(parts[index].length, Math.floor(budget / (order.length - position)));
+      budget -= limits[index];
+    });
+
+    return parts.map((part, index) => truncateMarkdown(part, limits[index])).join('\n\n');
+  }
+
+  /**
+   * 将长文档压缩为各部分摘要的拼接（分层摘要），直到不超过单个片段的token上限
+   * @param {Array<Object>} chunks - 片段列表
+   * @param {Object} options - 摘要选项
+   * @param {number} [depth=1] - 当前层数
+   * @returns {Promise<string>} 各部分摘要
+   */
+  async _condense(chunks, options = {}, depth = 1) {
+    const summaries = await this._mapChunks(chunks, chunk => this._summarizeChunk(chunk.content, {
+      ...options,
+      variant: 'standard',
+      length: 'short',
+      includeKeyPoints: false,
+      chunk,
+      totalChunks: chunks.length
+    }), depth === 1 ? options.onProgress : null);
+
+    const condensed = summaries
+      .map((summary, index) => chunks[index].title ? `## ${chunks[index].title}\n\n${summary.trim()}` : summary.trim())
+      .join('\n\n');
+
+    if (depth >= MAX_CONDENSE_DEPTH || estimateTokens(condensed) <= this.chunkTokens) {
+      return condensed;
     }
+    return this._condense(this._splitContent(condensed), options, depth + 1);
+  }
+
+  /**
+   * 合并各片段提取的概念：按术语去重，保留最详细的定义和最高的重要性，并限制在模型约束内
+   * @param {Array<Array>} conceptLists - 各片段的概念列表
+   * @param {number} maxConcepts - 最多返回的概念数
+   * @returns {Array<Object>} 合并后的概念，按重要性和出现次数排序
+   */
+  _mergeConcepts(conceptLists, maxConcepts) {
+    const normalize = term => term.toLowerCase().replace(/\s+/g, '');
+    const merged = new Map();
+
+    for (const concept of conceptLists.flat()) {
+      const term = String((concept && concept.term) || '').trim().slice(0, RESULT_LIMITS.conceptTerm);
+      if (!term) {
+        continue;
+      }
+
+      const definition = String(concept.definition || '').trim().slice(0, RESULT_LIMITS.conceptDefinition);
+      const importance = Math.min(Math.max(Math.round(Number(concept.importance) || 3), 1), 5);
+      const occurrences = (concept.occurrences || []).map(occurrence => ({
+        position: Math.max(Number(occurrence.position) || 0, 0),
+        context: String(occurrence.context || '').slice(0, RESULT_LIMITS.occurrenceContext),
+        confidence: Math.min(Math.max(Number(occurrence.confidence) || 0.8, 0), 1)
+      }));
+      const relatedTerms = (concept.relatedTerms || []).map(item => String(item).trim()).filter(Boolean);
+
+      const existing = merged.get(normalize(term));
+      if (!existing) {
+        merged.set(normalize(term), {
+          term,
+          definition,
+          category: CONCEPT_CATEGORIES.includes(concept.category) ? concept.category : 'other',
+          importance,
+          occurrences,
+          relatedTerms
+        });
+        continue;
+      }
+
+      if (definition.length > existing.definition.length) {
+        existing.definition = definition;
+      }
+      existing.importance = Math.max(existing.importance, importance);
+      existing.occurrences.push(...occurrences);
+      existing.relatedTerms.push(...relatedTerms);
+    }
+
+    return [...merged.values()]
+      .map(concept => ({
+        ...concept,
+        relatedTerms: [...new Set(concept.relatedTerms)].filter(item => normalize(item) !== normalize(concept.term))
+      }))
+      .sort((a, b) => b.importance - a.importance || b.occurrences.length - a.occurrences.length)
+      .slice(0, maxConcepts);
+  }
+
+  /**
+   * 按片段篇幅分配数量（最大余数法），总数不变
+   * @param {Array<Object>} chunks - 片段列表
+   * @param {number} total - 总数
+   * @returns {Array<number>} 各片段分到的数量
+   */
+  _allocateByTokens(chunks, total) {
+    const totalTokens = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0) || 1;
+    const quotas = chunks.map(chunk => (chunk.tokens / totalTokens) * total);
+    const counts = quotas.map(quota => Math.floor(quota));
+
+    const remaining = total - counts.reduce((sum, count) => sum + count, 0);
+    quotas
+      .map((quota, index) => ({ index, remainder: quota - counts[index] }))
+      .sort((a, b) => b.remainder - a.remainder)
+      .slice(0, remaining)
+      .forEach(({ index }) => counts[index]++);
+    return counts;
   }
 
   /**
@@ -576,9 +1584,11 @@ ${content}
 
   /**
    * 批量处理文档 - 一次性生成所有AI内容
+   * 只生成不保存重构内容、摘要和概念（练习题和思维导图按 saveToDatabase 保存），保存见 DocumentService.runAIBatch
    * @param {string} content - 文档内容
-   * @param {Object} options - 处理选项
-   * @returns {Promise<Object>} 包含所有生成内容的对象
+   * @param {Object} options - 处理选项，其余选项传给各项操作
+   * @param {string} [options.title] - 文档标题，作为练习题的标题
+   * @returns {Promise<Object>} 包含所有生成内容的对象，失败的操作以 xxxError 返回错误信息
    */
   async processDocument(content, options = {}) {
     const {
@@ -587,11 +1597,27 @@ ${content}
       includeExercises = true,
       includeConcepts = true,
       includeMindMap = true,
+      title,
       ...otherOptions
     } = options;
 
+    // 超出配额时整体返回错误，而不是每项各自失败；
+    // 各项都可能使用缓存的结果时不预先检查，由未命中缓存的项各自检查
+    const cacheable = Boolean(otherOptions.contentHash) && !otherOptions.force && this.cache.enabled;
+    if (!cacheable) {
+      await this._checkQuota(options);
+    }
+
     const results = {};
+    const quotaErrors = [];
+    const fail = key => error => {
+      if (error.code === 'AI_QUOTA_EXCEEDED') {
+        quotaErrors.push(error);
+      }
+      return { [key]: error.message };
+    };
 
+    let allResults;
     try {
       const promises = [];
 
@@ -599,7 +1625,7 @@ ${content}
         promises.push(
           this.restructureDocument(content, otherOptions)
             .then(result => ({ restructuredContent: result }))
-            .catch(error => ({ restructureError: error.message }))
+            .catch(fail('restructureError'))
         );
       }
 
@@ -607,15 +1633,15 @@ ${content}
         promises.push(
           this.generateSummary(content, otherOptions)
             .then(result => ({ summary: result }))
-            .catch(error => ({ summaryError: error.message }))
+            .catch(fail('summaryError'))
         );
       }
 
       if (includeExercises) {
         promises.push(
-          this.generateExercises(content, otherOptions)
+          this.generateExercises(content, title, otherOptions)
             .then(result => ({ exercises: result }))
-            .catch(error => ({ exercisesError: error.message }))
+            .catch(fail('exercisesError'))
         );
       }
 
@@ -623,7 +1649,7 @@ ${content}
         promises.push(
           this.extractConcepts(content, otherOptions)
             .then(result => ({ concepts: result }))
-            .catch(error => ({ conceptsError: error.message }))
+            .catch(fail('conceptsError'))
         );
       }
 
@@ -631,21 +1657,26 @@ ${content}
         promises.push(
           this.generateMindMap(content, otherOptions)
             .then(result => ({ mindMap: result }))
-            .catch(error => ({ mindMapError: error.message }))
+            .catch(fail('mindMapError'))
         );
       }
 
-      const allResults = await Promise.all(promises);
-
-      // 合并所有结果
-      allResults.forEach(result => {
-        Object.assign(results, result);
-      });
-
-      return results;
+      allResults = await Promise.all(promises);
     } catch (error) {
-      throw new Error(`批量处理文档失败: ${error.message}`);
+      throw operationError('批量处理文档失败', error);
     }
+
+    // 没有任何一项命中缓存、全部因超出配额失败时，同样整体返回配额错误
+    if (quotaErrors.length > 0 && quotaErrors.length === allResults.length) {
+      throw quotaErrors[0];
+    }
+
+    // 合并所有结果
+    allResults.forEach(result => {
+      Object.assign(results, result);
+    });
+
+    return results;
   }
 }
 
@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const { Exercise, ExerciseRecord, Concept, Document } = require('../models');
+
+const GRADES = ExerciseRecord.schema.path('score.grade').enumValues;
+
+// 趋势的统计粒度（UTC）：日、ISO周、月
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// 掌握度中练习成绩的权重每隔多少天减半，越近的练习越能反映当前水平
+const MASTERY_HALF_LIFE_DAYS = 14;
+
+// 掌握程度的分数线（掌握度百分比）
+const MASTERY_LEVELS = [
+  { level: 'mastered', min: 85 },
+  { level: 'proficient', min: 70 },
+  { level: 'learning', min: 50 },
+  { level: 'weak', min: 0 }
+];
+
+/**
+ * 保留一位小数
+ */
+function round(value) {
+  return Math.round((value || 0) * 10) / 10;
+}
+
+/**
+ * 难度等级（1-5）对应的难度档，与 ExerciseRecord 的 difficultyBreakdown 一致
+ */
+function difficultyBand(difficulty) {
+  if (difficulty <= 2) return 'easy';
+  if (difficulty <= 3) return 'medium';
+  return 'hard';
+}
+
+/**
+ * 学习表现分析
+ * 基于 ExerciseRecord 统计正确率和得分趋势、等级分布、薄弱题型和难度、答题耗时以及各文档的掌握度，
+ * 所有统计都限定在 { from, to } 时间范围内（按练习完成时间）
+ */
+class AnalyticsService {
+  /**
+   * 总览：练习成绩、等级分布、生成的练习题和提取的概念
+   * @param {string} userId - 用户ID
+   * @param {Object} range - { from, to }
+   * @returns {Promise<Object>} { performance, grades, exercises, concepts }
+   */
+  async getOverview(userId, range) {
+    const [[performance], [exercises], concepts] = await Promise.all([
+      ExerciseRecord.getUserPerformanceStats(userId, range),
+      Exercise.getUserStats(userId, range),
+      Concept.getConceptStats(userId, range)
+    ]);
+
+    const grades = GRADES.reduce((counts, grade) => ({ ...counts, [grade]: 0 }), {});
+    for (const grade of (performance && performance.gradeDistribution) || []) {
+      grades[grade] += 1;
+    }
+
+    const questionTypes = { multiple_choice: 0, true_false: 0, short_answer: 0 };
+    for (const types of (exercises && exercises.typeDistribution) || []) {
+      for (const type of Object.keys(questionTypes)) {
+        questionTypes[type] += (types && types[type]) || 0;
+      }
+    }
+
+    return {
+      performance: {
+        completedExercises: performance ? performance.totalExercises : 0,
+        averageScore: round(performance && performance.avgScore),
+        averageAccuracy: round(performance && performance.avgAccuracy),
+        totalTimeSpent: performance ? performance.totalTimeSpent : 0
+      },
+      grades,
+      exercises: {
+        generated: exercises ? exercises.totalExercises : 0,
+        totalQuestions: exercises ? exercises.totalQuestions : 0,
+        totalPoints: exercises ? exercises.totalPoints : 0,
+        questionTypes
+      },
+      concepts: {
+        total: concepts.reduce((sum, item) => sum + item.count, 0),
+        byCategory: concepts
+          .map(item => ({
+            category: item._id,
+            count: item.count,
+            averageImportance: round(item.avgImportance),
+            totalOccurrences: item.totalOccurrences
+          }))
+          .sort((a, b) => b.count - a.count)
+      }
+    };
+  }
+
+  /**
+   * 正确率和得分趋势
+   * @param {string} userId - 用户ID
+   * @param {Object} range - { from, to }
+   * @param {string} [interval='day'] - 统计粒度：day、week、month
+   * @returns {Promise<Object>} { interval, points: [{ period, attempts, averageScore, averageAccuracy, bestScore }], change }，
+   *   change 为最后一个周期相对第一个周期的平均得分变化
+   */
+  async getTrend(userId, range, interval = 'day') {
+    const items = await ExerciseRecord.aggregate([
+      { $match: this._match(userId, range) },
+      {
+        $group: {
+          _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$completedAt' } },
+          attempts: { $sum: 1 },
+          averageScore: { $avg: '$score.percentage' },
+          averageAccuracy: { $avg: '$performance.accuracy' },
+          bestScore: { $max: '$score.percentage' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const points = items.map(item => ({
+      period: item._id,
+      attempts: item.attempts,
+      averageScore: round(item.averageScore),
+      averageAccuracy: round(item.averageAccuracy),
+      bestScore: round(item.bestScore)
+    }));
+
+    return {
+      interval,
+      points,
+      change: points.length > 1 ? round(points[points.length - 1].averageScore - points[0].averageScore) : 0
+    };
+  }
+
+  /**
+   * 薄弱环节：各题型、各难度的正确率（低的在前）以及错题最多的题型和难度组合
+   * @param {string} userId - 用户ID
+   * @param {Object} range - { from, to }
+   * @param {number} [limit=10] - 错题组合的数量
+   * @returns {Promise<Object>} { byType, byDifficulty, weakSpots }
+   */
+  async getWeaknesses(userId, range, limit = 10) {
+    const [[result], weakSpots] = await Promise.all([
+      ExerciseRecord.aggregate([
+        { $match: this._match(userId, range) },
+        { $unwind: '$answers' },
+        {
+          $facet: {
+            byType: [{ $group: { _id: '$answers.questionType', ...this._answerSums() } }],
+            byDifficulty: [{ $group: { _id: '$answers.difficulty', ...this._answerSums() } }]
+          }
+        }
+      ]),
+      ExerciseRecord.getWeaknessAnalysis(userId, limit, range)
+    ]);
+
+    const byAccuracy = (a, b) => a.accuracy - b.accuracy || b.attempted - a.attempted;
+    return {
+      byType: result.byType.map(item => ({ questionType: item._id, ...this._formatSums(item) })).sort(byAccuracy),
+      byDifficulty: result.byDifficulty
+        .filter(item => item._id !== null && item._id !== undefined)
+        .map(item => ({ difficulty: item._id, band: difficultyBand(item._id), ...this._formatSums(item) }))
+        .sort(byAccuracy),
+      weakSpots: weakSpots.map(item => ({
+        questionType: item._id.type,
+        difficulty: item._id.difficulty,
+        incorrectCount: item.incorrectCount,
+        averageTimeSpent: round(item.avgTimeSpent),
+        questionIds: [...new Set(item.examples)].slice(0, 5)
+      }))
+    };
+  }
+
+  /**
+   * 答题耗时：总耗时、各周期的耗时以及各题型答对、答错的平均耗时
+   * @param {string} userId - 用户ID
+   * @param {Object} range - { from, to }
+   * @param {string} [interval='day'] - 统计粒度：day、week、month
+   * @returns {Promise<Object>} { totals, byPeriod, byType }，时间单位为秒
+   */
+  async getTimeOnTask(userId, range, interval = 'day') {
+    const [result] = await ExerciseRecord.aggregate([
+      { $match: this._match(userId, range) },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              exercises: { $sum: 1 },
+              totalTimeSpent: { $sum: '$performance.totalTimeSpent' },
+              questions: { $sum: '$performance.totalQuestions' }
+            }
+          }],
+          byPeriod: [
+            {
+              $group: {
+                _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$completedAt' } },
+                exercises: { $sum: 1 },
+                totalTimeSpent: { $sum: '$performance.totalTimeSpent' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          byType: [
+            { $unwind: '$answers' },
+            {
+              $group: {
+                _id: '$answers.questionType',
+                questions: { $sum: 1 },
+                averageTimeSpent: { $avg: '$answers.timeSpent' },
+                correctTimeSpent: { $avg: { $cond: ['$answers.isCorrect', '$answers.timeSpent', null] } },
+                incorrectTimeSpent: { $avg: { $cond: ['$answers.isCorrect', null, '$answers.timeSpent'] } }
+              }
+            },
+            { $sort: { averageTimeSpent: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { exercises: 0, totalTimeSpent: 0, questions: 0 };
+    return {
+      interval,
+      totals: {
+        exercises: totals.exercises,
+        totalTimeSpent: totals.totalTimeSpent,
+        averagePerExercise: totals.exercises > 0 ? round(totals.totalTimeSpent / totals.exercises) : 0,
+        averagePerQuestion: totals.questions > 0 ? round(totals.totalTimeSpent / totals.questions) : 0
+      },
+      byPeriod: result.byPeriod.map(item => ({
+        period: item._id,
+        exercises: item.exercises,
+        totalTimeSpent: item.totalTimeSpent
+      })),
+      byType: result.byType.map(item => ({
+        questionType: item._id,
+        questions: item.questions,
+        averageTimeSpent: round(item.averageTimeSpent),
+        correctTimeSpent: item.correctTimeSpent === null ? null : round(item.correctTimeSpent),
+        incorrectTimeSpent: item.incorrectTimeSpent === null ? null : round(item.incorrectTimeSpent)
+      }))
+    };
+  }
+
+  /**
+   * 各文档的掌握度：该文档各次练习得分的加权平均，权重每 MASTERY_HALF_LIFE_DAYS 天减半（以时间范围的结束时间为准）
+   * @param {string} userId - 用户ID
+   * @param {Object} range - { from, to }
+   * @returns {Promise<Array<Object>>} [{ documentId, title, mastery, level, attempts, latestScore, bestScore,
+   *   averageAccuracy, lastPracticedAt, concepts }]，掌握度低的在前；已删除的文档不计入
+   */
+  async getDocumentMastery(userId, range) {
+    const records = await ExerciseRecord.find(this._match(userId, range))
+      .select('documentId completedAt score.percentage performance.accuracy')
+      .sort({ completedAt: 1 })
+      .lean();
+
+    const groups = new Map();
+    for (const record of records) {
+      const key = String(record.documentId);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(record);
+    }
+    if (groups.size === 0) {
+      return [];
+    }
+
+    const documentIds = [...groups.keys()].map(id => new mongoose.Types.ObjectId(id));
+    const [documents, conceptCounts] = await Promise.all([
+      Document.find({ _id: { $in: documentIds }, userId, isDeleted: false }).select('title').lean(),
+      Concept.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), documentId: { $in: documentIds }, isDeleted: false } },
+        { $group: { _id: '$documentId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const concepts = new Map(conceptCounts.map(item => [String(item._id), item.count]));
+
+    const halfLife = MASTERY_HALF_LIFE_DAYS * 24 * 60 * 60 * 1000;
+    return documents
+      .map(document => {
+        const items = groups.get(String(document._id));
+        let weightedScore = 0;
+        let totalWeight = 0;
+        for (const item of items) {
+          const weight = Math.pow(0.5, Math.max(range.to - item.completedAt, 0) / halfLife);
+          weightedScore += item.score.percentage * weight;
+          totalWeight += weight;
+        }
+        const mastery = round(weightedScore / totalWeight);
+        const latest = items[items.length - 1];
+
+        return {
+          documentId: document._id,
+          title: document.title,
+          mastery,
+          level: MASTERY_LEVELS.find(level => mastery >= level.min).level,
+          attempts: items.length,
+          latestScore: round(latest.score.percentage),
+          bestScore: round(Math.max(...items.map(item => item.score.percentage))),
+          averageAccuracy: round(items.reduce((sum, item) => sum + item.performance.accuracy, 0) / items.length),
+          lastPracticedAt: latest.completedAt,
+          concepts: concepts.get(String(document._id)) || 0
+        };
+      })
+      .sort((a, b) => a.mastery - b.mastery);
+  }
+
+  /**
+   * 用户在时间范围内完成的练习记录
+   */
+  _match(userId, range) {
+    return {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      completedAt: { $gte: range.from, $lt: range.to }
+    };
+  }
+
+  /**
+   * 按答案分组时的累加项
+   */
+  _answerSums() {
+    return {
+      attempted: { $sum: 1 },
+      correct: { $sum: { $cond: ['$answers.isCorrect', 1, 0] } },
+      points: { $sum: '$answers.points' },
+      maxPoints: { $sum: '$answers.maxPoints' }
+    };
+  }
+
+  /**
+   * 答题数、正确率和得分率
+   */
+  _formatSums(item) {
+    return {
+      attempted: item.attempted,
+      correct: item.correct,
+      accuracy: item.attempted > 0 ? round(item.correct / item.attempted * 100) : 0,
+      scoreRate: item.maxPoints > 0 ? round(item.points / item.maxPoints * 100) : 0
+    };
+  }
+}
+
+AnalyticsService.INTERVALS = Object.keys(INTERVAL_FORMATS);
+
+module.exports = AnalyticsService;
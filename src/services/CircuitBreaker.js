@@ -0,0 +1,157 @@
+// 默认连续失败多少次后断开
+const DEFAULT_FAILURE_THRESHOLD = 5;
+// 默认断开后多久（毫秒）放行试探请求
+const DEFAULT_RESET_TIMEOUT = 30 * 1000;
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// 按名称共享的断路器，同一提供方的所有 AIService 实例使用同一个
+const breakers = new Map();
+
+/**
+ * 读取非负整数环境变量，未设置或无效时使用默认值
+ */
+function parseEnvInt(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * 断路器
+ * 连续失败达到阈值后断开，断开期间的请求直接失败，不再等待超时；冷却时间过后进入半开状态，
+ * 只放行一个试探请求：成功则恢复，失败则重新断开。
+ * 只有服务端故障（超时、网络错误、429、5xx）计为失败，由调用方判断后调用 recordFailure。
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - 名称，用于日志和错误信息
+   * @param {Object} [options] - 断路器选项
+   * @param {number} [options.failureThreshold] - 连续失败多少次后断开，默认读取 AI_BREAKER_THRESHOLD，0表示不断开
+   * @param {number} [options.resetTimeout] - 断开后多久（毫秒）放行试探请求，默认读取 AI_BREAKER_RESET_TIMEOUT
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold !== undefined
+      ? options.failureThreshold
+      : parseEnvInt('AI_BREAKER_THRESHOLD', DEFAULT_FAILURE_THRESHOLD);
+    this.resetTimeout = options.resetTimeout !== undefined
+      ? options.resetTimeout
+      : parseEnvInt('AI_BREAKER_RESET_TIMEOUT', DEFAULT_RESET_TIMEOUT);
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+    this.lastFailure = null;
+  }
+
+  /**
+   * 请求前调用：断开期间抛出 code 为 AI_CIRCUIT_OPEN 的错误；冷却时间已过时转为半开并放行一个试探请求
+   * 放行后必须以 recordSuccess、recordFailure 或 release 之一结束
+   */
+  acquire() {
+    if (this.state === STATES.OPEN) {
+      const remaining = this.openedAt + this.resetTimeout - Date.now();
+      if (remaining > 0) {
+        throw this._openError(remaining);
+      }
+      this.state = STATES.HALF_OPEN;
+      this.trialInProgress = false;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.trialInProgress) {
+        throw this._openError(this.resetTimeout);
+      }
+      this.trialInProgress = true;
+    }
+  }
+
+  /**
+   * 请求成功（或服务端正常响应了客户端错误），恢复闭合状态
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      console.log(`[CircuitBreaker] ${this.name} 已恢复`);
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * 请求因服务端故障失败，连续失败达到阈值或试探请求失败时断开
+   * @param {Error} error - 失败原因
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.trialInProgress = false;
+    this.lastFailure = { message: error ? error.message : null, at: new Date() };
+
+    const shouldOpen = this.state === STATES.HALF_OPEN
+      || (this.failureThreshold > 0 && this.failures >= this.failureThreshold);
+    if (shouldOpen) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      console.error(`[CircuitBreaker] ${this.name} 连续失败${this.failures}次，断开${this.resetTimeout / 1000}秒`);
+    }
+  }
+
+  /**
+   * 请求结束但不能说明服务状态（如调用方取消），只释放试探名额
+   */
+  release() {
+    this.trialInProgress = false;
+  }
+
+  /**
+   * 当前状态，断开且冷却时间已过时报告为半开
+   * @returns {Object} { name, state, failures, failureThreshold, resetTimeout, openedAt, retryAt, lastFailure }
+   */
+  getState() {
+    const open = this.state === STATES.OPEN;
+    const retryAt = open ? new Date(this.openedAt + this.resetTimeout) : null;
+    return {
+      name: this.name,
+      state: open && retryAt.getTime() <= Date.now() ? STATES.HALF_OPEN : this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt,
+      lastFailure: this.lastFailure
+    };
+  }
+
+  /**
+   * 断开时的错误，retryAfter 为建议的重试等待时间（毫秒）
+   */
+  _openError(retryAfter) {
+    const error = new Error(`AI服务 ${this.name} 暂时不可用（连续失败${this.failures}次），请${Math.ceil(retryAfter / 1000)}秒后重试`);
+    error.code = 'AI_CIRCUIT_OPEN';
+    error.status = 503;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  /**
+   * 获取指定名称的共享断路器，不存在时创建
+   * @param {string} name - 名称（AI服务提供方名称）
+   * @returns {CircuitBreaker}
+   */
+  static get(name) {
+    if (!breakers.has(name)) {
+      breakers.set(name, new CircuitBreaker(name));
+    }
+    return breakers.get(name);
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
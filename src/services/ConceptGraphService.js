@@ -0,0 +1,582 @@
+const crypto = require('crypto');
+const { Concept, ConceptNode, ConceptEdge, Document } = require('../models');
+const AIService = require('./AIService');
+
+// 最多将多少个节点交给AI推断关系（按重要性和出现的文档数选取）
+const MAX_INFERENCE_TERMS = 150;
+// 同一文档中两个概念的出现位置相距多少字符以内计为共现
+const COOCCURRENCE_WINDOW = 500;
+// 每个概念最多记录多少个关联概念（Concept.relatedConcepts）
+const MAX_RELATED_CONCEPTS = 20;
+
+const DEFAULT_GRAPH_LIMIT = 100;
+const MAX_GRAPH_LIMIT = 500;
+const DEFAULT_NEIGHBOR_LIMIT = 50;
+
+// 从节点出发看到的邻居关系：parent 邻居是上位概念，child 邻居是下位概念
+const NEIGHBOR_RELATIONSHIPS = ['parent', 'child', 'antonym', 'related'];
+
+// 正在构建的图谱 { promise, force }，同一用户的并发请求共用一次构建
+const pendingBuilds = new Map();
+
+// 术语归一化时忽略的空白和标点
+const TERM_SEPARATORS = /[\s\-_·・.,，、。;；:："'“”‘’()（）[\]【】《》<>]/g;
+
+/**
+ * 术语归一化：统一全角半角和大小写，忽略空白和标点，用于判断是否为同一术语
+ */
+function normalizeTerm(term) {
+  const text = String(term || '').normalize('NFKC').toLowerCase().trim();
+  return text.replace(TERM_SEPARATORS, '') || text;
+}
+
+/**
+ * 保留两位小数
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 取出现次数最多的值，次数相同时取先出现的
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) {
+      best = value;
+    }
+  }
+  return best;
+}
+
+/**
+ * 并查集，用于合并同义的术语
+ */
+class TermSets {
+  constructor() {
+    this.parents = new Map();
+  }
+
+  find(key) {
+    if (!this.parents.has(key)) {
+      this.parents.set(key, key);
+    }
+    const parent = this.parents.get(key);
+    if (parent === key) {
+      return key;
+    }
+    const root = this.find(parent);
+    this.parents.set(key, root);
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA !== rootB) {
+      this.parents.set(rootB, rootA);
+    }
+  }
+}
+
+/**
+ * 概念知识图谱
+ * 将用户各文档中的概念按术语合并为跨文档的节点：归一化后相同的术语直接合并，AI判断为同义词的术语也合并；
+ * 节点之间的关系由AI推断（上下位、反义、相关）并结合概念在文档中相邻出现（共现）得出。
+ * 图谱在概念变化（提取、更新、移除）或文档被删除后的下一次查询时重新构建，构建时同时填充 Concept.relatedConcepts。
+ */
+class ConceptGraphService {
+  /**
+   * @param {Object} [options] - 服务选项
+   * @param {Object} [options.aiService] - AI服务，默认新建
+   */
+  constructor(options = {}) {
+    this.aiService = options.aiService || new AIService();
+  }
+
+  /**
+   * 获取用户的概念图谱
+   * @param {string} userId - 用户ID
+   * @param {Object} [options] - 查询选项
+   * @param {Array<string>} [options.categories] - 只返回这些类别的节点
+   * @param {number} [options.importance] - 只返回重要性不低于该值的节点
+   * @param {number} [options.limit=100] - 最多返回的节点数（按重要性排序），最大500
+   * @param {boolean} [options.rebuild] - 是否强制重新构建
+   * @param {string} [options.language] - 推断关系使用的语言
+   * @returns {Promise<Object>} { nodes, edges, builtAt, rebuilt, inference }，edges 只包含两端都在 nodes 中的关系
+   */
+  async getGraph(userId, options = {}) {
+    const { categories, importance, rebuild = false, language } = options;
+    const limit = Math.min(options.limit || DEFAULT_GRAPH_LIMIT, MAX_GRAPH_LIMIT);
+    const build = await this.ensureGraph(userId, { force: rebuild, language });
+
+    const query = { userId };
+    if (categories && categories.length > 0) {
+      query.category = { $in: categories };
+    }
+    if (importance) {
+      query.importance = { $gte: importance };
+    }
+    const nodes = await ConceptNode.find(query).sort({ importance: -1, key: 1 }).limit(limit);
+
+    const ids = nodes.map(node => node._id);
+    const edges = ids.length > 0
+      ? await ConceptEdge.find({ userId, source: { $in: ids }, target: { $in: ids } }).sort({ strength: -1 })
+      : [];
+
+    return {
+      nodes: nodes.map(node => this._formatNode(node)),
+      edges: edges.map(edge => ({
+        id: edge._id,
+        source: edge.source,
+        target: edge.target,
+        relationship: edge.relationship,
+        strength: edge.strength,
+        sources: edge.sources,
+        cooccurrences: edge.cooccurrences
+      })),
+      builtAt: build.builtAt,
+      rebuilt: build.rebuilt,
+      inference: build.inference
+    };
+  }
+
+  /**
+   * 获取概念的相邻节点
+   * @param {string} userId - 用户ID
+   * @param {string} id - 图谱节点ID，或合并到某个节点的概念ID
+   * @param {Object} [options] - 查询选项
+   * @param {string} [options.relationship] - 只返回该关系的邻居（parent、child、antonym、related）
+   * @param {number} [options.limit=50] - 最多返回的邻居数（按关联强度排序）
+   * @param {string} [options.language] - 推断关系使用的语言
+   * @returns {Promise<Object>} { node, neighbors: [{ node, relationship, strength, sources, cooccurrences }] }，
+   *   relationship 为邻居相对于该节点的关系，如 parent 表示邻居是该节点的上位概念
+   */
+  async getNeighbors(userId, id, options = {}) {
+    const { relationship, limit = DEFAULT_NEIGHBOR_LIMIT, language } = options;
+    await this.ensureGraph(userId, { language });
+
+    const node = await ConceptNode.findOne({ userId, $or: [{ _id: id }, { conceptIds: id }] });
+    if (!node) {
+      throw new Error('概念不存在或无权访问');
+    }
+
+    const edges = await ConceptEdge.find({ userId, $or: [{ source: node._id }, { target: node._id }] })
+      .sort({ strength: -1 });
+    const links = edges
+      .map(edge => {
+        const outgoing = edge.source.equals(node._id);
+        let neighborRelationship = edge.relationship;
+        if (edge.relationship === 'parent') {
+          neighborRelationship = outgoing ? 'child' : 'parent';
+        }
+        return { edge, neighborId: outgoing ? edge.target : edge.source, relationship: neighborRelationship };
+      })
+      .filter(link => !relationship || link.relationship === relationship)
+      .slice(0, limit);
+
+    const neighborNodes = await ConceptNode.find({ _id: { $in: links.map(link => link.neighborId) } });
+    const nodesById = new Map(neighborNodes.map(neighbor => [String(neighbor._id), neighbor]));
+
+    return {
+      node: this._formatNode(node),
+      neighbors: links
+        .filter(link => nodesById.has(String(link.neighborId)))
+        .map(link => ({
+          node: this._formatNode(nodesById.get(String(link.neighborId))),
+          relationship: link.relationship,
+          strength: link.edge.strength,
+          sources: link.edge.sources,
+          cooccurrences: link.edge.cooccurrences
+        }))
+    };
+  }
+
+  /**
+   * 图谱过期（或 force 为真）时重新构建，同一用户同时只构建一次
+   * 正在进行的构建不是强制构建时，强制构建在它结束后再执行，而不是共用它的结果
+   * @param {string} userId - 用户ID
+   * @param {Object} [options] - { force, language }
+   * @returns {Promise<Object>} { rebuilt, builtAt, inference }，未重新构建时没有 inference
+   */
+  async ensureGraph(userId, options = {}) {
+    const key = String(userId);
+    const force = Boolean(options.force);
+    const pending = pendingBuilds.get(key);
+    if (pending && (pending.force || !force)) {
+      return pending.promise;
+    }
+
+    const previous = pending ? pending.promise.catch(() => {}) : Promise.resolve();
+    const build = previous.then(async () => {
+      const { stale, builtAt } = await this._checkStale(userId);
+      if (!stale && !force) {
+        return { rebuilt: false, builtAt };
+      }
+      const result = await this.buildGraph(userId, options);
+      return { rebuilt: true, builtAt: result.builtAt, inference: result.inference };
+    });
+    const entry = {
+      force,
+      promise: build.finally(() => {
+        if (pendingBuilds.get(key) === entry) {
+          pendingBuilds.delete(key);
+        }
+      })
+    };
+    pendingBuilds.set(key, entry);
+    return entry.promise;
+  }
+
+  /**
+   * 图谱是否过期：构建之后有概念发生变化或有文档被删除
+   * @returns {Promise<Object>} { stale, builtAt }
+   */
+  async _checkStale(userId) {
+    const [latestConcept, latestDeletion, latestNode] = await Promise.all([
+      Concept.findOne({ userId }).sort({ updatedAt: -1 }).select('updatedAt'),
+      Document.findOne({ userId, isDeleted: true }).sort({ deletedAt: -1 }).select('deletedAt'),
+      ConceptNode.findOne({ userId }).sort({ builtAt: -1 }).select('builtAt')
+    ]);
+
+    const builtAt = latestNode ? latestNode.builtAt : null;
+    if (!latestConcept) {
+      return { stale: !!latestNode, builtAt };
+    }
+    if (!latestNode) {
+      return { stale: true, builtAt };
+    }
+    const changedAt = Math.max(
+      latestConcept.updatedAt.getTime(),
+      latestDeletion && latestDeletion.deletedAt ? latestDeletion.deletedAt.getTime() : 0
+    );
+    return { stale: changedAt > builtAt.getTime(), builtAt };
+  }
+
+  /**
+   * 重新构建用户的概念图谱
+   * AI推断失败（如超出用量配额）时仍按共现关系构建，通过 inference 报告
+   * @param {string} userId - 用户ID
+   * @param {Object} [options] - { language }
+   * @returns {Promise<Object>} { builtAt, nodes, edges, inference: { status: completed|failed|skipped, relations, error } }
+   */
+  async buildGraph(userId, options = {}) {
+    // 以开始时间作为构建时间，构建期间发生的变化在下一次查询时重新构建
+    const builtAt = new Date();
+    const documentIds = await Document.distinct('_id', { userId, isDeleted: false });
+    const concepts = await Concept.find({ userId, isDeleted: false, documentId: { $in: documentIds } })
+      .select('term definition category importance documentId occurrences')
+      .lean();
+
+    const sets = new TermSets();
+    const groups = new Map();
+    for (const concept of concepts) {
+      const key = normalizeTerm(concept.term);
+      sets.find(key);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(concept);
+    }
+
+    const { relations, inference } = await this._inferRelations(userId, groups, options);
+    const termKeys = new Map([...groups.keys()].map(key => [this._describeGroup(groups.get(key)).term, key]));
+    for (const relation of relations) {
+      if (relation.relationship === 'synonym') {
+        sets.union(termKeys.get(relation.source), termKeys.get(relation.target));
+      }
+    }
+
+    const members = new Map();
+    for (const [key, group] of groups) {
+      const root = sets.find(key);
+      members.set(root, (members.get(root) || []).concat(group));
+    }
+    const nodes = [...members.values()].map(group => this._buildNode(group));
+    const nodeKeys = new Map([...members.keys()].map((root, index) => [root, nodes[index].key]));
+    const nodeKeyOf = key => nodeKeys.get(sets.find(key));
+
+    const edges = this._mergeEdges(
+      relations
+        .filter(relation => relation.relationship !== 'synonym')
+        .map(relation => ({ ...relation, source: nodeKeyOf(termKeys.get(relation.source)), target: nodeKeyOf(termKeys.get(relation.target)) })),
+      this._cooccurrenceEdges(nodes)
+    );
+
+    await this._saveGraph(userId, builtAt, nodes, edges);
+    console.log(`[ConceptGraph] 用户 ${userId} 的概念图谱已构建：${nodes.length} 个节点，${edges.length} 条关系`);
+    return { builtAt, nodes: nodes.length, edges: edges.length, inference };
+  }
+
+  /**
+   * 由AI推断术语之间的关系，只推断最重要的 MAX_INFERENCE_TERMS 个术语
+   * 以术语列表的哈希作为缓存键，概念没有变化时重新构建不会再次调用AI
+   * @returns {Promise<Object>} { relations, inference }
+   */
+  async _inferRelations(userId, groups, options = {}) {
+    const candidates = [...groups.values()]
+      .map(group => ({ ...this._describeGroup(group), weight: Math.max(...group.map(concept => concept.importance || 3)), documents: group.length }))
+      .sort((a, b) => b.weight - a.weight || b.documents - a.documents || a.term.localeCompare(b.term))
+      .slice(0, MAX_INFERENCE_TERMS)
+      .map(({ term, definition, category }) => ({ term, definition, category }));
+
+    if (candidates.length < 2) {
+      return { relations: [], inference: { status: 'skipped' } };
+    }
+
+    try {
+      const relations = await this.aiService.inferConceptRelations(candidates, {
+        userId,
+        language: options.language,
+        contentHash: crypto.createHash('sha256').update(JSON.stringify(candidates)).digest('hex')
+      });
+      return { relations, inference: { status: 'completed', relations: relations.length } };
+    } catch (error) {
+      console.error('[ConceptGraph] 概念关系推断失败，仅按共现关系构建:', error.message);
+      return { relations: [], inference: { status: 'failed', error: error.message } };
+    }
+  }
+
+  /**
+   * 一组同名概念的代表术语、定义和类别：术语取最常见的写法，定义取最重要且最详细的
+   */
+  _describeGroup(group) {
+    const primary = group.reduce((best, concept) => {
+      const importance = concept.importance || 3;
+      const bestImportance = best.importance || 3;
+      if (importance !== bestImportance) {
+        return importance > bestImportance ? concept : best;
+      }
+      return (concept.definition || '').length > (best.definition || '').length ? concept : best;
+    });
+    return {
+      term: mostCommon(group.map(concept => concept.term)),
+      definition: primary.definition || '',
+      category: mostCommon(group.map(concept => concept.category || 'concept'))
+    };
+  }
+
+  /**
+   * 由合并后的概念生成节点
+   */
+  _buildNode(group) {
+    const { term, definition, category } = this._describeGroup(group);
+    return {
+      key: normalizeTerm(term),
+      term,
+      aliases: [...new Set(group.map(concept => concept.term))].filter(alias => alias !== term),
+      definition,
+      category,
+      importance: Math.max(...group.map(concept => concept.importance || 3)),
+      concepts: group,
+      conceptIds: group.map(concept => concept._id),
+      documentIds: [...new Map(group.map(concept => [String(concept.documentId), concept.documentId])).values()]
+    };
+  }
+
+  /**
+   * 共现关系：两个节点的概念在同一文档中出现位置相距不超过 COOCCURRENCE_WINDOW 个字符
+   * 强度为相邻出现的文档数占两者中较少一方所在文档数的比例
+   * @returns {Array<Object>} [{ source, target, relationship, strength, sources, cooccurrences }]
+   */
+  _cooccurrenceEdges(nodes) {
+    const byDocument = new Map();
+    for (const node of nodes) {
+      for (const concept of node.concepts) {
+        const positions = (concept.occurrences || []).map(occurrence => occurrence.position);
+        if (positions.length === 0) {
+          continue;
+        }
+        const documentId = String(concept.documentId);
+        if (!byDocument.has(documentId)) {
+          byDocument.set(documentId, new Map());
+        }
+        const entries = byDocument.get(documentId);
+        entries.set(node.key, (entries.get(node.key) || []).concat(positions));
+      }
+    }
+
+    const counts = new Map();
+    for (const entries of byDocument.values()) {
+      const keys = [...entries.keys()].sort();
+      for (let i = 0; i < keys.length; i++) {
+        for (let j = i + 1; j < keys.length; j++) {
+          const near = entries.get(keys[i]).some(a => entries.get(keys[j]).some(b => Math.abs(a - b) <= COOCCURRENCE_WINDOW));
+          if (near) {
+            const pair = `${keys[i]}\n${keys[j]}`;
+            counts.set(pair, (counts.get(pair) || 0) + 1);
+          }
+        }
+      }
+    }
+
+    const documentCounts = new Map(nodes.map(node => [node.key, node.documentIds.length]));
+    return [...counts].map(([pair, count]) => {
+      const [source, target] = pair.split('\n');
+      return {
+        source,
+        target,
+        relationship: 'related',
+        strength: round(Math.min(count / Math.min(documentCounts.get(source), documentCounts.get(target)), 1)),
+        sources: ['cooccurrence'],
+        cooccurrences: count
+      };
+    });
+  }
+
+  /**
+   * 合并AI推断的关系和共现关系，每对节点只保留一条关系
+   * child 关系转为反方向的 parent；AI给出的具体关系优先于共现得出的 related，强度取较大值
+   * @param {Array<Object>} relations - AI推断的关系，source、target 为节点 key
+   * @param {Array<Object>} cooccurrences - 共现关系
+   * @returns {Array<Object>} 关系
+   */
+  _mergeEdges(relations, cooccurrences) {
+    const edges = new Map();
+    const pairKey = (a, b) => [a, b].sort().join('\n');
+
+    for (const relation of relations) {
+      let { source, target, relationship } = relation;
+      if (!source || !target || source === target) {
+        continue;
+      }
+      if (relationship === 'child') {
+        [source, target] = [target, source];
+        relationship = 'parent';
+      }
+      const pair = pairKey(source, target);
+      const existing = edges.get(pair);
+      if (existing && existing.strength >= relation.strength) {
+        continue;
+      }
+      edges.set(pair, { source, target, relationship, strength: relation.strength, sources: ['ai'], cooccurrences: 0 });
+    }
+
+    for (const edge of cooccurrences) {
+      const pair = pairKey(edge.source, edge.target);
+      const existing = edges.get(pair);
+      if (!existing) {
+        edges.set(pair, edge);
+        continue;
+      }
+      existing.strength = Math.max(existing.strength, edge.strength);
+      existing.sources = [...existing.sources, 'cooccurrence'];
+      existing.cooccurrences = edge.cooccurrences;
+    }
+
+    return [...edges.values()];
+  }
+
+  /**
+   * 保存图谱：按 key 更新节点（保留已有节点的ID），删除本次构建中不存在的节点，并重建全部关系
+   */
+  async _saveGraph(userId, builtAt, nodes, edges) {
+    if (nodes.length > 0) {
+      await ConceptNode.bulkWrite(nodes.map(node => ({
+        updateOne: {
+          filter: { userId, key: node.key },
+          update: {
+            $set: {
+              term: node.term,
+              aliases: node.aliases,
+              definition: node.definition,
+              category: node.category,
+              importance: node.importance,
+              conceptIds: node.conceptIds,
+              documentIds: node.documentIds,
+              builtAt
+            }
+          },
+          upsert: true
+        }
+      })));
+    }
+    await ConceptNode.deleteMany({ userId, builtAt: { $lt: builtAt } });
+
+    const saved = await ConceptNode.find({ userId }).select('key');
+    const ids = new Map(saved.map(node => [node.key, node._id]));
+    await ConceptEdge.deleteMany({ userId });
+    if (edges.length > 0) {
+      await ConceptEdge.insertMany(edges.map(edge => ({
+        userId,
+        source: ids.get(edge.source),
+        target: ids.get(edge.target),
+        relationship: edge.relationship,
+        strength: edge.strength,
+        sources: edge.sources,
+        cooccurrences: edge.cooccurrences
+      })));
+    }
+
+    await this._saveRelatedConcepts(nodes, edges);
+  }
+
+  /**
+   * 按图谱填充各概念的 relatedConcepts：同一节点的其他概念为 synonym，相邻节点的概念按关系记录
+   * （优先取同一文档中的概念）；不更新 updatedAt，以免图谱被判断为过期
+   */
+  async _saveRelatedConcepts(nodes, edges) {
+    const nodesByKey = new Map(nodes.map(node => [node.key, node]));
+    const neighbors = new Map(nodes.map(node => [node.key, []]));
+    for (const edge of edges) {
+      const reverse = edge.relationship === 'parent' ? 'child' : edge.relationship;
+      neighbors.get(edge.source).push({ key: edge.target, relationship: reverse, strength: edge.strength });
+      neighbors.get(edge.target).push({ key: edge.source, relationship: edge.relationship, strength: edge.strength });
+    }
+
+    const operations = [];
+    for (const node of nodes) {
+      for (const concept of node.concepts) {
+        const related = node.concepts
+          .filter(other => other !== concept)
+          .map(other => ({ conceptId: other._id, relationship: 'synonym', strength: 1 }));
+
+        for (const neighbor of neighbors.get(node.key)) {
+          const candidates = nodesByKey.get(neighbor.key).concepts;
+          const target = candidates.find(other => String(other.documentId) === String(concept.documentId))
+            || candidates.reduce((best, other) => ((other.importance || 3) > (best.importance || 3) ? other : best));
+          related.push({ conceptId: target._id, relationship: neighbor.relationship, strength: neighbor.strength });
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { _id: concept._id },
+            update: { $set: { relatedConcepts: related.sort((a, b) => b.strength - a.strength).slice(0, MAX_RELATED_CONCEPTS) } },
+            timestamps: false
+          }
+        });
+      }
+    }
+
+    if (operations.length > 0) {
+      await Concept.bulkWrite(operations);
+    }
+  }
+
+  /**
+   * 节点的返回格式
+   */
+  _formatNode(node) {
+    return {
+      id: node._id,
+      term: node.term,
+      aliases: node.aliases,
+      definition: node.definition,
+      category: node.category,
+      importance: node.importance,
+      documentCount: node.documentIds.length,
+      documentIds: node.documentIds,
+      conceptIds: node.conceptIds
+    };
+  }
+}
+
+ConceptGraphService.normalizeTerm = normalizeTerm;
+ConceptGraphService.NEIGHBOR_RELATIONSHIPS = NEIGHBOR_RELATIONSHIPS;
+
+module.exports = ConceptGraphService;
@@ -4,7 +4,40 @@ const mime = require('mime-types');
 const crypto = require('crypto');
 const path = require('path');
 const Document = require('../models/Document');
+const Concept = require('../models/Concept');
+const Summary = require('../models/Summary');
+const Exercise = require('../models/Exercise');
+const MindMap = require('../models/MindMap');
+const ProcessingJob = require('../models/ProcessingJob');
 const FileExtractService = require('./FileExtractService');
+const UrlFetchService = require('./UrlFetchService');
+const jobQueue = require('./JobQueue');
+const { detectHtmlCharset, decodeText } = require('../utils/textEncoding');
+const { hashContent } = require('../utils/contentHash');
+
+// 可重新执行的处理阶段（按执行顺序）
+const REPROCESS_STAGES = ['extraction', 'restructure', 'summary', 'concepts', 'exercises', 'mindmap'];
+
+// 上传流程执行的阶段，也是重新处理未指定阶段时的默认值
+const DEFAULT_REPROCESS_STAGES = ['extraction', 'restructure', 'summary', 'concepts'];
+
+// 可以上传但无法提取的旧版Office格式，上传时直接拒绝
+const LEGACY_FORMATS = {
+  'application/msword': '暂不支持旧版Word(.doc)格式，请另存为.docx后重新上传',
+  'application/vnd.ms-powerpoint': '暂不支持旧版PowerPoint(.ppt)格式，请另存为.pptx后重新上传'
+};
+
+// 正在生成的摘要（文档ID:类型），同一摘要的并发请求共用一次生成
+const pendingSummaries = new Map();
+
+// 批量AI处理的各阶段：是否执行的选项，以及 AIService.processDocument 返回结果和错误的字段
+const AI_BATCH_STAGES = {
+  restructure: { include: 'includeRestructure', result: 'restructuredContent', error: 'restructureError' },
+  summary: { include: 'includeSummary', result: 'summary', error: 'summaryError' },
+  concepts: { include: 'includeConcepts', result: 'concepts', error: 'conceptsError' },
+  exercises: { include: 'includeExercises', result: 'exercises', error: 'exercisesError' },
+  mindmap: { include: 'includeMindMap', result: 'mindMap', error: 'mindMapError' }
+};
 
 class DocumentService {
   constructor() {
@@ -26,20 +59,26 @@ class DocumentService {
 
     this.maxFileSize = this.parseFileSize(process.env.MAX_FILE_SIZE || '50MB');
 
-    // 初始化文件提取服务
-    this.fileExtractService = new FileExtractService();
+    // 初始化文件提取服务（提取出的图片等附属资源与原文档一起存储）
+    this.fileExtractService = new FileExtractService({
+      uploadAsset: (buffer, key, contentType) => this._uploadToS3(buffer, key, contentType)
+    });
+    this.urlFetchService = new UrlFetchService();
+    this.jobQueue = jobQueue;
 
     // 支持的文件类型配置
     this.supportedFormats = {
       'application/pdf': { extension: '.pdf', category: 'document' },
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extension: '.docx', category: 'document' },
-      'application/msword': { extension: '.doc', category: 'document' },
       'text/plain': { extension: '.txt', category: 'text' },
       'text/markdown': { extension: '.md', category: 'text' },
       'text/x-markdown': { extension: '.md', category: 'text' },
       'image/jpeg': { extension: '.jpg', category: 'image' },
+      'image/jpg': { extension: '.jpg', category: 'image' },
       'image/png': { extension: '.png', category: 'image' },
-      'application/vnd.ms-powerpoint': { extension: '.ppt', category: 'document' },
+      'image/gif': { extension: '.gif', category: 'image' },
+      'image/bmp': { extension: '.bmp', category: 'image' },
+      'image/webp': { extension: '.webp', category: 'image' },
       'application/vnd.openxmlformats-officedocument.presentationml.presentation': { extension: '.pptx', category: 'document' }
     };
   }
@@ -62,10 +101,16 @@ class DocumentService {
       // 上传到S3
       const s3Result = await this._uploadToS3(file.buffer, fileKey, file.mimetype);
 
+      // Markdown文件的front-matter可提供标题和标签，用户填写的标题优先
+      const { frontMatter } = this.supportedFormats[file.mimetype].category === 'text'
+        ? this.fileExtractService.readTextDocument(file.buffer, file.mimetype)
+        : { frontMatter: {} };
+      const tags = [...new Set([...(metadata.tags || []), ...(frontMatter.tags || [])])];
+
       // 创建MongoDB记录
       const document = new Document({
         userId,
-        title: metadata.title || this._extractTitle(file.originalname),
+        title: metadata.title || frontMatter.title || this._extractTitle(file.originalname),
         originalFormat: this._getFormatFromMimeType(file.mimetype),
         filePath: fileKey,
         processingStatus: 'pending',
@@ -78,15 +123,13 @@ class DocumentService {
           s3Bucket: this.bucketName,
           ...metadata
         },
-        tags: metadata.tags || []
+        tags
       });
 
       const savedDocument = await document.save();
 
-      // 异步处理文件提取
-      this.processFileExtraction(savedDocument._id, file.buffer, file.mimetype).catch(error => {
-        console.error('文件提取处理失败:', error);
-      });
+      // 提取和AI处理作为后台任务排队执行
+      await this.jobQueue.enqueueRun(savedDocument, DEFAULT_REPROCESS_STAGES);
       
       return {
         document: savedDocument,
@@ -97,6 +140,58 @@ class DocumentService {
     }
   }
 
+  /**
+   * 添加URL文档：抓取网页，保存HTML快照到S3，再按文件上传的流程提取正文
+   * @param {string} url - 网页地址
+   * @param {string} userId - 用户ID
+   * @param {Object} metadata - 文档元数据 { title, tags }
+   * @returns {Promise<Object>} 创建的文档记录和快照信息
+   */
+  async addUrlDocument(url, userId, metadata = {}) {
+    try {
+      const page = await this.urlFetchService.fetchPage(url);
+      const { hostname } = new URL(page.url);
+
+      // 保存网页快照，供之后下载
+      const fileKey = this._generateFileKey(`${hostname}.html`);
+      await this._uploadToS3(page.buffer, fileKey, page.contentType);
+
+      const html = decodeText(page.buffer, detectHtmlCharset(page.buffer, page.contentType));
+
+      const document = new Document({
+        userId,
+        title: metadata.title || this._extractHtmlTitle(html) || hostname,
+        originalFormat: 'url',
+        filePath: fileKey,
+        processingStatus: 'pending',
+        metadata: {
+          url: page.url,
+          originalFileName: `${hostname}.html`,
+          fileSize: page.buffer.length,
+          mimeType: page.contentType,
+          uploadDate: page.fetchedAt
+        },
+        tags: metadata.tags || []
+      });
+
+      const savedDocument = await document.save();
+
+      // 从保存的快照中提取网页正文
+      await this.jobQueue.enqueueRun(savedDocument, DEFAULT_REPROCESS_STAGES);
+
+      return {
+        document: savedDocument,
+        snapshot: {
+          key: fileKey,
+          size: page.buffer.length,
+          fetchedAt: page.fetchedAt
+        }
+      };
+    } catch (error) {
+      throw new Error(`URL文档添加失败: ${error.message}`);
+    }
+  }
+
   /**
    * 获取文档详情
    * @param {string} documentId - 文档ID
@@ -330,6 +425,10 @@ class DocumentService {
       throw new Error(`文件大小超过限制 (${this.formatFileSize(this.maxFileSize)})`);
     }
 
+    if (LEGACY_FORMATS[file.mimetype]) {
+      throw new Error(LEGACY_FORMATS[file.mimetype]);
+    }
+
     if (!this.supportedFormats[file.mimetype]) {
       throw new Error(`不支持的文件类型: ${file.mimetype}`);
     }
@@ -408,12 +507,16 @@ class DocumentService {
     const formatMap = {
       'application/pdf': 'pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
-      'application/msword': 'doc',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
       'text/plain': 'txt',
       'text/markdown': 'markdown',
       'text/x-markdown': 'markdown',
-      'image/jpeg': 'jpg',
-      'image/png': 'png'
+      'image/jpeg': 'image',
+      'image/jpg': 'image',
+      'image/png': 'image',
+      'image/gif': 'image',
+      'image/bmp': 'image',
+      'image/webp': 'image'
     };
     return formatMap[mimeType] || 'other';
   }
@@ -427,6 +530,28 @@ class DocumentService {
     return path.basename(filename, path.extname(filename));
   }
 
+  /**
+   * 从HTML中提取网页标题
+   * @param {string} html - HTML内容
+   * @returns {string} 标题（最长200个字符）
+   */
+  _extractHtmlTitle(html) {
+    const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    if (!match) {
+      return '';
+    }
+
+    return match[1]
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 200);
+  }
+
   /**
    * 解析文件大小字符串
    * @param {string} sizeStr - 大小字符串 (如 "50MB")
@@ -452,29 +577,475 @@ class DocumentService {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
   /**
-   * 处理文件提取
+   * 重新处理文档：从存储中重新下载原文件，按指定阶段重新执行提取和AI处理
+   * 各阶段作为后台任务排队执行，新结果生成成功后才替换旧数据，失败时保留原有结果
    * @param {string} documentId - 文档ID
-   * @param {Buffer} fileBuffer - 文件缓冲区
-   * @param {string} mimeType - 文件MIME类型
+   * @param {string} userId - 用户ID
+   * @param {Object} options - 处理选项
+   * @param {Array<string>} [options.stages] - 要执行的阶段，见 REPROCESS_STAGES
+   * @returns {Promise<Object>} { documentId, runId, stages, status }
    */
-  async processFileExtraction(documentId, fileBuffer, mimeType) {
-    try {
-      // 更新处理状态
-      await Document.findByIdAndUpdate(documentId, {
-        processingStatus: 'processing'
-      });
+  async reprocessDocument(documentId, userId, options = {}) {
+    const stages = this._normalizeStages(options.stages);
+    const document = await this.getDocument(documentId, userId);
 
-      // 调用文件提取服务
-      await this.fileExtractService.extractToMarkdown(documentId, fileBuffer, mimeType);
-      
+    if (document.processingStatus === 'processing' || await ProcessingJob.hasActiveJobs(documentId)) {
+      throw new Error('文档正在处理中，请稍后再试');
+    }
+    if (!stages.includes('extraction') && !document.markdownContent) {
+      throw new Error('文档尚未提取内容，请包含extraction阶段');
+    }
+
+    // 旧的内容和AI结果保持不变，仅标记处理中
+    await Document.findByIdAndUpdate(documentId, {
+      processingStatus: 'processing',
+      processingError: null
+    });
+
+    const { runId } = await this.jobQueue.enqueueRun(document, stages, { reprocess: true });
+
+    return {
+      documentId,
+      runId,
+      stages,
+      status: 'processing'
+    };
+  }
+
+  /**
+   * 获取文档的处理任务，按运行分组
+   * @param {string} documentId - 文档ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { documentId, processingStatus, runs }
+   */
+  async getDocumentJobs(documentId, userId) {
+    const document = await this.getDocument(documentId, userId);
+    const runs = await ProcessingJob.findRunsByDocument(documentId);
+
+    return {
+      documentId,
+      processingStatus: document.processingStatus,
+      runs: runs.map(run => ({
+        runId: run.runId,
+        reprocess: !!(run.jobs[0].payload && run.jobs[0].payload.reprocess),
+        createdAt: run.createdAt,
+        stages: run.jobs.map(job => ({
+          stage: job.stage,
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          lastError: job.lastError,
+          errors: job.errorHistory,
+          result: job.result,
+          runAt: job.runAt,
+          startedAt: job.startedAt,
+          completedAt: job.completedAt
+        }))
+      }))
+    };
+  }
+
+  /**
+   * 流式生成AI重构内容或摘要，完整生成后才保存结果
+   * 中途取消或出错时不修改已保存的内容
+   * @param {string} documentId - 文档ID
+   * @param {string} userId - 用户ID
+   * @param {string} target - 生成内容：restructure 或 summary
+   * @param {Object} options - 选项
+   * @param {Function} options.onDelta - 文本增量回调 (text) => void
+   * @param {Function} [options.onProgress] - 长文档分段进度回调 ({ percent, message }) => void
+   * @param {AbortSignal} [options.signal] - 取消信号（客户端断开连接）
+   * @returns {Promise<Object>} { content, saved }
+   */
+  async streamAIContent(documentId, userId, target, options = {}) {
+    const { onDelta, onProgress, signal } = options;
+    const document = await this.getDocument(documentId, userId);
+    if (!document.markdownContent) {
+      throw new Error('文档尚未提取内容');
+    }
+
+    const aiService = this.fileExtractService.aiService;
+    const context = { onProgress, signal, userId, documentId };
+    const deltas = target === 'summary'
+      ? aiService.generateSummaryStream(document.markdownContent, { length: 'medium', language: 'zh', includeKeyPoints: true, ...context })
+      : aiService.restructureDocumentStream(document.markdownContent, { style: 'academic', language: 'zh', ...context });
+
+    let content = '';
+    for await (const delta of deltas) {
+      if (signal && signal.aborted) {
+        break;
+      }
+      content += delta;
+      onDelta(delta);
+    }
+
+    if ((signal && signal.aborted) || !content.trim()) {
+      return { content, saved: false };
+    }
+
+    if (target === 'summary') {
+      await this.fileExtractService.saveSummary(documentId, userId, content, document.markdownContent.length);
+    } else {
+      await this.fileExtractService.saveRestructuredContent(documentId, content);
+    }
+    return { content, saved: true };
+  }
+
+  /**
+   * 获取指定类型的摘要，可由AI生成的类型尚未生成时立即生成并保存
+   * @param {string} documentId - 文档ID
+   * @param {string} userId - 用户ID
+   * @param {string} type - 摘要类型（Summary.type）
+   * @returns {Promise<Object>} { summary, generated }，没有该类型的摘要且无法生成时 summary 为null
+   */
+  async getOrCreateSummary(documentId, userId, type) {
+    const document = await this.getDocument(documentId, userId);
+
+    const summary = await Summary.findOne({ documentId, type, isDeleted: false });
+    if (summary || !FileExtractService.isGeneratedSummaryType(type)) {
+      return { summary, generated: false };
+    }
+
+    if (!document.markdownContent) {
+      throw new Error('文档尚未提取内容');
+    }
+
+    const key = `${documentId}:${type}`;
+    if (!pendingSummaries.has(key)) {
+      const generation = this._generateSummary(documentId, userId, type, document.markdownContent);
+      pendingSummaries.set(key, generation.finally(() => pendingSummaries.delete(key)));
+    }
+    const generated = await pendingSummaries.get(key);
+    return { summary: generated, generated: true };
+  }
+
+  /**
+   * 生成并保存摘要；其他进程同时生成并先保存时（唯一索引冲突）返回已保存的摘要
+   */
+  async _generateSummary(documentId, userId, type, markdownContent) {
+    try {
+      return await this.fileExtractService.generateAndSaveSummary(documentId, userId, markdownContent, { type });
     } catch (error) {
-      console.error('文件提取失败:', error);
-      // 更新处理状态为失败
-      await Document.findByIdAndUpdate(documentId, {
-        processingStatus: 'failed',
-        processingError: error.message
+      if (error.code === 11000) {
+        const summary = await Summary.findOne({ documentId, type, isDeleted: false });
+        if (summary) {
+          return summary;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 批量AI处理并保存全部结果
+   * 重构内容、摘要和概念与后台处理一样通过 FileExtractService 保存，练习题和思维导图由 AIService 保存；
+   * 某一项生成或保存失败不影响其他各项
+   * @param {Object} document - 已提取内容的文档
+   * @param {string} userId - 用户ID
+   * @param {Object} options - 处理选项，见 AIService.processDocument（含 contentHash、force、onCache、onValidation）
+   * @returns {Promise<Object>} { results, stages }：results 为生成的内容，
+   *   stages 按阶段报告 { status: completed|failed|skipped, saved, error }
+   */
+  async runAIBatch(document, userId, options = {}) {
+    const documentId = document._id;
+    const content = document.markdownContent;
+    const fileExtractService = this.fileExtractService;
+
+    const results = await fileExtractService.aiService.processDocument(content, {
+      ...options,
+      title: document.title,
+      documentId,
+      userId,
+      saveToDatabase: true
+    });
+
+    const savers = {
+      restructure: (restructuredContent) => fileExtractService.saveRestructuredContent(documentId, restructuredContent),
+      summary: (summary) => fileExtractService.saveSummary(documentId, userId, summary, content.length, { language: options.language }),
+      concepts: async (concepts) => {
+        const saved = await fileExtractService.saveConcepts(documentId, userId, concepts);
+        await this._retireStaleConcepts(documentId, saved);
+      },
+      exercises: async (result) => {
+        if (!result.saved) {
+          throw new Error(result.error || '练习题保存失败');
+        }
+      },
+      mindmap: async (result) => {
+        if (!result.saved) {
+          throw new Error(result.error || '思维导图保存失败');
+        }
+      }
+    };
+
+    const stages = {};
+    for (const [stage, fields] of Object.entries(AI_BATCH_STAGES)) {
+      if (options[fields.include] === false) {
+        stages[stage] = { status: 'skipped', saved: false };
+      } else if (results[fields.error]) {
+        stages[stage] = { status: 'failed', saved: false, error: results[fields.error] };
+      } else {
+        try {
+          await savers[stage](results[fields.result]);
+          stages[stage] = { status: 'completed', saved: true };
+        } catch (error) {
+          console.error(`批量AI处理保存失败 (${stage}):`, error);
+          stages[stage] = { status: 'failed', saved: false, error: `保存失败: ${error.message}` };
+        }
+      }
+    }
+
+    return { results, stages };
+  }
+
+  /**
+   * 获取文档内容哈希（Document.syncStatus.syncHash），用作AI生成结果的缓存键
+   * 在提取时写入；早于该字段的文档首次使用时计算并补写
+   * @param {Object} document - 文档
+   * @returns {Promise<string>} 内容哈希
+   */
+  async getContentHash(document) {
+    const contentHash = hashContent(document.markdownContent);
+    if (document.syncStatus && document.syncStatus.syncHash === contentHash) {
+      return contentHash;
+    }
+
+    await Document.updateOne({ _id: document._id }, { 'syncStatus.syncHash': contentHash });
+    return contentHash;
+  }
+
+  /**
+   * 执行任务队列中的单个阶段（任务队列处理器）
+   * @param {Object} job - 处理任务 { documentId, stage, payload }
+   * @param {Function} [reportProgress] - 进度上报函数 ({ percent, message }) => void
+   * @returns {Promise<Object|null>} 阶段结果摘要，见 _runStage
+   */
+  async runJob(job, reportProgress) {
+    const document = await Document.findOne({ _id: job.documentId, isDeleted: false });
+    if (!document) {
+      const error = new Error('文档不存在或已删除');
+      error.retryable = false;
+      throw error;
+    }
+
+    return this._runStage(job.stage, document, job.payload || {}, reportProgress);
+  }
+
+  /**
+   * 一次处理运行的全部任务结束后更新文档状态（任务队列处理器）
+   * 上传流程中提取成功即可查看文档，AI阶段的失败只记录原因；
+   * 重新处理时任一阶段成功即递增文档版本号
+   * @param {string} runId - 运行ID
+   * @param {Array<Object>} jobs - 该运行的全部任务
+   */
+  async onRunSettled(runId, jobs) {
+    const documentId = jobs[0].documentId;
+    const reprocess = !!(jobs[0].payload && jobs[0].payload.reprocess);
+    const document = await Document.findById(documentId).select('markdownContent');
+    if (!document) {
+      return;
+    }
+
+    const failed = jobs.filter(job => job.status === 'failed');
+    const update = {
+      processingError: failed.length > 0
+        ? `${reprocess ? '重新处理失败' : '处理失败'}: ${failed.map(job => `${job.stage}(${job.lastError})`).join('; ')}`
+        : null
+    };
+
+    if (reprocess || failed.some(job => job.stage === 'extraction')) {
+      // 原有内容仍然可用时保持完成状态，失败原因记录在 processingError 中
+      update.processingStatus = document.markdownContent ? 'completed' : 'failed';
+    }
+    if (reprocess && jobs.some(job => job.status === 'completed')) {
+      update['syncStatus.lastSynced'] = new Date();
+      update.$inc = { 'syncStatus.version': 1 };
+    }
+
+    await Document.findByIdAndUpdate(documentId, update);
+  }
+
+  /**
+   * 恢复中断的文档：处于待处理或处理中、但没有未结束任务的文档重新排队处理
+   * 用于服务启动时处理任务队列上线之前或异常退出时遗留的文档
+   * @returns {Promise<number>} 重新排队的文档数
+   */
+  async recoverInterruptedDocuments() {
+    const documents = await Document.find({
+      processingStatus: { $in: ['pending', 'processing'] },
+      isDeleted: false
+    }).select('userId markdownContent processingStatus').limit(100);
+
+    let recovered = 0;
+    for (const document of documents) {
+      if (await ProcessingJob.hasActiveJobs(document._id)) {
+        continue;
+      }
+
+      await this.jobQueue.enqueueRun(document, DEFAULT_REPROCESS_STAGES, {
+        reprocess: !!document.markdownContent
       });
+      recovered++;
+    }
+
+    return recovered;
+  }
+
+  /**
+   * 执行单个处理阶段
+   * @param {string} stage - 阶段名称，见 REPROCESS_STAGES
+   * @param {Object} document - 文档记录
+   * @param {Object} payload - 任务参数 { reprocess }
+   * @param {Function} [reportProgress] - 进度上报函数 ({ percent, message }) => void
+   * @returns {Promise<Object|null>} 阶段结果摘要：概念、练习题和思维导图阶段为 { validation }（AI输出的修正次数和丢弃的条目）
+   */
+  async _runStage(stage, document, payload = {}, reportProgress = null) {
+    const documentId = document._id;
+    const userId = document.userId;
+    const fileExtractService = this.fileExtractService;
+    const aiService = fileExtractService.aiService;
+    const markdownContent = document.markdownContent;
+
+    if (stage !== 'extraction' && !markdownContent) {
+      const error = new Error('文档尚未提取内容');
+      error.retryable = false;
+      throw error;
+    }
+
+    switch (stage) {
+      case 'extraction': {
+        if (!payload.reprocess) {
+          await Document.findByIdAndUpdate(documentId, { processingStatus: 'processing' });
+        }
+
+        const fileBuffer = await this.getFileBuffer(document.filePath);
+        const { mimeType, options } = this._getExtractionSource(document);
+        let extracted;
+        try {
+          extracted = await fileExtractService.extractContent(documentId, fileBuffer, mimeType, {
+            ...options,
+            onProgress: reportProgress
+          });
+        } catch (error) {
+          // 格式不支持或文件内容无法解析时重试没有意义，下载原文件等失败仍会重试
+          error.retryable = !/不支持|为空|未识别到|未能识别|解析失败|不是有效/.test(error.message);
+          throw error;
+        }
+
+        // 上传流程提取完成即可查看文档，重新处理的状态在运行结束时更新
+        await Document.findByIdAndUpdate(documentId, payload.reprocess
+          ? extracted.update
+          : { ...extracted.update, processingStatus: 'completed', processingError: null });
+        break;
+      }
+      case 'restructure':
+        await fileExtractService.restructureAndSave(documentId, markdownContent, { onProgress: reportProgress, userId });
+        break;
+      case 'summary':
+        await fileExtractService.generateAndSaveSummary(documentId, userId, markdownContent, { onProgress: reportProgress });
+        break;
+      case 'concepts': {
+        let validation = null;
+        const concepts = await fileExtractService.extractAndSaveConcepts(documentId, userId, markdownContent, {
+          onProgress: reportProgress,
+          onValidation: (report) => { validation = report; }
+        });
+        await this._retireStaleConcepts(documentId, concepts);
+        return { validation };
+      }
+      case 'exercises': {
+        const result = await aiService.generateExercises(markdownContent, document.title, {
+          documentId,
+          userId,
+          saveToDatabase: true,
+          onProgress: reportProgress
+        });
+        if (!result.saved) {
+          throw new Error(result.error || '练习题保存失败');
+        }
+        await this._retirePrevious(Exercise, documentId, result.databaseObject);
+        return { validation: result.validation };
+      }
+      case 'mindmap': {
+        const result = await aiService.generateMindMap(markdownContent, {
+          documentId,
+          userId,
+          saveToDatabase: true,
+          onProgress: reportProgress
+        });
+        if (!result.saved) {
+          throw new Error(result.error || '思维导图保存失败');
+        }
+        await this._retirePrevious(MindMap, documentId, result.databaseObject);
+        return { validation: result.validation };
+      }
     }
+    return null;
+  }
+
+  /**
+   * 新概念保存成功后，移除本次未再提取到的旧概念
+   * @param {string} documentId - 文档ID
+   * @param {Array<Object>} concepts - 本次保存的概念记录
+   */
+  async _retireStaleConcepts(documentId, concepts) {
+    await Concept.updateMany(
+      { documentId, isDeleted: false, _id: { $nin: concepts.map(concept => concept._id) } },
+      { isDeleted: true }
+    );
+  }
+
+  /**
+   * 新的练习题或思维导图保存成功后，移除该文档之前生成的练习题或思维导图
+   * @param {Object} Model - Exercise 或 MindMap
+   * @param {string} documentId - 文档ID
+   * @param {Object} saved - 本次保存的记录
+   */
+  async _retirePrevious(Model, documentId, saved) {
+    await Model.updateMany(
+      { documentId, isDeleted: false, _id: { $ne: saved._id } },
+      { isDeleted: true }
+    );
+  }
+
+  /**
+   * 校验并整理要执行的阶段
+   * @param {Array<string>|string} stages - 阶段列表或逗号分隔的字符串
+   * @returns {Array<string>} 阶段列表
+   */
+  _normalizeStages(stages) {
+    if (stages === undefined || stages === null || stages.length === 0) {
+      return [...DEFAULT_REPROCESS_STAGES];
+    }
+
+    const list = (Array.isArray(stages) ? stages : String(stages).split(','))
+      .map(stage => String(stage).trim())
+      .filter(Boolean);
+    const invalid = list.filter(stage => !REPROCESS_STAGES.includes(stage));
+    if (invalid.length > 0) {
+      throw new Error(`无效的处理阶段: ${invalid.join(', ')}，可选值: ${REPROCESS_STAGES.join(', ')}`);
+    }
+
+    return REPROCESS_STAGES.filter(stage => list.includes(stage));
+  }
+
+  /**
+   * 获取原文件的提取参数（URL文档使用保存的HTML快照）
+   * @param {Object} document - 文档记录
+   * @returns {Object} { mimeType, options }
+   */
+  _getExtractionSource(document) {
+    if (document.originalFormat === 'url') {
+      return {
+        mimeType: 'text/html',
+        options: {
+          sourceUrl: document.metadata.url,
+          contentType: document.metadata.mimeType
+        }
+      };
+    }
+
+    return { mimeType: document.metadata.mimeType, options: {} };
   }
 }
 
@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const { Exercise, ExerciseRecord, ExerciseAttempt } = require('../models');
+const GradingService = require('./GradingService');
+
+// 提交时允许超出时间限制的秒数，用于容纳网络延迟
+const SUBMIT_GRACE_SECONDS = 30;
+
+// 判断题可接受的答案写法
+const TRUE_ANSWERS = ['true', 't', 'yes', 'y', '1', '正确', '对', '是', '√'];
+const FALSE_ANSWERS = ['false', 'f', 'no', 'n', '0', '错误', '错', '否', '×'];
+
+/**
+ * 答案文本归一化：统一全角半角和大小写，合并空白
+ */
+function normalizeAnswer(value) {
+  return String(value).normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * 由种子生成的伪随机数序列（mulberry32），同一种子每次得到相同的序列
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 字符串哈希（FNV-1a），用于由作答种子和题目ID派生各题选项顺序的种子
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 打乱后的下标顺序（Fisher-Yates）
+ */
+function shuffledOrder(length, random) {
+  const order = Array.from({ length }, (_, index) => index);
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * 练习作答与评分
+ * 开始作答时记录开始时间和本次的题目，按 Exercise.settings 用本次作答的种子打乱题目和选项顺序，
+ * 作答期间下发的题目不含答案和解析；提交后在服务端评分并保存 ExerciseRecord，
+ * 设置了时间限制的练习超时后不能提交，不允许重复作答的练习只能作答一次
+ */
+class ExerciseService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.gradingService] - 简答题评分服务
+   * @param {Object} [options.aiService] - AI服务，未提供 gradingService 时用于创建简答题评分服务
+   */
+  constructor(options = {}) {
+    this.gradingService = options.gradingService || new GradingService({ aiService: options.aiService });
+  }
+
+  /**
+   * 开始作答，已有未超时的作答时继续该次作答（题目和选项顺序不变）
+   * @param {string} exerciseId - 练习ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { attemptId, exerciseId, title, startedAt, expiresAt, timeLimit, resumed, questions }
+   */
+  async startAttempt(exerciseId, userId) {
+    const exercise = await this._getExercise(exerciseId, userId);
+    const now = new Date();
+
+    const existing = await ExerciseAttempt.findOne({ exerciseId: exercise._id, userId, status: 'in_progress' })
+      .sort({ startedAt: -1 });
+    if (existing) {
+      if (!this._isOverdue(existing, now)) {
+        return this._serveAttempt(exercise, existing, true);
+      }
+      existing.status = 'expired';
+      await existing.save();
+    }
+
+    const { settings } = exercise;
+    if (!settings.allowRetry) {
+      // 超时未提交也算作答过一次；并发开始作答由 singleAttempt 唯一索引保证只创建一次
+      const attempted = await ExerciseAttempt.exists({
+        exerciseId: exercise._id,
+        userId,
+        status: { $in: ['submitted', 'expired'] }
+      });
+      if (attempted) {
+        throw new Error('该练习不允许重复作答');
+      }
+    }
+
+    const seed = crypto.randomInt(0, 2 ** 32);
+    const questionIds = exercise.questions.map(question => question.id);
+    const timeLimit = settings.timeLimit || 0;
+    const attempt = new ExerciseAttempt({
+      exerciseId: exercise._id,
+      userId,
+      documentId: exercise.documentId,
+      questionIds: settings.shuffleQuestions
+        ? shuffledOrder(questionIds.length, createRandom(seed)).map(index => questionIds[index])
+        : questionIds,
+      seed,
+      shuffleOptions: !!settings.shuffleOptions,
+      singleAttempt: !settings.allowRetry,
+      startedAt: now,
+      expiresAt: timeLimit > 0 ? new Date(now.getTime() + timeLimit * 60 * 1000) : null
+    });
+    try {
+      await attempt.save();
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // 并发请求已创建作答中的作答（唯一索引冲突），继续该次作答；
+      // 不允许重复作答的练习已有作答且不在作答中时拒绝
+      const current = await ExerciseAttempt.findOne({ exerciseId: exercise._id, userId, status: 'in_progress' });
+      if (current && !this._isOverdue(current, now)) {
+        return this._serveAttempt(exercise, current, true);
+      }
+      if (!settings.allowRetry) {
+        throw new Error('该练习不允许重复作答');
+      }
+      throw error;
+    }
+
+    return this._serveAttempt(exercise, attempt, false);
+  }
+
+  /**
+   * 提交作答：评分并保存练习记录
+   * @param {string} exerciseId - 练习ID
+   * @param {string} attemptId - 作答ID
+   * @param {string} userId - 用户ID
+   * @param {Object} submission - 提交内容
+   * @param {Array<Object>} submission.answers - 答案 [{ questionId, answer, timeSpent }]，timeSpent 为该题耗时（秒），
+   *   未提供时按总耗时平均分配；未提交的题目按未作答计分
+   * @param {string} [submission.deviceInfo] - 设备信息
+   * @param {boolean} [submission.aiGrading] - 简答题是否使用AI评分，默认见 GradingService
+   * @param {string} [submission.language] - 简答题评分反馈的语言
+   * @returns {Promise<Object>} 评分结果，见 _formatResult
+   */
+  async submitAttempt(exerciseId, attemptId, userId, submission = {}) {
+    const { answers = [], deviceInfo, aiGrading, language } = submission;
+    if (!Array.isArray(answers)) {
+      throw new Error('答案格式不正确，answers 应为数组');
+    }
+
+    const now = new Date();
+    const attempt = await ExerciseAttempt.findOne({ _id: attemptId, exerciseId, userId });
+    if (!attempt) {
+      throw new Error('作答记录不存在或无权访问');
+    }
+    if (attempt.status === 'submitted') {
+      throw new Error('该次作答已提交');
+    }
+    if (attempt.status === 'expired' || this._isOverdue(attempt, now)) {
+      if (attempt.status !== 'expired') {
+        attempt.status = 'expired';
+        await attempt.save();
+      }
+      throw new Error('作答时间已超过限制，无法提交');
+    }
+
+    const unknown = answers.filter(answer => !answer || !attempt.questionIds.includes(String(answer.questionId)));
+    if (unknown.length > 0) {
+      throw new Error(`题目不属于本次作答: ${unknown.map(answer => answer && answer.questionId).join(', ')}`);
+    }
+
+    const exercise = await this._getExercise(exerciseId, userId);
+
+    // 先标记为已提交，避免同时提交时生成多条记录；保存记录失败时恢复为作答中
+    const claimed = await ExerciseAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in_progress' },
+      { status: 'submitted', submittedAt: now },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('该次作答已提交');
+    }
+
+    try {
+      const record = await this._createRecord(exercise, claimed, answers, {
+        deviceInfo,
+        completedAt: now,
+        grading: { aiGrading, language, userId, documentId: exercise.documentId }
+      });
+      claimed.recordId = record._id;
+      await claimed.save();
+      return this._formatResult(exercise, claimed, record);
+    } catch (error) {
+      await ExerciseAttempt.updateOne({ _id: claimed._id }, { status: 'in_progress', submittedAt: null });
+      throw error;
+    }
+  }
+
+  /**
+   * 评判单道题的答案
+   * 选择题可以回答选项字母或选项内容，判断题可以回答 true/false、正确/错误 等；
+   * 简答题由 GradingService 按评分要点给部分分，反馈中列出未答到的要点
+   * @param {Object} question - 题目（打乱选项时为本次作答下发的题目，见 _presentQuestion）
+   * @param {string} userAnswer - 用户答案
+   * @param {Object} [gradingOptions] - 简答题评分选项，见 GradingService.gradeShortAnswer
+   * @returns {Promise<Object>} { isCorrect, points, feedback }
+   */
+  async gradeAnswer(question, userAnswer, gradingOptions = {}) {
+    if (!String(userAnswer).trim()) {
+      return { isCorrect: false, points: 0, feedback: '未作答' };
+    }
+
+    if (question.type === 'short_answer') {
+      const { isCorrect, points, feedback } = await this.gradingService.gradeShortAnswer(question, userAnswer, gradingOptions);
+      return { isCorrect, points, feedback };
+    }
+
+    let isCorrect;
+    switch (question.type) {
+      case 'multiple_choice': {
+        const index = this._optionIndex(question.options, userAnswer);
+        isCorrect = index !== -1 && index === this._optionIndex(question.options, question.correctAnswer);
+        break;
+      }
+      case 'true_false': {
+        const value = this._parseBoolean(userAnswer);
+        isCorrect = value !== null && value === this._parseBoolean(question.correctAnswer);
+        break;
+      }
+      default:
+        isCorrect = normalizeAnswer(userAnswer) === normalizeAnswer(question.correctAnswer);
+    }
+
+    return { isCorrect, points: isCorrect ? question.points : 0 };
+  }
+
+  /**
+   * 选择题答案对应的选项序号：选项字母（A、B…）或与某个选项内容相同，都不是时返回-1
+   */
+  _optionIndex(options = [], answer) {
+    const text = String(answer).trim();
+    if (/^[A-Za-z]$/.test(text)) {
+      const index = text.toUpperCase().charCodeAt(0) - 65;
+      return index < options.length ? index : -1;
+    }
+    return options.findIndex(option => normalizeAnswer(option) === normalizeAnswer(text));
+  }
+
+  /**
+   * 解析判断题答案，无法识别时返回null
+   */
+  _parseBoolean(answer) {
+    const text = normalizeAnswer(answer);
+    if (TRUE_ANSWERS.includes(text)) {
+      return true;
+    }
+    return FALSE_ANSWERS.includes(text) ? false : null;
+  }
+
+  /**
+   * 评分并保存练习记录，得分、正确率和各分布统计由 ExerciseRecord 保存前计算
+   */
+  async _createRecord(exercise, attempt, answers, options = {}) {
+    const { deviceInfo, completedAt, grading } = options;
+    const questions = this._attemptQuestions(exercise, attempt);
+    const submitted = new Map(answers.map(answer => [String(answer.questionId), answer]));
+    const elapsed = Math.max((completedAt.getTime() - attempt.startedAt.getTime()) / 1000, 0);
+    const defaultTimeSpent = questions.length > 0 ? elapsed / questions.length : 0;
+
+    // 逐题评分，AI评分简答题时避免并发调用
+    const gradedAnswers = [];
+    for (const question of questions) {
+      const entry = submitted.get(question.id);
+      const userAnswer = entry && entry.answer !== undefined && entry.answer !== null
+        ? String(entry.answer).slice(0, 2000)
+        : '';
+      const timeSpent = entry && Number.isFinite(Number(entry.timeSpent))
+        ? Math.min(Math.max(Number(entry.timeSpent), 0), elapsed)
+        : defaultTimeSpent;
+      const { isCorrect, points, feedback } = await this.gradeAnswer(question, userAnswer, grading);
+
+      gradedAnswers.push({
+        questionId: question.id,
+        userAnswer,
+        correctAnswer: question.correctAnswer,
+        isCorrect,
+        timeSpent: Math.round(timeSpent),
+        points,
+        maxPoints: question.points,
+        difficulty: question.difficulty,
+        questionType: question.type,
+        feedback
+      });
+    }
+
+    const retryCount = await ExerciseRecord.countDocuments({ exerciseId: exercise._id, userId: attempt.userId });
+    const record = new ExerciseRecord({
+      exerciseId: exercise._id,
+      userId: attempt.userId,
+      documentId: exercise.documentId,
+      answers: gradedAnswers,
+      completedAt,
+      metadata: {
+        deviceInfo: deviceInfo ? String(deviceInfo).slice(0, 200) : undefined,
+        sessionId: String(attempt._id),
+        retryCount
+      }
+    });
+
+    await record.save();
+    return record;
+  }
+
+  /**
+   * 本次作答的题目（按下发顺序，选项已按本次作答打乱），开始作答后被删除的题目不再计入
+   */
+  _attemptQuestions(exercise, attempt) {
+    const questions = new Map(exercise.questions.map(question => [question.id, question]));
+    return attempt.questionIds
+      .filter(id => questions.has(id))
+      .map(id => this._presentQuestion(questions.get(id), attempt));
+  }
+
+  /**
+   * 本次作答看到的题目：打乱选项时按题目ID和作答种子确定选项顺序，
+   * 以字母表示的正确答案换算为打乱后的字母，以选项内容表示的保持不变
+   */
+  _presentQuestion(question, attempt) {
+    const presented = {
+      id: question.id,
+      type: question.type,
+      question: question.question,
+      options: [...(question.options || [])],
+      correctAnswer: question.correctAnswer,
+      explanation: question.explanation,
+      difficulty: question.difficulty,
+      points: question.points,
+      metadata: question.metadata
+    };
+    if (question.type !== 'multiple_choice' || !attempt.shuffleOptions || presented.options.length < 2) {
+      return presented;
+    }
+
+    const order = shuffledOrder(presented.options.length, createRandom(attempt.seed ^ hashString(question.id)));
+    presented.options = order.map(index => question.options[index]);
+
+    const correctIndex = this._optionIndex(question.options, question.correctAnswer);
+    if (correctIndex !== -1 && /^[A-Za-z]$/.test(String(question.correctAnswer).trim())) {
+      presented.correctAnswer = String.fromCharCode(65 + order.indexOf(correctIndex));
+    }
+    return presented;
+  }
+
+  /**
+   * 下发给学习者的题目，不含答案和解析；答案只在提交后的评分结果中返回
+   * @param {Object} exercise - 练习
+   * @param {Object} [attempt] - 作答，提供时按本次作答的顺序和选项顺序，否则按练习中的顺序
+   * @returns {Array<Object>}
+   */
+  serveQuestions(exercise, attempt) {
+    const questions = attempt ? this._attemptQuestions(exercise, attempt) : exercise.questions;
+    return questions.map(question => ({
+      id: question.id,
+      type: question.type,
+      question: question.question,
+      options: question.type === 'multiple_choice' ? question.options : undefined,
+      difficulty: question.difficulty,
+      points: question.points,
+      estimatedTime: question.metadata && question.metadata.estimatedTime
+    }));
+  }
+
+  /**
+   * 作答期间下发的内容
+   */
+  _serveAttempt(exercise, attempt, resumed) {
+    return {
+      attemptId: attempt._id,
+      exerciseId: exercise._id,
+      title: exercise.title,
+      startedAt: attempt.startedAt,
+      expiresAt: attempt.expiresAt,
+      timeLimit: exercise.settings.timeLimit || 0,
+      resumed,
+      questions: this.serveQuestions(exercise, attempt)
+    };
+  }
+
+  /**
+   * 提交后的评分结果，包含每道题的选项（本次作答的顺序）和正确答案，settings.showExplanation 开启时包含解析
+   */
+  _formatResult(exercise, attempt, record) {
+    const questions = new Map(this._attemptQuestions(exercise, attempt).map(question => [question.id, question]));
+    const { showExplanation } = exercise.settings;
+    return {
+      recordId: record._id,
+      attemptId: attempt._id,
+      exerciseId: exercise._id,
+      startedAt: attempt.startedAt,
+      submittedAt: attempt.submittedAt,
+      score: record.score,
+      performance: record.performance,
+      typeBreakdown: record.typeBreakdown,
+      difficultyBreakdown: record.difficultyBreakdown,
+      answers: record.answers.map(answer => ({
+        questionId: answer.questionId,
+        questionType: answer.questionType,
+        options: answer.questionType === 'multiple_choice' ? questions.get(answer.questionId)?.options : undefined,
+        userAnswer: answer.userAnswer,
+        correctAnswer: answer.correctAnswer,
+        isCorrect: answer.isCorrect,
+        points: answer.points,
+        maxPoints: answer.maxPoints,
+        timeSpent: answer.timeSpent,
+        feedback: answer.feedback,
+        explanation: showExplanation ? questions.get(answer.questionId)?.explanation : undefined
+      }))
+    };
+  }
+
+  /**
+   * 用户正在进行的作答（作答中且未超时），没有时返回null
+   * @param {string} exerciseId - 练习ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveAttempt(exerciseId, userId) {
+    const deadline = new Date(Date.now() - SUBMIT_GRACE_SECONDS * 1000);
+    return ExerciseAttempt.findOne({
+      exerciseId,
+      userId,
+      status: 'in_progress',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: deadline } }]
+    }).sort({ startedAt: -1 });
+  }
+
+  /**
+   * 作答是否已超过时间限制（含提交宽限时间）
+   */
+  _isOverdue(attempt, now) {
+    return !!attempt.expiresAt && now.getTime() > attempt.expiresAt.getTime() + SUBMIT_GRACE_SECONDS * 1000;
+  }
+
+  /**
+   * 获取用户的练习
+   */
+  async _getExercise(exerciseId, userId) {
+    const exercise = await Exercise.findOne({ _id: exerciseId, userId, isDeleted: false });
+    if (!exercise) {
+      throw new Error('练习题不存在或无权访问');
+    }
+    return exercise;
+  }
+}
+
+module.exports = ExerciseService;
@@ -1,52 +1,84 @@
-const pdfParse = require('pdf-parse');
+const path = require('path');
+const mammoth = require('mammoth');
+const TurndownService = require('turndown');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { Readability } = require('@mozilla/readability');
+const yaml = require('js-yaml');
 const AIService = require('./AIService');
+const PdfLayoutExtractor = require('./PdfLayoutExtractor');
+const OcrService = require('./OcrService');
 const Document = require('../models/Document');
+const { hashContent } = require('../utils/contentHash');
 const Summary = require('../models/Summary');
 const Concept = require('../models/Concept');
+const { detectHtmlCharset, detectTextCharset, decodeText } = require('../utils/textEncoding');
+
+// 可由AI生成的摘要类型及其生成选项（sections 为按章节摘要，单独生成）
+const SUMMARY_TYPE_OPTIONS = {
+  ai_generated: { length: 'medium', includeKeyPoints: true },
+  detailed: { length: 'long', includeKeyPoints: true },
+  oneline: { variant: 'oneline' },
+  keypoints: { variant: 'keypoints' },
+  sections: null
+};
+
+// Markdown文件的MIME类型
+const MARKDOWN_MIME_TYPES = ['text/markdown', 'text/x-markdown'];
+
+// YAML front-matter：文件开头以 --- 包裹的元数据块
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Word样式名到HTML标签的映射（兼容中文版Word的内置样式名）
+const WORD_STYLE_MAP = [
+  "p[style-name='Title'] => h1:fresh",
+  "p[style-name='Subtitle'] => h2:fresh",
+  "p[style-name='标题'] => h1:fresh",
+  "p[style-name='副标题'] => h2:fresh",
+  "p[style-name='标题 1'] => h1:fresh",
+  "p[style-name='标题 2'] => h2:fresh",
+  "p[style-name='标题 3'] => h3:fresh",
+  "p[style-name='标题 4'] => h4:fresh",
+  "p[style-name='标题 5'] => h5:fresh",
+  "p[style-name='标题 6'] => h6:fresh"
+];
 
 class FileExtractService {
-  constructor() {
+  /**
+   * @param {Object} options - 服务选项
+   * @param {Function} [options.uploadAsset] - 附属资源上传函数 (buffer, key, contentType) => Promise
+   * @param {OcrService} [options.ocrService] - OCR服务，用于图片和扫描版PDF
+   */
+  constructor(options = {}) {
     this.aiService = new AIService();
+    this.pdfLayoutExtractor = new PdfLayoutExtractor();
+    this.ocrService = options.ocrService || new OcrService();
+    this.uploadAsset = options.uploadAsset || null;
   }
 
   /**
-   * 处理文件提取 - 从原始文件转换为markdown
+   * 处理文件提取 - 从原始文件转换为markdown并保存
+   * AI处理由任务队列按阶段执行，见 DocumentService.runJob
    * @param {string} documentId - 文档ID
    * @param {Buffer} fileBuffer - 文件缓冲区
    * @param {string} mimeType - 文件MIME类型
+   * @param {Object} options - 提取选项
+   * @param {string} [options.sourceUrl] - 网页地址（HTML快照用于解析相对链接）
+   * @param {string} [options.contentType] - 网页响应的 Content-Type（用于判断字符集）
+   * @param {Function} [options.onProgress] - 进度回调 ({ percent, message }) => void，目前用于PDF逐页解析和OCR
    * @returns {Promise<string>} markdown内容
    */
-  async extractToMarkdown(documentId, fileBuffer, mimeType) {
+  async extractToMarkdown(documentId, fileBuffer, mimeType, options = {}) {
     try {
-      let markdownContent = '';
-
-      switch (mimeType) {
-        case 'application/pdf':
-          markdownContent = await this.extractPdfToMarkdown(fileBuffer);
-          break;
-        case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-        case 'application/msword':
-          // TODO: 实现Word文档提取
-          markdownContent = await this.extractWordToMarkdown(fileBuffer);
-          break;
-        case 'text/plain':
-          markdownContent = fileBuffer.toString('utf-8');
-          break;
-        default:
-          throw new Error(`不支持的文件类型: ${mimeType}`);
-      }
+      const { markdownContent, update } = await this.extractContent(documentId, fileBuffer, mimeType, options);
 
       // 更新文档的markdown内容
       await Document.findByIdAndUpdate(documentId, {
-        markdownContent,
+        ...update,
         processingStatus: 'completed'
       });
 
-      // 异步处理AI功能
-      this.processAIFeatures(documentId, markdownContent).catch(error => {
-        console.error('AI处理失败:', error);
-      });
-
       return markdownContent;
     } catch (error) {
       // 更新处理状态为失败
@@ -58,44 +90,644 @@ class FileExtractService {
     }
   }
 
+  /**
+   * 提取文件内容，不写入数据库
+   * @param {string} documentId - 文档ID
+   * @param {Buffer} fileBuffer - 文件缓冲区
+   * @param {string} mimeType - 文件MIME类型
+   * @param {Object} options - 提取选项，同 extractToMarkdown
+   * @returns {Promise<Object>} { markdownContent, update }，update 为待写入文档的字段
+   */
+  async extractContent(documentId, fileBuffer, mimeType, options = {}) {
+    let markdownContent = '';
+    // 提取过程中产生的附属资源（如Word内嵌图片）
+    const context = { documentId, assets: [], ...options };
+
+    switch (mimeType) {
+      case 'application/pdf':
+        markdownContent = await this.extractPdfToMarkdown(fileBuffer, context);
+        break;
+      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+        markdownContent = await this.extractWordToMarkdown(fileBuffer, context);
+        break;
+      case 'application/msword':
+        throw new Error('暂不支持旧版Word(.doc)格式，请另存为.docx后重新上传');
+      case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+        markdownContent = await this.extractPptxToMarkdown(fileBuffer, context);
+        break;
+      case 'application/vnd.ms-powerpoint':
+        throw new Error('暂不支持旧版PowerPoint(.ppt)格式，请另存为.pptx后重新上传');
+      case 'text/plain':
+      case 'text/markdown':
+      case 'text/x-markdown':
+        markdownContent = await this.extractTextToMarkdown(fileBuffer, mimeType, context);
+        break;
+      case 'text/html':
+        markdownContent = await this.extractHtmlToMarkdown(fileBuffer, context);
+        break;
+      case 'image/jpeg':
+      case 'image/jpg':
+      case 'image/png':
+      case 'image/gif':
+      case 'image/bmp':
+      case 'image/webp':
+        markdownContent = await this.extractImageToMarkdown(fileBuffer, context);
+        break;
+      default:
+        throw new Error(`不支持的文件类型: ${mimeType}`);
+    }
+
+    const update = {
+      markdownContent,
+      'metadata.wordCount': this._countWords(markdownContent),
+      // 内容哈希，AI生成结果的缓存按此判断内容是否变化
+      'syncStatus.syncHash': hashContent(markdownContent)
+    };
+    if (context.assets.length > 0) {
+      update['metadata.assets'] = context.assets;
+    }
+    if (context.pageCount !== undefined) {
+      update['metadata.pageCount'] = context.pageCount;
+    }
+    if (context.encoding) {
+      update['metadata.encoding'] = context.encoding;
+    }
+    const ocrFailedPages = context.ocrFailedPages || [];
+    if ((context.ocrPages && context.ocrPages.length > 0) || ocrFailedPages.length > 0) {
+      update['metadata.ocr'] = this._buildOcrMetadata(context.ocrPages || [], ocrFailedPages);
+    }
+
+    return { markdownContent, update };
+  }
+
   /**
    * PDF转Markdown
+   * 基于文本的字号、字重和位置识别标题层级、列表、表格和分栏，
+   * 去除重复的页眉页脚，并以 <!-- page: N --> 标记分页位置；
+   * 没有文本层的扫描页通过OCR识别，置信度写入 ocrPages，识别失败的页码写入 ocrFailedPages
+   * @param {Buffer} fileBuffer - 文件缓冲区
+   * @param {Object} context - 提取上下文，会写入页数 pageCount、ocrPages 和 ocrFailedPages
+   * @returns {Promise<string>} markdown内容
    */
-  async extractPdfToMarkdown(fileBuffer) {
+  async extractPdfToMarkdown(fileBuffer, context = {}) {
     try {
-      const data = await pdfParse(fileBuffer);
-      const text = data.text;
-      
-      // 简单的文本到markdown转换
-      // 这里可以根据需要添加更复杂的格式化逻辑
-      const lines = text.split('\n');
-      let markdown = '';
-      
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        if (trimmedLine) {
-          // 简单的标题检测（全大写或特定模式）
-          if (trimmedLine === trimmedLine.toUpperCase() && trimmedLine.length < 100) {
-            markdown += `## ${trimmedLine}\n\n`;
-          } else {
-            markdown += `${trimmedLine}\n\n`;
-          }
+      const result = await this.pdfLayoutExtractor.extract(fileBuffer, {
+        ocrPage: (imageBuffer) => this.ocrService.recognize(imageBuffer),
+        onProgress: context.onProgress && ((current, total, phase) => context.onProgress({
+          percent: current / total * 100,
+          message: phase === 'ocr' ? `正在识别扫描页 ${current}/${total}` : `正在解析第 ${current}/${total} 页`
+        }))
+      });
+      context.pageCount = result.pageCount;
+      context.ocrPages = result.pages
+        .filter(page => page.ocrConfidence !== null)
+        .map(page => ({ pageNumber: page.pageNumber, confidence: page.ocrConfidence }));
+      context.ocrFailedPages = result.pages
+        .filter(page => page.ocrFailed)
+        .map(page => page.pageNumber);
+      return result.markdown;
+    } catch (error) {
+      throw new Error(`PDF解析失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 纯文本和Markdown文件
+   * 按识别出的编码解码后原样保留内容，Markdown文件开头的front-matter不计入正文
+   * @param {Buffer} fileBuffer - 文件缓冲区
+   * @param {string} mimeType - 文件MIME类型
+   * @param {Object} context - 提取上下文，会写入编码 encoding
+   * @returns {Promise<string>} markdown内容
+   */
+  async extractTextToMarkdown(fileBuffer, mimeType, context = {}) {
+    const { content, charset } = this.readTextDocument(fileBuffer, mimeType);
+
+    if (!content.trim()) {
+      throw new Error('文件内容为空');
+    }
+
+    context.encoding = charset;
+    return content;
+  }
+
+  /**
+   * 读取文本文件：识别编码（UTF-8/UTF-16/GBK），Markdown文件同时解析YAML front-matter
+   * @param {Buffer} fileBuffer - 文件缓冲区
+   * @param {string} mimeType - 文件MIME类型
+   * @returns {Object} { content, charset, frontMatter: { title, tags } }
+   */
+  readTextDocument(fileBuffer, mimeType) {
+    const charset = detectTextCharset(fileBuffer);
+    const text = decodeText(fileBuffer, charset).replace(/\r\n?/g, '\n');
+
+    if (!MARKDOWN_MIME_TYPES.includes(mimeType)) {
+      return { content: text, charset, frontMatter: {} };
+    }
+
+    const match = text.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+      return { content: text, charset, frontMatter: {} };
+    }
+
+    let data;
+    try {
+      data = yaml.load(match[1]);
+    } catch (error) {
+      // 无法解析时视为普通正文
+      console.warn('front-matter解析失败:', error.message);
+      return { content: text, charset, frontMatter: {} };
+    }
+
+    return {
+      content: text.slice(match[0].length).replace(/^\n+/, ''),
+      charset,
+      frontMatter: this._normalizeFrontMatter(data)
+    };
+  }
+
+  /**
+   * 从front-matter中提取标题和标签
+   * @param {Object} data - YAML解析结果
+   * @returns {Object} { title, tags }
+   */
+  _normalizeFrontMatter(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return {};
+    }
+
+    const frontMatter = {};
+
+    if (data.title !== undefined && data.title !== null && String(data.title).trim()) {
+      frontMatter.title = String(data.title).trim().slice(0, 200);
+    }
+
+    const rawTags = data.tags !== undefined ? data.tags : data.keywords;
+    if (rawTags !== undefined && rawTags !== null) {
+      const tags = (Array.isArray(rawTags) ? rawTags : String(rawTags).split(/[,，]/))
+        .map(tag => String(tag).trim())
+        .filter(tag => tag && tag.length <= 50);
+      frontMatter.tags = [...new Set(tags)].slice(0, 10);
+    }
+
+    return frontMatter;
+  }
+
+  /**
+   * 网页HTML转Markdown
+   * 通过Readability提取正文（去除导航、广告、评论等），再由turndown转换为Markdown
+   * @param {Buffer} fileBuffer - HTML缓冲区
+   * @param {Object} context - 提取上下文 { sourceUrl, contentType }
+   * @returns {Promise<string>} markdown内容
+   */
+  async extractHtmlToMarkdown(fileBuffer, context = {}) {
+    const html = decodeText(fileBuffer, detectHtmlCharset(fileBuffer, context.contentType));
+
+    // 不执行脚本、不加载外部资源，并屏蔽页面CSS解析错误等日志
+    const dom = new JSDOM(html, {
+      url: context.sourceUrl || undefined,
+      virtualConsole: new VirtualConsole()
+    });
+
+    try {
+      const article = new Readability(dom.window.document).parse();
+      if (!article || !article.content || !article.textContent.trim()) {
+        throw new Error('未能识别网页正文');
+      }
+
+      let markdown = this._createTurndownService().turndown(article.content)
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+      // Readability会把正文中的h1降为h2：首个标题与网页标题一致时提升为一级标题，否则补充网页标题
+      const title = (article.title || '').trim();
+      const firstHeading = markdown.match(/^#{1,6} (.+)/);
+      if (firstHeading && title.includes(firstHeading[1].trim())) {
+        markdown = markdown.replace(/^#{1,6} /, '# ');
+      } else if (title) {
+        markdown = `# ${title}\n\n${markdown}`;
+      }
+
+      return markdown + '\n';
+    } catch (error) {
+      throw new Error(`网页解析失败: ${error.message}`);
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  /**
+   * 图片转Markdown（OCR识别中英文文字）
+   * @param {Buffer} fileBuffer - 文件缓冲区
+   * @param {Object} context - 提取上下文，会写入页数 pageCount 和 ocrPages
+   * @returns {Promise<string>} markdown内容
+   */
+  async extractImageToMarkdown(fileBuffer, context = {}) {
+    let result;
+    try {
+      result = await this.ocrService.recognize(fileBuffer);
+    } catch (error) {
+      throw new Error(`图片识别失败: ${error.message}`);
+    }
+
+    if (!result.markdown) {
+      throw new Error('图片中未识别到文字');
+    }
+
+    context.pageCount = 1;
+    context.ocrPages = [{ pageNumber: 1, confidence: result.confidence }];
+    return result.markdown;
+  }
+
+  /**
+   * Word(.docx)文档转Markdown
+   * 通过mammoth转换为语义化HTML，再由turndown转换为Markdown，
+   * 保留标题层级、列表、表格、粗体/斜体、脚注和内嵌图片
+   * @param {Buffer} fileBuffer - 文件缓冲区
+   * @param {Object} context - 提取上下文 { documentId, assets }
+   * @returns {Promise<string>} markdown内容
+   */
+  async extractWordToMarkdown(fileBuffer, context = { assets: [] }) {
+    try {
+      let imageIndex = 0;
+
+      const result = await mammoth.convertToHtml({ buffer: fileBuffer }, {
+        styleMap: WORD_STYLE_MAP,
+        convertImage: mammoth.images.imgElement(async (image) => {
+          imageIndex += 1;
+          const src = await this._saveWordImage(image, imageIndex, context);
+          return src ? { src } : { src: '', alt: image.altText || `图片${imageIndex}` };
+        })
+      });
+
+      if (result.messages.length > 0) {
+        console.warn('Word文档转换警告:', result.messages.map(message => message.message));
+      }
+
+      const markdown = this._createTurndownService().turndown(result.value);
+      return markdown.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    } catch (error) {
+      throw new Error(`Word文档解析失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 保存Word内嵌图片到对象存储
+   * @param {Object} image - mammoth图片对象
+   * @param {number} index - 图片序号
+   * @param {Object} context - 提取上下文
+   * @returns {Promise<string|null>} 图片访问路径，未配置存储时返回null
+   */
+  async _saveWordImage(image, index, context) {
+    if (!this.uploadAsset || !context.documentId) {
+      return null;
+    }
+
+    const buffer = await image.read();
+    const extension = (image.contentType || 'image/png').split('/')[1].replace('jpeg', 'jpg').replace(/\+.*$/, '');
+    const name = `image-${index}.${extension}`;
+    const key = `documents/${context.documentId}/assets/${name}`;
+
+    await this.uploadAsset(buffer, key, image.contentType);
+
+    context.assets.push({
+      name,
+      key,
+      mimeType: image.contentType,
+      size: buffer.length
+    });
+
+    return `/api/documents/${context.documentId}/assets/${name}`;
+  }
+
+  /**
+   * 创建HTML转Markdown转换器
+   * @returns {TurndownService} 配置好的turndown实例
+   */
+  _createTurndownService() {
+    const turndownService = new TurndownService({
+      headingStyle: 'atx',
+      bulletListMarker: '-',
+      codeBlockStyle: 'fenced',
+      emDelimiter: '*',
+      strongDelimiter: '**'
+    });
+
+    const isNoteItem = (node) => node.nodeName === 'LI' && /^(foot|end)note-\d+$/.test(node.getAttribute('id') || '');
+
+    // 脚注引用: <a href="#footnote-1">[1]</a> => [^1]
+    turndownService.addRule('noteReference', {
+      filter: (node) => node.nodeName === 'A' && /^#(foot|end)note-\d+$/.test(node.getAttribute('href') || ''),
+      replacement: (content, node) => `[^${node.getAttribute('href').replace(/^#(foot|end)note-/, '')}]`
+    });
+
+    // 脚注正文中的返回链接
+    turndownService.addRule('noteBackLink', {
+      filter: (node) => node.nodeName === 'A' && /^#(foot|end)note-ref-\d+$/.test(node.getAttribute('href') || ''),
+      replacement: () => ''
+    });
+
+    // 脚注定义: [^1]: 脚注内容
+    turndownService.addRule('noteDefinition', {
+      filter: isNoteItem,
+      replacement: (content, node) => {
+        const noteId = node.getAttribute('id').replace(/^(foot|end)note-/, '');
+        return `[^${noteId}]: ${content.trim().replace(/\n+/g, ' ')}\n`;
+      }
+    });
+
+    turndownService.addRule('noteList', {
+      filter: (node) => node.nodeName === 'OL' && node.children.length > 0 &&
+        Array.from(node.children).every(isNoteItem),
+      replacement: (content) => `\n\n${content}\n\n`
+    });
+
+    // 表格：首行作为表头输出GFM表格
+    turndownService.addRule('tableCell', {
+      filter: ['th', 'td'],
+      replacement: (content) => ` ${content.trim().replace(/\n+/g, '<br>').replace(/\|/g, '\\|')} |`
+    });
+
+    turndownService.addRule('tableRow', {
+      filter: 'tr',
+      replacement: (content, node) => {
+        let row = `|${content}\n`;
+        const isFirstRow = node.parentNode.firstElementChild === node &&
+          (node.parentNode.nodeName === 'THEAD' || !node.parentNode.previousElementSibling);
+        if (isFirstRow) {
+          row += `|${' --- |'.repeat(node.children.length)}\n`;
         }
+        return row;
       }
-      
-      return markdown;
+    });
+
+    turndownService.addRule('table', {
+      filter: 'table',
+      replacement: (content) => `\n\n${content.replace(/\n+/g, '\n').trim()}\n\n`
+    });
+
+    turndownService.addRule('tableSection', {
+      filter: ['thead', 'tbody', 'tfoot'],
+      replacement: (content) => content
+    });
+
+    return turndownService;
+  }
+
+  /**
+   * PowerPoint(.pptx)演示文稿转Markdown
+   * 每张幻灯片输出为一个二级标题章节，包含标题、分级要点、表格和演讲者备注
+   * @param {Buffer} fileBuffer - 文件缓冲区
+   * @param {Object} context - 提取上下文，会写入幻灯片数量 pageCount
+   * @returns {Promise<string>} markdown内容
+   */
+  async extractPptxToMarkdown(fileBuffer, context = {}) {
+    try {
+      const zip = await JSZip.loadAsync(fileBuffer);
+      const slidePaths = await this._getPptxSlidePaths(zip);
+      const sections = [];
+
+      for (let i = 0; i < slidePaths.length; i++) {
+        const slideXml = await zip.file(slidePaths[i]).async('string');
+        const slide = this._parsePptxSlide(this._parseXml(slideXml));
+        const notes = await this._getPptxSlideNotes(zip, slidePaths[i]);
+
+        sections.push(this._formatPptxSlide(i + 1, slide, notes));
+      }
+
+      context.pageCount = slidePaths.length;
+      return sections.join('\n');
     } catch (error) {
-      throw new Error(`PDF解析失败: ${error.message}`);
+      throw new Error(`PowerPoint解析失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 按演示文稿中的放映顺序获取幻灯片路径
+   * @param {JSZip} zip - pptx压缩包
+   * @returns {Promise<string[]>} 幻灯片文件路径
+   */
+  async _getPptxSlidePaths(zip) {
+    const presentationFile = zip.file('ppt/presentation.xml');
+    if (!presentationFile) {
+      throw new Error('不是有效的pptx文件');
+    }
+
+    const presentation = this._parseXml(await presentationFile.async('string'));
+    const relationships = await this._readPptxRelationships(zip, 'ppt/presentation.xml');
+
+    return this._findXmlElements(presentation.documentElement, 'sldId')
+      .map(slideId => relationships.find(rel => rel.id === slideId.getAttribute('r:id')))
+      .filter(rel => rel && zip.file(rel.target))
+      .map(rel => rel.target);
+  }
+
+  /**
+   * 读取某个部件的关系文件
+   * @param {JSZip} zip - pptx压缩包
+   * @param {string} partPath - 部件路径
+   * @returns {Promise<Array<{id: string, type: string, target: string}>>} 关系列表（target为包内绝对路径）
+   */
+  async _readPptxRelationships(zip, partPath) {
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const relsFile = zip.file(relsPath);
+    if (!relsFile) {
+      return [];
     }
+
+    const rels = this._parseXml(await relsFile.async('string'));
+
+    return this._findXmlElements(rels.documentElement, 'Relationship')
+      .filter(rel => rel.getAttribute('TargetMode') !== 'External')
+      .map(rel => {
+        const target = rel.getAttribute('Target');
+        return {
+          id: rel.getAttribute('Id'),
+          type: rel.getAttribute('Type').split('/').pop(),
+          target: target.startsWith('/')
+            ? target.slice(1)
+            : path.posix.join(path.posix.dirname(partPath), target)
+        };
+      });
+  }
+
+  /**
+   * 解析单张幻灯片的标题、正文要点和表格
+   * @param {Document} slideDoc - 幻灯片XML文档
+   * @returns {Object} { title, bullets: [{ level, text }], tables: [string[][]] }
+   */
+  _parsePptxSlide(slideDoc) {
+    const slide = { title: '', bullets: [], tables: [] };
+
+    for (const shape of this._findXmlElements(slideDoc.documentElement, 'sp')) {
+      const placeholder = this._findXmlElements(shape, 'ph')[0];
+      const placeholderType = placeholder ? placeholder.getAttribute('type') : '';
+      const paragraphs = this._getPptxParagraphs(shape);
+
+      if (['title', 'ctrTitle'].includes(placeholderType) && !slide.title) {
+        slide.title = paragraphs.map(paragraph => paragraph.text).join(' ').trim();
+        continue;
+      }
+
+      // 页码、页脚、日期占位符不属于正文
+      if (['sldNum', 'ftr', 'dt'].includes(placeholderType)) {
+        continue;
+      }
+
+      slide.bullets.push(...paragraphs);
+    }
+
+    for (const table of this._findXmlElements(slideDoc.documentElement, 'tbl')) {
+      const rows = this._findXmlElements(table, 'tr').map(row =>
+        this._findXmlElements(row, 'tc').map(cell =>
+          this._getPptxParagraphs(cell).map(paragraph => paragraph.text).join(' ')
+        )
+      );
+      if (rows.length > 0) {
+        slide.tables.push(rows);
+      }
+    }
+
+    return slide;
+  }
+
+  /**
+   * 获取形状中的段落文本及层级
+   * @param {Element} node - 形状或单元格节点
+   * @returns {Array<{level: number, text: string}>} 非空段落
+   */
+  _getPptxParagraphs(node) {
+    return this._findXmlElements(node, 'p')
+      .filter(paragraph => paragraph.namespaceURI === 'http://schemas.openxmlformats.org/drawingml/2006/main')
+      .map(paragraph => {
+        const properties = this._findXmlElements(paragraph, 'pPr')[0];
+        const level = properties ? parseInt(properties.getAttribute('lvl')) || 0 : 0;
+        const text = this._findXmlElements(paragraph, 'r')
+          .map(run => {
+            const runText = this._findXmlElements(run, 't').map(t => t.textContent).join('');
+            const runProperties = this._findXmlElements(run, 'rPr')[0];
+            const isBold = runProperties && runProperties.getAttribute('b') === '1';
+            return isBold && runText.trim() ? `**${runText.trim()}**` : runText;
+          })
+          .join('')
+          .trim();
+        return { level, text };
+      })
+      .filter(paragraph => paragraph.text);
+  }
+
+  /**
+   * 获取幻灯片的演讲者备注
+   * @param {JSZip} zip - pptx压缩包
+   * @param {string} slidePath - 幻灯片路径
+   * @returns {Promise<string>} 备注文本
+   */
+  async _getPptxSlideNotes(zip, slidePath) {
+    const relationships = await this._readPptxRelationships(zip, slidePath);
+    const notesRel = relationships.find(rel => rel.type === 'notesSlide');
+    if (!notesRel || !zip.file(notesRel.target)) {
+      return '';
+    }
+
+    const notesDoc = this._parseXml(await zip.file(notesRel.target).async('string'));
+
+    return this._findXmlElements(notesDoc.documentElement, 'sp')
+      .filter(shape => {
+        const placeholder = this._findXmlElements(shape, 'ph')[0];
+        return placeholder && placeholder.getAttribute('type') === 'body';
+      })
+      .flatMap(shape => this._getPptxParagraphs(shape).map(paragraph => paragraph.text))
+      .join('\n');
+  }
+
+  /**
+   * 将解析后的幻灯片格式化为Markdown章节
+   * @param {number} index - 幻灯片序号（从1开始）
+   * @param {Object} slide - 幻灯片内容
+   * @param {string} notes - 演讲者备注
+   * @returns {string} markdown章节
+   */
+  _formatPptxSlide(index, slide, notes) {
+    let markdown = `## 幻灯片 ${index}${slide.title ? `：${slide.title}` : ''}\n\n`;
+
+    if (slide.bullets.length > 0) {
+      markdown += slide.bullets
+        .map(bullet => `${'  '.repeat(bullet.level)}- ${bullet.text}`)
+        .join('\n') + '\n\n';
+    }
+
+    for (const rows of slide.tables) {
+      const columnCount = Math.max(...rows.map(row => row.length));
+      const formatRow = (row) => `| ${Array.from({ length: columnCount }, (_, i) => (row[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+
+      markdown += formatRow(rows[0]) + '\n';
+      markdown += `|${' --- |'.repeat(columnCount)}\n`;
+      markdown += rows.slice(1).map(formatRow).join('\n');
+      markdown += rows.length > 1 ? '\n\n' : '\n';
+    }
+
+    if (notes) {
+      markdown += notes.split('\n').map(line => `> ${line}`).join('\n').replace(/^> /, '> **备注：** ') + '\n\n';
+    }
+
+    return markdown;
+  }
+
+  /**
+   * 解析XML字符串
+   * @param {string} xml - XML内容
+   * @returns {Document} XML文档
+   */
+  _parseXml(xml) {
+    return new DOMParser().parseFromString(xml, 'text/xml');
+  }
+
+  /**
+   * 按本地名称查找所有后代元素（忽略命名空间前缀）
+   * @param {Node} node - 起始节点
+   * @param {string} localName - 元素本地名称
+   * @returns {Element[]} 匹配的元素
+   */
+  _findXmlElements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
   }
 
   /**
-   * Word文档转Markdown (占位符)
+   * 汇总OCR置信度，标记低于阈值的页面
+   * @param {Array} ocrPages - [{ pageNumber, confidence }]
+   * @param {Array<number>} [failedPages] - 识别失败的页码
+   * @returns {Object} 文档的OCR元数据
    */
-  async extractWordToMarkdown(fileBuffer) {
-    // TODO: 实现Word文档解析
-    // 可以使用mammoth.js或其他库
-    throw new Error('Word文档解析功能待实现');
+  _buildOcrMetadata(ocrPages, failedPages = []) {
+    const pages = ocrPages.map(page => ({
+      pageNumber: page.pageNumber,
+      confidence: page.confidence,
+      lowConfidence: this.ocrService.isLowConfidence(page.confidence)
+    }));
+    const total = pages.reduce((sum, page) => sum + page.confidence, 0);
+
+    return {
+      engine: this.ocrService.engine,
+      languages: this.ocrService.languages,
+      averageConfidence: pages.length > 0 ? Math.round(total / pages.length * 100) / 100 : null,
+      lowConfidencePages: pages.filter(page => page.lowConfidence).map(page => page.pageNumber),
+      failedPages,
+      pages
+    };
+  }
+
+  /**
+   * 统计字数：中日韩字符按字计数，其他语言按单词计数
+   * @param {string} markdown - markdown内容
+   * @returns {number} 字数
+   */
+  _countWords(markdown) {
+    const text = markdown
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+      .replace(/[#>*_`|\-\[\]()]/g, ' ');
+    const cjkCount = (text.match(/[\u3400-\u9fff\uf900-\ufaff]/g) || []).length;
+    const wordCount = (text.replace(/[\u3400-\u9fff\uf900-\ufaff]/g, ' ').match(/[A-Za-z0-9\u00c0-\u024f]+(?:['’][A-Za-z]+)?/g) || []).length;
+    return cjkCount + wordCount;
   }
 
   /**
@@ -109,15 +741,7 @@ class FileExtractService {
       }
 
       // 1. AI重构文档内容
-      const restructuredContent = await this.aiService.restructureDocument(markdownContent, {
-        style: 'academic',
-        language: 'zh'
-      });
-
-      // 更新文档的重构内容
-      await Document.findByIdAndUpdate(documentId, {
-        restructuredContent
-      });
+      await this.restructureAndSave(documentId, markdownContent, { userId: document.userId });
 
       // 2. 并行处理摘要和概念提取
       const [summaryResult, conceptsResult] = await Promise.allSettled([
@@ -139,101 +763,208 @@ class FileExtractService {
     }
   }
 
+  /**
+   * AI重构文档内容并保存
+   * @param {Object} options - 选项 { onProgress, userId }，userId 用于记录AI用量
+   * @returns {Promise<string>} 重构后的内容
+   */
+  async restructureAndSave(documentId, markdownContent, options = {}) {
+    const restructuredContent = await this.aiService.restructureDocument(markdownContent, {
+      style: 'academic',
+      language: 'zh',
+      onProgress: options.onProgress,
+      userId: options.userId,
+      documentId
+    });
+
+    return this.saveRestructuredContent(documentId, restructuredContent);
+  }
+
+  /**
+   * 保存AI重构内容
+   * @returns {Promise<string>} 重构后的内容
+   */
+  async saveRestructuredContent(documentId, restructuredContent) {
+    await Document.findByIdAndUpdate(documentId, {
+      restructuredContent
+    });
+
+    return restructuredContent;
+  }
+
   /**
    * 生成并保存摘要
+   * 已有同类型的摘要时在生成成功后更新为新版本（每个文档每种类型只保留一条摘要）
+   * @param {Object} options - 选项 { type, onProgress }，type 为摘要类型（见 SUMMARY_TYPE_OPTIONS），默认 ai_generated
+   * @returns {Promise<Object>} 摘要记录
    */
-  async generateAndSaveSummary(documentId, userId, markdownContent) {
+  async generateAndSaveSummary(documentId, userId, markdownContent, options = {}) {
+    const { type = 'ai_generated' } = options;
+    if (!FileExtractService.isGeneratedSummaryType(type)) {
+      throw new Error(`不支持生成的摘要类型: ${type}`);
+    }
+
     try {
-      const summaryContent = await this.aiService.generateSummary(markdownContent, {
-        length: 'medium',
-        language: 'zh',
-        includeKeyPoints: true
-      });
+      const context = { language: 'zh', onProgress: options.onProgress, userId, documentId };
+      if (type === 'sections') {
+        const sections = await this.aiService.generateSectionSummaries(markdownContent, context);
+        return await this.saveSummary(documentId, userId, null, markdownContent.length, { type, sections });
+      }
 
-      // 保存到Summary集合
-      const summary = new Summary({
-        documentId,
-        userId,
-        content: summaryContent,
-        type: 'ai_generated',
-        metadata: {
-          aiModel: this.aiService.model,
-          generatedAt: new Date(),
-          contentLength: markdownContent.length
-        }
+      const summaryContent = await this.aiService.generateSummary(markdownContent, {
+        ...SUMMARY_TYPE_OPTIONS[type],
+        ...context
       });
 
-      await summary.save();
-      return summary;
+      return await this.saveSummary(documentId, userId, summaryContent, markdownContent.length, { type });
     } catch (error) {
-      throw new Error(`摘要生成失败: ${error.message}`);
+      const wrapped = new Error(`摘要生成失败: ${error.message}`);
+      // 保留是否可重试的标记（如超出AI用量配额时任务不再重试）
+      wrapped.retryable = error.retryable;
+      wrapped.code = error.code;
+      wrapped.quota = error.quota;
+      throw wrapped;
     }
   }
 
+  /**
+   * 保存AI摘要，已有同类型的摘要时更新为新版本
+   * @param {string} summaryContent - 摘要内容，按章节摘要时为null（由各章节摘要拼接）
+   * @param {number} contentLength - 原文长度
+   * @param {Object} [options] - 保存选项
+   * @param {string} [options.type='ai_generated'] - 摘要类型
+   * @param {Array<Object>} [options.sections] - 按章节摘要的各章节 [{ heading, level, path, offset, summary }]
+   * @param {string} [options.language='zh'] - 生成摘要使用的语言，用于记录提示词模板引用
+   * @returns {Promise<Object>} 摘要记录
+   */
+  async saveSummary(documentId, userId, summaryContent, contentLength, options = {}) {
+    const { type = 'ai_generated', sections, language = 'zh' } = options;
+    const template = await this.aiService.prompts.get('summary', language);
+    const content = sections
+      ? sections.map(section => section.heading ? `## ${section.heading}\n\n${section.summary}` : section.summary).join('\n\n').slice(0, 10000)
+      : summaryContent;
+
+    const existingSummary = await Summary.findOne({ documentId, type });
+    if (existingSummary) {
+      existingSummary.isDeleted = false;
+      existingSummary.metadata.aiModel = this.aiService.model;
+      existingSummary.metadata.prompt = template.ref;
+      if (sections) {
+        existingSummary.sections = sections;
+      }
+      return await existingSummary.updateVersion(content);
+    }
+
+    // 保存到Summary集合
+    const summary = new Summary({
+      documentId,
+      userId,
+      content,
+      type,
+      sections: sections || [],
+      metadata: {
+        aiModel: this.aiService.model,
+        generatedAt: new Date(),
+        contentLength,
+        prompt: template.ref
+      }
+    });
+
+    await summary.save();
+    return summary;
+  }
+
+  /**
+   * 是否为可由AI生成的摘要类型
+   * @param {string} type - 摘要类型
+   * @returns {boolean}
+   */
+  static isGeneratedSummaryType(type) {
+    return Object.prototype.hasOwnProperty.call(SUMMARY_TYPE_OPTIONS, type);
+  }
+
   /**
    * 提取并保存概念
+   * @param {Object} options - 选项 { onProgress, onValidation }
    */
-  async extractAndSaveConcepts(documentId, userId, markdownContent) {
+  async extractAndSaveConcepts(documentId, userId, markdownContent, options = {}) {
     try {
       const concepts = await this.aiService.extractConcepts(markdownContent, {
         maxConcepts: 10,
-        language: 'zh'
+        language: 'zh',
+        onProgress: options.onProgress,
+        onValidation: options.onValidation,
+        userId,
+        documentId
       });
 
-      const savedConcepts = [];
+      return await this.saveConcepts(documentId, userId, concepts);
+    } catch (error) {
+      const wrapped = new Error(`概念提取失败: ${error.message}`);
+      // 保留是否可重试的标记（如超出AI用量配额时任务不再重试）
+      wrapped.retryable = error.retryable;
+      throw wrapped;
+    }
+  }
 
-      for (const conceptData of concepts) {
-        // 检查概念是否已存在
-        const existingConcept = await Concept.findOne({
-          documentId,
-          term: conceptData.term
-        });
+  /**
+   * 保存提取的概念，同一文档中已有的同名概念更新定义并追加出现位置
+   * @param {Array<Object>} concepts - AI提取的概念
+   * @returns {Promise<Array<Object>>} 保存后的概念记录
+   */
+  async saveConcepts(documentId, userId, concepts) {
+    const savedConcepts = [];
 
-        if (existingConcept) {
-          // 更新现有概念
-          existingConcept.definition = conceptData.definition;
-          existingConcept.category = conceptData.category;
-          existingConcept.importance = conceptData.importance;
-          
-          // 添加新的出现位置
-          if (conceptData.occurrences) {
-            for (const occurrence of conceptData.occurrences) {
-              await existingConcept.addOccurrence(
-                occurrence.position,
-                occurrence.context,
-                occurrence.confidence
-              );
-            }
-          }
+    for (const conceptData of concepts) {
+      // 检查概念是否已存在
+      const existingConcept = await Concept.findOne({
+        documentId,
+        term: conceptData.term
+      });
 
-          await existingConcept.save();
-          savedConcepts.push(existingConcept);
-        } else {
-          // 创建新概念
-          const concept = new Concept({
-            term: conceptData.term,
-            definition: conceptData.definition,
-            documentId,
-            userId,
-            category: conceptData.category,
-            importance: conceptData.importance,
-            occurrences: conceptData.occurrences || [],
-            metadata: {
-              extractionMethod: 'ai',
-              aiModel: this.aiService.model,
-              extractionConfidence: 0.8
-            }
-          });
-
-          await concept.save();
-          savedConcepts.push(concept);
+      if (existingConcept) {
+        // 更新现有概念（包括此前重新处理时被移除的概念）
+        existingConcept.isDeleted = false;
+        existingConcept.definition = conceptData.definition;
+        existingConcept.category = conceptData.category;
+        existingConcept.importance = conceptData.importance;
+        
+        // 添加新的出现位置
+        if (conceptData.occurrences) {
+          for (const occurrence of conceptData.occurrences) {
+            await existingConcept.addOccurrence(
+              occurrence.position,
+              occurrence.context,
+              occurrence.confidence
+            );
+          }
         }
-      }
 
-      return savedConcepts;
-    } catch (error) {
-      throw new Error(`概念提取失败: ${error.message}`);
+        await existingConcept.save();
+        savedConcepts.push(existingConcept);
+      } else {
+        // 创建新概念
+        const concept = new Concept({
+          term: conceptData.term,
+          definition: conceptData.definition,
+          documentId,
+          userId,
+          category: conceptData.category,
+          importance: conceptData.importance,
+          occurrences: conceptData.occurrences || [],
+          metadata: {
+            extractionMethod: 'ai',
+            aiModel: this.aiService.model,
+            extractionConfidence: 0.8
+          }
+        });
+
+        await concept.save();
+        savedConcepts.push(concept);
+      }
     }
+
+    return savedConcepts;
   }
 }
 
@@ -0,0 +1,186 @@
+const AIService = require('./AIService');
+const { hashContent } = require('../utils/contentHash');
+
+// 要点的词覆盖率达到该比例即视为答到
+const KEY_POINT_COVERAGE = 0.6;
+
+// 得分达到满分的该比例即记为答对
+const PASS_RATIO = 0.6;
+
+// 参考答案拆分出的要点数上限（题目没有 keywordsCovered 时使用）
+const MAX_DERIVED_KEY_POINTS = 5;
+
+/**
+ * 文本归一化：统一全角半角和大小写
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 切分为用于比较的词：英文、数字按单词，中文等按相邻两字
+ * @param {string} text - 文本
+ * @returns {Set<string>}
+ */
+function tokenize(text) {
+  const tokens = new Set();
+  const segments = normalizeText(text).match(/[a-z0-9]+|[^\sa-z0-9\p{P}\p{S}]+/gu) || [];
+  for (const segment of segments) {
+    if (/^[a-z0-9]+$/.test(segment) || segment.length === 1) {
+      tokens.add(segment);
+      continue;
+    }
+    for (let i = 0; i < segment.length - 1; i++) {
+      tokens.add(segment.slice(i, i + 2));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 简答题评分
+ * 按评分要点（题目的 metadata.keywordsCovered，没有时由参考答案拆分）给分：默认在本地按词覆盖率判断每个要点是否答到，
+ * 开启AI评分时由AI按要点评分，AI调用失败时退回本地评分；按答到的要点给部分分，反馈中列出未答到的要点
+ */
+class GradingService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.aiService] - AI服务
+   * @param {boolean} [options.aiGrading] - 是否使用AI评分，默认读取环境变量 SHORT_ANSWER_AI_GRADING
+   */
+  constructor(options = {}) {
+    this.aiService = options.aiService || new AIService();
+    this.aiGrading = options.aiGrading !== undefined
+      ? options.aiGrading
+      : process.env.SHORT_ANSWER_AI_GRADING === 'true';
+  }
+
+  /**
+   * 为简答题答案评分
+   * @param {Object} question - 题目 { question, correctAnswer, points, metadata: { keywordsCovered } }
+   * @param {string} answer - 用户答案
+   * @param {Object} [options] - 评分选项
+   * @param {boolean} [options.aiGrading] - 是否使用AI评分，默认为构造时的设置
+   * @param {string} [options.language='zh'] - AI评分反馈的语言
+   * @param {string} [options.userId] - 用户ID，用于AI用量统计和配额
+   * @param {string} [options.documentId] - 文档ID，用于AI用量统计
+   * @returns {Promise<Object>} { isCorrect, points, feedback, method, coveredKeyPoints, missedKeyPoints }，
+   *   method 为 ai 或 keywords
+   */
+  async gradeShortAnswer(question, answer, options = {}) {
+    const { aiGrading = this.aiGrading, language = 'zh', userId, documentId } = options;
+    const maxPoints = question.points || 0;
+    const keyPoints = this.getKeyPoints(question);
+
+    if (!String(answer || '').trim()) {
+      return this._result({ maxPoints, score: 0, keyPoints, covered: [], method: 'keywords' });
+    }
+
+    if (aiGrading) {
+      try {
+        const grading = await this.aiService.gradeShortAnswer({
+          question: question.question,
+          referenceAnswer: question.correctAnswer,
+          keyPoints,
+          answer,
+          maxPoints
+        }, {
+          language,
+          userId,
+          documentId,
+          contentHash: hashContent(JSON.stringify([question.question, question.correctAnswer, keyPoints, answer, maxPoints]))
+        });
+        return this._result({
+          maxPoints,
+          score: grading.score,
+          keyPoints,
+          covered: grading.coveredKeyPoints,
+          method: 'ai',
+          comment: grading.feedback
+        });
+      } catch (error) {
+        console.error('AI grading failed, falling back to keyword matching:', error.message);
+      }
+    }
+
+    const answerTokens = tokenize(answer);
+    const compactAnswer = normalizeText(answer).replace(/[\s\p{P}\p{S}]+/gu, '');
+    const covered = [];
+    keyPoints.forEach((point, index) => {
+      if (this._matchesKeyPoint(point, compactAnswer, answerTokens)) {
+        covered.push(index);
+      }
+    });
+
+    const score = keyPoints.length > 0 ? maxPoints * covered.length / keyPoints.length : 0;
+    return this._result({ maxPoints, score, keyPoints, covered, method: 'keywords' });
+  }
+
+  /**
+   * 题目的评分要点：优先使用 metadata.keywordsCovered，没有时按句拆分参考答案
+   * @param {Object} question - 题目
+   * @returns {Array<string>}
+   */
+  getKeyPoints(question) {
+    const keywords = ((question.metadata && question.metadata.keywordsCovered) || [])
+      .map(keyword => String(keyword).trim())
+      .filter(Boolean);
+    if (keywords.length > 0) {
+      return [...new Set(keywords)];
+    }
+
+    const reference = String(question.correctAnswer || '').trim();
+    const sentences = reference.split(/[。；;！!？?\n]+|\.\s+/).map(sentence => sentence.trim()).filter(Boolean);
+    if (sentences.length === 0 || sentences.length > MAX_DERIVED_KEY_POINTS) {
+      return reference ? [reference] : [];
+    }
+    return sentences;
+  }
+
+  /**
+   * 要点是否答到：答案中出现要点原文（忽略空白和标点），或要点的词有足够比例出现在答案中
+   */
+  _matchesKeyPoint(point, compactAnswer, answerTokens) {
+    const compactPoint = normalizeText(point).replace(/[\s\p{P}\p{S}]+/gu, '');
+    if (compactPoint && compactAnswer.includes(compactPoint)) {
+      return true;
+    }
+
+    const pointTokens = tokenize(point);
+    if (pointTokens.size === 0) {
+      return false;
+    }
+    const matched = [...pointTokens].filter(token => answerTokens.has(token)).length;
+    return matched / pointTokens.size >= KEY_POINT_COVERAGE;
+  }
+
+  /**
+   * 汇总评分结果，得分保留一位小数
+   */
+  _result({ maxPoints, score, keyPoints, covered, method, comment }) {
+    const points = Math.round(Math.min(Math.max(score, 0), maxPoints) * 10) / 10;
+    const coveredKeyPoints = keyPoints.filter((_, index) => covered.includes(index));
+    const missedKeyPoints = keyPoints.filter((_, index) => !covered.includes(index));
+
+    const parts = [];
+    if (comment) {
+      parts.push(comment.replace(/[。.！!]+$/, ''));
+    }
+    if (missedKeyPoints.length > 0) {
+      parts.push(`未答到的要点：${missedKeyPoints.join('；')}`);
+    } else if (!comment) {
+      parts.push('答案覆盖了全部要点');
+    }
+
+    return {
+      isCorrect: maxPoints > 0 && points >= maxPoints * PASS_RATIO,
+      points,
+      feedback: `得分 ${points}/${maxPoints}，${parts.join('。')}`.slice(0, 1000),
+      method,
+      coveredKeyPoints,
+      missedKeyPoints
+    };
+  }
+}
+
+module.exports = GradingService;
@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const os = require('os');
+const ProcessingJob = require('../models/ProcessingJob');
+const processingEvents = require('./ProcessingEvents');
+
+// 同一运行中未结束的任务状态
+const ACTIVE_STATUSES = ['waiting', 'pending', 'processing'];
+
+// 进度事件的最短发布间隔（百分比不变时）
+const PROGRESS_THROTTLE = 500;
+
+/**
+ * 文档处理任务队列
+ * 任务持久化在MongoDB中，服务重启后未完成的任务会被重新执行。
+ * 同一次处理的各阶段任务共享runId：提取阶段完成前，其余阶段处于waiting状态；
+ * 提取失败时其余阶段被取消，AI阶段之间互不影响。
+ */
+class JobQueue {
+  /**
+   * @param {Object} options - 队列配置
+   * @param {number} [options.concurrency] - 同时执行的任务数
+   * @param {number} [options.pollInterval] - 轮询间隔（毫秒）
+   * @param {number} [options.maxAttempts] - 每个任务的最大尝试次数
+   * @param {number} [options.backoffBase] - 重试退避的基础时间（毫秒），按次数翻倍
+   * @param {number} [options.backoffMax] - 重试退避的最长时间（毫秒）
+   * @param {number} [options.staleTimeout] - 处理中任务超过该时间未更新视为中断（毫秒）
+   * @param {number} [options.heartbeatInterval] - 执行中任务更新锁定时间的间隔（毫秒）
+   * @param {ProcessingEvents} [options.events] - 进度事件发布器
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL, 10) || 2000;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+    this.backoffBase = options.backoffBase || 5000;
+    this.backoffMax = options.backoffMax || 5 * 60 * 1000;
+    this.staleTimeout = options.staleTimeout || parseInt(process.env.JOB_STALE_TIMEOUT, 10) || 2 * 60 * 1000;
+    this.heartbeatInterval = options.heartbeatInterval || Math.floor(this.staleTimeout / 4);
+    this.events = options.events || processingEvents;
+
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.handler = null;
+    this.running = false;
+    this.polling = false;
+    this.pollAgain = false;
+    this.activeCount = 0;
+    this.timer = null;
+    this.lastStaleCheck = 0;
+  }
+
+  /**
+   * 设置任务处理器
+   * @param {Object} handler - 处理器
+   * @param {Function} handler.runJob - (job, reportProgress) => Promise，执行单个阶段，返回值作为任务结果（result）保存，
+   *   抛出 retryable=false 的错误时不再重试；
+   *   reportProgress({ percent, message }) 用于发布阶段进度
+   * @param {Function} [handler.onRunSettled] - (runId, jobs) => Promise，一次运行的所有任务结束后调用
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * 为文档创建一次处理运行，每个阶段一个任务
+   * @param {Object} document - 文档记录
+   * @param {Array<string>} stages - 要执行的阶段
+   * @param {Object} payload - 附加参数（如 { reprocess: true }）
+   * @returns {Promise<Object>} { runId, jobs }
+   */
+  async enqueueRun(document, stages, payload = {}) {
+    const runId = crypto.randomUUID();
+    const gated = stages.includes('extraction');
+
+    const jobs = await ProcessingJob.insertMany(stages.map(stage => ({
+      documentId: document._id,
+      userId: document.userId,
+      runId,
+      stage,
+      status: gated && stage !== 'extraction' ? 'waiting' : 'pending',
+      payload,
+      maxAttempts: this.maxAttempts
+    })));
+
+    this._schedule(0);
+
+    return { runId, jobs };
+  }
+
+  /**
+   * 开始轮询执行任务
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    if (!this.handler) {
+      throw new Error('任务队列未设置处理器');
+    }
+
+    this.running = true;
+    this.lastStaleCheck = Date.now();
+    this._schedule(0);
+  }
+
+  /**
+   * 停止领取新任务，执行中的任务在重启后由 recoverStaleJobs 恢复
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 恢复中断的任务：处理中但锁定时间已过期的任务重新排队，尝试次数用尽的标记为失败
+   * @returns {Promise<number>} 恢复的任务数
+   */
+  async recoverStaleJobs() {
+    const threshold = new Date(Date.now() - this.staleTimeout);
+    const staleJobs = await ProcessingJob.find({
+      status: 'processing',
+      lockedAt: { $lt: threshold }
+    });
+
+    let recovered = 0;
+    for (const job of staleJobs) {
+      const settled = await this._recordFailure(job, new Error('任务处理中断（服务重启或执行超时）'), {
+        status: 'processing',
+        lockedAt: job.lockedAt
+      });
+      if (settled) {
+        recovered++;
+        await this._checkRunSettled(job.runId);
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * 计算重试退避时间
+   * @param {number} attempt - 已尝试次数（从1开始）
+   * @returns {number} 毫秒
+   */
+  getBackoff(attempt) {
+    return Math.min(this.backoffBase * Math.pow(2, Math.max(attempt - 1, 0)), this.backoffMax);
+  }
+
+  /**
+   * 安排下一次轮询
+   */
+  _schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._poll(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * 领取任务直到达到并发上限
+   */
+  async _poll() {
+    // 轮询期间有任务结束时，结束后再领取一次
+    if (this.polling) {
+      this.pollAgain = true;
+      return;
+    }
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastStaleCheck >= this.staleTimeout) {
+        this.lastStaleCheck = Date.now();
+        await this.recoverStaleJobs();
+      }
+
+      do {
+        this.pollAgain = false;
+        while (this.running && this.activeCount < this.concurrency) {
+          const job = await ProcessingJob.claimNext(this.workerId);
+          if (!job) {
+            break;
+          }
+
+          this.activeCount++;
+          this._execute(job)
+            .catch(error => console.error('任务状态更新失败:', error))
+            .finally(() => {
+              this.activeCount--;
+              this._schedule(0);
+            });
+        }
+      } while (this.pollAgain && this.running);
+    } catch (error) {
+      console.error('任务队列轮询失败:', error);
+    } finally {
+      this.polling = false;
+    }
+
+    this._schedule(this.pollInterval);
+  }
+
+  /**
+   * 执行单个任务并记录结果
+   * @param {Object} job - 已领取的任务
+   */
+  async _execute(job) {
+    // 定期更新锁定时间，避免长时间运行的任务被误判为中断
+    const heartbeat = setInterval(() => {
+      ProcessingJob.updateOne({ _id: job._id, lockedBy: this.workerId }, { lockedAt: new Date() })
+        .catch(error => console.error('任务心跳更新失败:', error));
+    }, this.heartbeatInterval);
+    heartbeat.unref();
+
+    this._publishStage(job, 'started', { attempt: job.attempts });
+
+    try {
+      const result = await this.handler.runJob(job, this._createProgressReporter(job));
+      clearInterval(heartbeat);
+
+      // 任务锁定过期后可能已被恢复并由其他进程重新执行，此时不再记录结果
+      const { modifiedCount } = await ProcessingJob.updateOne({ _id: job._id, lockedBy: this.workerId }, {
+        status: 'completed',
+        completedAt: new Date(),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: null,
+        result: result || null
+      });
+      if (modifiedCount === 0) {
+        console.warn(`任务已被其他进程接管，忽略本次结果 [${job.stage}]`);
+        return;
+      }
+      this._publishStage(job, 'completed', { attempt: job.attempts, percent: 100 });
+
+      // 提取完成后，放行同一运行中等待的AI阶段
+      if (job.stage === 'extraction') {
+        await ProcessingJob.updateMany(
+          { runId: job.runId, status: 'waiting' },
+          { status: 'pending', runAt: new Date() }
+        );
+      }
+    } catch (error) {
+      clearInterval(heartbeat);
+      console.error(`任务执行失败 [${job.stage}]:`, error.message);
+      await this._recordFailure(job, error, { lockedBy: this.workerId });
+    }
+
+    await this._checkRunSettled(job.runId);
+  }
+
+  /**
+   * 记录任务失败：可重试时按退避时间重新排队，否则标记为失败
+   * @param {Object} job - 任务
+   * @param {Error} error - 错误
+   * @param {Object} condition - 更新条件，防止覆盖已被其他进程处理的任务
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  async _recordFailure(job, error, condition = {}) {
+    const retry = error.retryable !== false && job.attempts < job.maxAttempts;
+    const now = new Date();
+    const nextRunAt = new Date(now.getTime() + this.getBackoff(job.attempts));
+
+    const result = await ProcessingJob.updateOne({ _id: job._id, ...condition }, {
+      $set: {
+        status: retry ? 'pending' : 'failed',
+        runAt: retry ? nextRunAt : job.runAt,
+        completedAt: retry ? null : now,
+        lockedAt: null,
+        lockedBy: null,
+        lastError: error.message
+      },
+      $push: {
+        errorHistory: { attempt: job.attempts, message: error.message, occurredAt: now }
+      }
+    });
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    this._publishStage(job, retry ? 'retrying' : 'failed', {
+      attempt: job.attempts,
+      error: error.message,
+      ...(retry && { nextRunAt: nextRunAt.toISOString() })
+    });
+
+    // 提取失败后，后续阶段没有可用内容，直接取消
+    if (!retry && job.stage === 'extraction') {
+      const waitingJobs = await ProcessingJob.find({ runId: job.runId, status: 'waiting' });
+      await ProcessingJob.updateMany(
+        { runId: job.runId, status: 'waiting' },
+        { status: 'cancelled', completedAt: now, lastError: '提取阶段失败，已取消' }
+      );
+      waitingJobs.forEach(waitingJob => this._publishStage(waitingJob, 'cancelled', { error: '提取阶段失败，已取消' }));
+    }
+
+    return true;
+  }
+
+  /**
+   * 运行中的任务全部结束时调用处理器的 onRunSettled（每次运行只调用一次）
+   * @param {string} runId - 运行ID
+   */
+  async _checkRunSettled(runId) {
+    const jobs = await ProcessingJob.find({ runId }).sort({ _id: 1 });
+    if (jobs.length === 0 || jobs.some(job => ACTIVE_STATUSES.includes(job.status))) {
+      return;
+    }
+
+    // 以首个任务作为标记，只有成功写入结束时间的进程执行结束处理
+    const marked = await ProcessingJob.updateOne(
+      { _id: jobs[0]._id, runSettledAt: null },
+      { runSettledAt: new Date() }
+    );
+    if (marked.modifiedCount === 0) {
+      return;
+    }
+
+    if (this.handler.onRunSettled) {
+      try {
+        await this.handler.onRunSettled(runId, jobs);
+      } catch (error) {
+        console.error('任务运行结束处理失败:', error);
+      }
+    }
+
+    // 文档状态更新后再通知订阅者
+    const extractionFailed = jobs.some(job => job.stage === 'extraction' && job.status === 'failed');
+    this.events.publish({
+      type: 'run',
+      documentId: jobs[0].documentId,
+      userId: jobs[0].userId,
+      runId,
+      status: extractionFailed ? 'failed' : jobs.every(job => job.status === 'completed') ? 'completed' : 'partial',
+      stages: jobs.map(job => ({ stage: job.stage, status: job.status, error: job.lastError || null }))
+    });
+  }
+
+  /**
+   * 发布阶段事件
+   * @param {Object} job - 任务
+   * @param {string} status - 事件状态，见 ProcessingEvents
+   * @param {Object} details - 附加内容 { attempt, percent, message, error, nextRunAt }
+   */
+  _publishStage(job, status, details = {}) {
+    this.events.publish({
+      type: 'stage',
+      documentId: job.documentId,
+      userId: job.userId,
+      runId: job.runId,
+      stage: job.stage,
+      status,
+      ...details
+    });
+  }
+
+  /**
+   * 创建任务的进度上报函数，百分比不变时限制发布频率
+   * @param {Object} job - 任务
+   * @returns {Function} ({ percent, message }) => void
+   */
+  _createProgressReporter(job) {
+    let lastPercent = null;
+    let lastPublishedAt = 0;
+
+    return ({ percent, message } = {}) => {
+      const value = typeof percent === 'number' ? Math.max(0, Math.min(100, Math.round(percent))) : null;
+      const now = Date.now();
+      if (value === lastPercent && now - lastPublishedAt < PROGRESS_THROTTLE) {
+        return;
+      }
+
+      lastPercent = value;
+      lastPublishedAt = now;
+      this._publishStage(job, 'progress', { attempt: job.attempts, percent: value, message });
+    };
+  }
+}
+
+// 创建单例实例
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JobQueue = JobQueue;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 本地语言包（随 @tesseract.js-data 安装，识别过程无需联网）
+const LANGUAGE_PACKAGES = {
+  eng: '@tesseract.js-data/eng',
+  chi_sim: '@tesseract.js-data/chi_sim'
+};
+
+// 使用 best_int 版本的模型，兼顾识别精度与内存占用
+const LANGUAGE_DATA_VERSION = '4.0.0_best_int';
+
+// 中日韩字符之间的空格（tesseract 会在中文字符间插入空格）
+const CJK_SPACE_PATTERN = /([\u3000-\u303f\u3400-\u9fff\uff00-\uffef])\s+(?=[\u3000-\u303f\u3400-\u9fff\uff00-\uffef])/g;
+
+class OcrService {
+  /**
+   * @param {Object} options - 服务选项
+   * @param {string} [options.languages] - 识别语言，使用 + 连接（英文需排在前面）
+   * @param {string} [options.langPath] - 语言包目录
+   * @param {number} [options.lowConfidenceThreshold] - 低置信度阈值（0-1）
+   */
+  constructor(options = {}) {
+    this.languages = options.languages || process.env.OCR_LANGUAGES || 'eng+chi_sim';
+    this.langPath = options.langPath || process.env.OCR_LANG_PATH || path.join(os.tmpdir(), 'zhimo-ocr-lang');
+    this.lowConfidenceThreshold = options.lowConfidenceThreshold
+      || parseFloat(process.env.OCR_LOW_CONFIDENCE) || 0.6;
+    this.engine = 'tesseract';
+    this.workerPromise = null;
+  }
+
+  /**
+   * 识别图片中的文字
+   * @param {Buffer} imageBuffer - 图片缓冲区（png/jpeg/bmp/gif/webp）
+   * @returns {Promise<Object>} { markdown, confidence }，confidence 取值 0-1
+   */
+  async recognize(imageBuffer) {
+    const worker = await this._getWorker();
+    const { data } = await worker.recognize(imageBuffer);
+
+    return {
+      markdown: this._formatText(data.text || ''),
+      confidence: Math.round((data.confidence || 0)) / 100
+    };
+  }
+
+  /**
+   * 判断置信度是否低于阈值
+   * @param {number} confidence - 置信度（0-1）
+   * @returns {boolean}
+   */
+  isLowConfidence(confidence) {
+    return confidence < this.lowConfidenceThreshold;
+  }
+
+  /**
+   * 释放识别进程
+   */
+  async terminate() {
+    if (!this.workerPromise) {
+      return;
+    }
+    const workerPromise = this.workerPromise;
+    this.workerPromise = null;
+    try {
+      const worker = await workerPromise;
+      await worker.terminate();
+    } catch (error) {
+      console.error('关闭OCR进程失败:', error);
+    }
+  }
+
+  /**
+   * 延迟创建识别进程，多次识别复用同一进程
+   * @returns {Promise<Object>} tesseract worker
+   */
+  _getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = this._createWorker().catch(error => {
+        this.workerPromise = null;
+        throw new Error(`OCR引擎初始化失败: ${error.message}`);
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * 创建tesseract识别进程，语言包从本地目录加载
+   * @returns {Promise<Object>} tesseract worker
+   */
+  async _createWorker() {
+    const { createWorker, OEM } = require('tesseract.js');
+
+    this._prepareLanguageData();
+
+    return createWorker(this.languages, OEM.LSTM_ONLY, {
+      langPath: this.langPath,
+      // 语言包已在本地，不再写入浏览器式缓存
+      cacheMethod: 'none'
+    });
+  }
+
+  /**
+   * 将已安装的语言包复制到语言包目录
+   */
+  _prepareLanguageData() {
+    fs.mkdirSync(this.langPath, { recursive: true });
+
+    for (const language of this.languages.split('+')) {
+      const fileName = `${language}.traineddata.gz`;
+      const target = path.join(this.langPath, fileName);
+      if (fs.existsSync(target)) {
+        continue;
+      }
+
+      const packageName = LANGUAGE_PACKAGES[language];
+      if (!packageName) {
+        throw new Error(`缺少OCR语言包: ${language}，请将 ${fileName} 放入 ${this.langPath}`);
+      }
+
+      const packageDir = path.dirname(require.resolve(`${packageName}/package.json`));
+      fs.copyFileSync(path.join(packageDir, LANGUAGE_DATA_VERSION, fileName), target);
+    }
+  }
+
+  /**
+   * 整理识别结果：去除中文字符间的空格，合并多余空行
+   * @param {string} text - 识别出的原始文本
+   * @returns {string} markdown文本
+   */
+  _formatText(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(CJK_SPACE_PATTERN, '$1').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = OcrService;
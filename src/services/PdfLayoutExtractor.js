@@ -0,0 +1,717 @@
+const pdfParse = require('pdf-parse');
+// 与 pdf-parse 共用同一份 pdf.js，用于读取扫描页的图像
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { PNG } = require('pngjs');
+
+// 字体名称中表示粗体的关键字
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi|黑体|simhei|hei(?!ght)/i;
+
+// 项目符号列表
+const BULLET_PATTERN = /^[•●○◦▪■□◆◇▶►·\-–—*]\s*/;
+
+// 数字编号列表：1. 1) 1、 (1) （1），排除 2.1 这类章节编号
+const NUMBERED_PATTERN = /^(?:(\d{1,2})[.)、](?!\d)|[(（](\d{1,2})[)）])\s*/;
+
+// 仅包含页码的行
+const PAGE_NUMBER_PATTERN = /^(?:[-–—\s]*\d+[-–—\s]*|第\s*\d+\s*页(?:\s*[/,，]?\s*共\s*\d+\s*页)?|page\s+\d+(?:\s+of\s+\d+)?|\d+\s*\/\s*\d+)$/i;
+
+// pdf.js 图像绘制操作码
+const IMAGE_OPS = [PDFJS.OPS.paintImageXObject, PDFJS.OPS.paintInlineImageXObject];
+
+// pdf.js 解码后的图像像素格式
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+// 中日韩字符
+const CJK_PATTERN = /[\u3000-\u303f\u3400-\u9fff\uff00-\uffef]/;
+
+class PdfLayoutExtractor {
+  constructor(options = {}) {
+    // 标题字号需大于正文字号的倍数
+    this.headingSizeRatio = options.headingSizeRatio || 1.15;
+    // 最多识别的字号标题层级
+    this.maxSizeLevels = options.maxSizeLevels || 3;
+    // 字体解析超时（毫秒）
+    this.fontTimeout = options.fontTimeout || 2000;
+  }
+
+  /**
+   * 解析PDF并转换为Markdown
+   * 文本层为空的页面（扫描件）在提供 ocrPage 时改用页面图像的OCR结果
+   * @param {Buffer} fileBuffer - PDF文件缓冲区
+   * @param {Object} options - 解析选项
+   * @param {Function} [options.ocrPage] - 页面OCR函数 (pngBuffer, pageNumber) => Promise<{ markdown, confidence }>
+   * @param {Function} [options.onProgress] - 进度回调 (current, total, phase)，phase 为 parse（逐页解析）或 ocr（扫描页识别）
+   * @returns {Promise<Object>} { markdown, pageCount, pages: [{ pageNumber, hasText, ocrConfidence, ocrFailed }] }
+   */
+  async extract(fileBuffer, options = {}) {
+    const rawPages = [];
+
+    // pdf.js 在Node环境下加载字体会访问 document，解析前关闭字体注入（该设置从全局 PDFJS 读取），
+    // 关闭后仍可通过 commonObjs 读取字体名称（用于判断粗体）
+    PDFJS.disableWorker = true;
+    global.PDFJS.disableFontFace = true;
+
+    // 小文件的Buffer可能位于共享内存池中（byteOffset不为0），pdf.js 会读到错误的数据，需复制一份
+    const data = await pdfParse(new Uint8Array(fileBuffer), {
+      pagerender: async (pageData) => {
+        rawPages[pageData.pageIndex] = await this._readPage(pageData);
+        // pdf-parse 不向 pagerender 提供总页数，从 pdf.js 的传输对象读取
+        if (options.onProgress) {
+          options.onProgress(pageData.pageIndex + 1, pageData.transport.numPages, 'parse');
+        }
+        return '';
+      }
+    });
+
+    const pages = [];
+    for (let i = 0; i < data.numpages; i++) {
+      pages.push(rawPages[i] || { pageNumber: i + 1, width: 0, height: 0, items: [] });
+    }
+
+    if (options.ocrPage) {
+      await this._ocrEmptyPages(fileBuffer, pages, options.ocrPage, options.onProgress);
+    }
+
+    const bodyFontSize = this._getBodyFontSize(pages);
+    const repeatedKeys = this._findRepeatedHeaderFooters(pages);
+
+    const pageLines = pages.map(page => this._getPageLines(page, repeatedKeys));
+    const headingLevels = this._getHeadingLevels(pageLines, bodyFontSize);
+
+    const markdownPages = pageLines.map((lines, index) => {
+      const content = pages[index].ocr
+        ? pages[index].ocr.markdown
+        : this._buildBlocks(lines, bodyFontSize, headingLevels);
+      return `<!-- page: ${index + 1} -->\n\n${content}`.trim();
+    });
+
+    return {
+      markdown: markdownPages.join('\n\n') + '\n',
+      pageCount: data.numpages,
+      pages: pages.map(page => ({
+        pageNumber: page.pageNumber,
+        hasText: page.items.length > 0,
+        ocrConfidence: page.ocr ? page.ocr.confidence : null,
+        ocrFailed: Boolean(page.ocrFailed)
+      }))
+    };
+  }
+
+  /**
+   * 读取单页文本项及其位置、字号、字体
+   * @param {Object} pageData - pdf.js 页面对象
+   * @returns {Promise<Object>} 页面原始数据
+   */
+  async _readPage(pageData) {
+    const [x0, y0, x1, y1] = pageData.view;
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: true,
+      disableCombineTextItems: false
+    });
+
+    // 解析操作列表后字体对象才会被加载
+    const fontNames = await this._resolveFontNames(pageData, textContent.items);
+
+    const items = textContent.items
+      .filter(item => item.str && item.str.trim())
+      // 忽略旋转文本（水印、侧边栏等）
+      .filter(item => Math.abs(item.transform[1]) < 0.01 && Math.abs(item.transform[2]) < 0.01)
+      .map(item => ({
+        text: item.str,
+        x: item.transform[4] - x0,
+        y: item.transform[5] - y0,
+        width: item.width,
+        fontSize: Math.round(Math.abs(item.transform[3]) * 2) / 2,
+        bold: BOLD_FONT_PATTERN.test(fontNames[item.fontName] || '')
+      }));
+
+    return {
+      pageNumber: pageData.pageIndex + 1,
+      width: x1 - x0,
+      height: y1 - y0,
+      items
+    };
+  }
+
+  /**
+   * 获取文本项使用的字体名称
+   * @param {Object} pageData - pdf.js 页面对象
+   * @param {Array} items - 文本项
+   * @returns {Promise<Object>} fontName => 实际字体名称
+   */
+  async _resolveFontNames(pageData, items) {
+    const fontNames = {};
+
+    try {
+      await pageData.getOperatorList();
+    } catch (error) {
+      return fontNames;
+    }
+
+    const uniqueFonts = [...new Set(items.map(item => item.fontName))];
+
+    await Promise.all(uniqueFonts.map(fontName => new Promise(resolve => {
+      const timer = setTimeout(resolve, this.fontTimeout);
+      pageData.commonObjs.get(fontName, font => {
+        clearTimeout(timer);
+        fontNames[fontName] = (font && font.name) || '';
+        resolve();
+      });
+    })));
+
+    return fontNames;
+  }
+
+  /**
+   * 对没有文本层的页面执行OCR，结果写入 page.ocr；
+   * 单页识别失败时记录 page.ocrFailed 并继续处理其他页面，不影响有文本层的页面
+   * @param {Buffer} fileBuffer - PDF文件缓冲区
+   * @param {Array} pages - 页面原始数据
+   * @param {Function} ocrPage - 页面OCR函数
+   * @param {Function} [onProgress] - 进度回调 (current, total, 'ocr')
+   */
+  async _ocrEmptyPages(fileBuffer, pages, ocrPage, onProgress) {
+    const emptyPages = pages.filter(page => page.items.length === 0);
+    if (emptyPages.length === 0) {
+      return;
+    }
+
+    // pdf-parse 默认交由浏览器解码JPEG，Node环境下需让 pdf.js 自行解码才能取得像素
+    const pdfDocument = await PDFJS.getDocument({
+      data: new Uint8Array(fileBuffer),
+      nativeImageDecoderSupport: 'none'
+    });
+
+    try {
+      for (const [index, page] of emptyPages.entries()) {
+        try {
+          const pageProxy = await pdfDocument.getPage(page.pageNumber);
+          const image = await this._getLargestImage(pageProxy);
+          if (image) {
+            page.ocr = await ocrPage(this._encodePng(image), page.pageNumber);
+          }
+        } catch (error) {
+          console.warn(`第${page.pageNumber}页OCR失败:`, error.message);
+          page.ocrFailed = true;
+        }
+        if (onProgress) {
+          onProgress(index + 1, emptyPages.length, 'ocr');
+        }
+      }
+    } finally {
+      pdfDocument.destroy();
+    }
+  }
+
+  /**
+   * 获取页面中面积最大的图像（扫描页通常为整页图像）
+   * @param {Object} pageProxy - pdf.js 页面对象
+   * @returns {Promise<Object|null>} { width, height, kind, data }
+   */
+  async _getLargestImage(pageProxy) {
+    const operatorList = await pageProxy.getOperatorList();
+    let largest = null;
+
+    for (let i = 0; i < operatorList.fnArray.length; i++) {
+      if (!IMAGE_OPS.includes(operatorList.fnArray[i])) {
+        continue;
+      }
+
+      const [imageRef] = operatorList.argsArray[i];
+      const image = typeof imageRef === 'string'
+        ? await this._getPageObject(pageProxy, imageRef)
+        : imageRef;
+
+      if (image && image.data && (!largest || image.width * image.height > largest.width * largest.height)) {
+        largest = image;
+      }
+    }
+
+    return largest;
+  }
+
+  /**
+   * 读取页面对象（图像在解析操作列表后才可用）
+   * @param {Object} pageProxy - pdf.js 页面对象
+   * @param {string} objectId - 对象ID
+   * @returns {Promise<Object|null>}
+   */
+  _getPageObject(pageProxy, objectId) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(null), this.fontTimeout);
+      pageProxy.objs.get(objectId, object => {
+        clearTimeout(timer);
+        resolve(object || null);
+      });
+    });
+  }
+
+  /**
+   * 将 pdf.js 解码后的像素数据编码为PNG
+   * @param {Object} image - { width, height, kind, data }
+   * @returns {Buffer} PNG缓冲区
+   */
+  _encodePng(image) {
+    const { width, height, kind, data } = image;
+    const png = new PNG({ width, height });
+
+    for (let i = 0; i < width * height; i++) {
+      let r;
+      let g;
+      let b;
+      let a = 255;
+
+      if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+        // 每行按字节对齐，位为1表示白色
+        const rowBytes = (width + 7) >> 3;
+        const x = i % width;
+        const y = Math.floor(i / width);
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        r = g = b = bit ? 255 : 0;
+      } else if (kind === IMAGE_KIND.RGBA_32BPP) {
+        [r, g, b, a] = [data[i * 4], data[i * 4 + 1], data[i * 4 + 2], data[i * 4 + 3]];
+      } else {
+        [r, g, b] = [data[i * 3], data[i * 3 + 1], data[i * 3 + 2]];
+      }
+
+      png.data[i * 4] = r;
+      png.data[i * 4 + 1] = g;
+      png.data[i * 4 + 2] = b;
+      png.data[i * 4 + 3] = a;
+    }
+
+    return PNG.sync.write(png);
+  }
+
+  /**
+   * 按字符数加权统计正文字号
+   * @param {Array} pages - 页面数据
+   * @returns {number} 正文字号
+   */
+  _getBodyFontSize(pages) {
+    const sizeWeights = {};
+
+    for (const page of pages) {
+      for (const item of page.items) {
+        sizeWeights[item.fontSize] = (sizeWeights[item.fontSize] || 0) + item.text.length;
+      }
+    }
+
+    const entries = Object.entries(sizeWeights).sort((a, b) => b[1] - a[1]);
+    return entries.length > 0 ? parseFloat(entries[0][0]) : 12;
+  }
+
+  /**
+   * 查找在多数页面顶部/底部重复出现的页眉页脚
+   * @param {Array} pages - 页面数据
+   * @returns {Set<string>} 需要移除的行的归一化键
+   */
+  _findRepeatedHeaderFooters(pages) {
+    const pagesWithText = pages.filter(page => page.items.length > 0);
+    const repeated = new Set();
+
+    if (pagesWithText.length < 3) {
+      return repeated;
+    }
+
+    const counts = {};
+    for (const page of pagesWithText) {
+      const lines = this._groupLines(page.items);
+      const edgeLines = [...lines.slice(0, 2), ...lines.slice(-2)];
+      const keys = new Set(edgeLines.map(line => this._normalizeLineKey(line.text)));
+      keys.forEach(key => {
+        counts[key] = (counts[key] || 0) + 1;
+      });
+    }
+
+    const threshold = Math.max(2, Math.ceil(pagesWithText.length * 0.5));
+    for (const [key, count] of Object.entries(counts)) {
+      if (key && count >= threshold) {
+        repeated.add(key);
+      }
+    }
+
+    return repeated;
+  }
+
+  /**
+   * 页眉页脚比较用的归一化键（忽略页码数字和空白）
+   * @param {string} text - 行文本
+   * @returns {string} 归一化键
+   */
+  _normalizeLineKey(text) {
+    return text.replace(/\s+/g, '').replace(/\d+/g, '#').toLowerCase();
+  }
+
+  /**
+   * 获取页面中按阅读顺序排列的行（已处理分栏并移除页眉页脚）
+   * @param {Object} page - 页面数据
+   * @param {Set<string>} repeatedKeys - 重复页眉页脚键
+   * @returns {Array} 行列表
+   */
+  _getPageLines(page, repeatedKeys) {
+    if (page.items.length === 0) {
+      return [];
+    }
+
+    const edgeZone = page.height * 0.12;
+    const isPageEdge = (line) => line.y > page.height - edgeZone || line.y < edgeZone;
+
+    return this._splitColumns(page)
+      .flatMap(columnItems => this._groupLines(columnItems))
+      .filter(line => !(isPageEdge(line) &&
+        (repeatedKeys.has(this._normalizeLineKey(line.text)) || PAGE_NUMBER_PATTERN.test(line.text.trim()))));
+  }
+
+  /**
+   * 检测双栏排版，按阅读顺序返回各区域的文本项
+   * @param {Object} page - 页面数据
+   * @returns {Array<Array>} 文本项分组
+   */
+  _splitColumns(page) {
+    const { items, width } = page;
+    const narrowItems = items.filter(item => item.width < width * 0.45);
+
+    if (narrowItems.length < 10) {
+      return [items];
+    }
+
+    // 统计页面中部区域每个x坐标被文本覆盖的次数，寻找栏间空白（允许少量居中的短文本跨越）
+    const start = Math.floor(width * 0.35);
+    const end = Math.ceil(width * 0.65);
+    const coverage = new Array(end - start).fill(0);
+    const tolerance = Math.max(1, Math.floor(narrowItems.length * 0.03));
+
+    for (const item of narrowItems) {
+      const from = Math.max(start, Math.floor(item.x));
+      const to = Math.min(end, Math.ceil(item.x + item.width));
+      for (let x = from; x < to; x++) {
+        coverage[x - start]++;
+      }
+    }
+
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0, runStart = -1; i <= coverage.length; i++) {
+      if (i < coverage.length && coverage[i] <= tolerance) {
+        if (runStart < 0) runStart = i;
+      } else if (runStart >= 0) {
+        if (i - runStart > bestLength) {
+          bestLength = i - runStart;
+          bestStart = runStart;
+        }
+        runStart = -1;
+      }
+    }
+
+    if (bestLength < 8) {
+      return [items];
+    }
+
+    const gutter = start + bestStart + bestLength / 2;
+    const left = items.filter(item => item.x + item.width <= gutter);
+    const right = items.filter(item => item.x >= gutter);
+    const spanning = items.filter(item => item.x < gutter && item.x + item.width > gutter);
+
+    if (left.length < narrowItems.length * 0.2 || right.length < narrowItems.length * 0.2) {
+      return [items];
+    }
+
+    // 跨栏的文本（如标题）按位置放在两栏之前或之后
+    const columnsTop = Math.max(...left.concat(right).map(item => item.y));
+    const above = spanning.filter(item => item.y >= columnsTop);
+    const below = spanning.filter(item => item.y < columnsTop);
+
+    return [above, left, right, below].filter(group => group.length > 0);
+  }
+
+  /**
+   * 将文本项按基线分组为行
+   * @param {Array} items - 文本项
+   * @returns {Array} 行列表 { text, cells, x, y, width, fontSize, bold }
+   */
+  _groupLines(items) {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const groups = [];
+
+    for (const item of sorted) {
+      const current = groups[groups.length - 1];
+      if (current && Math.abs(current.y - item.y) <= Math.max(current.fontSize, item.fontSize) * 0.5) {
+        current.items.push(item);
+        current.fontSize = Math.max(current.fontSize, item.fontSize);
+      } else {
+        groups.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+      }
+    }
+
+    return groups.map(group => this._buildLine(group.items.sort((a, b) => a.x - b.x)));
+  }
+
+  /**
+   * 合并同一行的文本项，较大的水平间隔视为表格单元格分隔
+   * @param {Array} items - 按x排序的文本项
+   * @returns {Object} 行
+   */
+  _buildLine(items) {
+    const cells = [''];
+    let previous = null;
+
+    for (const item of items) {
+      if (previous) {
+        const gap = item.x - (previous.x + previous.width);
+        if (gap > item.fontSize * 2) {
+          cells.push('');
+        } else if (gap > item.fontSize * 0.15) {
+          cells[cells.length - 1] = this._joinText(cells[cells.length - 1], item.text, ' ');
+          previous = item;
+          continue;
+        }
+      }
+      cells[cells.length - 1] = this._joinText(cells[cells.length - 1], item.text, '');
+      previous = item;
+    }
+
+    const trimmedCells = cells.map(cell => cell.trim()).filter(Boolean);
+    const last = items[items.length - 1];
+
+    return {
+      text: trimmedCells.join(' '),
+      cells: trimmedCells,
+      x: items[0].x,
+      y: Math.max(...items.map(item => item.y)),
+      width: last.x + last.width - items[0].x,
+      fontSize: Math.max(...items.map(item => item.fontSize)),
+      bold: items.every(item => item.bold)
+    };
+  }
+
+  /**
+   * 拼接文本，中日韩字符之间不插入空格
+   * @param {string} left - 左侧文本
+   * @param {string} right - 右侧文本
+   * @param {string} separator - 默认分隔符
+   * @returns {string} 拼接结果
+   */
+  _joinText(left, right, separator) {
+    if (!left) return right;
+    if (!separator || /\s$/.test(left) || /^\s/.test(right)) return left + right;
+    if (CJK_PATTERN.test(left.slice(-1)) || CJK_PATTERN.test(right.charAt(0))) return left + right;
+    return left + separator + right;
+  }
+
+  /**
+   * 根据字号确定标题层级
+   * @param {Array<Array>} pageLines - 各页的行
+   * @param {number} bodyFontSize - 正文字号
+   * @returns {Object} { sizeLevels: { fontSize: level }, boldLevel }
+   */
+  _getHeadingLevels(pageLines, bodyFontSize) {
+    const sizes = new Set();
+
+    for (const lines of pageLines) {
+      for (const line of lines) {
+        if (line.fontSize >= bodyFontSize * this.headingSizeRatio && this._looksLikeHeading(line)) {
+          sizes.add(line.fontSize);
+        }
+      }
+    }
+
+    const sortedSizes = [...sizes].sort((a, b) => b - a).slice(0, this.maxSizeLevels);
+    const sizeLevels = {};
+    sortedSizes.forEach((size, index) => {
+      sizeLevels[size] = index + 1;
+    });
+
+    return {
+      sizeLevels,
+      boldLevel: Math.min(sortedSizes.length + 1, 4)
+    };
+  }
+
+  /**
+   * 判断行是否具有标题特征（含文字、较短、单元格单一、不以句末标点结尾）
+   * @param {Object} line - 行
+   * @returns {boolean} 是否可能是标题
+   */
+  _looksLikeHeading(line) {
+    const text = line.text.trim();
+    return /[\p{L}\p{N}]/u.test(text) &&
+      text.length <= 80 &&
+      line.cells.length === 1 &&
+      !/[。；;，,、.!?！？]$/.test(text) &&
+      !PAGE_NUMBER_PATTERN.test(text);
+  }
+
+  /**
+   * 获取行的标题层级，非标题返回0
+   * @param {Object} line - 行
+   * @param {number} bodyFontSize - 正文字号
+   * @param {Object} headingLevels - 标题层级配置
+   * @returns {number} 标题层级
+   */
+  _getLineHeadingLevel(line, bodyFontSize, headingLevels) {
+    if (!this._looksLikeHeading(line)) {
+      return 0;
+    }
+    if (headingLevels.sizeLevels[line.fontSize]) {
+      return headingLevels.sizeLevels[line.fontSize];
+    }
+    if (line.bold && line.fontSize >= bodyFontSize && line.text.length <= 40 &&
+      !BULLET_PATTERN.test(line.text) && !NUMBERED_PATTERN.test(line.text)) {
+      return headingLevels.boldLevel;
+    }
+    return 0;
+  }
+
+  /**
+   * 将行组合为Markdown块（标题、段落、列表、表格）
+   * @param {Array} lines - 按阅读顺序排列的行
+   * @param {number} bodyFontSize - 正文字号
+   * @param {Object} headingLevels - 标题层级配置
+   * @returns {string} 页面Markdown内容
+   */
+  _buildBlocks(lines, bodyFontSize, headingLevels) {
+    const blocks = [];
+    const listLeft = Math.min(...lines.map(line => line.x));
+    const maxWidth = Math.max(...lines.map(line => line.width));
+    let current = null;
+    let previousLine = null;
+
+    const flush = () => {
+      if (current) {
+        blocks.push({ type: current.type, markdown: this._renderBlock(current, listLeft, bodyFontSize) });
+        current = null;
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const level = this._getLineHeadingLevel(line, bodyFontSize, headingLevels);
+      const lineGap = previousLine ? previousLine.y - line.y : 0;
+      const isNear = previousLine && lineGap > 0 && lineGap <= Math.max(line.fontSize, previousLine.fontSize) * 1.8;
+
+      if (level > 0) {
+        // 跨行的同级标题合并
+        if (current && current.type === 'heading' && current.level === level && isNear) {
+          current.text = this._joinText(current.text, line.text, ' ');
+        } else {
+          flush();
+          current = { type: 'heading', level, text: line.text };
+        }
+      } else if (line.cells.length >= 2 && this._isTableRow(lines, i)) {
+        if (!current || current.type !== 'table') {
+          flush();
+          current = { type: 'table', rows: [] };
+        }
+        current.rows.push(line.cells);
+      } else if (BULLET_PATTERN.test(line.text) || NUMBERED_PATTERN.test(line.text)) {
+        flush();
+        current = { type: 'list', x: line.x, fontSize: line.fontSize, ...this._parseListMarker(line.text) };
+      } else if (current && current.type === 'list' && isNear && line.x > current.x) {
+        // 列表项的悬挂缩进续行
+        current.text = this._joinLines(current.text, line.text);
+      } else if (current && current.type === 'paragraph' && isNear &&
+        line.x - current.x < line.fontSize * 1.5 &&
+        !this._endsParagraph(previousLine, maxWidth)) {
+        current.text = this._joinLines(current.text, line.text);
+      } else {
+        flush();
+        current = { type: 'paragraph', x: line.x, text: line.text };
+      }
+
+      previousLine = line;
+    }
+
+    flush();
+
+    // 连续的列表项之间不留空行，保持为同一个列表
+    return blocks.reduce((markdown, block, index) => {
+      if (index === 0) return block.markdown;
+      const separator = block.type === 'list' && blocks[index - 1].type === 'list' ? '\n' : '\n\n';
+      return markdown + separator + block.markdown;
+    }, '');
+  }
+
+  /**
+   * 判断多单元格行是否属于表格（至少连续两行具有多个单元格）
+   * @param {Array} lines - 行列表
+   * @param {number} index - 当前行下标
+   * @returns {boolean} 是否为表格行
+   */
+  _isTableRow(lines, index) {
+    const isMultiCell = (line) => line && line.cells.length >= 2;
+    return isMultiCell(lines[index - 1]) || isMultiCell(lines[index + 1]);
+  }
+
+  /**
+   * 判断上一行是否为段落结尾（句末标点且明显短于整行宽度）
+   * @param {Object} line - 上一行
+   * @param {number} maxWidth - 页面最大行宽
+   * @returns {boolean} 是否结束段落
+   */
+  _endsParagraph(line, maxWidth) {
+    return /[。！？.!?:：]$/.test(line.text.trim()) && line.width < maxWidth * 0.8;
+  }
+
+  /**
+   * 合并换行的文本，处理英文断词连字符
+   * @param {string} previous - 上一行
+   * @param {string} next - 下一行
+   * @returns {string} 合并结果
+   */
+  _joinLines(previous, next) {
+    if (/[A-Za-z]-$/.test(previous) && /^[a-z]/.test(next)) {
+      return previous.slice(0, -1) + next;
+    }
+    return this._joinText(previous, next, ' ');
+  }
+
+  /**
+   * 解析列表标记
+   * @param {string} text - 行文本
+   * @returns {Object} { ordered, number, text }
+   */
+  _parseListMarker(text) {
+    const numbered = text.match(NUMBERED_PATTERN);
+    if (numbered) {
+      return {
+        ordered: true,
+        number: parseInt(numbered[1] || numbered[2]),
+        text: text.slice(numbered[0].length)
+      };
+    }
+    return { ordered: false, text: text.replace(BULLET_PATTERN, '') };
+  }
+
+  /**
+   * 渲染Markdown块
+   * @param {Object} block - 块数据
+   * @param {number} listLeft - 页面左边界，用于计算列表缩进
+   * @param {number} bodyFontSize - 正文字号
+   * @returns {string} Markdown文本
+   */
+  _renderBlock(block, listLeft, bodyFontSize) {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${block.text.trim()}`;
+      case 'list': {
+        const depth = Math.min(3, Math.max(0, Math.round((block.x - listLeft) / (bodyFontSize * 1.5))));
+        const marker = block.ordered ? `${block.number}.` : '-';
+        return `${'  '.repeat(depth)}${marker} ${block.text.trim()}`;
+      }
+      case 'table': {
+        const columnCount = Math.max(...block.rows.map(row => row.length));
+        const formatRow = (row) => `| ${Array.from({ length: columnCount }, (_, i) => (row[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+        return [
+          formatRow(block.rows[0]),
+          `|${' --- |'.repeat(columnCount)}`,
+          ...block.rows.slice(1).map(formatRow)
+        ].join('\n');
+      }
+      default:
+        return block.text.trim();
+    }
+  }
+}
+
+module.exports = PdfLayoutExtractor;
@@ -0,0 +1,64 @@
+const { EventEmitter } = require('events');
+
+/**
+ * 文档处理进度事件
+ * 任务队列在阶段开始、进度更新、失败重试和结束时发布事件，SSE接口按文档或用户订阅。
+ * 事件只在当前进程内传递，订阅者连接时应先读取任务状态作为初始快照。
+ *
+ * 事件格式：
+ * - stage: { type, documentId, userId, runId, stage, status, attempt, percent, message, error, nextRunAt }
+ *   status 取值 started / progress / retrying / completed / failed / cancelled
+ * - run: { type, documentId, userId, runId, status, stages: [{ stage, status, error }] }
+ *   status 取值 completed / partial / failed
+ */
+class ProcessingEvents extends EventEmitter {
+  constructor() {
+    super();
+    // 每个SSE连接一个订阅者
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * 发布事件
+   * @param {Object} event - 事件内容，需包含 type、documentId、userId
+   * @returns {Object} 实际发布的事件（ID转为字符串并附加时间戳）
+   */
+  publish(event) {
+    const payload = {
+      ...event,
+      documentId: String(event.documentId),
+      userId: String(event.userId),
+      timestamp: new Date().toISOString()
+    };
+
+    this.emit('event', payload);
+    return payload;
+  }
+
+  /**
+   * 订阅事件
+   * @param {Object} filter - 过滤条件 { documentId, userId }
+   * @param {Function} listener - (event) => void
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe(filter, listener) {
+    const handler = (event) => {
+      if (filter.documentId && event.documentId !== String(filter.documentId)) {
+        return;
+      }
+      if (filter.userId && event.userId !== String(filter.userId)) {
+        return;
+      }
+      listener(event);
+    };
+
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+}
+
+// 创建单例实例
+const processingEvents = new ProcessingEvents();
+
+module.exports = processingEvents;
+module.exports.ProcessingEvents = ProcessingEvents;
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const mongoose = require('mongoose');
+const PromptTemplate = require('../models/PromptTemplate');
+
+// 内置模板目录
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', 'prompts');
+
+// 数据库模板的内存缓存时间（毫秒）
+const DEFAULT_CACHE_TTL = 60 * 1000;
+
+const LANGUAGES = ['zh', 'en'];
+const DEFAULT_LANGUAGE = 'zh';
+
+// 变量名只使用ASCII字符，模板中的 {{文本}} 等写法原样保留
+const SECTION_PATTERN = /\{\{([#^])([A-Za-z_]\w*)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{([A-Za-z_]\w*)\}\}/g;
+
+/**
+ * 判断条件块的值是否成立，空数组视为不成立
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * 展开条件块：{{#name}}...{{/name}} 在变量成立时保留，{{^name}}...{{/name}} 在不成立时保留
+ */
+function renderSections(body, variables) {
+  return body.replace(SECTION_PATTERN, (match, type, name, inner) => {
+    const keep = type === '#' ? isTruthy(variables[name]) : !isTruthy(variables[name]);
+    return keep ? renderSections(inner, variables) : '';
+  });
+}
+
+/**
+ * 渲染模板：先展开条件块，再一次性替换变量（替换进来的内容不会再被解析）
+ * @param {string} body - 模板内容
+ * @param {Object} variables - 变量，数组以逗号连接
+ * @returns {string} 渲染结果
+ */
+function renderTemplate(body, variables = {}) {
+  return renderSections(body, variables).replace(VARIABLE_PATTERN, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      throw new Error(`提示词模板缺少变量: ${name}`);
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * 模板中引用的变量名
+ * @param {string} body - 模板内容
+ * @returns {Array<string>} 变量名
+ */
+function templateVariables(body) {
+  const names = new Set();
+  for (const pattern of [SECTION_PATTERN, VARIABLE_PATTERN]) {
+    for (const match of body.matchAll(pattern)) {
+      names.add(pattern === SECTION_PATTERN ? match[2] : match[1]);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * 读取目录下的YAML模板
+ * @param {string} directory - 模板目录
+ * @returns {Map<string, Object>} 模板ID到模板定义 { id, version, description, variables, templates }
+ */
+function loadTemplates(directory) {
+  const templates = new Map();
+  for (const file of fs.readdirSync(directory).filter(name => /\.ya?ml$/.test(name)).sort()) {
+    const definition = yaml.load(fs.readFileSync(path.join(directory, file), 'utf8'));
+    if (!definition || !definition.id || !Number.isInteger(definition.version) || !definition.templates) {
+      throw new Error(`提示词模板格式错误: ${file}`);
+    }
+    templates.set(definition.id, { variables: [], ...definition });
+  }
+  return templates;
+}
+
+/**
+ * 提示词模板注册表
+ * 模板随代码保存在 src/prompts（YAML，按语言提供 zh/en 两个版本），数据库 PromptTemplate 集合中
+ * 版本更高的启用模板会覆盖内置模板。模板引用（如 summary@1:zh）随生成结果保存，用于复现结果。
+ * 修改模板内容时必须递增版本，生成结果缓存按模板引用区分。
+ */
+class PromptRegistry {
+  /**
+   * @param {Object} options - 注册表选项
+   * @param {string} [options.directory] - 内置模板目录
+   * @param {number} [options.cacheTtl] - 数据库模板的缓存时间（毫秒），为0时每次查询
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : DEFAULT_CACHE_TTL;
+    this.templates = loadTemplates(this.directory);
+    this.overrides = new Map();
+  }
+
+  /**
+   * 获取模板，数据库中有更高版本时使用数据库模板
+   * @param {string} id - 模板ID
+   * @param {string} [language] - 语言，不支持的语言使用中文模板
+   * @returns {Promise<Object>} { id, version, language, source, body, ref }
+   */
+  async get(id, language) {
+    const definition = this.templates.get(id);
+    if (!definition) {
+      throw new Error(`提示词模板不存在: ${id}`);
+    }
+
+    let variant = PromptRegistry.normalizeLanguage(language);
+    if (!definition.templates[variant]) {
+      variant = DEFAULT_LANGUAGE;
+    }
+
+    let template = {
+      id,
+      version: definition.version,
+      language: variant,
+      source: 'file',
+      body: definition.templates[variant]
+    };
+
+    const override = await this._findOverride(definition, variant);
+    if (override && override.version > template.version) {
+      template = { ...template, version: override.version, source: 'database', body: override.body };
+    }
+
+    return { ...template, ref: `${id}@${template.version}:${variant}` };
+  }
+
+  /**
+   * 渲染模板
+   * @param {string} id - 模板ID
+   * @param {string} [language] - 语言
+   * @param {Object} variables - 模板变量
+   * @returns {Promise<Object>} { prompt, template }
+   */
+  async render(id, language, variables = {}) {
+    const template = await this.get(id, language);
+    return { prompt: renderTemplate(template.body, variables), template };
+  }
+
+  /**
+   * 清空数据库模板的缓存，修改数据库模板后调用可立即生效
+   */
+  clearCache() {
+    this.overrides.clear();
+  }
+
+  /**
+   * 查找数据库中的覆盖模板，未连接数据库或查询失败时使用内置模板
+   * 引用了未声明变量的模板会被忽略
+   */
+  async _findOverride(definition, language) {
+    if (!this._isDatabaseReady()) {
+      return null;
+    }
+
+    const cacheKey = `${definition.id}:${language}`;
+    const cached = this.overrides.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.template;
+    }
+
+    let template = null;
+    try {
+      template = await PromptTemplate.findLatest(definition.id, language);
+    } catch (error) {
+      console.error('[PromptRegistry] 读取数据库模板失败:', error.message);
+      return null;
+    }
+
+    if (template) {
+      const unknown = templateVariables(template.body).filter(name => !definition.variables.includes(name));
+      if (unknown.length > 0) {
+        console.error(`[PromptRegistry] 数据库模板 ${definition.id}@${template.version}:${language} 引用了未声明的变量 ${unknown.join(', ')}，已忽略`);
+        template = null;
+      }
+    }
+
+    this.overrides.set(cacheKey, { template, expiresAt: Date.now() + this.cacheTtl });
+    return template;
+  }
+
+  /**
+   * 数据库是否已连接，未连接时不查询（避免查询在连接前被缓冲而阻塞生成）
+   */
+  _isDatabaseReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * 规范化语言：en、en-US、english 等使用英文模板，其余使用中文模板
+   * @param {string} language - 语言
+   * @returns {string} zh 或 en
+   */
+  static normalizeLanguage(language) {
+    const value = String(language || '').toLowerCase();
+    return LANGUAGES.find(code => code !== DEFAULT_LANGUAGE && value.startsWith(code)) || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * 渲染模板内容，见 renderTemplate
+   */
+  static renderTemplate(body, variables) {
+    return renderTemplate(body, variables);
+  }
+}
+
+module.exports = PromptRegistry;
@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const { Concept, Document, ReviewCard } = require('../models');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// SM-2 参数：难度系数下限、回忆成功的最低评分
+const MIN_EASE = 1.3;
+const PASSING_GRADE = 3;
+
+// 复习间隔上限（天）
+const MAX_INTERVAL_DAYS = 365;
+
+// 每天引入的新卡片数，可通过 REVIEW_NEW_CARDS_PER_DAY 设置
+const DEFAULT_NEW_CARDS_PER_DAY = 20;
+
+// 评分按钮名称对应的评分（0-5）
+const GRADE_NAMES = { again: 1, hard: 3, good: 4, easy: 5 };
+
+/**
+ * 当天开始的时间（UTC）
+ */
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * 解析回忆评分：0-5 的整数或 again、hard、good、easy，无效时返回null
+ * @param {*} value - 评分
+ * @returns {number|null}
+ */
+function parseGrade(value) {
+  if (typeof value === 'string' && GRADE_NAMES[value.toLowerCase()] !== undefined) {
+    return GRADE_NAMES[value.toLowerCase()];
+  }
+  const grade = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(grade) && grade >= 0 && grade <= 5 ? grade : null;
+}
+
+/**
+ * SM-2：按回忆评分计算下一次的复习间隔
+ * 评分低于3视为遗忘，连续成功次数清零并在第二天重新复习；否则间隔依次为1天、6天，之后乘以难度系数
+ * @param {Object} card - 当前状态 { ease, interval, repetitions, lapses }
+ * @param {number} grade - 回忆评分（0-5）
+ * @returns {Object} { ease, interval, repetitions, lapses }
+ */
+function schedule(card, grade) {
+  const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  const next = { ease: Math.round(ease * 100) / 100, lapses: card.lapses };
+
+  if (grade < PASSING_GRADE) {
+    return { ...next, interval: 1, repetitions: 0, lapses: card.lapses + 1 };
+  }
+
+  const repetitions = card.repetitions + 1;
+  let interval;
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round(card.interval * card.ease);
+  }
+  return { ...next, interval: Math.min(interval, MAX_INTERVAL_DAYS), repetitions };
+}
+
+/**
+ * 概念复习（间隔重复）
+ * 每个用户的每个概念一张卡片，按 SM-2 算法记录难度系数、间隔和到期时间；
+ * 到期日按UTC日期计算，每天引入的新卡片数有上限，按重要性从高到低引入；
+ * 删除文档时不会删除其中的概念，只复习未删除文档中的概念
+ */
+class ReviewService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.newCardsPerDay] - 每天引入的新卡片数，默认读取 REVIEW_NEW_CARDS_PER_DAY
+   */
+  constructor(options = {}) {
+    const configured = parseInt(process.env.REVIEW_NEW_CARDS_PER_DAY);
+    this.newCardsPerDay = options.newCardsPerDay !== undefined
+      ? options.newCardsPerDay
+      : (Number.isNaN(configured) || configured < 0 ? DEFAULT_NEW_CARDS_PER_DAY : configured);
+  }
+
+  /**
+   * 今天要复习的卡片：先是到期的卡片（最早到期的在前），再按今天剩余的新卡片数补充新卡片
+   * @param {string} userId - 用户ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - 最多返回的卡片数
+   * @param {number} [options.newCardsPerDay] - 本次使用的每日新卡片数，默认为构造时的设置
+   * @param {string} [options.documentId] - 只复习该文档的概念
+   * @param {Date} [options.now] - 当前时间
+   * @returns {Promise<Object>} { date, cards, counts: { due, new }, newCards: { perDay, introducedToday, remainingToday } }
+   */
+  async getDueCards(userId, options = {}) {
+    const { limit = 50, newCardsPerDay = this.newCardsPerDay, documentId, now = new Date() } = options;
+    const today = startOfDay(now);
+    const documentIds = await this._activeDocumentIds(userId);
+
+    // 文档已删除的卡片不再复习
+    await ReviewCard.deleteMany({ userId, documentId: { $nin: documentIds } });
+
+    const dueQuery = { userId, dueAt: { $lt: new Date(today.getTime() + DAY) } };
+    if (documentId) {
+      dueQuery.documentId = documentId;
+    }
+
+    const [dueCards, dueCount, introducedToday] = await Promise.all([
+      ReviewCard.find(dueQuery)
+        .sort({ dueAt: 1 })
+        .limit(limit)
+        .populate('conceptId', 'term definition category documentId isDeleted'),
+      ReviewCard.countDocuments(dueQuery),
+      ReviewCard.countDocuments({ userId, introducedAt: { $gte: today } })
+    ]);
+
+    // 概念已删除的卡片不再复习
+    const orphaned = dueCards.filter(card => !card.conceptId || card.conceptId.isDeleted);
+    if (orphaned.length > 0) {
+      await ReviewCard.deleteMany({ _id: { $in: orphaned.map(card => card._id) } });
+    }
+    const cards = dueCards
+      .filter(card => !orphaned.includes(card))
+      .map(card => this._formatCard(card.conceptId, card));
+
+    const remainingToday = Math.max(newCardsPerDay - introducedToday, 0);
+    const slots = Math.min(remainingToday, limit - cards.length);
+    if (slots > 0) {
+      const concepts = await Concept.find(await this._unseenQuery(userId, documentIds, documentId))
+        .select('term definition category documentId')
+        .sort({ importance: -1, createdAt: 1 })
+        .limit(slots);
+      cards.push(...concepts.map(concept => this._formatCard(concept, null)));
+    }
+
+    return {
+      date: today,
+      cards,
+      counts: {
+        due: dueCount - orphaned.length,
+        new: cards.filter(card => card.state === 'new').length
+      },
+      newCards: { perDay: newCardsPerDay, introducedToday, remainingToday }
+    };
+  }
+
+  /**
+   * 记录一次复习并安排下一次复习
+   * @param {string} userId - 用户ID
+   * @param {string} conceptId - 概念ID
+   * @param {number} grade - 回忆评分（0-5），见 parseGrade
+   * @param {Object} [options]
+   * @param {Date} [options.now] - 当前时间
+   * @returns {Promise<Object>} 复习后的卡片，见 _formatCard
+   */
+  async review(userId, conceptId, grade, options = {}) {
+    const { now = new Date() } = options;
+    const documentIds = await this._activeDocumentIds(userId);
+    const concept = await Concept.findOne({ _id: conceptId, userId, isDeleted: false, documentId: { $in: documentIds } })
+      .select('term definition category documentId');
+    if (!concept) {
+      throw new Error('概念不存在或无权访问');
+    }
+
+    let card = await ReviewCard.findOne({ userId, conceptId: concept._id });
+    if (!card) {
+      card = new ReviewCard({
+        userId,
+        conceptId: concept._id,
+        documentId: concept.documentId,
+        introducedAt: now,
+        dueAt: now
+      });
+    }
+
+    const next = schedule(card, grade);
+    card.set({
+      ...next,
+      lastGrade: grade,
+      lastReviewedAt: now,
+      reviewCount: card.reviewCount + 1,
+      dueAt: new Date(startOfDay(now).getTime() + next.interval * DAY)
+    });
+    await card.save();
+
+    // 不更新概念的 updatedAt，避免概念图谱因复习而重新构建
+    await Concept.updateOne(
+      { _id: concept._id },
+      { $set: { 'metadata.lastReviewed': now }, $inc: { 'metadata.reviewCount': 1 } },
+      { timestamps: false }
+    );
+
+    return this._formatCard(concept, card);
+  }
+
+  /**
+   * 未来几天每天的复习量：到期的卡片数（已过期的计入今天），以及按每日上限引入新卡片时每天的新卡片数
+   * @param {string} userId - 用户ID
+   * @param {Object} [options]
+   * @param {number} [options.days=14] - 预测的天数（含今天）
+   * @param {Date} [options.now] - 当前时间
+   * @returns {Promise<Object>} { days: [{ date, due, new }], totals: { due, new }, newCards: { perDay, introducedToday, unseen } }
+   */
+  async getForecast(userId, options = {}) {
+    const { days = 14, now = new Date() } = options;
+    const today = startOfDay(now);
+    const end = new Date(today.getTime() + days * DAY);
+    const documentIds = await this._activeDocumentIds(userId);
+
+    const [dueByDay, introducedToday, unseen] = await Promise.all([
+      ReviewCard.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(String(userId)),
+            documentId: { $in: documentIds },
+            dueAt: { $lt: end }
+          }
+        },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: { $max: ['$dueAt', today] } } },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      ReviewCard.countDocuments({ userId, introducedAt: { $gte: today } }),
+      this._unseenQuery(userId, documentIds).then(query => Concept.countDocuments(query))
+    ]);
+
+    const dueCounts = new Map(dueByDay.map(item => [item._id, item.count]));
+    let remaining = unseen;
+    const forecast = [];
+    for (let day = 0; day < days; day++) {
+      const date = new Date(today.getTime() + day * DAY);
+      const allowance = day === 0 ? Math.max(this.newCardsPerDay - introducedToday, 0) : this.newCardsPerDay;
+      const newCount = Math.min(allowance, remaining);
+      remaining -= newCount;
+      forecast.push({
+        date: date.toISOString().slice(0, 10),
+        due: dueCounts.get(date.toISOString().slice(0, 10)) || 0,
+        new: newCount
+      });
+    }
+
+    return {
+      days: forecast,
+      totals: {
+        due: forecast.reduce((sum, day) => sum + day.due, 0),
+        new: forecast.reduce((sum, day) => sum + day.new, 0)
+      },
+      newCards: { perDay: this.newCardsPerDay, introducedToday, unseen }
+    };
+  }
+
+  /**
+   * 用户未删除的文档ID
+   */
+  async _activeDocumentIds(userId) {
+    return Document.distinct('_id', { userId, isDeleted: false });
+  }
+
+  /**
+   * 未删除文档中尚未复习过的概念的查询条件
+   * @param {string} userId - 用户ID
+   * @param {Array} documentIds - 未删除的文档ID，见 _activeDocumentIds
+   * @param {string} [documentId] - 只查询该文档的概念
+   */
+  async _unseenQuery(userId, documentIds, documentId) {
+    const reviewed = await ReviewCard.distinct('conceptId', { userId });
+    return {
+      userId,
+      isDeleted: false,
+      _id: { $nin: reviewed },
+      documentId: {
+        $in: documentId ? documentIds.filter(id => String(id) === String(documentId)) : documentIds
+      }
+    };
+  }
+
+  /**
+   * 卡片内容：正面为术语，背面为定义；state 为 new（未复习过）、learning（连续成功不足两次）或 review
+   */
+  _formatCard(concept, card) {
+    let state = 'new';
+    if (card) {
+      state = card.repetitions < 2 ? 'learning' : 'review';
+    }
+    return {
+      conceptId: concept._id,
+      documentId: concept.documentId,
+      term: concept.term,
+      definition: concept.definition,
+      category: concept.category,
+      state,
+      dueAt: card ? card.dueAt : null,
+      interval: card ? card.interval : 0,
+      ease: card ? card.ease : null,
+      reviewCount: card ? card.reviewCount : 0,
+      lastReviewedAt: card ? card.lastReviewedAt : null
+    };
+  }
+}
+
+ReviewService.parseGrade = parseGrade;
+ReviewService.schedule = schedule;
+
+module.exports = ReviewService;
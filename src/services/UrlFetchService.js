@@ -0,0 +1,336 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+// 抓取时使用的 User-Agent，robots.txt 中按 zhimobot 匹配
+const USER_AGENT = 'Mozilla/5.0 (compatible; ZhimoBot/1.0)';
+const ROBOTS_AGENT = 'zhimobot';
+
+// robots.txt 的大小上限
+const MAX_ROBOTS_SIZE = 512 * 1024;
+
+// 允许抓取的网页类型
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// 禁止访问的内网、环回、链路本地及保留地址，防止SSRF
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4映射的IPv6地址，如 ::ffff:127.0.0.1
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+class UrlFetchService {
+  /**
+   * @param {Object} options - 抓取选项
+   * @param {number} [options.timeout] - 请求总超时（毫秒）
+   * @param {number} [options.maxSize] - 网页大小上限（字节）
+   * @param {number} [options.maxRedirects] - 最大重定向次数
+   * @param {boolean} [options.respectRobots] - 是否遵守 robots.txt
+   * @param {Function} [options.lookup] - DNS解析函数，签名同 dns.lookup
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.URL_FETCH_TIMEOUT) || 15000;
+    this.maxSize = options.maxSize || parseInt(process.env.URL_FETCH_MAX_SIZE) || 5 * 1024 * 1024;
+    this.maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+    this.respectRobots = options.respectRobots !== undefined
+      ? options.respectRobots
+      : process.env.URL_FETCH_IGNORE_ROBOTS !== 'true';
+    this.lookup = options.lookup || dns.lookup;
+
+    // 在建立连接时校验解析结果，避免DNS重绑定绕过地址检查
+    const agentOptions = { lookup: (hostname, lookupOptions, callback) => this._safeLookup(hostname, lookupOptions, callback) };
+    this.httpAgent = new http.Agent(agentOptions);
+    this.httpsAgent = new https.Agent(agentOptions);
+  }
+
+  /**
+   * 抓取网页
+   * @param {string} url - 网页地址
+   * @returns {Promise<Object>} { url, buffer, contentType, fetchedAt }，url 为重定向后的最终地址
+   */
+  async fetchPage(url) {
+    let currentUrl = this._parseUrl(url);
+
+    for (let redirects = 0; ; redirects++) {
+      await this._assertPublicHost(currentUrl.hostname);
+
+      if (this.respectRobots && !(await this._isAllowedByRobots(currentUrl))) {
+        throw new Error('该网页禁止抓取（robots.txt）');
+      }
+
+      const response = await this._request(currentUrl, this.maxSize);
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        if (redirects >= this.maxRedirects) {
+          throw new Error('网页重定向次数过多');
+        }
+        currentUrl = this._parseUrl(new URL(response.headers.location, currentUrl).href);
+        continue;
+      }
+
+      if (response.status >= 400) {
+        throw new Error(`网页请求失败: HTTP ${response.status}`);
+      }
+
+      const contentType = String(response.headers['content-type'] || 'text/html');
+      if (!HTML_CONTENT_TYPES.some(type => contentType.toLowerCase().includes(type))) {
+        throw new Error(`仅支持HTML网页，当前类型: ${contentType.split(';')[0]}`);
+      }
+
+      return {
+        url: currentUrl.href,
+        buffer: Buffer.from(response.data),
+        contentType,
+        fetchedAt: new Date()
+      };
+    }
+  }
+
+  /**
+   * 发送GET请求，重定向由调用方处理
+   * @param {URL} url - 请求地址
+   * @param {number} maxSize - 响应大小上限
+   * @returns {Promise<Object>} axios响应
+   */
+  async _request(url, maxSize) {
+    try {
+      return await axios.get(url.href, {
+        responseType: 'arraybuffer',
+        maxRedirects: 0,
+        maxContentLength: maxSize,
+        timeout: this.timeout,
+        signal: AbortSignal.timeout(this.timeout),
+        // 不经过环境变量中的代理，否则无法校验实际连接的地址
+        proxy: false,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        headers: {
+          'User-Agent': USER_AGENT,
+          Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+        },
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('maxContentLength')) {
+        throw new Error(`网页大小超过限制 (${Math.round(maxSize / 1024 / 1024 * 10) / 10}MB)`);
+      }
+      if (error.code === 'ECONNABORTED' || error.code === 'ERR_CANCELED' || error.name === 'CanceledError') {
+        throw new Error(`网页请求超时 (${this.timeout / 1000}秒)`);
+      }
+      throw new Error(`网页请求失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析并校验URL，仅允许 http/https
+   * @param {string} url - 网页地址
+   * @returns {URL}
+   */
+  _parseUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('无效的URL地址');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('仅支持http和https协议的网址');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * 校验主机名不指向内网地址
+   * @param {string} hostname - 主机名
+   */
+  async _assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    // IP字面量不会经过DNS解析，需在此处直接校验
+    if (net.isIP(host)) {
+      if (this._isBlockedAddress(host)) {
+        throw new Error('禁止访问内网地址');
+      }
+      return;
+    }
+
+    const addresses = await new Promise((resolve, reject) => {
+      this.lookup(host, { all: true }, (error, result) => {
+        if (error) {
+          reject(new Error(`无法解析域名: ${host}`));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    if (addresses.length === 0 || addresses.some(item => this._isBlockedAddress(item.address))) {
+      throw new Error('禁止访问内网地址');
+    }
+  }
+
+  /**
+   * 连接时使用的DNS解析，拒绝解析到内网的地址
+   * @param {string} hostname - 主机名
+   * @param {Object} options - dns.lookup 选项
+   * @param {Function} callback - 解析回调
+   */
+  _safeLookup(hostname, options, callback) {
+    this.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      if (addresses.length === 0 || addresses.some(item => this._isBlockedAddress(item.address))) {
+        return callback(new Error('禁止访问内网地址'));
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * 判断IP地址是否属于禁止访问的网段
+   * @param {string} address - IP地址
+   * @returns {boolean}
+   */
+  _isBlockedAddress(address) {
+    const mapped = address.match(IPV4_MAPPED_PATTERN);
+    if (mapped) {
+      return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+
+    const family = net.isIP(address);
+    if (family === 0) {
+      return true;
+    }
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * 检查 robots.txt 是否允许抓取
+   * robots.txt 不存在（3xx、4xx）视为允许，服务器错误（5xx）视为禁止
+   * @param {URL} url - 网页地址
+   * @returns {Promise<boolean>}
+   */
+  async _isAllowedByRobots(url) {
+    const response = await this._request(new URL('/robots.txt', url.origin), MAX_ROBOTS_SIZE);
+
+    if (response.status >= 300 && response.status < 500) {
+      return true;
+    }
+    if (response.status >= 500) {
+      return false;
+    }
+
+    const robotsTxt = Buffer.from(response.data).toString('utf-8');
+    return this._matchRobotsRules(robotsTxt, url.pathname + url.search);
+  }
+
+  /**
+   * 按 robots.txt 规则判断路径是否允许抓取（RFC 9309）
+   * 优先使用匹配本爬虫的规则组，否则使用 * 组；最长匹配的规则生效，长度相同时 Allow 优先
+   * @param {string} robotsTxt - robots.txt 内容
+   * @param {string} path - 路径（含查询参数）
+   * @returns {boolean}
+   */
+  _matchRobotsRules(robotsTxt, path) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of robotsTxt.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        continue;
+      }
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+      } else if ((field === 'allow' || field === 'disallow') && current) {
+        if (value) {
+          current.rules.push({ allow: field === 'allow', pattern: value });
+        }
+        lastWasAgent = false;
+      } else {
+        lastWasAgent = false;
+      }
+    }
+
+    const ownGroups = groups.filter(group => group.agents.includes(ROBOTS_AGENT));
+    const rules = (ownGroups.length > 0 ? ownGroups : groups.filter(group => group.agents.includes('*')))
+      .flatMap(group => group.rules);
+
+    let matched = null;
+    for (const rule of rules) {
+      if (!this._robotsPatternMatches(rule.pattern, path)) {
+        continue;
+      }
+      if (!matched || rule.pattern.length > matched.pattern.length ||
+        (rule.pattern.length === matched.pattern.length && rule.allow)) {
+        matched = rule;
+      }
+    }
+
+    return !matched || matched.allow;
+  }
+
+  /**
+   * robots.txt 路径模式匹配，支持 * 通配和 $ 结尾
+   * @param {string} pattern - 规则路径
+   * @param {string} path - 请求路径
+   * @returns {boolean}
+   */
+  _robotsPatternMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+  }
+}
+
+module.exports = UrlFetchService;
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const User = require('../models/User');
+
+// 常用模型的价格（美元/百万token），可通过 AI_MODEL_PRICING 覆盖或补充
+const DEFAULT_PRICING = {
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'claude-3-5-haiku-latest': { prompt: 0.8, completion: 4 },
+  'claude-3-5-sonnet-latest': { prompt: 3, completion: 15 }
+};
+
+const QUOTA_PERIODS = ['daily', 'monthly'];
+
+/**
+ * 读取JSON格式的环境变量，格式错误时忽略
+ */
+function parseJsonEnv(name) {
+  if (!process.env[name]) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`[UsageService] ${name} 不是有效的JSON，已忽略`);
+    return {};
+  }
+}
+
+/**
+ * 读取非负整数配置，未设置或无效时返回null
+ */
+function parseLimit(value) {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) || limit < 0 ? null : limit;
+}
+
+/**
+ * AI用量计量与配额
+ * 配额按token总数（输入+输出）计算，优先级：用户单独设置 > 角色配额（AI_ROLE_QUOTAS）> 全局配额
+ * （AI_DAILY_TOKEN_QUOTA、AI_MONTHLY_TOKEN_QUOTA），0或未设置表示不限。日、月按UTC时间划分。
+ */
+class UsageService {
+  constructor() {
+    this.pricing = { ...DEFAULT_PRICING, ...parseJsonEnv('AI_MODEL_PRICING') };
+    this.roleQuotas = parseJsonEnv('AI_ROLE_QUOTAS');
+    this.defaultQuota = {
+      daily: parseLimit(process.env.AI_DAILY_TOKEN_QUOTA),
+      monthly: parseLimit(process.env.AI_MONTHLY_TOKEN_QUOTA)
+    };
+  }
+
+  /**
+   * 记录一次AI调用的用量，记录失败不影响调用结果
+   * @param {Object} usage - { userId, documentId, operation, provider, model, promptTokens, completionTokens, estimated }
+   * @returns {Promise<Object|null>} 用量记录
+   */
+  async record(usage) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    try {
+      return await AIUsage.create({
+        ...usage,
+        documentId: usage.documentId || null,
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        cost: this.estimateCost(usage.model, promptTokens, completionTokens)
+      });
+    } catch (error) {
+      console.error('[UsageService] 记录AI用量失败:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 按模型价格估算费用，未知模型（如本地模型）计为0
+   * @returns {number} 费用（美元）
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this.pricing[model];
+    if (!price) {
+      return 0;
+    }
+    return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+  }
+
+  /**
+   * 获取用户的配额及当前用量
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { daily, monthly }，各项为 { limit, used, remaining, resetAt }，limit 为null表示不限
+   */
+  async getQuotaStatus(userId) {
+    const user = await User.findById(userId).select('role aiQuota').lean();
+    const limits = this.resolveLimits(user || {});
+    const now = new Date();
+
+    const status = {};
+    for (const period of QUOTA_PERIODS) {
+      const since = UsageService.periodStart(period, now);
+      const used = await AIUsage.sumTokens(userId, since);
+      const limit = limits[period];
+      status[period] = {
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(limit - used, 0),
+        resetAt: UsageService.periodEnd(period, now)
+      };
+    }
+    return status;
+  }
+
+  /**
+   * 确认用户未超出配额，超出时抛出 status 为429的错误
+   * @param {string} userId - 用户ID
+   */
+  async checkQuota(userId) {
+    const status = await this.getQuotaStatus(userId);
+
+    for (const period of QUOTA_PERIODS) {
+      const { limit, used, resetAt } = status[period];
+      if (limit !== null && used >= limit) {
+        const error = new Error(`AI用量已超出${period === 'daily' ? '每日' : '每月'}配额（${used}/${limit} tokens），将于 ${resetAt.toISOString()} 重置`);
+        error.status = 429;
+        error.code = 'AI_QUOTA_EXCEEDED';
+        error.quota = { period, limit, used, resetAt };
+        // 任务队列中不再重试
+        error.retryable = false;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 确定用户的配额上限
+   * @param {Object} user - 用户 { role, aiQuota }
+   * @returns {Object} { daily, monthly }，null表示不限
+   */
+  resolveLimits(user) {
+    const roleQuota = this.roleQuotas[user.role] || {};
+    const userQuota = user.aiQuota || {};
+
+    return QUOTA_PERIODS.reduce((limits, period) => {
+      const limit = [userQuota[period], roleQuota[period], this.defaultQuota[period]]
+        .map(parseLimit)
+        .find(value => value !== null);
+      limits[period] = limit ? limit : null;
+      return limits;
+    }, {});
+  }
+
+  /**
+   * 统计用户在时间范围内的用量，按操作和模型分组
+   * @param {string} userId - 用户ID
+   * @param {Object} range - { from, to }
+   * @returns {Promise<Object>} { totals, byOperation, byModel }
+   */
+  async getUsageReport(userId, { from, to }) {
+    const match = {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      createdAt: { $gte: from, $lt: to }
+    };
+    const sums = {
+      calls: { $sum: 1 },
+      promptTokens: { $sum: '$promptTokens' },
+      completionTokens: { $sum: '$completionTokens' },
+      totalTokens: { $sum: '$totalTokens' },
+      cost: { $sum: '$cost' }
+    };
+
+    const [result] = await AIUsage.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...sums } }],
+          byOperation: [{ $group: { _id: '$operation', ...sums } }, { $sort: { totalTokens: -1 } }],
+          byModel: [{ $group: { _id: { provider: '$provider', model: '$model' }, ...sums } }, { $sort: { totalTokens: -1 } }]
+        }
+      }
+    ]);
+
+    const format = ({ _id, cost, ...rest }) => ({ ...rest, cost: Math.round(cost * 1e6) / 1e6 });
+    const totals = result.totals[0] || { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+
+    return {
+      totals: format(totals),
+      byOperation: result.byOperation.map(item => ({ operation: item._id, ...format(item) })),
+      byModel: result.byModel.map(item => ({ provider: item._id.provider, model: item._id.model, ...format(item) }))
+    };
+  }
+
+  /**
+   * 统计周期的开始时间（UTC）
+   * @param {string} period - daily 或 monthly
+   */
+  static periodStart(period, date = new Date()) {
+    return period === 'daily'
+      ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+      : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  /**
+   * 统计周期的结束（重置）时间（UTC）
+   * @param {string} period - daily 或 monthly
+   */
+  static periodEnd(period, date = new Date()) {
+    return period === 'daily'
+      ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1))
+      : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  }
+}
+
+module.exports = UsageService;
@@ -0,0 +1,119 @@
+const axios = require('axios');
+const BaseProvider = require('./BaseProvider');
+
+// Messages API 版本
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API 及兼容该接口的服务
+ */
+class AnthropicProvider extends BaseProvider {
+  /**
+   * @param {Object} options - 提供方选项
+   * @param {string} [options.apiKey] - API密钥
+   * @param {string} [options.baseURL] - 接口地址
+   * @param {string} [options.model] - 模型名称
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.baseURL = (options.baseURL || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+    this.model = options.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  getUnavailableMessage() {
+    return 'Anthropic API密钥未配置，请设置ANTHROPIC_API_KEY环境变量';
+  }
+
+  async complete({ messages, model, temperature, maxTokens, json, signal, timeout }) {
+    const body = this._buildBody({ messages, model, temperature, maxTokens, json });
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseURL}/v1/messages`, body, this._requestConfig({ signal, timeout }));
+    } catch (error) {
+      throw this._requestError(error, timeout);
+    }
+
+    const { data } = response;
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = data.usage || {};
+
+    return {
+      content: json ? BaseProvider.extractJson(text) : text,
+      model: data.model || body.model,
+      usage: {
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0
+      }
+    };
+  }
+
+  async *stream({ messages, model, temperature, maxTokens, signal, timeout }) {
+    const body = { ...this._buildBody({ messages, model, temperature, maxTokens }), stream: true };
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseURL}/v1/messages`, body, this._requestConfig({ signal, timeout, responseType: 'stream' }));
+    } catch (error) {
+      throw this._requestError(error, timeout);
+    }
+
+    // 服务端事件：只取文本增量，出错时接口会发送 error 事件
+    for await (const line of BaseProvider.readLines(response.data)) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+      const event = JSON.parse(line.slice(5));
+      if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+        yield event.delta.text;
+      } else if (event.type === 'error') {
+        throw new Error(`${this.name} 请求失败: ${(event.error && event.error.message) || '流式输出中断'}`);
+      }
+    }
+  }
+
+  /**
+   * 构造请求体，系统消息通过 system 字段传递
+   */
+  _buildBody({ messages, model, temperature, maxTokens, json }) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content);
+    if (json) {
+      // 该接口没有JSON模式，通过系统提示约束输出
+      system.push('只输出一个合法的JSON对象，不要包含代码块标记或任何其他文字。');
+    }
+
+    const body = {
+      model: model || this.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: messages.filter(message => message.role !== 'system')
+    };
+    if (system.length > 0) {
+      body.system = system.join('\n\n');
+    }
+    return body;
+  }
+
+  _requestConfig(options = {}) {
+    return {
+      ...options,
+      timeout: options.timeout || this.timeout,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': API_VERSION,
+        'content-type': 'application/json'
+      }
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,145 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * AI服务提供方基类
+ *
+ * 各提供方实现 complete()，接收统一的请求格式并返回统一的结果：
+ *   请求 { task, messages, model, temperature, maxTokens, json, params, signal, timeout }
+ *     task    - 调用用途（restructure、summary、concepts、exercises、mindmap、relations、grading）
+ *     json    - 是否要求返回JSON对象
+ *     params  - 任务参数（原始内容、题目数量等），供离线模拟使用
+ *     signal  - AbortSignal，用于取消请求
+ *     timeout - 本次请求的超时（毫秒），未提供时使用提供方的默认超时
+ *   结果 { content, model, usage: { promptTokens, completionTokens } }
+ * 支持流式输出的提供方实现 stream()，逐个产出文本增量
+ * 请求失败时抛出的错误带有 status（HTTP状态码）、retryAfter（Retry-After，毫秒）、
+ * timeout（超时）或 network（未收到响应）标记，供 AIService 判断是否重试
+ */
+class BaseProvider {
+  /**
+   * @param {Object} options - 提供方选项
+   * @param {string} [options.model] - 模型名称
+   * @param {number} [options.timeout] - 请求超时（毫秒）
+   */
+  constructor(options = {}) {
+    this.name = 'base';
+    this.model = options.model;
+    this.timeout = options.timeout || parseInt(process.env.AI_REQUEST_TIMEOUT) || 30000;
+  }
+
+  /**
+   * 是否已完成必要配置（如API密钥）
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * 不可用时的提示信息
+   * @returns {string}
+   */
+  getUnavailableMessage() {
+    return `AI服务提供方 ${this.name} 未配置`;
+  }
+
+  /**
+   * 发送对话请求
+   * @param {Object} request - 请求，见文件头说明
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  async complete(request) {
+    throw new Error(`AI服务提供方 ${this.name} 未实现 complete 方法`);
+  }
+
+  /**
+   * 流式对话请求，默认等待完整结果后一次性产出
+   * @param {Object} request - 请求，同 complete()
+   * @returns {AsyncGenerator<string>} 文本增量
+   */
+  async *stream(request) {
+    const result = await this.complete(request);
+    yield result.content;
+  }
+
+  /**
+   * 按行读取响应流（SSE、NDJSON）
+   * @param {Readable} stream - 响应流
+   * @returns {AsyncGenerator<string>} 非空行
+   */
+  static async *readLines(stream) {
+    // 多字节字符可能被拆分到相邻的数据块中
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    for await (const chunk of stream) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index).trim();
+        buffer = buffer.slice(index + 1);
+        if (line) {
+          yield line;
+        }
+      }
+    }
+    if (buffer.trim()) {
+      yield buffer.trim();
+    }
+  }
+
+  /**
+   * 从模型输出中取出JSON对象文本（去除代码块围栏和前后说明文字）
+   * @param {string} text - 模型输出
+   * @returns {string} JSON文本
+   */
+  static extractJson(text) {
+    const content = (text || '').trim();
+    const fenced = content.match(/^```(?:json)?\s*\n([\s\S]*?)\n```$/);
+    const body = fenced ? fenced[1] : content;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    return start !== -1 && end > start ? body.slice(start, end + 1) : body;
+  }
+
+  /**
+   * 将HTTP请求错误转换为统一的错误信息，保留状态码和 Retry-After 供调用方判断是否重试
+   * @param {Error} error - axios错误
+   * @param {number} [timeout] - 本次请求的超时（毫秒）
+   * @returns {Error}
+   */
+  _requestError(error, timeout = this.timeout) {
+    const data = error.response && error.response.data;
+    const detail = (data && data.error && (data.error.message || data.error)) || error.message;
+    const timedOut = error.code === 'ECONNABORTED' || error.name === 'TimeoutError';
+    const wrapped = timedOut
+      ? new Error(`${this.name} 请求超时 (${timeout / 1000}秒)`)
+      : new Error(`${this.name} 请求失败: ${detail}`);
+    wrapped.status = error.response ? error.response.status : undefined;
+    wrapped.retryAfter = error.response
+      ? BaseProvider.parseRetryAfter(error.response.headers && error.response.headers['retry-after'])
+      : undefined;
+    wrapped.timeout = timedOut;
+    // 未收到响应（连接失败、连接中断），取消请求除外
+    wrapped.network = !error.response && !timedOut && error.code !== 'ERR_CANCELED';
+    return wrapped;
+  }
+
+  /**
+   * 解析 Retry-After 响应头（秒数或HTTP日期）
+   * @param {string} value - 响应头的值
+   * @returns {number|undefined} 等待时间（毫秒）
+   */
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(seconds, 0) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+  }
+}
+
+module.exports = BaseProvider;
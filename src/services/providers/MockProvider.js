@@ -0,0 +1,241 @@
+const BaseProvider = require('./BaseProvider');
+const fixtures = require('./fixtures/mock-responses.json');
+const { estimateTokens } = require('../../utils/markdownChunker');
+
+// 思维导图节点中不允许出现的字符
+const MINDMAP_INVALID_CHARS = /[<>{}[\]()|]/g;
+
+// 标题前的编号，如“第一章”“1.2”
+const HEADING_NUMBER_PATTERN = /^(第[一二三四五六七八九十百\d]+[章节部分篇]|[\d.]+)\s*/;
+
+/**
+ * 离线模拟服务：不调用任何外部接口，根据任务类型和文档标题生成格式合法的固定结果
+ * 相同输入总是得到相同输出，用于本地开发和自动化测试
+ */
+class MockProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'mock';
+    this.model = options.model || 'mock';
+  }
+
+  async complete({ task, messages = [], json, params = {} }) {
+    const userMessages = messages.filter(message => message.role === 'user');
+    const content = params.content !== undefined
+      ? String(params.content)
+      : (userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '');
+
+    let output;
+    switch (task) {
+      case 'restructure':
+        output = content.trim();
+        break;
+      case 'summary':
+        output = this._summary(content, params);
+        break;
+      case 'concepts':
+        output = JSON.stringify({ concepts: this._concepts(content, params.maxConcepts || 10) });
+        break;
+      case 'exercises':
+        output = JSON.stringify({ exercises: this._exercises(content, params) });
+        break;
+      case 'mindmap':
+        output = JSON.stringify(this._mindMap(content, params.maxNodes || 20));
+        break;
+      case 'relations':
+        output = JSON.stringify({ relations: this._relations(params.terms || [], params.maxRelations || 100) });
+        break;
+      case 'grading':
+        output = JSON.stringify(this._grading(params.keyPoints || [], String(params.answer || ''), params.maxPoints || 0));
+        break;
+      default:
+        output = json ? '{}' : fixtures.summary.lead;
+    }
+
+    return {
+      content: output,
+      model: this.model,
+      usage: {
+        promptTokens: estimateTokens(messages.map(message => message.content).join('\n')),
+        completionTokens: estimateTokens(output)
+      }
+    };
+  }
+
+  /**
+   * 按固定长度分段产出完整结果，模拟逐步生成
+   */
+  async *stream(request) {
+    const { content } = await this.complete(request);
+    for (const piece of content.match(/[\s\S]{1,40}/g) || []) {
+      if (request.signal && request.signal.aborted) {
+        return;
+      }
+      yield piece;
+    }
+  }
+
+  /**
+   * 解析Markdown标题和各标题下的第一段正文
+   * @returns {Array<Object>} [{ level, text, firstParagraph }]
+   */
+  _parseHeadings(content) {
+    const headings = [];
+    let current = null;
+    for (const line of content.split('\n')) {
+      const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (match) {
+        current = { level: match[1].length, text: match[2].trim(), firstParagraph: '' };
+        headings.push(current);
+      } else if (current && !current.firstParagraph && line.trim()) {
+        current.firstParagraph = line.trim();
+      }
+    }
+    return headings;
+  }
+
+  /**
+   * 取第一段正文（跳过标题）
+   */
+  _leadParagraph(content) {
+    const line = content.split('\n').map(item => item.trim()).find(item => item && !item.startsWith('#'));
+    return line ? line.slice(0, 150) : '';
+  }
+
+  _summary(content, params) {
+    const lead = this._leadParagraph(content) || fixtures.summary.lead;
+    const headings = this._parseHeadings(content).map(heading => heading.text).slice(0, 5);
+    const keyPoints = headings.length > 0 ? headings : fixtures.summary.keyPoints;
+
+    switch (params.variant) {
+      case 'oneline':
+        return lead.split(/(?<=[。！？.!?])/)[0];
+      case 'keypoints':
+        return keyPoints.map(point => `- ${point}`).join('\n');
+      case 'section':
+        return lead;
+    }
+    if (params.includeKeyPoints === false) {
+      return `## 摘要\n\n${lead}`;
+    }
+    return `## 摘要\n\n${lead}\n\n### 关键要点\n\n${keyPoints.map(point => `- ${point}`).join('\n')}`;
+  }
+
+  _concepts(content, maxConcepts) {
+    const candidates = this._parseHeadings(content)
+      .map(heading => ({
+        term: heading.text.replace(HEADING_NUMBER_PATTERN, '').trim().slice(0, 200),
+        definition: heading.firstParagraph.slice(0, 500),
+        category: 'concept',
+        importance: Math.max(5 - heading.level + 1, 1),
+        relatedTerms: []
+      }))
+      .filter(concept => concept.term);
+
+    const seen = new Set();
+    return [...candidates, ...fixtures.concepts]
+      .filter(concept => !seen.has(concept.term) && seen.add(concept.term))
+      .slice(0, maxConcepts)
+      .map(concept => {
+        const position = content.indexOf(concept.term);
+        const definition = concept.definition
+          || fixtures.concepts.find(item => item.term === concept.term)?.definition
+          || `${concept.term}是文档中的重要内容。`;
+        return {
+          ...concept,
+          definition,
+          occurrences: position === -1 ? [] : [{
+            position,
+            context: content.slice(position, position + 100),
+            confidence: 0.9
+          }]
+        };
+      });
+  }
+
+  _exercises(content, params) {
+    const count = params.count || 5;
+    const types = params.types && params.types.length > 0
+      ? params.types
+      : ['multiple_choice', 'true_false', 'short_answer'];
+    const concepts = this._concepts(content, Math.max(count, 1));
+
+    return Array.from({ length: count }, (item, index) => {
+      const type = types[index % types.length];
+      const concept = concepts[index % concepts.length];
+      const template = fixtures.exercises[type] || fixtures.exercises.short_answer;
+      const filled = JSON.parse(JSON.stringify(template), (key, value) => typeof value === 'string'
+        ? value.replace(/\{\{term\}\}/g, concept.term).replace(/\{\{definition\}\}/g, concept.definition)
+        : value);
+      return { type, ...filled };
+    });
+  }
+
+  _mindMap(content, maxNodes) {
+    const clean = text => text.replace(MINDMAP_INVALID_CHARS, ' ').replace(/\s+/g, ' ').trim();
+    const headings = this._parseHeadings(content);
+    const rootHeading = headings.find(heading => heading.level === 1);
+    const title = clean(rootHeading ? rootHeading.text : fixtures.title) || fixtures.title;
+
+    // 根标题以下的最高层级作为分支，其下一级作为子节点
+    const rest = headings.filter(heading => heading !== rootHeading);
+    const branchLevel = rest.length > 0 ? Math.min(...rest.map(heading => heading.level)) : 0;
+    const lines = ['mindmap', `  ${title}`];
+    let nodes = 1;
+
+    if (branchLevel === 0) {
+      fixtures.mindmap.branches.slice(0, maxNodes - 1).forEach(branch => lines.push(`    ${branch}`));
+    } else {
+      for (const heading of rest) {
+        const text = clean(heading.text);
+        if (nodes >= maxNodes || !text || heading.level > branchLevel + 1) {
+          continue;
+        }
+        lines.push(`${' '.repeat(heading.level === branchLevel ? 4 : 6)}${text}`);
+        nodes++;
+      }
+    }
+
+    return { title, mermaid: lines.join('\n') };
+  }
+
+  /**
+   * 一个术语包含另一个术语时视为其下位概念，如“监督学习”是“学习”的下位概念
+   */
+  _relations(terms, maxRelations) {
+    const relations = [];
+    for (const source of terms) {
+      for (const target of terms) {
+        if (source !== target && target.includes(source)) {
+          relations.push({ source, target, relationship: 'parent', strength: 0.6 });
+        }
+      }
+    }
+    return relations.slice(0, maxRelations);
+  }
+
+  /**
+   * 答案中原样出现的要点视为覆盖，按覆盖比例给分
+   */
+  _grading(keyPoints, answer, maxPoints) {
+    const text = answer.toLowerCase();
+    const covered = [];
+    const missed = [];
+    keyPoints.forEach((point, index) => {
+      if (text.includes(point.toLowerCase())) {
+        covered.push(index + 1);
+      } else {
+        missed.push(point);
+      }
+    });
+
+    const score = keyPoints.length > 0 ? Math.round(maxPoints * covered.length / keyPoints.length * 10) / 10 : 0;
+    return {
+      coveredKeyPoints: covered,
+      score,
+      feedback: missed.length > 0 ? `未答到的要点：${missed.join('；')}` : '答案覆盖了全部要点'
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,81 @@
+const axios = require('axios');
+const BaseProvider = require('./BaseProvider');
+
+/**
+ * Ollama 等本地部署的模型服务（/api/chat 接口），无需API密钥
+ */
+class OllamaProvider extends BaseProvider {
+  /**
+   * @param {Object} options - 提供方选项
+   * @param {string} [options.baseURL] - 服务地址
+   * @param {string} [options.model] - 模型名称
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'ollama';
+    this.baseURL = (options.baseURL || process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = options.model || process.env.OLLAMA_MODEL || 'qwen2.5:7b';
+  }
+
+  async complete({ messages, model, temperature, maxTokens, json, signal, timeout }) {
+    const body = this._buildBody({ messages, model, temperature, maxTokens, stream: false });
+    if (json) {
+      body.format = 'json';
+    }
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseURL}/api/chat`, body, { timeout: timeout || this.timeout, signal });
+    } catch (error) {
+      throw this._requestError(error, timeout);
+    }
+
+    const { data } = response;
+    const text = (data.message && data.message.content) || '';
+
+    return {
+      content: json ? BaseProvider.extractJson(text) : text,
+      model: data.model || body.model,
+      usage: {
+        promptTokens: data.prompt_eval_count || 0,
+        completionTokens: data.eval_count || 0
+      }
+    };
+  }
+
+  async *stream({ messages, model, temperature, maxTokens, signal, timeout }) {
+    const body = this._buildBody({ messages, model, temperature, maxTokens, stream: true });
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseURL}/api/chat`, body, { timeout: timeout || this.timeout, signal, responseType: 'stream' });
+    } catch (error) {
+      throw this._requestError(error, timeout);
+    }
+
+    // 每行一个JSON对象，最后一行 done 为 true
+    for await (const line of BaseProvider.readLines(response.data)) {
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(`${this.name} 请求失败: ${data.error}`);
+      }
+      if (data.message && data.message.content) {
+        yield data.message.content;
+      }
+    }
+  }
+
+  _buildBody({ messages, model, temperature, maxTokens, stream }) {
+    return {
+      model: model || this.model,
+      messages,
+      stream,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+  }
+}
+
+module.exports = OllamaProvider;
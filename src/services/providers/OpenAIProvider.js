@@ -0,0 +1,116 @@
+const OpenAI = require('openai');
+const BaseProvider = require('./BaseProvider');
+
+/**
+ * OpenAI及兼容OpenAI接口的服务（通过 OPENAI_BASE_URL 指定，如 DeepSeek、vLLM、LM Studio）
+ */
+class OpenAIProvider extends BaseProvider {
+  /**
+   * @param {Object} options - 提供方选项
+   * @param {string} [options.apiKey] - API密钥
+   * @param {string} [options.baseURL] - 接口地址
+   * @param {string} [options.model] - 模型名称
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL;
+    this.model = options.model || process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+
+    // 只在有API密钥时初始化OpenAI客户端；重试由 AIService 统一处理，关闭SDK自带的重试
+    this.client = null;
+    if (this.apiKey) {
+      const config = { apiKey: this.apiKey, timeout: this.timeout, maxRetries: 0 };
+      if (this.baseURL) {
+        config.baseURL = this.baseURL;
+      }
+      this.client = new OpenAI(config);
+    }
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  getUnavailableMessage() {
+    return 'OpenAI API密钥未配置，请设置OPENAI_API_KEY环境变量';
+  }
+
+  async complete({ messages, model, temperature, maxTokens, json, signal, timeout }) {
+    const request = {
+      model: model || this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (json) {
+      request.response_format = { type: 'json_object' };
+    }
+
+    let response;
+    try {
+      response = await this.client.chat.completions.create(request, { signal, timeout });
+    } catch (error) {
+      throw this._clientError(error, timeout);
+    }
+    const usage = response.usage || {};
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || request.model,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0
+      }
+    };
+  }
+
+  async *stream({ messages, model, temperature, maxTokens, signal, timeout }) {
+    let stream;
+    try {
+      stream = await this.client.chat.completions.create({
+        model: model || this.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true
+      }, { signal, timeout });
+    } catch (error) {
+      throw this._clientError(error, timeout);
+    }
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  /**
+   * 将SDK错误转换为统一的错误信息（见 BaseProvider），取消请求的错误原样抛出
+   * @param {Error} error - SDK错误
+   * @param {number} [timeout] - 本次请求的超时（毫秒）
+   * @returns {Error}
+   */
+  _clientError(error, timeout = this.timeout) {
+    if (error instanceof OpenAI.APIUserAbortError || !(error instanceof OpenAI.APIError)) {
+      return error;
+    }
+
+    const timedOut = error instanceof OpenAI.APIConnectionTimeoutError;
+    const wrapped = timedOut
+      ? new Error(`${this.name} 请求超时 (${timeout / 1000}秒)`)
+      : new Error(`${this.name} 请求失败: ${error.message}`);
+    const headers = error.headers;
+    const retryAfter = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+    wrapped.status = error.status;
+    wrapped.retryAfter = BaseProvider.parseRetryAfter(retryAfter);
+    wrapped.timeout = timedOut;
+    wrapped.network = !timedOut && error instanceof OpenAI.APIConnectionError;
+    return wrapped;
+  }
+}
+
+module.exports = OpenAIProvider;
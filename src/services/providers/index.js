@@ -0,0 +1,48 @@
+const OpenAIProvider = require('./OpenAIProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+const OllamaProvider = require('./OllamaProvider');
+const MockProvider = require('./MockProvider');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * 确定使用的AI服务提供方
+ * 优先使用 AI_PROVIDER；未指定时只有测试环境（NODE_ENV=test）使用离线模拟，
+ * 其他环境使用OpenAI（未配置密钥时调用会提示），避免模拟内容被当作真实学习内容保存
+ * @param {Object} env - 环境变量
+ * @returns {string} 提供方名称
+ */
+function resolveProviderName(env = process.env) {
+  if (env.AI_PROVIDER) {
+    return env.AI_PROVIDER.trim().toLowerCase();
+  }
+  if (env.OPENAI_API_KEY) {
+    return 'openai';
+  }
+  return env.NODE_ENV === 'test' ? 'mock' : 'openai';
+}
+
+/**
+ * 创建AI服务提供方
+ * @param {string} [name] - 提供方名称，默认按环境变量确定
+ * @param {Object} [options] - 提供方选项
+ * @returns {BaseProvider} 提供方实例
+ */
+function createProvider(name = resolveProviderName(), options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`不支持的AI服务提供方: ${name}，可选值: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createProvider,
+  resolveProviderName,
+  PROVIDERS
+};
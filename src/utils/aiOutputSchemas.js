@@ -0,0 +1,226 @@
+const { validateSchema } = require('./jsonSchema');
+
+// AI返回JSON的校验规则，与 src/prompts 中要求的输出格式一致
+
+const EXERCISE_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+const CONCEPT_CATEGORIES = ['person', 'place', 'concept', 'term', 'formula', 'theory', 'other'];
+const CONCEPT_RELATIONSHIPS = ['synonym', 'parent', 'child', 'antonym', 'related'];
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const EXERCISE_SCHEMAS = {
+  multiple_choice: {
+    type: 'object',
+    required: ['question', 'options', 'correct_answer'],
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      options: { ...stringList, minItems: 2 },
+      correct_answer: { type: 'string', minLength: 1 },
+      explanation: { type: 'string' }
+    },
+    // 正确答案为选项字母（A、B…）或与某个选项完全相同
+    check: (exercise) => {
+      const answer = exercise.correct_answer.trim();
+      const letterIndex = /^[A-Za-z]$/.test(answer) ? answer.toUpperCase().charCodeAt(0) - 65 : -1;
+      if (letterIndex >= 0 && letterIndex < exercise.options.length) {
+        return null;
+      }
+      return exercise.options.includes(answer) ? null : `的 correct_answer "${answer}" 不对应任何选项`;
+    }
+  },
+  true_false: {
+    type: 'object',
+    required: ['question', 'correct_answer'],
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      correct_answer: { type: 'boolean' },
+      explanation: { type: 'string' }
+    }
+  },
+  short_answer: {
+    type: 'object',
+    required: ['question', 'sample_answer'],
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      sample_answer: { type: 'string', minLength: 1 },
+      key_points: stringList
+    }
+  }
+};
+
+const CONCEPT_SCHEMA = {
+  type: 'object',
+  required: ['term', 'definition', 'category', 'importance'],
+  properties: {
+    term: { type: 'string', minLength: 1 },
+    definition: { type: 'string', minLength: 1 },
+    category: { type: 'string', enum: CONCEPT_CATEGORIES },
+    importance: { type: 'integer', minimum: 1, maximum: 5 },
+    occurrences: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['position'],
+        properties: {
+          position: { type: 'number', minimum: 0 },
+          context: { type: 'string' },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    },
+    relatedTerms: stringList
+  }
+};
+
+const MINDMAP_SCHEMA = {
+  type: 'object',
+  required: ['title', 'mermaid'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    // 以 mindmap 开头且至少有一个节点
+    mermaid: { type: 'string', pattern: '^\\s*mindmap\\s*\\n\\s*\\S' }
+  }
+};
+
+const RELATION_SCHEMA = {
+  type: 'object',
+  required: ['source', 'target', 'relationship'],
+  properties: {
+    source: { type: 'string', minLength: 1 },
+    target: { type: 'string', minLength: 1 },
+    relationship: { type: 'string', enum: CONCEPT_RELATIONSHIPS },
+    strength: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const GRADING_SCHEMA = {
+  type: 'object',
+  required: ['coveredKeyPoints', 'score', 'feedback'],
+  properties: {
+    coveredKeyPoints: { type: 'array', items: { type: 'integer', minimum: 1 } },
+    score: { type: 'number', minimum: 0 },
+    feedback: { type: 'string' }
+  }
+};
+
+/**
+ * 校验简答题评分，得分不超过满分，要点序号须在要点列表范围内
+ */
+function validateGrading(grading, context) {
+  const errors = [];
+  if (context.maxPoints !== undefined && grading.score > context.maxPoints) {
+    errors.push(`$.score 不能大于满分${context.maxPoints}`);
+  }
+  if (context.keyPointCount !== undefined) {
+    grading.coveredKeyPoints.forEach((number, index) => {
+      if (number > context.keyPointCount) {
+        errors.push(`$.coveredKeyPoints[${index}] 超出要点数量${context.keyPointCount}`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * 校验单条概念关系，两端须为请求中的不同术语
+ */
+function validateRelation(relation, path, context) {
+  const errors = validateSchema(relation, RELATION_SCHEMA, path);
+  if (errors.length > 0 || !context.terms) {
+    return errors;
+  }
+  for (const key of ['source', 'target']) {
+    if (!context.terms.includes(relation[key])) {
+      errors.push(`${path}.${key} "${relation[key]}" 不在概念列表中`);
+    }
+  }
+  if (relation.source === relation.target) {
+    errors.push(`${path} 的 source 与 target 相同`);
+  }
+  return errors;
+}
+
+/**
+ * 校验单道练习题，题型需在请求的题型范围内
+ */
+function validateExercise(exercise, path, context) {
+  const types = context.types && context.types.length > 0 ? context.types : EXERCISE_TYPES;
+  const typeErrors = validateSchema(exercise, {
+    type: 'object',
+    required: ['type'],
+    properties: { type: { type: 'string', enum: types.filter(type => EXERCISE_TYPES.includes(type)) } }
+  }, path);
+  return typeErrors.length > 0 ? typeErrors : validateSchema(exercise, EXERCISE_SCHEMAS[exercise.type], path);
+}
+
+// 各操作的输出格式：列表类输出逐条校验，不合格的条目可单独丢弃；validate 为结构校验通过后依据上下文的附加校验
+const OUTPUT_DEFINITIONS = {
+  exercises: {
+    listKey: 'exercises',
+    validateItem: validateExercise
+  },
+  concepts: {
+    listKey: 'concepts',
+    validateItem: (concept, path) => validateSchema(concept, CONCEPT_SCHEMA, path)
+  },
+  mindmap: {
+    schema: MINDMAP_SCHEMA
+  },
+  relations: {
+    listKey: 'relations',
+    validateItem: validateRelation
+  },
+  grading: {
+    schema: GRADING_SCHEMA,
+    validate: validateGrading
+  }
+};
+
+/**
+ * 校验AI返回的JSON
+ * @param {string} operation - 操作：exercises、concepts、mindmap、relations、grading
+ * @param {*} payload - 解析后的JSON
+ * @param {Object} [context] - 校验上下文，如出题时的 { types }、推断概念关系时的 { terms }、评分时的 { maxPoints, keyPointCount }
+ * @returns {Object} { value, errors, discarded }：errors 为整体结构的错误（此时 value 为null）；
+ *   列表类输出的 value 为合格条目，discarded 为不合格条目 [{ index, errors }]
+ */
+function validateAIOutput(operation, payload, context = {}) {
+  const definition = OUTPUT_DEFINITIONS[operation];
+  if (!definition) {
+    throw new Error(`未定义输出格式: ${operation}`);
+  }
+
+  if (definition.schema) {
+    const errors = validateSchema(payload, definition.schema);
+    if (errors.length === 0 && definition.validate) {
+      errors.push(...definition.validate(payload, context));
+    }
+    return { value: errors.length > 0 ? null : payload, errors, discarded: [] };
+  }
+
+  const { listKey } = definition;
+  const errors = validateSchema(payload, {
+    type: 'object',
+    required: [listKey],
+    properties: { [listKey]: { type: 'array' } }
+  });
+  if (errors.length > 0) {
+    return { value: null, errors, discarded: [] };
+  }
+
+  const value = [];
+  const discarded = [];
+  payload[listKey].forEach((item, index) => {
+    const itemErrors = definition.validateItem(item, `$.${listKey}[${index}]`, context);
+    if (itemErrors.length > 0) {
+      discarded.push({ index, errors: itemErrors });
+    } else {
+      value.push(item);
+    }
+  });
+  return { value, errors: [], discarded };
+}
+
+module.exports = {
+  validateAIOutput
+};
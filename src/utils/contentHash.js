@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+/**
+ * 计算文本内容的哈希（SHA-256，十六进制），用作 Document.syncStatus.syncHash
+ * @param {string} content - 文本内容
+ * @returns {string} 哈希值
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+}
+
+module.exports = {
+  hashContent
+};
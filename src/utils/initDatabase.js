@@ -53,6 +53,9 @@ async function createIndexes() {
     // ExerciseRecord 模型索引
     await createModelIndexes('ExerciseRecord', models.ExerciseRecord);
     
+    // ProcessingJob 模型索引
+    await createModelIndexes('ProcessingJob', models.ProcessingJob);
+    
   } catch (error) {
     console.error('❌ 索引创建失败:', error);
     throw error;
@@ -0,0 +1,109 @@
+/**
+ * JSON Schema 常用子集的校验
+ * 支持 type、enum、pattern、minLength、minimum、maximum、required、properties、items、minItems、maxItems，
+ * 以及 check（自定义校验函数，返回错误信息或空值）
+ */
+
+const TYPE_NAMES = {
+  string: '字符串',
+  number: '数字',
+  integer: '整数',
+  boolean: '布尔值',
+  array: '数组',
+  object: '对象'
+};
+
+/**
+ * 判断值是否符合类型
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 校验数据
+ * @param {*} value - 数据
+ * @param {Object} schema - 校验规则
+ * @param {string} [path='$'] - 数据路径，用于错误信息
+ * @returns {Array<string>} 错误信息，为空表示通过
+ */
+function validateSchema(value, schema, path = '$') {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} 应为${types.map(type => TYPE_NAMES[type] || type).join('或')}`];
+    }
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} 应为 ${schema.enum.map(item => JSON.stringify(item)).join('、')} 之一`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${path} 不能为空` : `${path} 至少需要${schema.minLength}个字符`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} 格式不正确（应匹配 ${schema.pattern}）`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} 不能小于${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} 不能大于${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} 至少需要${schema.minItems}项`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} 最多${schema.maxItems}项`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} 是必需的`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (errors.length === 0 && schema.check) {
+    const message = schema.check(value);
+    if (message) {
+      errors.push(`${path} ${message}`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,312 @@
+// 中日韩字符（大致每个字符一个token）
+const CJK_PATTERN = /[\u3000-\u303f\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g;
+
+// ATX标题：# 标题
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+
+// 代码块围栏
+const FENCE_PATTERN = /^[ \t]*(```|~~~)/;
+
+// 句末标点（用于切分超长段落）
+const SENTENCE_END_PATTERN = /[。！？；!?;]|\.(?=\s)/g;
+
+/**
+ * 估算文本的token数：中日韩字符按每字1个token，其余按每4个字符1个token
+ * @param {string} text - 文本
+ * @returns {number} token数
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  const cjkCount = (text.match(CJK_PATTERN) || []).length;
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * 按Markdown标题边界将文档切分为不超过token上限的片段
+ * 优先在标题处切分，单个章节过长时依次按段落、行、句子切分，最后按字符硬切
+ * 相邻的短章节会合并到同一片段，片段内容与原文的对应区间完全一致
+ * @param {string} markdown - Markdown内容
+ * @param {Object} options - 切分选项
+ * @param {number} [options.maxTokens=6000] - 每个片段的token上限
+ * @returns {Array<Object>} 片段 [{ index, offset, content, tokens, title, headings }]
+ *   offset 为片段在原文中的起始位置，title 为片段开头所在章节的标题路径，headings 为片段内出现的标题
+ */
+function splitMarkdown(markdown, options = {}) {
+  const maxTokens = options.maxTokens || 6000;
+  const text = markdown || '';
+  if (!text.trim()) {
+    return [];
+  }
+
+  const structure = analyzeStructure(text);
+  const ranges = attachTrailingHeadings(text, structure, splitRange(text, structure, 0, text.length, 0, maxTokens));
+
+  return ranges
+    .map(([start, end]) => {
+      const raw = text.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      return { start: start + leading, end, content: raw.trim() };
+    })
+    .filter(range => range.content)
+    .map((range, index) => ({
+      index,
+      offset: range.start,
+      content: range.content,
+      tokens: estimateTokens(range.content),
+      title: getHeadingPath(structure.headings, range.start).join(' > '),
+      headings: structure.headings
+        .filter(heading => heading.position >= range.start && heading.position < range.end)
+        .map(heading => heading.text)
+    }));
+}
+
+/**
+ * 按章节切分文档，章节以文档的主要标题层级为界
+ * 主要层级为最高的标题层级；该层级只有一个标题时视为文档标题，改用下一层级
+ * 第一个章节之前有正文时（如引言）作为无标题章节
+ * @param {string} markdown - Markdown内容
+ * @returns {Array<Object>} 章节 [{ index, offset, heading, level, path, content }]
+ *   heading 为章节标题（无标题章节为null），path 为包含上级标题的标题路径
+ */
+function splitSections(markdown) {
+  const text = markdown || '';
+  if (!text.trim()) {
+    return [];
+  }
+
+  const { headings } = analyzeStructure(text);
+  let candidates = headings;
+  const topLevel = Math.min(...headings.map(heading => heading.level));
+  if (headings.length > 1 && headings.filter(heading => heading.level === topLevel).length === 1) {
+    candidates = headings.filter(heading => heading.level !== topLevel);
+  }
+  const level = Math.min(...candidates.map(heading => heading.level));
+  const boundaries = candidates.filter(heading => heading.level === level);
+
+  const points = [0, ...boundaries.map(heading => heading.position), text.length];
+  const sections = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const heading = i > 0 ? boundaries[i - 1] : null;
+    const raw = text.slice(points[i], points[i + 1]);
+    const content = raw.trim();
+    // 开头部分只有文档标题等标题行时没有需要概括的内容
+    const body = content.split('\n').filter(line => !HEADING_PATTERN.test(line)).join('\n').trim();
+    if (!body && !heading) {
+      continue;
+    }
+    sections.push({
+      index: sections.length,
+      offset: points[i] + raw.length - raw.trimStart().length,
+      heading: heading ? heading.text : null,
+      level: heading ? heading.level : null,
+      path: heading ? getHeadingPath(headings, heading.position).join(' > ') : '',
+      content
+    });
+  }
+  return sections;
+}
+
+/**
+ * 分析文档结构：行起始位置、标题和段落边界（代码块内的不计）
+ * @param {string} text - Markdown内容
+ * @returns {Object} { lineStarts, headings: [{ position, level, text }], paragraphStarts }
+ */
+function analyzeStructure(text) {
+  const lineStarts = [];
+  const headings = [];
+  const paragraphStarts = [];
+  let inFence = false;
+  let previousBlank = true;
+  let position = 0;
+
+  for (const line of text.split('\n')) {
+    lineStarts.push(position);
+
+    if (FENCE_PATTERN.test(line)) {
+      if (!inFence && previousBlank) {
+        paragraphStarts.push(position);
+      }
+      inFence = !inFence;
+      previousBlank = false;
+    } else if (!inFence) {
+      const heading = line.match(HEADING_PATTERN);
+      const blank = !line.trim();
+      if (heading) {
+        headings.push({ position, level: heading[1].length, text: heading[2] });
+        paragraphStarts.push(position);
+      } else if (!blank && previousBlank) {
+        paragraphStarts.push(position);
+      }
+      previousBlank = blank;
+    }
+
+    position += line.length + 1;
+  }
+
+  return { lineStarts, headings, paragraphStarts };
+}
+
+/**
+ * 获取指定位置所在章节的标题路径
+ * @param {Array} headings - 标题列表
+ * @param {number} position - 位置
+ * @returns {Array<string>} 标题路径（从高层级到低层级）
+ */
+function getHeadingPath(headings, position) {
+  const stack = [];
+  for (const heading of headings) {
+    if (heading.position > position) {
+      break;
+    }
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+  }
+  return stack.map(heading => heading.text);
+}
+
+/**
+ * 获取区间内指定层级的切分点
+ * 层级：0 标题，1 段落，2 行，3 句子，4 按字符硬切
+ */
+function getBoundaries(text, structure, start, end, level, maxTokens) {
+  const inside = (position) => position > start && position < end;
+
+  switch (level) {
+    case 0:
+      return structure.headings.map(heading => heading.position).filter(inside);
+    case 1:
+      return structure.paragraphStarts.filter(inside);
+    case 2:
+      return structure.lineStarts.filter(inside);
+    case 3: {
+      const boundaries = [];
+      SENTENCE_END_PATTERN.lastIndex = 0;
+      const segment = text.slice(start, end);
+      let match;
+      while ((match = SENTENCE_END_PATTERN.exec(segment)) !== null) {
+        boundaries.push(start + match.index + match[0].length);
+      }
+      return boundaries.filter(inside);
+    }
+    default: {
+      // 按字符硬切，按最坏情况（全部为中日韩字符）估算每段长度
+      const boundaries = [];
+      for (let position = start + maxTokens; position < end; position += maxTokens) {
+        boundaries.push(position);
+      }
+      return boundaries;
+    }
+  }
+}
+
+/**
+ * 递归切分区间，并将相邻的小区间合并到token上限以内
+ * @returns {Array<Array<number>>} 区间列表 [[start, end]]
+ */
+function splitRange(text, structure, start, end, level, maxTokens) {
+  if (estimateTokens(text.slice(start, end)) <= maxTokens) {
+    return [[start, end]];
+  }
+
+  const boundaries = getBoundaries(text, structure, start, end, level, maxTokens);
+  if (boundaries.length === 0) {
+    return splitRange(text, structure, start, end, level + 1, maxTokens);
+  }
+
+  const points = [start, ...boundaries, end];
+  const result = [];
+  // 当前正在合并的区间及其token数（按各小段之和计算，略有高估）
+  let current = null;
+  let currentTokens = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const pieceStart = points[i];
+    const pieceEnd = points[i + 1];
+    const pieceTokens = estimateTokens(text.slice(pieceStart, pieceEnd));
+
+    if (current && currentTokens + pieceTokens <= maxTokens) {
+      current[1] = pieceEnd;
+      currentTokens += pieceTokens;
+      continue;
+    }
+
+    if (pieceTokens <= maxTokens) {
+      if (current) {
+        result.push(current);
+      }
+      current = [pieceStart, pieceEnd];
+      currentTokens = pieceTokens;
+      continue;
+    }
+
+    // 超长的小段继续细分，细分结果的首段尽量与前面的区间合并（避免标题单独成段），末段可继续合并后续小段
+    const subRanges = splitRange(text, structure, pieceStart, pieceEnd, level + 1, maxTokens);
+    const firstTokens = estimateTokens(text.slice(subRanges[0][0], subRanges[0][1]));
+    if (current && currentTokens + firstTokens <= maxTokens) {
+      subRanges[0] = [current[0], subRanges[0][1]];
+    } else if (current) {
+      result.push(current);
+    }
+
+    const last = subRanges.pop();
+    result.push(...subRanges);
+    current = last;
+    currentTokens = estimateTokens(text.slice(last[0], last[1]));
+  }
+
+  if (current) {
+    result.push(current);
+  }
+  return result;
+}
+
+/**
+ * 片段以标题结尾时（标题后没有正文），将标题移到下一个片段的开头
+ * 标题行很短，下一个片段因此可能略微超过token上限
+ * @returns {Array<Array<number>>} 调整后的区间
+ */
+function attachTrailingHeadings(text, structure, ranges) {
+  for (let i = 0; i < ranges.length - 1; i++) {
+    const [start, end] = ranges[i];
+    const heading = structure.headings
+      .filter(item => item.position > start && item.position < end)
+      .pop();
+
+    if (heading && !text.slice(heading.position, end).trim().includes('\n')) {
+      ranges[i][1] = heading.position;
+      ranges[i + 1][0] = heading.position;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * 在段落边界处截断Markdown，保证不超过长度上限
+ * @param {string} markdown - Markdown内容
+ * @param {number} maxLength - 最大字符数
+ * @returns {string} 截断后的内容
+ */
+function truncateMarkdown(markdown, maxLength) {
+  if (!markdown || markdown.length <= maxLength) {
+    return markdown;
+  }
+
+  const head = markdown.slice(0, maxLength);
+  const paragraphEnd = head.lastIndexOf('\n\n');
+  if (paragraphEnd > maxLength / 2) {
+    return head.slice(0, paragraphEnd).trimEnd();
+  }
+  const lineEnd = head.lastIndexOf('\n');
+  return (lineEnd > maxLength / 2 ? head.slice(0, lineEnd) : head).trimEnd();
+}
+
+module.exports = {
+  estimateTokens,
+  splitMarkdown,
+  splitSections,
+  truncateMarkdown
+};
@@ -0,0 +1,78 @@
+// 心跳间隔，避免代理因连接空闲而断开
+const HEARTBEAT_INTERVAL = 15000;
+
+// 客户端断线后的重连等待时间（毫秒）
+const RETRY_INTERVAL = 3000;
+
+/**
+ * 将响应切换为 Server-Sent Events 流
+ * @param {Object} req - Express请求
+ * @param {Object} res - Express响应
+ * @param {Object} options - 选项
+ * @param {number} [options.heartbeatInterval] - 心跳间隔（毫秒）
+ * @returns {Object} { send(event, data), onClose(callback), close() }
+ */
+function openEventStream(req, res, options = {}) {
+  const closeCallbacks = [];
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // 关闭 Nginx 的响应缓冲
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_INTERVAL}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, options.heartbeatInterval || HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    closeCallbacks.forEach(callback => callback());
+  };
+
+  // 请求对象在读完请求体后即触发 close，客户端断开需监听响应
+  res.on('close', cleanup);
+
+  return {
+    /**
+     * 发送事件
+     * @param {string} event - 事件名
+     * @param {Object} data - 事件数据（JSON序列化）
+     */
+    send(event, data) {
+      if (closed) {
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * 注册连接关闭时的回调
+     * @param {Function} callback - 回调函数
+     */
+    onClose(callback) {
+      closeCallbacks.push(callback);
+    },
+
+    /**
+     * 主动结束事件流
+     */
+    close() {
+      cleanup();
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,139 @@
+// 字节顺序标记（BOM）
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' }
+];
+
+// Content-Type 中的字符集
+const CONTENT_TYPE_CHARSET_PATTERN = /charset\s*=\s*["']?([\w.:-]+)/i;
+
+// HTML中声明的字符集：<meta charset="gbk"> 或 <meta http-equiv="Content-Type" content="text/html; charset=gbk">
+const META_CHARSET_PATTERN = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i;
+
+/**
+ * 根据BOM判断字符集
+ * @param {Buffer} buffer - 文本缓冲区
+ * @returns {string|null} 字符集
+ */
+function detectBomCharset(buffer) {
+  const bom = BOMS.find(item => item.bytes.every((byte, index) => buffer[index] === byte));
+  return bom ? bom.charset : null;
+}
+
+/**
+ * 判断HTML的字符集，优先级：BOM > HTTP头 > meta声明 > utf-8
+ * @param {Buffer} buffer - HTML缓冲区
+ * @param {string} [contentType] - HTTP响应的 Content-Type
+ * @returns {string} 字符集
+ */
+function detectHtmlCharset(buffer, contentType = '') {
+  const bomCharset = detectBomCharset(buffer);
+  if (bomCharset) {
+    return bomCharset;
+  }
+
+  const headerMatch = contentType.match(CONTENT_TYPE_CHARSET_PATTERN);
+  if (headerMatch && isSupportedCharset(headerMatch[1])) {
+    return headerMatch[1].toLowerCase();
+  }
+
+  // meta声明按规范位于文档前1024字节内，这里放宽到4KB
+  const head = buffer.subarray(0, 4096).toString('latin1');
+  const metaMatch = head.match(META_CHARSET_PATTERN);
+  if (metaMatch && isSupportedCharset(metaMatch[1])) {
+    return metaMatch[1].toLowerCase();
+  }
+
+  return 'utf-8';
+}
+
+/**
+ * 判断纯文本的字符集，依次检查BOM、无BOM的UTF-16、UTF-8，其余按GB18030（兼容GBK/GB2312）处理
+ * @param {Buffer} buffer - 文本缓冲区
+ * @returns {string} 字符集
+ */
+function detectTextCharset(buffer) {
+  const bomCharset = detectBomCharset(buffer);
+  if (bomCharset) {
+    return bomCharset;
+  }
+
+  const utf16Charset = detectUtf16WithoutBom(buffer);
+  if (utf16Charset) {
+    return utf16Charset;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch (error) {
+    return 'gb18030';
+  }
+}
+
+/**
+ * 根据零字节的分布判断无BOM的UTF-16文本（ASCII字符的高位字节为0）
+ * @param {Buffer} buffer - 文本缓冲区
+ * @returns {string|null} 字符集
+ */
+function detectUtf16WithoutBom(buffer) {
+  const sample = buffer.subarray(0, 4096);
+  if (sample.length < 4) {
+    return null;
+  }
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) {
+        evenZeros++;
+      } else {
+        oddZeros++;
+      }
+    }
+  }
+
+  const pairs = sample.length / 2;
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) {
+    return 'utf-16le';
+  }
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+/**
+ * 判断字符集是否可被解码
+ * @param {string} charset - 字符集名称
+ * @returns {boolean}
+ */
+function isSupportedCharset(charset) {
+  try {
+    new TextDecoder(charset);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 按指定字符集解码文本，不支持的字符集按utf-8处理
+ * @param {Buffer} buffer - 文本缓冲区
+ * @param {string} charset - 字符集
+ * @returns {string} 文本内容（已去除BOM）
+ */
+function decodeText(buffer, charset = 'utf-8') {
+  const decoder = isSupportedCharset(charset) ? new TextDecoder(charset) : new TextDecoder('utf-8');
+  return decoder.decode(buffer);
+}
+
+module.exports = {
+  detectBomCharset,
+  detectHtmlCharset,
+  detectTextCharset,
+  isSupportedCharset,
+  decodeText
+};
@@ -0,0 +1,84 @@
+const DocumentService = require('../src/services/DocumentService');
+const AIService = require('../src/services/AIService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const { Exercise, MindMap, Concept } = require('../src/models');
+
+const content = '# 细胞生物学\n\n细胞是生命的基本单位。\n\n## 细胞膜\n\n细胞膜控制物质进出细胞。';
+
+describe('批量AI处理', () => {
+  let service;
+  let fileExtractService;
+
+  const document = {
+    _id: 'doc1',
+    userId: 'user1',
+    title: '细胞生物学',
+    markdownContent: content
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new DocumentService();
+    fileExtractService = service.fileExtractService;
+    fileExtractService.aiService = new AIService({
+      provider: new MockProvider(),
+      usageService: { checkQuota: jest.fn(async () => {}), record: jest.fn(async () => ({})) }
+    });
+    jest.spyOn(fileExtractService, 'saveRestructuredContent').mockImplementation(async (id, value) => value);
+    jest.spyOn(fileExtractService, 'saveSummary').mockResolvedValue({});
+    jest.spyOn(fileExtractService, 'saveConcepts').mockImplementation(async (id, userId, concepts) =>
+      concepts.map((concept, index) => ({ _id: `c${index}`, ...concept })));
+    jest.spyOn(Concept, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Exercise.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(MindMap.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('应通过与后台处理相同的方法保存全部结果', async () => {
+    const { results, stages } = await service.runAIBatch(document, 'user1', { language: 'zh' });
+
+    expect(fileExtractService.saveRestructuredContent).toHaveBeenCalledWith('doc1', results.restructuredContent);
+    expect(fileExtractService.saveSummary).toHaveBeenCalledWith('doc1', 'user1', results.summary, content.length, { language: 'zh' });
+    expect(fileExtractService.saveConcepts).toHaveBeenCalledWith('doc1', 'user1', results.concepts);
+    expect(Concept.updateMany).toHaveBeenCalledWith(
+      { documentId: 'doc1', isDeleted: false, _id: { $nin: results.concepts.map((concept, index) => `c${index}`) } },
+      { isDeleted: true }
+    );
+    expect(results.exercises.databaseObject.title).toBe('细胞生物学');
+    expect(results.mindMap.saved).toBe(true);
+    expect(Object.values(stages)).toEqual(Array(5).fill({ status: 'completed', saved: true }));
+  });
+
+  it('应按阶段报告未执行、生成失败和保存失败', async () => {
+    jest.spyOn(fileExtractService.aiService, 'generateSummary').mockRejectedValue(new Error('摘要生成失败: 连接中断'));
+    fileExtractService.saveConcepts.mockRejectedValue(new Error('数据库不可用'));
+
+    const { results, stages } = await service.runAIBatch(document, 'user1', {
+      includeRestructure: false,
+      includeMindMap: false
+    });
+
+    expect(results.restructuredContent).toBeUndefined();
+    expect(stages).toEqual({
+      restructure: { status: 'skipped', saved: false },
+      summary: { status: 'failed', saved: false, error: '摘要生成失败: 连接中断' },
+      concepts: { status: 'failed', saved: false, error: '保存失败: 数据库不可用' },
+      exercises: { status: 'completed', saved: true },
+      mindmap: { status: 'skipped', saved: false }
+    });
+    expect(fileExtractService.saveSummary).not.toHaveBeenCalled();
+  });
+
+  it('练习题未保存时该阶段失败', async () => {
+    Exercise.prototype.save.mockRejectedValue(new Error('验证失败'));
+
+    const { stages } = await service.runAIBatch(document, 'user1', { includeRestructure: false });
+
+    expect(stages.exercises).toMatchObject({ status: 'failed', saved: false });
+    expect(stages.summary.status).toBe('completed');
+  });
+});
@@ -0,0 +1,217 @@
+const AIService = require('../src/services/AIService');
+const AICache = require('../src/services/AICache');
+const DocumentService = require('../src/services/DocumentService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const AICacheEntry = require('../src/models/AICacheEntry');
+const Document = require('../src/models/Document');
+const { hashContent } = require('../src/utils/contentHash');
+
+const content = '# 机器学习\n\n机器学习让计算机从数据中学习。\n\n## 监督学习\n\n使用带标签的数据训练模型。';
+
+/**
+ * 内存中的缓存，接口与 AICache 一致
+ */
+function createMemoryCache() {
+  const cache = new AICache({ ttl: 60 });
+  const entries = new Map();
+  cache.get = jest.fn(async key => entries.get(key) || null);
+  cache.set = jest.fn(async (key, entry) => {
+    const saved = { ...entry, key, updatedAt: new Date(), expiresAt: new Date(Date.now() + 60000) };
+    entries.set(key, saved);
+    return saved;
+  });
+  return cache;
+}
+
+describe('AI生成结果缓存', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('AICache', () => {
+    const descriptor = { operation: 'mindmap', model: 'mock:mock', prompt: 'mindmap@1:zh', contentHash: 'hash' };
+
+    it('选项的书写顺序和空值不影响缓存键', () => {
+      const cache = new AICache({ ttl: 60 });
+
+      expect(cache.buildKey({ ...descriptor, options: { maxNodes: 20, style: 'mindmap', extra: undefined } }))
+        .toBe(cache.buildKey({ ...descriptor, options: { style: 'mindmap', maxNodes: 20 } }));
+    });
+
+    it('模型、提示词版本、选项或内容变化时缓存键不同', () => {
+      const cache = new AICache({ ttl: 60 });
+      const key = cache.buildKey({ ...descriptor, options: { maxNodes: 20 } });
+
+      expect(cache.buildKey({ ...descriptor, model: 'openai:gpt-4o', options: { maxNodes: 20 } })).not.toBe(key);
+      expect(cache.buildKey({ ...descriptor, prompt: 'mindmap@2:zh', options: { maxNodes: 20 } })).not.toBe(key);
+      expect(cache.buildKey({ ...descriptor, options: { maxNodes: 10 } })).not.toBe(key);
+      expect(cache.buildKey({ ...descriptor, contentHash: 'other', options: { maxNodes: 20 } })).not.toBe(key);
+    });
+
+    it('写入时按有效期设置过期时间', async () => {
+      const cache = new AICache({ ttl: 60 });
+      const findOneAndUpdate = jest.spyOn(AICacheEntry, 'findOneAndUpdate').mockReturnValue({ lean: async () => ({}) });
+
+      await cache.set('key', { ...descriptor, result: { title: '标题' } });
+
+      const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ key: 'key' });
+      expect(update.$set.expiresAt.getTime()).toBeGreaterThan(Date.now() + 59000);
+      expect(update.$set.result).toEqual({ title: '标题' });
+      expect(options).toMatchObject({ upsert: true });
+    });
+
+    it('读取失败时按未命中处理', async () => {
+      jest.spyOn(AICacheEntry, 'findValid').mockRejectedValue(new Error('连接断开'));
+
+      await expect(new AICache({ ttl: 60 }).get('key')).resolves.toBeNull();
+    });
+
+    it('有效期为0时关闭缓存', () => {
+      expect(new AICache({ ttl: 0 }).enabled).toBe(false);
+    });
+  });
+
+  describe('AIService', () => {
+    let service;
+    let complete;
+
+    beforeEach(() => {
+      service = new AIService({ provider: new MockProvider(), cache: createMemoryCache() });
+      complete = jest.spyOn(service.provider, 'complete');
+    });
+
+    it('相同内容和选项第二次调用应命中缓存', async () => {
+      const onCache = jest.fn();
+      const options = { maxNodes: 10, contentHash: hashContent(content), saveToDatabase: false, onCache };
+
+      const first = await service.generateMindMap(content, options);
+      const second = await service.generateMindMap(content, options);
+
+      expect(second).toEqual(first);
+      expect(complete).toHaveBeenCalledTimes(1);
+      expect(onCache.mock.calls.map(([info]) => info.hit)).toEqual([false, true]);
+      expect(onCache.mock.calls[1][0]).toMatchObject({ operation: 'mindmap', cachedAt: expect.any(Date) });
+    });
+
+    it('选项不同时不命中缓存', async () => {
+      const contentHash = hashContent(content);
+
+      await service.generateExercises(content, '机器学习', { count: 2, contentHash, saveToDatabase: false });
+      await service.generateExercises(content, '机器学习', { count: 3, contentHash, saveToDatabase: false });
+
+      expect(complete).toHaveBeenCalledTimes(2);
+    });
+
+    it('force 时忽略缓存并覆盖旧结果', async () => {
+      const onCache = jest.fn();
+      const options = { contentHash: hashContent(content), onCache };
+
+      await service.extractConcepts(content, options);
+      await service.extractConcepts(content, { ...options, force: true });
+
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(service.cache.get).toHaveBeenCalledTimes(1);
+      expect(service.cache.set).toHaveBeenCalledTimes(2);
+      expect(onCache.mock.calls.map(([info]) => info.hit)).toEqual([false, false]);
+    });
+
+    it('未提供内容哈希时不使用缓存', async () => {
+      await service.generateSummary(content);
+      await service.generateSummary(content);
+
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(service.cache.get).not.toHaveBeenCalled();
+    });
+
+    it('超出配额时仍可取得缓存的结果，未命中缓存时返回配额错误', async () => {
+      const quotaError = Object.assign(new Error('AI用量已超出每日配额'), { status: 429, code: 'AI_QUOTA_EXCEEDED' });
+      const usageService = { checkQuota: jest.fn().mockResolvedValue(), record: jest.fn().mockResolvedValue() };
+      service = new AIService({ provider: new MockProvider(), cache: createMemoryCache(), usageService });
+      complete = jest.spyOn(service.provider, 'complete');
+      const onCache = jest.fn();
+      const options = { userId: 'user-1', contentHash: hashContent(content), saveToDatabase: false, onCache };
+
+      const first = await service.generateMindMap(content, options);
+      usageService.checkQuota.mockRejectedValue(quotaError);
+
+      await expect(service.generateMindMap(content, options)).resolves.toEqual(first);
+      expect(onCache.mock.calls[1][0]).toMatchObject({ operation: 'mindmap', hit: true });
+      expect(usageService.checkQuota).toHaveBeenCalledTimes(1);
+
+      await expect(service.generateMindMap(content, { ...options, maxNodes: 5 })).rejects.toMatchObject({ status: 429 });
+      expect(complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('批量处理应按操作报告缓存信息', async () => {
+      const cache = {};
+      const options = {
+        includeExercises: false,
+        contentHash: hashContent(content),
+        saveToDatabase: false,
+        onCache: info => { cache[info.operation] = info; }
+      };
+
+      await service.processDocument(content, options);
+      await service.processDocument(content, options);
+
+      expect(Object.keys(cache).sort()).toEqual(['concepts', 'mindmap', 'restructure', 'summary']);
+      expect(Object.values(cache).every(info => info.hit)).toBe(true);
+    });
+
+    it('提供方不可用或超出配额时，批量处理仍返回缓存的结果', async () => {
+      const quotaError = Object.assign(new Error('AI用量已超出每日配额'), { status: 429, code: 'AI_QUOTA_EXCEEDED' });
+      const usageService = { checkQuota: jest.fn().mockResolvedValue(), record: jest.fn().mockResolvedValue() };
+      service = new AIService({ provider: new MockProvider(), cache: createMemoryCache(), usageService });
+      const cache = {};
+      const options = {
+        includeExercises: false,
+        includeMindMap: false,
+        userId: 'user-1',
+        contentHash: hashContent(content),
+        onCache: info => { cache[info.operation] = info; }
+      };
+
+      const first = await service.processDocument(content, options);
+      usageService.checkQuota.mockRejectedValue(quotaError);
+      jest.spyOn(service.provider, 'isAvailable').mockReturnValue(false);
+
+      const second = await service.processDocument(content, { ...options, includeMindMap: true });
+
+      expect(second.summary).toEqual(first.summary);
+      expect(second.concepts).toEqual(first.concepts);
+      expect(['restructure', 'summary', 'concepts'].map(operation => cache[operation].hit)).toEqual([true, true, true]);
+      // 未缓存的项单独失败
+      expect(second.mindMap).toBeUndefined();
+      expect(second.mindMapError).toBeDefined();
+
+      // 全部未命中缓存时整体返回配额错误
+      jest.spyOn(service.provider, 'isAvailable').mockReturnValue(true);
+      await expect(service.processDocument(content, { ...options, contentHash: 'other' })).rejects.toMatchObject({ status: 429 });
+    });
+  });
+
+  describe('DocumentService.getContentHash', () => {
+    it('已有正确的内容哈希时直接使用', async () => {
+      const updateOne = jest.spyOn(Document, 'updateOne').mockResolvedValue({});
+      const document = { _id: 'doc1', markdownContent: content, syncStatus: { syncHash: hashContent(content) } };
+
+      await expect(new DocumentService().getContentHash(document)).resolves.toBe(hashContent(content));
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it('缺少或过期时应计算并写回', async () => {
+      const updateOne = jest.spyOn(Document, 'updateOne').mockResolvedValue({});
+      const document = { _id: 'doc1', markdownContent: content, syncStatus: { syncHash: null } };
+
+      await new DocumentService().getContentHash(document);
+
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'doc1' }, { 'syncStatus.syncHash': hashContent(content) });
+    });
+  });
+});
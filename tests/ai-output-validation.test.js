@@ -0,0 +1,150 @@
+const AIService = require('../src/services/AIService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const { validateAIOutput } = require('../src/utils/aiOutputSchemas');
+
+const content = '# 机器学习\n\n机器学习让计算机从数据中学习。\n\n## 监督学习\n\n使用带标签的数据训练模型。';
+
+const validExercises = [
+  { type: 'multiple_choice', question: '机器学习从什么中学习？', options: ['数据', '规则'], correct_answer: 'A', explanation: '见正文' },
+  { type: 'true_false', question: '监督学习使用带标签的数据。', correct_answer: true },
+  { type: 'short_answer', question: '简述监督学习。', sample_answer: '使用带标签的数据训练模型。', key_points: ['带标签'] }
+];
+
+/**
+ * 按顺序返回预设输出的提供方
+ */
+function createProvider(outputs) {
+  const provider = new MockProvider();
+  jest.spyOn(provider, 'complete').mockImplementation(async () => ({
+    content: outputs.length > 1 ? outputs.shift() : outputs[0],
+    model: 'mock',
+    usage: { promptTokens: 10, completionTokens: 10 }
+  }));
+  return provider;
+}
+
+describe('AI输出校验', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.AI_REPAIR_ATTEMPTS;
+    jest.restoreAllMocks();
+  });
+
+  describe('validateAIOutput', () => {
+    it('格式正确的练习题应全部通过', () => {
+      expect(validateAIOutput('exercises', { exercises: validExercises })).toEqual({
+        value: validExercises,
+        errors: [],
+        discarded: []
+      });
+    });
+
+    it('不合格的题目应单独列出，不影响其他题目', () => {
+      const result = validateAIOutput('exercises', {
+        exercises: [
+          validExercises[0],
+          { type: 'multiple_choice', question: '题目', options: ['甲', '乙'], correct_answer: 'D' },
+          { type: 'true_false', question: '判断', correct_answer: 'true' },
+          { type: 'short_answer', question: '简答' }
+        ]
+      });
+
+      expect(result.value).toEqual([validExercises[0]]);
+      expect(result.discarded.map(item => item.index)).toEqual([1, 2, 3]);
+      expect(result.discarded[0].errors[0]).toContain('不对应任何选项');
+      expect(result.discarded[1].errors).toEqual(['$.exercises[2].correct_answer 应为布尔值']);
+      expect(result.discarded[2].errors).toEqual(['$.exercises[3].sample_answer 是必需的']);
+    });
+
+    it('不在请求范围内的题型应丢弃', () => {
+      const result = validateAIOutput('exercises', { exercises: validExercises }, { types: ['true_false'] });
+
+      expect(result.value).toHaveLength(1);
+      expect(result.discarded).toHaveLength(2);
+    });
+
+    it('概念的类别和重要性必须有效', () => {
+      const concept = { term: '监督学习', definition: '使用带标签的数据训练模型', category: 'concept', importance: 4 };
+      const result = validateAIOutput('concepts', {
+        concepts: [concept, { ...concept, category: 'unknown' }, { ...concept, importance: 8 }]
+      });
+
+      expect(result.value).toEqual([concept]);
+      expect(result.discarded).toHaveLength(2);
+    });
+
+    it('整体结构错误时返回错误而不是条目', () => {
+      expect(validateAIOutput('exercises', { questions: [] }).errors).toEqual(['$.exercises 是必需的']);
+      expect(validateAIOutput('mindmap', { title: '标题', mermaid: 'graph TD' }).value).toBeNull();
+    });
+  });
+
+  describe('修正与丢弃', () => {
+    it('未通过校验时应附上错误重新生成', async () => {
+      const provider = createProvider([
+        JSON.stringify({ title: '机器学习' }),
+        JSON.stringify({ title: '机器学习', mermaid: 'mindmap\n  机器学习\n    监督学习' })
+      ]);
+      const service = new AIService({ provider });
+
+      const result = await service.generateMindMap(content, { saveToDatabase: false });
+
+      expect(result.mermaid).toContain('监督学习');
+      expect(result.validation).toEqual({ operation: 'mindmap', repairAttempts: 1, discarded: [] });
+      const repairPrompt = provider.complete.mock.calls[1][0].messages[0].content;
+      expect(repairPrompt).toContain('$.mermaid 是必需的');
+      expect(repairPrompt).toContain('你上一次的输出：\n{"title":"机器学习"}');
+    });
+
+    it('用尽修正次数后丢弃不合格的题目，不用默认值补全', async () => {
+      process.env.AI_REPAIR_ATTEMPTS = '1';
+      const invalid = { type: 'multiple_choice', question: '题目' };
+      const provider = createProvider([JSON.stringify({ exercises: [validExercises[1], invalid] })]);
+      const service = new AIService({ provider });
+      const onValidation = jest.fn();
+
+      const result = await service.generateExercises(content, '机器学习', { count: 2, saveToDatabase: false, onValidation });
+
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+      expect(result.exercises).toEqual([validExercises[1]]);
+      expect(result.validation.repairAttempts).toBe(1);
+      expect(result.validation.discarded).toEqual([{ index: 1, errors: expect.arrayContaining(['$.exercises[1].options 是必需的']) }]);
+      expect(onValidation).toHaveBeenCalledWith(result.validation);
+    });
+
+    it('多次修正时保留合格条目最多的结果', async () => {
+      const provider = createProvider([
+        JSON.stringify({ exercises: [validExercises[0], validExercises[1], { type: 'true_false' }] }),
+        JSON.stringify({ exercises: [validExercises[0], { type: 'true_false' }] }),
+        JSON.stringify({ exercises: [{ type: 'true_false' }] })
+      ]);
+      const service = new AIService({ provider });
+
+      const result = await service.generateExercises(content, '机器学习', { count: 3, saveToDatabase: false });
+
+      expect(result.exercises).toEqual([validExercises[0], validExercises[1]]);
+      expect(result.validation.repairAttempts).toBe(2);
+    });
+
+    it('始终不是有效JSON时操作失败', async () => {
+      process.env.AI_REPAIR_ATTEMPTS = '0';
+      const provider = createProvider(['这不是JSON']);
+      const service = new AIService({ provider });
+
+      await expect(service.extractConcepts(content)).rejects.toThrow('输出不是有效的JSON');
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('没有合格的题目时不保存空练习', async () => {
+      const provider = createProvider([JSON.stringify({ exercises: [{ type: 'short_answer', question: '简答' }] })]);
+      const service = new AIService({ provider });
+
+      await expect(service.generateExercises(content, '机器学习', { count: 1, saveToDatabase: false }))
+        .rejects.toThrow('没有通过校验的题目');
+    });
+  });
+});
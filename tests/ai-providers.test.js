@@ -0,0 +1,231 @@
+const axios = require('axios');
+const { Readable } = require('stream');
+const AIService = require('../src/services/AIService');
+const BaseProvider = require('../src/services/providers/BaseProvider');
+const OpenAIProvider = require('../src/services/providers/OpenAIProvider');
+const AnthropicProvider = require('../src/services/providers/AnthropicProvider');
+const OllamaProvider = require('../src/services/providers/OllamaProvider');
+const MockProvider = require('../src/services/providers/MockProvider');
+const { createProvider, resolveProviderName } = require('../src/services/providers');
+
+async function collect(deltas) {
+  const result = [];
+  for await (const delta of deltas) {
+    result.push(delta);
+  }
+  return result;
+}
+
+describe('AI服务提供方', () => {
+  const messages = [
+    { role: 'system', content: '你是学习助手' },
+    { role: 'user', content: '提取概念' }
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('提供方选择', () => {
+    it('应优先使用 AI_PROVIDER', () => {
+      expect(resolveProviderName({ AI_PROVIDER: ' Anthropic ', OPENAI_API_KEY: 'key' })).toBe('anthropic');
+    });
+
+    it('未指定时有OpenAI密钥则使用openai，否则只有测试环境使用mock', () => {
+      expect(resolveProviderName({ OPENAI_API_KEY: 'key' })).toBe('openai');
+      expect(resolveProviderName({ NODE_ENV: 'test' })).toBe('mock');
+      expect(resolveProviderName({ NODE_ENV: 'production' })).toBe('openai');
+      expect(resolveProviderName({ NODE_ENV: 'development' })).toBe('openai');
+      expect(resolveProviderName({ NODE_ENV: 'staging' })).toBe('openai');
+      expect(resolveProviderName({})).toBe('openai');
+    });
+
+    it('不支持的提供方应报错', () => {
+      expect(() => createProvider('unknown')).toThrow('不支持的AI服务提供方: unknown');
+    });
+
+    it('使用离线模拟时应在启动时输出警告', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      new AIService({ provider: new MockProvider() });
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('离线模拟'), {});
+    });
+
+    it('提供方不可用时AI功能应提示配置方法', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const service = new AIService({ provider: new OpenAIProvider({ apiKey: '' }) });
+
+      await expect(service.generateSummary('内容')).rejects.toThrow('请设置OPENAI_API_KEY环境变量');
+    });
+  });
+
+  describe('OpenAIProvider', () => {
+    it('JSON请求应设置 response_format，并返回用量', async () => {
+      const provider = new OpenAIProvider({ apiKey: 'key', model: 'gpt-4o-mini' });
+      const create = jest.fn().mockResolvedValue({
+        model: 'gpt-4o-mini',
+        choices: [{ message: { content: '{"concepts":[]}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 }
+      });
+      provider.client = { chat: { completions: { create } } };
+
+      const result = await provider.complete({ messages, temperature: 0.3, maxTokens: 100, json: true });
+
+      expect(create).toHaveBeenCalledWith({
+        model: 'gpt-4o-mini',
+        messages,
+        temperature: 0.3,
+        max_tokens: 100,
+        response_format: { type: 'json_object' }
+      }, { signal: undefined });
+      expect(result).toEqual({
+        content: '{"concepts":[]}',
+        model: 'gpt-4o-mini',
+        usage: { promptTokens: 12, completionTokens: 3 }
+      });
+    });
+
+    it('流式输出应逐个返回文本增量', async () => {
+      const provider = new OpenAIProvider({ apiKey: 'key' });
+      const create = jest.fn().mockResolvedValue((async function* () {
+        yield { choices: [{ delta: { role: 'assistant' } }] };
+        yield { choices: [{ delta: { content: '## 摘' } }] };
+        yield { choices: [{ delta: { content: '要' } }] };
+      })());
+      provider.client = { chat: { completions: { create } } };
+
+      expect(await collect(provider.stream({ messages, maxTokens: 100 }))).toEqual(['## 摘', '要']);
+      expect(create.mock.calls[0][0].stream).toBe(true);
+    });
+  });
+
+  describe('AnthropicProvider', () => {
+    it('应将系统消息放入 system 字段，并从输出中取出JSON', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'key', baseURL: 'https://llm.example.com/', model: 'claude-test' });
+      jest.spyOn(axios, 'post').mockResolvedValue({
+        data: {
+          model: 'claude-test',
+          content: [{ type: 'text', text: '```json\n{"concepts":[]}\n```' }],
+          usage: { input_tokens: 20, output_tokens: 5 }
+        }
+      });
+
+      const result = await provider.complete({ messages, temperature: 0.3, maxTokens: 100, json: true });
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://llm.example.com/v1/messages');
+      expect(body.messages).toEqual([{ role: 'user', content: '提取概念' }]);
+      expect(body.system).toContain('你是学习助手');
+      expect(body.system).toContain('JSON');
+      expect(config.headers).toMatchObject({ 'x-api-key': 'key', 'anthropic-version': '2023-06-01' });
+      expect(result).toEqual({
+        content: '{"concepts":[]}',
+        model: 'claude-test',
+        usage: { promptTokens: 20, completionTokens: 5 }
+      });
+    });
+
+    it('请求失败时应保留状态码', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'key' });
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, data: { error: { message: 'rate limited' } } };
+      jest.spyOn(axios, 'post').mockRejectedValue(error);
+
+      await expect(provider.complete({ messages, maxTokens: 100 }))
+        .rejects.toMatchObject({ message: 'anthropic 请求失败: rate limited', status: 429 });
+    });
+
+    it('流式输出应只取文本增量事件', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'key' });
+      const events = [
+        'event: message_start\ndata: {"type":"message_start"}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"## 摘"}}\n\n',
+        'event: ping\ndata: {"type":"ping"}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"要"}}\n\n'
+      ];
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: Readable.from(events.map(event => Buffer.from(event))) });
+
+      expect(await collect(provider.stream({ messages, maxTokens: 100 }))).toEqual(['## 摘', '要']);
+      expect(axios.post.mock.calls[0][1].stream).toBe(true);
+      expect(axios.post.mock.calls[0][2].responseType).toBe('stream');
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    it('应调用本地 /api/chat 接口并关闭流式输出', async () => {
+      const provider = new OllamaProvider({ baseURL: 'http://127.0.0.1:11434', model: 'qwen2.5:7b' });
+      jest.spyOn(axios, 'post').mockResolvedValue({
+        data: { model: 'qwen2.5:7b', message: { content: '## 摘要' }, prompt_eval_count: 8, eval_count: 2 }
+      });
+
+      const result = await provider.complete({ messages, temperature: 0.2, maxTokens: 50 });
+
+      expect(axios.post).toHaveBeenCalledWith('http://127.0.0.1:11434/api/chat', {
+        model: 'qwen2.5:7b',
+        messages,
+        stream: false,
+        options: { temperature: 0.2, num_predict: 50 }
+      }, expect.any(Object));
+      expect(result.content).toBe('## 摘要');
+      expect(result.usage).toEqual({ promptTokens: 8, completionTokens: 2 });
+    });
+
+    it('流式输出应按行解析，且不拆断多字节字符', async () => {
+      const provider = new OllamaProvider({ baseURL: 'http://127.0.0.1:11434' });
+      const lines = Buffer.from('{"message":{"content":"摘要"}}\n{"message":{"content":""},"done":true}\n');
+      // 在“摘”字的字节中间切分
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: Readable.from([lines.subarray(0, 24), lines.subarray(24)]) });
+
+      expect(await collect(provider.stream({ messages, maxTokens: 50 }))).toEqual(['摘要']);
+    });
+  });
+
+  describe('MockProvider', () => {
+    const content = '# 机器学习\n\n机器学习让计算机从数据中学习。\n\n## 监督学习\n\n使用带标签的数据训练模型。';
+
+    it('应根据文档标题生成概念并记录出现位置', async () => {
+      const provider = new MockProvider();
+
+      const result = await provider.complete({ task: 'concepts', json: true, params: { content, maxConcepts: 2 } });
+      const { concepts } = JSON.parse(result.content);
+
+      expect(concepts).toHaveLength(2);
+      expect(concepts[0]).toMatchObject({ term: '机器学习', definition: '机器学习让计算机从数据中学习。', category: 'concept' });
+      expect(concepts[0].occurrences[0].position).toBe(content.indexOf('机器学习'));
+      expect(result.usage.completionTokens).toBeGreaterThan(0);
+    });
+
+    it('应按要求的数量和题型生成练习题', async () => {
+      const provider = new MockProvider();
+
+      const result = await provider.complete({
+        task: 'exercises',
+        json: true,
+        params: { content, count: 4, types: ['true_false', 'short_answer'] }
+      });
+      const { exercises } = JSON.parse(result.content);
+
+      expect(exercises.map(exercise => exercise.type)).toEqual(['true_false', 'short_answer', 'true_false', 'short_answer']);
+      expect(exercises[1]).toMatchObject({ question: '请简述“监督学习”的含义。', sample_answer: '使用带标签的数据训练模型。' });
+    });
+
+    it('生成的思维导图应通过语法校验', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const service = new AIService({ provider: new MockProvider() });
+
+      const result = await service.generateMindMap(content, { saveToDatabase: false });
+
+      expect(result.title).toBe('机器学习');
+      expect(result.mermaid).toBe('mindmap\n  机器学习\n    监督学习');
+      expect(service.validateMermaidSyntax(result.mermaid)).toBe(true);
+    });
+  });
+
+  it('应去除JSON输出外的代码块标记和说明文字', () => {
+    expect(BaseProvider.extractJson('结果如下：{"a":1}')).toBe('{"a":1}');
+    expect(BaseProvider.extractJson('```json\n{"a":1}\n```')).toBe('{"a":1}');
+  });
+});
@@ -0,0 +1,211 @@
+const AIService = require('../src/services/AIService');
+const CircuitBreaker = require('../src/services/CircuitBreaker');
+const BaseProvider = require('../src/services/providers/BaseProvider');
+const MockProvider = require('../src/services/providers/MockProvider');
+
+const content = '# 机器学习\n\n机器学习让计算机从数据中学习。';
+
+/**
+ * 带状态码的提供方错误
+ */
+function providerError(status, retryAfter) {
+  const error = new Error(`mock 请求失败: ${status}`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+const success = { content: '## 摘要\n\n机器学习', model: 'mock', usage: { promptTokens: 10, completionTokens: 10 } };
+
+async function collect(stream) {
+  const deltas = [];
+  for await (const delta of stream) {
+    deltas.push(delta);
+  }
+  return deltas;
+}
+
+describe('AI调用的超时、重试与断路器', () => {
+  let provider;
+  let breaker;
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.AI_RETRY_BASE_DELAY = '1';
+    provider = new MockProvider();
+    breaker = new CircuitBreaker('test', { failureThreshold: 3, resetTimeout: 50 });
+    service = new AIService({ provider, breaker });
+  });
+
+  afterEach(() => {
+    delete process.env.AI_RETRY_BASE_DELAY;
+    delete process.env.AI_MAX_RETRIES;
+    delete process.env.AI_OPERATION_TIMEOUTS;
+    jest.restoreAllMocks();
+  });
+
+  describe('重试', () => {
+    it('429和5xx应重试后成功', async () => {
+      jest.spyOn(provider, 'complete')
+        .mockRejectedValueOnce(providerError(429))
+        .mockRejectedValueOnce(providerError(503))
+        .mockResolvedValue(success);
+
+      await expect(service.generateSummary(content)).resolves.toContain('机器学习');
+      expect(provider.complete).toHaveBeenCalledTimes(3);
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    it('客户端错误不重试', async () => {
+      jest.spyOn(provider, 'complete').mockRejectedValue(providerError(401));
+
+      await expect(service.generateSummary(content)).rejects.toThrow('mock 请求失败: 401');
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('用尽重试次数后失败', async () => {
+      process.env.AI_MAX_RETRIES = '1';
+      service = new AIService({ provider, breaker });
+      jest.spyOn(provider, 'complete').mockRejectedValue(providerError(502));
+
+      await expect(service.generateSummary(content)).rejects.toThrow('502');
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+    });
+
+    it('应按 Retry-After 等待，等待时间过长时不再重试', () => {
+      expect(service._retryDelay(providerError(429, 1500), 1)).toBe(1500);
+      expect(service._retryDelay(providerError(429, 60 * 1000), 1)).toBeNull();
+      expect(service._retryDelay(providerError(429, 1500), 3)).toBeNull();
+    });
+
+    it('未指定 Retry-After 时按指数退避加随机抖动', () => {
+      service.retryBaseDelay = 1000;
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      expect(service._retryDelay(providerError(503), 1)).toBe(500);
+      expect(service._retryDelay(providerError(503), 2)).toBe(1000);
+
+      Math.random.mockReturnValue(0.999);
+      expect(service._retryDelay(providerError(503), 2)).toBe(1999);
+    });
+
+    it('应解析 Retry-After 响应头', async () => {
+      expect(BaseProvider.parseRetryAfter('3')).toBe(3000);
+      expect(BaseProvider.parseRetryAfter(new Date(Date.now() + 60 * 1000).toUTCString())).toBeGreaterThan(50 * 1000);
+      expect(BaseProvider.parseRetryAfter(undefined)).toBeUndefined();
+
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, headers: { 'retry-after': '2' }, data: {} };
+      expect(new BaseProvider()._requestError(error)).toMatchObject({ status: 429, retryAfter: 2000, timeout: false, network: false });
+    });
+  });
+
+  describe('超时', () => {
+    it('应按操作的超时取消请求并重试', async () => {
+      process.env.AI_MAX_RETRIES = '1';
+      process.env.AI_OPERATION_TIMEOUTS = JSON.stringify({ summary: 20 });
+      service = new AIService({ provider, breaker });
+      const signals = [];
+      jest.spyOn(provider, 'complete').mockImplementation(({ signal, timeout }) => {
+        signals.push({ signal, timeout });
+        return new Promise(() => {});
+      });
+
+      await expect(service.generateSummary(content)).rejects.toThrow('AI请求超时（summary，0.02秒）');
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+      expect(signals[0].timeout).toBe(20);
+      expect(signals[0].signal.aborted).toBe(true);
+    });
+
+    it('调用方取消时不重试', async () => {
+      const controller = new AbortController();
+      jest.spyOn(provider, 'complete').mockImplementation(async () => {
+        controller.abort();
+        throw providerError(503);
+      });
+
+      await expect(service.generateSummary(content, { signal: controller.signal })).rejects.toThrow('503');
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(breaker.getState().failures).toBe(0);
+    });
+  });
+
+  describe('断路器', () => {
+    it('连续失败达到阈值后直接失败，不再调用提供方', async () => {
+      process.env.AI_MAX_RETRIES = '0';
+      service = new AIService({ provider, breaker });
+      jest.spyOn(provider, 'complete').mockRejectedValue(providerError(500));
+
+      for (let i = 0; i < 3; i++) {
+        await expect(service.generateSummary(content)).rejects.toThrow('500');
+      }
+      expect(breaker.getState()).toMatchObject({ state: 'open', failures: 3 });
+
+      await expect(service.generateSummary(content)).rejects.toThrow('暂时不可用');
+      expect(provider.complete).toHaveBeenCalledTimes(3);
+    });
+
+    it('冷却后放行试探请求，成功则恢复', async () => {
+      for (let i = 0; i < 3; i++) {
+        breaker.recordFailure(providerError(503));
+      }
+      expect(() => breaker.acquire()).toThrow(expect.objectContaining({ code: 'AI_CIRCUIT_OPEN', status: 503 }));
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      expect(breaker.getState().state).toBe('half_open');
+
+      breaker.acquire();
+      // 试探请求未结束时其他请求仍直接失败
+      expect(() => breaker.acquire()).toThrow('暂时不可用');
+      breaker.recordSuccess();
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0, openedAt: null });
+    });
+
+    it('试探请求失败时重新断开', async () => {
+      for (let i = 0; i < 3; i++) {
+        breaker.recordFailure(providerError(503));
+      }
+      await new Promise(resolve => setTimeout(resolve, 60));
+
+      breaker.acquire();
+      breaker.recordFailure(providerError(503));
+
+      expect(breaker.getState().state).toBe('open');
+    });
+
+    it('客户端错误不计入连续失败', async () => {
+      breaker.recordFailure(providerError(503));
+      jest.spyOn(provider, 'complete').mockRejectedValue(providerError(400));
+
+      await expect(service.generateSummary(content)).rejects.toThrow('400');
+      expect(breaker.getState().failures).toBe(0);
+    });
+  });
+
+  describe('流式输出', () => {
+    it('开始输出前失败时重试', async () => {
+      let calls = 0;
+      jest.spyOn(provider, 'stream').mockImplementation(async function* () {
+        calls++;
+        if (calls === 1) {
+          throw providerError(503);
+        }
+        yield '## 摘要';
+      });
+
+      expect(await collect(service.generateSummaryStream(content))).toEqual(['## 摘要']);
+      expect(calls).toBe(2);
+    });
+
+    it('已开始输出后失败时不重试', async () => {
+      jest.spyOn(provider, 'stream').mockImplementation(async function* () {
+        yield '## 摘';
+        throw providerError(503);
+      });
+
+      await expect(collect(service.generateSummaryStream(content))).rejects.toThrow('503');
+      expect(provider.stream).toHaveBeenCalledTimes(1);
+    });
+  });
+});
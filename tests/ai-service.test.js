@@ -1,4 +1,5 @@
 const AIService = require('../src/services/AIService');
+const MockProvider = require('../src/services/providers/MockProvider');
 
 describe('AIService', () => {
   let aiService;
@@ -58,8 +59,12 @@ describe('AIService', () => {
     });
   });
 
-  // 注意：以下测试需要有效的OpenAI API密钥才能运行
+  // 使用离线模拟的AI服务，无需API密钥
   describe('AI功能集成测试', () => {
+    beforeEach(() => {
+      aiService = new AIService({ provider: new MockProvider() });
+    });
+
     const sampleContent = `
 人工智能（Artificial Intelligence，AI）是计算机科学的一个分支，它企图了解智能的实质，
 并生产出一种新的能以人类智能相似的方式做出反应的智能机器。机器学习是人工智能的一个重要分支，
@@ -68,12 +73,6 @@ describe('AIService', () => {
     `;
 
     test('应该生成文档摘要', async () => {
-      // 跳过实际API调用的测试，除非有API密钥
-      if (!process.env.OPENAI_API_KEY) {
-        console.log('跳过AI测试：缺少OPENAI_API_KEY');
-        return;
-      }
-
       const summary = await aiService.generateSummary(sampleContent, {
         length: 'short',
         language: 'zh'
@@ -83,12 +82,14 @@ describe('AIService', () => {
       expect(summary.length).toBeGreaterThan(0);
     }, 30000);
 
-    test('应该提取概念', async () => {
-      if (!process.env.OPENAI_API_KEY) {
-        console.log('跳过AI测试：缺少OPENAI_API_KEY');
-        return;
-      }
+    test('相同输入应得到相同的模拟结果', async () => {
+      const first = await aiService.extractConcepts(sampleContent);
+      const second = await aiService.extractConcepts(sampleContent);
 
+      expect(second).toEqual(first);
+    });
+
+    test('应该提取概念', async () => {
       const concepts = await aiService.extractConcepts(sampleContent, {
         maxConcepts: 5,
         language: 'zh'
@@ -104,18 +105,14 @@ describe('AIService', () => {
     }, 30000);
 
     test('应该生成练习题', async () => {
-      if (!process.env.OPENAI_API_KEY) {
-        console.log('跳过AI测试：缺少OPENAI_API_KEY');
-        return;
-      }
-
-      const exercises = await aiService.generateExercises(sampleContent, {
+      const { exercises } = await aiService.generateExercises(sampleContent, '人工智能', {
         count: 3,
         types: ['multiple_choice', 'true_false'],
         difficulty: 'medium'
       });
 
       expect(Array.isArray(exercises)).toBe(true);
+      expect(exercises).toHaveLength(3);
       if (exercises.length > 0) {
         expect(exercises[0]).toHaveProperty('type');
         expect(exercises[0]).toHaveProperty('question');
@@ -124,12 +121,7 @@ describe('AIService', () => {
     }, 30000);
 
     test('应该生成思维导图', async () => {
-      if (!process.env.OPENAI_API_KEY) {
-        console.log('跳过AI测试：缺少OPENAI_API_KEY');
-        return;
-      }
-
-      const mindMap = await aiService.generateMindMap(sampleContent, {
+      const { mermaid: mindMap } = await aiService.generateMindMap(sampleContent, {
         maxNodes: 10,
         language: 'zh'
       });
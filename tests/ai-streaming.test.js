@@ -0,0 +1,253 @@
+const http = require('http');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const AIService = require('../src/services/AIService');
+const DocumentService = require('../src/services/DocumentService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const { generateToken } = require('../src/middleware/auth');
+
+const content = '# 机器学习\n\n机器学习让计算机从数据中学习。\n\n## 监督学习\n\n使用带标签的数据训练模型。';
+
+async function collect(deltas) {
+  let text = '';
+  for await (const delta of deltas) {
+    text += delta;
+  }
+  return text;
+}
+
+/**
+ * 发起GET请求并读取完整响应
+ */
+function get(port, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({ port, path, headers, agent: false }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+      response.on('aborted', () => resolve({ status: response.statusCode, headers: response.headers, body, aborted: true }));
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * 解析SSE响应体中的事件
+ */
+function parseEvents(body) {
+  return body.split('\n\n')
+    .map(block => ({ event: block.match(/^event: (.+)$/m), data: block.match(/^data: (.+)$/m) }))
+    .filter(({ event, data }) => event && data)
+    .map(({ event, data }) => ({ event: event[1], data: JSON.parse(data[1]) }));
+}
+
+describe('AI内容流式生成', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('AIService', () => {
+    it('流式输出拼接后应与一次性生成的结果一致', async () => {
+      const service = new AIService({ provider: new MockProvider() });
+
+      const restructured = await collect(service.restructureDocumentStream(content));
+      const summary = await collect(service.generateSummaryStream(content));
+
+      expect(restructured).toBe(await service.restructureDocument(content));
+      expect(summary).toBe(await service.generateSummary(content));
+    });
+
+    it('长文档应逐段输出并上报进度', async () => {
+      const service = new AIService({ provider: new MockProvider() });
+      service.chunkTokens = 30;
+      const stream = jest.spyOn(service.provider, 'stream');
+      const onProgress = jest.fn();
+      const longContent = '# 第一章\n\n' + '第一章的内容。'.repeat(10) + '\n\n# 第二章\n\n' + '第二章的内容。'.repeat(10);
+
+      const result = await collect(service.restructureDocumentStream(longContent, { onProgress }));
+
+      expect(stream.mock.calls.length).toBeGreaterThan(1);
+      expect(result).toContain('\n\n');
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ percent: 100 }));
+    });
+
+    it('超过长度上限时应截断输出', async () => {
+      const service = new AIService({ provider: new MockProvider() });
+
+      const result = await collect(service._limitStream((async function* () {
+        yield 'abc';
+        yield 'defgh';
+        yield 'ijk';
+      })(), 5));
+
+      expect(result).toBe('abcde');
+    });
+
+    it('提供方出错时应抛出带前缀的错误', async () => {
+      const service = new AIService({ provider: new MockProvider() });
+      jest.spyOn(service.provider, 'stream').mockImplementation(async function* () {
+        yield '部分';
+        throw new Error('连接中断');
+      });
+
+      await expect(collect(service.generateSummaryStream(content))).rejects.toThrow('摘要生成失败: 连接中断');
+    });
+  });
+
+  describe('DocumentService.streamAIContent', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new DocumentService();
+      service.fileExtractService.aiService = new AIService({
+        provider: new MockProvider(),
+        usageService: { checkQuota: jest.fn(async () => {}), record: jest.fn(async () => ({})) }
+      });
+      jest.spyOn(service, 'getDocument').mockResolvedValue({ _id: 'doc1', userId: 'user1', markdownContent: content });
+      service.fileExtractService.saveRestructuredContent = jest.fn(async () => ({}));
+      service.fileExtractService.saveSummary = jest.fn(async () => ({}));
+    });
+
+    it('完整输出后才保存结果', async () => {
+      const deltas = [];
+      const onDelta = jest.fn(delta => {
+        deltas.push(delta);
+        expect(service.fileExtractService.saveSummary).not.toHaveBeenCalled();
+      });
+
+      const result = await service.streamAIContent('doc1', 'user1', 'summary', { onDelta });
+
+      expect(result.saved).toBe(true);
+      expect(deltas.join('')).toBe(result.content);
+      expect(service.fileExtractService.saveSummary).toHaveBeenCalledWith('doc1', 'user1', result.content, content.length);
+    });
+
+    it('中途取消时不保存', async () => {
+      const controller = new AbortController();
+
+      const result = await service.streamAIContent('doc1', 'user1', 'restructure', {
+        signal: controller.signal,
+        onDelta: () => controller.abort()
+      });
+
+      expect(result.saved).toBe(false);
+      expect(service.fileExtractService.saveRestructuredContent).not.toHaveBeenCalled();
+    });
+
+    it('生成失败时不保存', async () => {
+      jest.spyOn(service.fileExtractService.aiService.provider, 'stream').mockImplementation(async function* () {
+        yield '部分';
+        throw new Error('连接中断');
+      });
+
+      await expect(service.streamAIContent('doc1', 'user1', 'restructure', { onDelta: () => {} }))
+        .rejects.toThrow('文档重构失败: 连接中断');
+      expect(service.fileExtractService.saveRestructuredContent).not.toHaveBeenCalled();
+    });
+
+    it('文档未提取内容时应报错', async () => {
+      service.getDocument.mockResolvedValue({ _id: 'doc1', markdownContent: '' });
+
+      await expect(service.streamAIContent('doc1', 'user1', 'summary', { onDelta: () => {} }))
+        .rejects.toThrow('文档尚未提取内容');
+    });
+  });
+
+  describe('stream=1 接口', () => {
+    let server;
+    let port;
+    let token;
+
+    beforeAll((done) => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+      token = generateToken('user1');
+      server = app.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: async () => ({ _id: 'user1', id: 'user1', isActive: true })
+      });
+    });
+
+    it('默认以分块传输输出Markdown文本', async () => {
+      const streamAIContent = jest.spyOn(DocumentService.prototype, 'streamAIContent')
+        .mockImplementation(async (documentId, userId, target, { onDelta }) => {
+          onDelta('## 摘要\n\n');
+          onDelta('要点');
+          return { content: '## 摘要\n\n要点', saved: true };
+        });
+
+      const response = await get(port, '/api/documents/doc1/ai/summary?stream=1', { Authorization: `Bearer ${token}` });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/markdown');
+      expect(response.headers['transfer-encoding']).toBe('chunked');
+      expect(response.body).toBe('## 摘要\n\n要点');
+      expect(streamAIContent).toHaveBeenCalledWith('doc1', 'user1', 'summary', expect.any(Object));
+    });
+
+    it('请求SSE时应发送增量、进度和完成事件', async () => {
+      jest.spyOn(DocumentService.prototype, 'streamAIContent')
+        .mockImplementation(async (documentId, userId, target, { onDelta, onProgress }) => {
+          onProgress({ percent: 50, message: '已处理 1/2 部分' });
+          onDelta('# 重构');
+          return { content: '# 重构', saved: true };
+        });
+
+      const response = await get(port, `/api/documents/doc1/ai/restructure?stream=1&access_token=${token}`, {
+        Accept: 'text/event-stream'
+      });
+
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(parseEvents(response.body)).toEqual([
+        { event: 'progress', data: { percent: 50, message: '已处理 1/2 部分' } },
+        { event: 'delta', data: { text: '# 重构' } },
+        { event: 'done', data: { length: 4, saved: true } }
+      ]);
+    });
+
+    it('SSE输出开始后出错应发送 error 事件', async () => {
+      jest.spyOn(DocumentService.prototype, 'streamAIContent')
+        .mockImplementation(async (documentId, userId, target, { onDelta }) => {
+          onDelta('部分');
+          throw new Error('摘要生成失败: 连接中断');
+        });
+
+      const response = await get(port, `/api/documents/doc1/ai/summary?stream=1&access_token=${token}`, {
+        Accept: 'text/event-stream'
+      });
+
+      expect(parseEvents(response.body)).toEqual([
+        { event: 'delta', data: { text: '部分' } },
+        { event: 'error', data: { message: '摘要生成失败: 连接中断' } }
+      ]);
+    });
+
+    it('输出开始前出错应返回JSON错误', async () => {
+      jest.spyOn(DocumentService.prototype, 'streamAIContent')
+        .mockRejectedValue(new Error('文档不存在或无权访问'));
+
+      const response = await get(port, '/api/documents/doc1/ai/restructure?stream=1', { Authorization: `Bearer ${token}` });
+
+      expect(response.status).toBe(404);
+      expect(JSON.parse(response.body)).toMatchObject({ success: false, message: '文档不存在或无权访问' });
+    });
+  });
+});
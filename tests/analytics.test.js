@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const AnalyticsService = require('../src/services/AnalyticsService');
+const analyticsController = require('../src/controllers/analyticsController');
+const { Exercise, ExerciseRecord, Concept, Document } = require('../src/models');
+
+const id = () => new mongoose.Types.ObjectId();
+const userId = String(id());
+const DAY = 24 * 60 * 60 * 1000;
+const range = { from: new Date('2026-01-01T00:00:00Z'), to: new Date('2026-02-01T00:00:00Z') };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('学习表现分析', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new AnalyticsService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('统计方法应支持时间范围', async () => {
+    const aggregate = jest.spyOn(ExerciseRecord, 'aggregate').mockResolvedValue([]);
+
+    await ExerciseRecord.getUserPerformanceStats(userId, range);
+    await ExerciseRecord.getWeaknessAnalysis(userId, 5, range);
+    await ExerciseRecord.getUserPerformanceStats(userId, 7);
+
+    expect(aggregate.mock.calls[0][0][0].$match.completedAt).toEqual({ $gte: range.from, $lt: range.to });
+    expect(aggregate.mock.calls[1][0][0].$match.completedAt).toEqual({ $gte: range.from, $lt: range.to });
+    expect(aggregate.mock.calls[1][0].pop()).toEqual({ $limit: 5 });
+    const since = aggregate.mock.calls[2][0][0].$match.completedAt.$gte;
+    expect(Date.now() - since.getTime()).toBeGreaterThanOrEqual(7 * DAY - 1000);
+
+    const exerciseAggregate = jest.spyOn(Exercise, 'aggregate').mockResolvedValue([]);
+    await Exercise.getUserStats(userId, range);
+    expect(exerciseAggregate.mock.calls[0][0][0].$match.createdAt).toEqual({ $gte: range.from, $lt: range.to });
+  });
+
+  it('总览应汇总成绩、等级分布、练习题和概念', async () => {
+    jest.spyOn(ExerciseRecord, 'getUserPerformanceStats').mockResolvedValue([{
+      totalExercises: 3,
+      avgScore: 80.55,
+      avgAccuracy: 75,
+      totalTimeSpent: 600,
+      gradeDistribution: ['A', 'B', 'A']
+    }]);
+    jest.spyOn(Exercise, 'getUserStats').mockResolvedValue([{
+      totalExercises: 2,
+      totalQuestions: 15,
+      totalPoints: 150,
+      typeDistribution: [
+        { multiple_choice: 5, true_false: 3, short_answer: 2 },
+        { multiple_choice: 5, true_false: 0, short_answer: 0 }
+      ]
+    }]);
+    jest.spyOn(Concept, 'getConceptStats').mockResolvedValue([
+      { _id: 'term', count: 2, avgImportance: 2.5, totalOccurrences: 4 },
+      { _id: 'concept', count: 5, avgImportance: 3.333, totalOccurrences: 12 }
+    ]);
+
+    const overview = await service.getOverview(userId, range);
+
+    expect(ExerciseRecord.getUserPerformanceStats).toHaveBeenCalledWith(userId, range);
+    expect(Concept.getConceptStats).toHaveBeenCalledWith(userId, range);
+    expect(overview.performance).toEqual({ completedExercises: 3, averageScore: 80.6, averageAccuracy: 75, totalTimeSpent: 600 });
+    expect(overview.grades).toMatchObject({ 'A+': 0, A: 2, B: 1, F: 0 });
+    expect(overview.exercises.questionTypes).toEqual({ multiple_choice: 10, true_false: 3, short_answer: 2 });
+    expect(overview.concepts).toEqual({
+      total: 7,
+      byCategory: [
+        { category: 'concept', count: 5, averageImportance: 3.3, totalOccurrences: 12 },
+        { category: 'term', count: 2, averageImportance: 2.5, totalOccurrences: 4 }
+      ]
+    });
+  });
+
+  it('薄弱环节按正确率从低到高排列', async () => {
+    jest.spyOn(ExerciseRecord, 'aggregate').mockResolvedValue([{
+      byType: [
+        { _id: 'multiple_choice', attempted: 10, correct: 9, points: 90, maxPoints: 100 },
+        { _id: 'short_answer', attempted: 4, correct: 1, points: 30, maxPoints: 80 }
+      ],
+      byDifficulty: [
+        { _id: 2, attempted: 8, correct: 8, points: 80, maxPoints: 80 },
+        { _id: 5, attempted: 6, correct: 2, points: 40, maxPoints: 100 }
+      ]
+    }]);
+    jest.spyOn(ExerciseRecord, 'getWeaknessAnalysis').mockResolvedValue([
+      { _id: { type: 'short_answer', difficulty: 5 }, incorrectCount: 3, avgTimeSpent: 95.25, examples: ['q3', 'q3', 'q7'] }
+    ]);
+
+    const result = await service.getWeaknesses(userId, range, 5);
+
+    expect(ExerciseRecord.getWeaknessAnalysis).toHaveBeenCalledWith(userId, 5, range);
+    expect(result.byType.map(item => [item.questionType, item.accuracy, item.scoreRate])).toEqual([
+      ['short_answer', 25, 37.5],
+      ['multiple_choice', 90, 90]
+    ]);
+    expect(result.byDifficulty[0]).toEqual({ difficulty: 5, band: 'hard', attempted: 6, correct: 2, accuracy: 33.3, scoreRate: 40 });
+    expect(result.weakSpots).toEqual([
+      { questionType: 'short_answer', difficulty: 5, incorrectCount: 3, averageTimeSpent: 95.3, questionIds: ['q3', 'q7'] }
+    ]);
+  });
+
+  it('文档掌握度中近期的练习权重更高，已删除的文档不计入', async () => {
+    const doc1 = id();
+    const doc2 = id();
+    const record = (documentId, daysBefore, percentage, accuracy) => ({
+      documentId,
+      completedAt: new Date(range.to.getTime() - daysBefore * DAY),
+      score: { percentage },
+      performance: { accuracy }
+    });
+    const records = [
+      record(doc1, 28, 40, 50),
+      record(doc2, 10, 90, 90),
+      record(doc1, 0, 100, 100)
+    ];
+    jest.spyOn(ExerciseRecord, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: async () => records }) })
+    });
+    const documentFind = jest.spyOn(Document, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: doc1, title: '细胞生物学' }] })
+    });
+    jest.spyOn(Concept, 'aggregate').mockResolvedValue([{ _id: doc1, count: 12 }]);
+
+    const documents = await service.getDocumentMastery(userId, range);
+
+    expect(documentFind.mock.calls[0][0]).toMatchObject({ userId, isDeleted: false });
+    expect(documents).toEqual([{
+      documentId: doc1,
+      title: '细胞生物学',
+      // 28天前的成绩权重为0.25：(40 * 0.25 + 100) / 1.25
+      mastery: 88,
+      level: 'mastered',
+      attempts: 2,
+      latestScore: 100,
+      bestScore: 100,
+      averageAccuracy: 75,
+      lastPracticedAt: records[2].completedAt,
+      concepts: 12
+    }]);
+  });
+
+  it('接口应校验时间范围和统计粒度', async () => {
+    const getTrend = jest.spyOn(AnalyticsService.prototype, 'getTrend').mockResolvedValue({ interval: 'week', points: [], change: 0 });
+    const req = query => ({ user: { id: userId }, query });
+
+    let res = mockResponse();
+    await analyticsController.getTrend(req({ from: '2026-02-01', to: '2026-01-01' }), res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = mockResponse();
+    await analyticsController.getTrend(req({ from: 'yesterday' }), res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = mockResponse();
+    await analyticsController.getTrend(req({ interval: 'year' }), res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(getTrend).not.toHaveBeenCalled();
+
+    res = mockResponse();
+    await analyticsController.getTrend(req({ from: '2026-01-01', to: '2026-02-01', interval: 'week' }), res);
+    expect(getTrend).toHaveBeenCalledWith(userId, range, 'week');
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, data: { range, interval: 'week' } });
+
+    // 默认统计最近30天
+    res = mockResponse();
+    await analyticsController.getTrend(req({}), res);
+    const defaultRange = getTrend.mock.calls[1][1];
+    expect(defaultRange.to - defaultRange.from).toBe(30 * DAY);
+  });
+});
@@ -10,6 +10,7 @@ describe('App Basic Tests', () => {
     expect(response.body).toHaveProperty('status', 'OK');
     expect(response.body).toHaveProperty('timestamp');
     expect(response.body).toHaveProperty('uptime');
+    expect(response.body.ai.circuitBreaker).toHaveProperty('state', 'closed');
   });
 
   test('Non-existent API endpoint should return 404', async () => {
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const AIService = require('../src/services/AIService');
+const ConceptGraphService = require('../src/services/ConceptGraphService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const { Concept, ConceptNode, ConceptEdge, Document } = require('../src/models');
+const { validateAIOutput } = require('../src/utils/aiOutputSchemas');
+
+const id = () => new mongoose.Types.ObjectId();
+const userId = id();
+const doc1 = id();
+const doc2 = id();
+
+const concept = (term, documentId, position, extra = {}) => ({
+  _id: id(),
+  term,
+  definition: `${term}的定义`,
+  category: 'concept',
+  importance: 3,
+  documentId,
+  occurrences: position === undefined ? [] : [{ position, context: term, confidence: 0.9 }],
+  ...extra
+});
+
+describe('概念知识图谱', () => {
+  let aiService;
+  let service;
+  let concepts;
+  let savedNodes;
+  let savedEdges;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    aiService = new AIService({
+      provider: new MockProvider(),
+      cache: { enabled: false },
+      usageService: { checkQuota: jest.fn(async () => {}), record: jest.fn(async () => ({})) }
+    });
+    service = new ConceptGraphService({ aiService });
+
+    concepts = [
+      concept('机器学习', doc1, 0, { importance: 5 }),
+      concept('监督学习', doc1, 100),
+      concept('Machine Learning', doc2, 0, { importance: 4 }),
+      concept('机器 学习', doc2, 2000),
+      concept('无监督学习', doc2, 5000)
+    ];
+    savedNodes = [];
+    savedEdges = [];
+
+    jest.spyOn(Document, 'distinct').mockResolvedValue([doc1, doc2]);
+    jest.spyOn(Concept, 'find').mockReturnValue({ select: () => ({ lean: async () => concepts }) });
+    jest.spyOn(Concept, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(ConceptNode, 'bulkWrite').mockImplementation(async (operations) => {
+      savedNodes = operations.map(operation => ({ _id: id(), key: operation.updateOne.filter.key, ...operation.updateOne.update.$set }));
+    });
+    jest.spyOn(ConceptNode, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(ConceptNode, 'find').mockImplementation(() => ({ select: async () => savedNodes }));
+    jest.spyOn(ConceptEdge, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(ConceptEdge, 'insertMany').mockImplementation(async (edges) => {
+      savedEdges = edges;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('术语归一化应忽略大小写、全角半角、空白和标点', () => {
+    expect(ConceptGraphService.normalizeTerm(' 机器 学习 ')).toBe('机器学习');
+    expect(ConceptGraphService.normalizeTerm('Ｍachine-Learning')).toBe('machinelearning');
+    expect(ConceptGraphService.normalizeTerm('（）')).toBe('()');
+  });
+
+  it('应合并相同和同义的术语，并由AI推断和共现得出关系', async () => {
+    jest.spyOn(aiService.provider, 'complete').mockResolvedValue({
+      content: JSON.stringify({
+        relations: [
+          { source: 'Machine Learning', target: '机器学习', relationship: 'synonym', strength: 0.9 },
+          { source: '监督学习', target: '机器学习', relationship: 'child', strength: 0.8 },
+          { source: '监督学习', target: '无监督学习', relationship: 'antonym', strength: 0.7 }
+        ]
+      }),
+      model: 'mock',
+      usage: { promptTokens: 10, completionTokens: 10 }
+    });
+
+    const result = await service.buildGraph(userId, { language: 'zh' });
+
+    expect(result).toMatchObject({ nodes: 3, edges: 2, inference: { status: 'completed', relations: 3 } });
+    const ml = savedNodes.find(node => node.key === '机器学习');
+    expect(ml).toMatchObject({ term: '机器学习', importance: 5 });
+    expect(ml.aliases.sort()).toEqual(['Machine Learning', '机器 学习']);
+    expect(ml.documentIds).toEqual([doc1, doc2]);
+    expect(ml.conceptIds).toHaveLength(3);
+
+    const idOf = key => savedNodes.find(node => node.key === key)._id;
+    expect(savedEdges).toEqual(expect.arrayContaining([
+      // 监督学习在文档中与机器学习相邻出现，AI推断为其下位概念
+      expect.objectContaining({
+        source: idOf('机器学习'),
+        target: idOf('监督学习'),
+        relationship: 'parent',
+        strength: 1,
+        sources: ['ai', 'cooccurrence'],
+        cooccurrences: 1
+      }),
+      expect.objectContaining({ relationship: 'antonym', strength: 0.7, sources: ['ai'] })
+    ]));
+
+    const operations = Concept.bulkWrite.mock.calls[0][0];
+    expect(operations.every(operation => operation.updateOne.timestamps === false)).toBe(true);
+    const supervised = operations.find(operation => operation.updateOne.filter._id === concepts[1]._id);
+    expect(supervised.updateOne.update.$set.relatedConcepts).toEqual([
+      { conceptId: concepts[0]._id, relationship: 'parent', strength: 1 },
+      { conceptId: concepts[4]._id, relationship: 'antonym', strength: 0.7 }
+    ]);
+    const english = operations.find(operation => operation.updateOne.filter._id === concepts[2]._id);
+    expect(english.updateOne.update.$set.relatedConcepts).toEqual(expect.arrayContaining([
+      { conceptId: concepts[0]._id, relationship: 'synonym', strength: 1 },
+      { conceptId: concepts[1]._id, relationship: 'child', strength: 1 }
+    ]));
+  });
+
+  it('AI推断失败时仍按共现关系构建', async () => {
+    jest.spyOn(aiService, 'inferConceptRelations').mockRejectedValue(new Error('超出AI用量配额'));
+
+    const result = await service.buildGraph(userId);
+
+    expect(result.inference).toEqual({ status: 'failed', error: '超出AI用量配额' });
+    expect(result.nodes).toBe(4);
+    expect(savedEdges).toEqual([expect.objectContaining({ relationship: 'related', sources: ['cooccurrence'], strength: 1 })]);
+  });
+
+  it('AI推断的关系必须引用列表中的术语', () => {
+    const result = validateAIOutput('relations', {
+      relations: [
+        { source: '机器学习', target: '监督学习', relationship: 'parent', strength: 0.8 },
+        { source: '机器学习', target: '深度学习', relationship: 'parent' },
+        { source: '机器学习', target: '机器学习', relationship: 'synonym' }
+      ]
+    }, { terms: ['机器学习', '监督学习'] });
+
+    expect(result.value).toHaveLength(1);
+    expect(result.discarded[0].errors).toEqual(['$.relations[1].target "深度学习" 不在概念列表中']);
+    expect(result.discarded[1].errors).toEqual(['$.relations[2] 的 source 与 target 相同']);
+  });
+
+  it('概念没有变化时不重新构建', async () => {
+    const builtAt = new Date();
+    const latest = value => ({ sort: () => ({ select: async () => value }) });
+    jest.spyOn(Concept, 'findOne').mockReturnValue(latest({ updatedAt: new Date(builtAt.getTime() - 1000) }));
+    jest.spyOn(Document, 'findOne').mockReturnValue(latest(null));
+    jest.spyOn(ConceptNode, 'findOne').mockReturnValue(latest({ builtAt }));
+    jest.spyOn(service, 'buildGraph');
+
+    await expect(service.ensureGraph(userId)).resolves.toEqual({ rebuilt: false, builtAt });
+    expect(service.buildGraph).not.toHaveBeenCalled();
+
+    Document.findOne.mockReturnValue(latest({ deletedAt: new Date(builtAt.getTime() + 1000) }));
+    await expect(service.ensureGraph(userId)).resolves.toMatchObject({ rebuilt: true });
+  });
+
+  it('正在进行普通构建时，强制重新构建应在其结束后执行', async () => {
+    const builtAt = new Date();
+    const latest = value => ({ sort: () => ({ select: async () => value }) });
+    jest.spyOn(Concept, 'findOne').mockReturnValue(latest({ updatedAt: new Date(builtAt.getTime() - 1000) }));
+    jest.spyOn(Document, 'findOne').mockReturnValue(latest(null));
+    jest.spyOn(ConceptNode, 'findOne').mockReturnValue(latest({ builtAt }));
+    jest.spyOn(service, 'buildGraph').mockResolvedValue({ builtAt: new Date(), inference: { status: 'ok' } });
+
+    const pending = service.ensureGraph(userId);
+    const forced = service.ensureGraph(userId, { force: true });
+    // 强制构建进行中时，其他请求共用它的结果
+    const shared = service.ensureGraph(userId);
+
+    await expect(pending).resolves.toEqual({ rebuilt: false, builtAt });
+    await expect(forced).resolves.toMatchObject({ rebuilt: true });
+    await expect(shared).resolves.toMatchObject({ rebuilt: true });
+    expect(service.buildGraph).toHaveBeenCalledTimes(1);
+
+    await expect(service.ensureGraph(userId)).resolves.toEqual({ rebuilt: false, builtAt });
+  });
+
+  it('邻居的关系应以查询的概念为视角', async () => {
+    const node = { _id: id(), term: '监督学习', aliases: [], documentIds: [doc1], conceptIds: [concepts[1]._id] };
+    const parent = { _id: id(), term: '机器学习', aliases: [], documentIds: [doc1], conceptIds: [] };
+    const child = { _id: id(), term: '半监督学习', aliases: [], documentIds: [doc2], conceptIds: [] };
+    jest.spyOn(service, 'ensureGraph').mockResolvedValue({ rebuilt: false });
+    jest.spyOn(ConceptNode, 'findOne').mockResolvedValue(node);
+    ConceptNode.find.mockResolvedValue([parent, child]);
+    jest.spyOn(ConceptEdge, 'find').mockReturnValue({
+      sort: async () => [
+        { source: parent._id, target: node._id, relationship: 'parent', strength: 0.9, sources: ['ai'], cooccurrences: 0 },
+        { source: node._id, target: child._id, relationship: 'parent', strength: 0.6, sources: ['ai'], cooccurrences: 0 }
+      ]
+    });
+
+    const result = await service.getNeighbors(userId, String(concepts[1]._id));
+
+    expect(ConceptNode.findOne).toHaveBeenCalledWith({ userId, $or: [{ _id: String(concepts[1]._id) }, { conceptIds: String(concepts[1]._id) }] });
+    expect(result.neighbors.map(neighbor => [neighbor.node.term, neighbor.relationship])).toEqual([
+      ['机器学习', 'parent'],
+      ['半监督学习', 'child']
+    ]);
+
+    const children = await service.getNeighbors(userId, String(node._id), { relationship: 'child' });
+    expect(children.neighbors).toHaveLength(1);
+  });
+});
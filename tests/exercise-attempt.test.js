@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const ExerciseService = require('../src/services/ExerciseService');
+const { Exercise, ExerciseAttempt, ExerciseRecord } = require('../src/models');
+
+const id = () => new mongoose.Types.ObjectId();
+const userId = id();
+const documentId = id();
+
+const buildExercise = (settings = {}) => ({
+  _id: id(),
+  userId,
+  documentId,
+  title: '细胞生物学练习',
+  settings: {
+    shuffleQuestions: false,
+    shuffleOptions: false,
+    showExplanation: true,
+    allowRetry: true,
+    timeLimit: 0,
+    ...settings
+  },
+  questions: [
+    {
+      id: 'q1',
+      type: 'multiple_choice',
+      question: '细胞膜的主要成分是？',
+      options: ['蛋白质', '磷脂', '核酸', '糖类'],
+      correctAnswer: 'B',
+      explanation: '细胞膜由磷脂双分子层构成',
+      difficulty: 1,
+      points: 10,
+      metadata: { estimatedTime: 60 }
+    },
+    {
+      id: 'q2',
+      type: 'true_false',
+      question: '细胞核储存遗传信息',
+      options: [],
+      correctAnswer: 'true',
+      explanation: '遗传信息主要储存在细胞核中',
+      difficulty: 3,
+      points: 10,
+      metadata: { estimatedTime: 30 }
+    },
+    {
+      id: 'q3',
+      type: 'short_answer',
+      question: '膜蛋白的作用是什么？',
+      options: [],
+      correctAnswer: '物质运输',
+      explanation: '膜蛋白负责物质运输',
+      difficulty: 5,
+      points: 20,
+      metadata: { estimatedTime: 120 }
+    }
+  ]
+});
+
+describe('练习作答', () => {
+  let service;
+  let exercise;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new ExerciseService();
+    exercise = buildExercise();
+    jest.spyOn(Exercise, 'findOne').mockImplementation(async () => exercise);
+    jest.spyOn(ExerciseAttempt.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(ExerciseRecord.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(ExerciseRecord, 'countDocuments').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const startedAttempt = (secondsAgo, extra = {}) => new ExerciseAttempt({
+    exerciseId: exercise._id,
+    userId,
+    documentId,
+    questionIds: ['q1', 'q2', 'q3'],
+    startedAt: new Date(Date.now() - secondsAgo * 1000),
+    ...extra
+  });
+
+  const claimOnce = attempt => jest.spyOn(ExerciseAttempt, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (attempt.status !== filter.status) {
+      return null;
+    }
+    attempt.set(update);
+    return attempt;
+  });
+
+  describe('开始作答', () => {
+    it('下发的题目不应包含答案和解析', async () => {
+      exercise = buildExercise({ timeLimit: 10 });
+      jest.spyOn(ExerciseAttempt, 'findOne').mockReturnValue({ sort: async () => null });
+
+      const result = await service.startAttempt(String(exercise._id), userId);
+
+      expect(result).toMatchObject({ title: '细胞生物学练习', timeLimit: 10, resumed: false });
+      expect(result.expiresAt.getTime() - result.startedAt.getTime()).toBe(10 * 60 * 1000);
+      expect(result.questions.map(question => question.id)).toEqual(['q1', 'q2', 'q3']);
+      expect(result.questions[0]).toEqual({
+        id: 'q1',
+        type: 'multiple_choice',
+        question: '细胞膜的主要成分是？',
+        options: ['蛋白质', '磷脂', '核酸', '糖类'],
+        difficulty: 1,
+        points: 10,
+        estimatedTime: 60
+      });
+      expect(JSON.stringify(result)).not.toMatch(/correctAnswer|explanation/);
+      expect(ExerciseAttempt.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('未开始作答时按练习中的顺序下发题目，同样不含答案和解析', () => {
+      const questions = service.serveQuestions(exercise);
+
+      expect(questions.map(question => question.id)).toEqual(['q1', 'q2', 'q3']);
+      expect(questions[1]).toEqual({
+        id: 'q2',
+        type: 'true_false',
+        question: '细胞核储存遗传信息',
+        options: undefined,
+        difficulty: 3,
+        points: 10,
+        estimatedTime: 30
+      });
+      expect(JSON.stringify(questions)).not.toMatch(/correctAnswer|explanation/);
+    });
+
+    it('有未超时的作答时继续该次作答，已超时的记为过期', async () => {
+      const active = startedAttempt(60);
+      jest.spyOn(ExerciseAttempt, 'findOne').mockReturnValue({ sort: async () => active });
+
+      const resumed = await service.startAttempt(String(exercise._id), userId);
+      expect(resumed).toMatchObject({ attemptId: active._id, resumed: true });
+      expect(ExerciseAttempt.prototype.save).not.toHaveBeenCalled();
+
+      const overdue = startedAttempt(700, { expiresAt: new Date(Date.now() - 100 * 1000) });
+      ExerciseAttempt.findOne.mockReturnValue({ sort: async () => overdue });
+
+      const fresh = await service.startAttempt(String(exercise._id), userId);
+      expect(overdue.status).toBe('expired');
+      expect(fresh.resumed).toBe(false);
+      expect(fresh.attemptId).not.toEqual(overdue._id);
+    });
+
+    it('并发开始作答时只创建一次作答，另一请求继续该次作答', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      ExerciseAttempt.prototype.save.mockImplementationOnce(async function() { return this; })
+        .mockRejectedValueOnce(duplicate);
+      jest.spyOn(ExerciseAttempt, 'findOne')
+        .mockReturnValueOnce({ sort: async () => null })
+        .mockReturnValueOnce({ sort: async () => null })
+        .mockImplementation(async () => ExerciseAttempt.prototype.save.mock.contexts[0]);
+
+      const [first, second] = await Promise.all([
+        service.startAttempt(String(exercise._id), userId),
+        service.startAttempt(String(exercise._id), userId)
+      ]);
+
+      expect(first.resumed).toBe(false);
+      expect(second).toMatchObject({ attemptId: first.attemptId, resumed: true });
+      expect(ExerciseAttempt.findOne).toHaveBeenLastCalledWith({ exerciseId: exercise._id, userId, status: 'in_progress' });
+    });
+
+    it('练习不存在时报错', async () => {
+      Exercise.findOne.mockResolvedValue(null);
+
+      await expect(service.startAttempt(String(id()), userId)).rejects.toThrow('练习题不存在或无权访问');
+    });
+  });
+
+  describe('按练习设置作答', () => {
+    const questions = Array.from({ length: 8 }, (_, index) => ({
+      id: `q${index + 1}`,
+      type: 'multiple_choice',
+      question: `第${index + 1}题`,
+      options: ['甲', '乙', '丙', '丁'],
+      correctAnswer: 'B',
+      explanation: '解析',
+      difficulty: 3,
+      points: 10,
+      metadata: {}
+    }));
+
+    it('同一次作答的题目和选项顺序固定，正确答案随选项换算', async () => {
+      exercise = buildExercise({ shuffleQuestions: true, shuffleOptions: true });
+      exercise.questions = questions;
+      jest.spyOn(ExerciseAttempt, 'findOne').mockReturnValue({ sort: async () => null });
+
+      const first = await service.startAttempt(String(exercise._id), userId);
+      const attempt = ExerciseAttempt.prototype.save.mock.contexts[0];
+      expect(attempt.questionIds.slice().sort()).toEqual(questions.map(question => question.id).sort());
+      expect(attempt.questionIds).not.toEqual(questions.map(question => question.id));
+      expect(first.questions.map(question => question.id)).toEqual(attempt.questionIds);
+      expect(first.questions.some(question => question.options.join() !== '甲,乙,丙,丁')).toBe(true);
+
+      // 继续作答时下发相同的顺序
+      ExerciseAttempt.findOne.mockReturnValue({ sort: async () => attempt });
+      const resumed = await service.startAttempt(String(exercise._id), userId);
+      expect(resumed.questions).toEqual(first.questions);
+
+      // 按下发的选项字母作答
+      const letterOf = question => String.fromCharCode(65 + question.options.indexOf('乙'));
+      ExerciseAttempt.findOne.mockResolvedValue(attempt);
+      claimOnce(attempt);
+      const result = await service.submitAttempt(String(exercise._id), String(attempt._id), userId, {
+        answers: first.questions.map(question => ({ questionId: question.id, answer: letterOf(question) }))
+      });
+
+      const record = ExerciseRecord.prototype.save.mock.contexts[0];
+      expect(record.answers.every(answer => answer.isCorrect)).toBe(true);
+      expect(result.answers.map(answer => answer.correctAnswer)).toEqual(first.questions.map(letterOf));
+      expect(result.answers[0].options).toEqual(first.questions[0].options);
+    });
+
+    it('关闭 showExplanation 时提交后不返回解析', async () => {
+      exercise = buildExercise({ showExplanation: false });
+      const attempt = startedAttempt(30);
+      jest.spyOn(ExerciseAttempt, 'findOne').mockResolvedValue(attempt);
+      claimOnce(attempt);
+
+      const result = await service.submitAttempt(String(exercise._id), String(attempt._id), userId, { answers: [] });
+
+      expect(result.answers.map(answer => answer.explanation)).toEqual([undefined, undefined, undefined]);
+      expect(result.answers[0].correctAnswer).toBe('B');
+    });
+
+    it('不允许重复作答时拒绝再次开始', async () => {
+      exercise = buildExercise({ allowRetry: false });
+      jest.spyOn(ExerciseAttempt, 'findOne').mockReturnValue({ sort: async () => null });
+      const exists = jest.spyOn(ExerciseAttempt, 'exists').mockResolvedValue({ _id: id() });
+
+      await expect(service.startAttempt(String(exercise._id), userId)).rejects.toThrow('该练习不允许重复作答');
+      expect(exists).toHaveBeenCalledWith({ exerciseId: exercise._id, userId, status: { $in: ['submitted', 'expired'] } });
+
+      exists.mockResolvedValue(null);
+      await expect(service.startAttempt(String(exercise._id), userId)).resolves.toMatchObject({ resumed: false });
+      expect(ExerciseAttempt.prototype.save.mock.contexts[0].singleAttempt).toBe(true);
+    });
+
+    it('不允许重复作答时，并发开始作答只创建一次，已作答完成的不能再开始', async () => {
+      exercise = buildExercise({ allowRetry: false });
+      jest.spyOn(ExerciseAttempt, 'exists').mockResolvedValue(null);
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      ExerciseAttempt.prototype.save.mockImplementationOnce(async function() { return this; })
+        .mockRejectedValue(duplicate);
+      const findOne = jest.spyOn(ExerciseAttempt, 'findOne')
+        .mockReturnValueOnce({ sort: async () => null })
+        .mockReturnValueOnce({ sort: async () => null })
+        .mockImplementationOnce(async () => ExerciseAttempt.prototype.save.mock.contexts[0]);
+
+      const [first, second] = await Promise.all([
+        service.startAttempt(String(exercise._id), userId),
+        service.startAttempt(String(exercise._id), userId)
+      ]);
+      expect(second).toMatchObject({ attemptId: first.attemptId, resumed: true });
+
+      // 另一请求的作答已提交：唯一索引冲突且没有作答中的作答
+      findOne.mockReturnValueOnce({ sort: async () => null }).mockResolvedValueOnce(null);
+      await expect(service.startAttempt(String(exercise._id), userId)).rejects.toThrow('该练习不允许重复作答');
+    });
+
+    it('练习题详情不返回答案和解析，不受 showExplanation、allowRetry 影响', async () => {
+      const DocumentController = require('../src/controllers/documentController');
+      const controller = new DocumentController();
+      exercise = { ...buildExercise({ showExplanation: false, allowRetry: false }), metadata: { totalQuestions: 3, totalPoints: 40 } };
+      Exercise.findOne.mockReturnValue({ select: async () => exercise });
+      jest.spyOn(ExerciseAttempt, 'findOne').mockReturnValue({ sort: async () => null });
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+      await controller.getExerciseDetail({ params: { exerciseId: String(exercise._id) }, user: { id: userId } }, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.questions.map(question => question.id)).toEqual(['q1', 'q2', 'q3']);
+      expect(JSON.stringify(data.questions)).not.toMatch(/correctAnswer|explanation/);
+    });
+  });
+
+  describe('评分', () => {
+    it('选择题接受选项字母或选项内容，判断题接受多种写法', async () => {
+      const [choice, judge, short] = exercise.questions;
+
+      await expect(service.gradeAnswer(choice, 'b')).resolves.toEqual({ isCorrect: true, points: 10 });
+      await expect(service.gradeAnswer(choice, '磷脂')).resolves.toEqual({ isCorrect: true, points: 10 });
+      expect((await service.gradeAnswer(choice, 'A')).isCorrect).toBe(false);
+      expect((await service.gradeAnswer(choice, 'Z')).isCorrect).toBe(false);
+      expect((await service.gradeAnswer(judge, '正确')).isCorrect).toBe(true);
+      expect((await service.gradeAnswer(judge, 'TRUE')).isCorrect).toBe(true);
+      expect((await service.gradeAnswer(judge, 'false')).isCorrect).toBe(false);
+      expect((await service.gradeAnswer(short, ' 物质运输 ')).isCorrect).toBe(true);
+      await expect(service.gradeAnswer(short, '')).resolves.toEqual({ isCorrect: false, points: 0, feedback: '未作答' });
+    });
+  });
+
+  describe('提交作答', () => {
+    it('应在服务端评分并保存练习记录', async () => {
+      const attempt = startedAttempt(90);
+      jest.spyOn(ExerciseAttempt, 'findOne').mockResolvedValue(attempt);
+      claimOnce(attempt);
+
+      const result = await service.submitAttempt(String(exercise._id), String(attempt._id), userId, {
+        answers: [
+          { questionId: 'q1', answer: 'B', timeSpent: 20 },
+          { questionId: 'q2', answer: false, timeSpent: 500 }
+        ],
+        deviceInfo: 'jest'
+      });
+
+      const record = ExerciseRecord.prototype.save.mock.contexts[0];
+      expect(record.validateSync()).toBeUndefined();
+      expect(record.metadata).toMatchObject({ sessionId: String(attempt._id), retryCount: 1, deviceInfo: 'jest' });
+      expect(record.answers.map(answer => [answer.questionId, answer.userAnswer, answer.isCorrect, answer.points])).toEqual([
+        ['q1', 'B', true, 10],
+        ['q2', 'false', false, 0],
+        ['q3', '', false, 0]
+      ]);
+      // 单题耗时不超过总耗时，未提交的题目按总耗时平均分配
+      expect(record.answers.map(answer => answer.timeSpent)).toEqual([20, 90, 30]);
+
+      expect(attempt).toMatchObject({ status: 'submitted', recordId: record._id });
+      expect(result.recordId).toEqual(record._id);
+      expect(result.answers[2]).toMatchObject({ correctAnswer: '物质运输', explanation: '膜蛋白负责物质运输', feedback: '未作答' });
+    });
+
+    it('重复提交和不属于本次作答的题目应报错', async () => {
+      const attempt = startedAttempt(30);
+      jest.spyOn(ExerciseAttempt, 'findOne').mockResolvedValue(attempt);
+      claimOnce(attempt);
+
+      await expect(service.submitAttempt(String(exercise._id), String(attempt._id), userId, {
+        answers: [{ questionId: 'q9', answer: 'A' }]
+      })).rejects.toThrow('题目不属于本次作答: q9');
+      await expect(service.submitAttempt(String(exercise._id), String(attempt._id), userId, { answers: {} }))
+        .rejects.toThrow('答案格式不正确');
+
+      await service.submitAttempt(String(exercise._id), String(attempt._id), userId, { answers: [] });
+      await expect(service.submitAttempt(String(exercise._id), String(attempt._id), userId, { answers: [] }))
+        .rejects.toThrow('该次作答已提交');
+      expect(ExerciseRecord.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('超过时间限制后不能提交', async () => {
+      const attempt = startedAttempt(11 * 60, { expiresAt: new Date(Date.now() - 60 * 1000) });
+      jest.spyOn(ExerciseAttempt, 'findOne').mockResolvedValue(attempt);
+
+      await expect(service.submitAttempt(String(exercise._id), String(attempt._id), userId, { answers: [] }))
+        .rejects.toThrow('作答时间已超过限制');
+      expect(attempt.status).toBe('expired');
+      expect(ExerciseRecord.prototype.save).not.toHaveBeenCalled();
+
+      // 宽限时间内仍可提交
+      const late = startedAttempt(10 * 60 + 10, { expiresAt: new Date(Date.now() - 10 * 1000) });
+      ExerciseAttempt.findOne.mockResolvedValue(late);
+      claimOnce(late);
+      await expect(service.submitAttempt(String(exercise._id), String(late._id), userId, { answers: [] })).resolves.toBeDefined();
+    });
+
+    it('保存记录失败时恢复为作答中', async () => {
+      const attempt = startedAttempt(30);
+      jest.spyOn(ExerciseAttempt, 'findOne').mockResolvedValue(attempt);
+      claimOnce(attempt);
+      jest.spyOn(ExerciseAttempt, 'updateOne').mockResolvedValue({});
+      ExerciseRecord.prototype.save.mockRejectedValue(new Error('写入失败'));
+
+      await expect(service.submitAttempt(String(exercise._id), String(attempt._id), userId, { answers: [] }))
+        .rejects.toThrow('写入失败');
+      expect(ExerciseAttempt.updateOne).toHaveBeenCalledWith({ _id: attempt._id }, { status: 'in_progress', submittedAt: null });
+    });
+  });
+});
@@ -0,0 +1,320 @@
+const ProcessingJob = require('../src/models/ProcessingJob');
+const { JobQueue } = require('../src/services/JobQueue');
+const { ProcessingEvents } = require('../src/services/ProcessingEvents');
+
+/**
+ * 内存中的任务存储，模拟队列用到的 ProcessingJob 查询
+ */
+function createJobStore() {
+  const jobs = [];
+  let nextId = 1;
+
+  const matches = (job, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$lt' in condition) return job[key] < condition.$lt;
+      if ('$lte' in condition) return job[key] <= condition.$lte;
+    }
+    if (condition instanceof Date) {
+      return job[key] && job[key].getTime() === condition.getTime();
+    }
+    return job[key] === condition;
+  });
+
+  const apply = (job, update) => {
+    Object.assign(job, update.$set || (update.$push ? {} : update));
+    for (const [key, value] of Object.entries(update.$inc || {})) {
+      job[key] += value;
+    }
+    for (const [key, value] of Object.entries(update.$push || {})) {
+      job[key].push(value);
+    }
+  };
+
+  const query = (result) => {
+    const promise = Promise.resolve(result);
+    promise.sort = () => promise;
+    return promise;
+  };
+
+  jest.spyOn(ProcessingJob, 'insertMany').mockImplementation(async (docs) => docs.map(doc => {
+    const job = {
+      _id: nextId++,
+      attempts: 0,
+      maxAttempts: 3,
+      runAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: null,
+      runSettledAt: null,
+      errorHistory: [],
+      ...doc
+    };
+    jobs.push(job);
+    return { ...job };
+  }));
+
+  jest.spyOn(ProcessingJob, 'claimNext').mockImplementation(async (workerId) => {
+    const job = jobs.find(item => item.status === 'pending' && item.runAt <= new Date());
+    if (!job) {
+      return null;
+    }
+    apply(job, { $set: { status: 'processing', lockedAt: new Date(), lockedBy: workerId }, $inc: { attempts: 1 } });
+    return { ...job };
+  });
+
+  jest.spyOn(ProcessingJob, 'updateOne').mockImplementation(async (filter, update) => {
+    const job = jobs.find(item => matches(item, filter));
+    if (job) {
+      apply(job, update);
+    }
+    return { modifiedCount: job ? 1 : 0 };
+  });
+
+  jest.spyOn(ProcessingJob, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = jobs.filter(item => matches(item, filter));
+    matched.forEach(job => apply(job, update));
+    return { modifiedCount: matched.length };
+  });
+
+  jest.spyOn(ProcessingJob, 'find').mockImplementation((filter) => query(
+    jobs.filter(item => matches(item, filter)).map(job => ({ ...job }))
+  ));
+
+  return jobs;
+}
+
+describe('任务队列', () => {
+  const document = { _id: 'doc1', userId: 'user1' };
+  let jobs;
+  let queue;
+  let events;
+
+  beforeEach(() => {
+    jobs = createJobStore();
+    events = [];
+    const publisher = new ProcessingEvents();
+    publisher.subscribe({}, event => events.push(event));
+    queue = new JobQueue({
+      concurrency: 2,
+      pollInterval: 10,
+      backoffBase: 1000,
+      backoffMax: 8000,
+      staleTimeout: 60000,
+      events: publisher
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    queue.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('重试退避时间应按次数翻倍且不超过上限', () => {
+    expect([1, 2, 3, 4, 5].map(attempt => queue.getBackoff(attempt))).toEqual([1000, 2000, 4000, 8000, 8000]);
+  });
+
+  it('提取阶段完成前，其余阶段应处于等待状态', async () => {
+    const { runId } = await queue.enqueueRun(document, ['extraction', 'summary', 'concepts']);
+
+    expect(jobs.map(job => [job.stage, job.status])).toEqual([
+      ['extraction', 'pending'],
+      ['summary', 'waiting'],
+      ['concepts', 'waiting']
+    ]);
+    expect(jobs.every(job => job.runId === runId && job.documentId === 'doc1')).toBe(true);
+  });
+
+  it('应按顺序执行全部阶段，结束后调用一次 onRunSettled', async () => {
+    const executed = [];
+    const settled = new Promise(resolve => {
+      queue.setHandler({
+        runJob: async (job) => { executed.push(job.stage); },
+        onRunSettled: jest.fn(async (runId, runJobs) => resolve({ runId, runJobs }))
+      });
+    });
+
+    const { runId } = await queue.enqueueRun(document, ['extraction', 'summary', 'concepts']);
+    queue.start();
+    const result = await settled;
+
+    expect(executed[0]).toBe('extraction');
+    expect(executed.sort()).toEqual(['concepts', 'extraction', 'summary']);
+    expect(result.runId).toBe(runId);
+    expect(result.runJobs.map(job => job.status)).toEqual(['completed', 'completed', 'completed']);
+    expect(queue.handler.onRunSettled).toHaveBeenCalledTimes(1);
+  });
+
+  it('应保存处理器返回的任务结果', async () => {
+    const validation = { operation: 'concepts', repairAttempts: 1, discarded: [] };
+    queue.setHandler({ runJob: async () => ({ validation }) });
+    await queue.enqueueRun(document, ['concepts']);
+
+    await queue._execute(await ProcessingJob.claimNext(queue.workerId));
+
+    expect(jobs[0].status).toBe('completed');
+    expect(jobs[0].result).toEqual({ validation });
+  });
+
+  it('任务已被其他进程接管时不应记录完成，也不放行等待中的阶段', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    queue.setHandler({
+      runJob: async () => {
+        // 执行期间锁定过期，被恢复后由其他进程领取
+        Object.assign(jobs[0], { lockedBy: 'other-worker', attempts: 2 });
+      }
+    });
+    await queue.enqueueRun(document, ['extraction', 'summary']);
+
+    await queue._execute(await ProcessingJob.claimNext(queue.workerId));
+
+    expect(jobs[0]).toMatchObject({ status: 'processing', lockedBy: 'other-worker' });
+    expect(jobs[1].status).toBe('waiting');
+    expect(events.map(event => [event.type, event.status])).toEqual([['stage', 'started']]);
+  });
+
+  it('失败的任务应按退避时间重新排队并记录错误', async () => {
+    queue.setHandler({ runJob: async () => { throw new Error('AI服务超时'); } });
+    await queue.enqueueRun(document, ['summary']);
+
+    const before = Date.now();
+    await queue._execute(await ProcessingJob.claimNext(queue.workerId));
+
+    expect(jobs[0].status).toBe('pending');
+    expect(jobs[0].lastError).toBe('AI服务超时');
+    expect(jobs[0].errorHistory).toEqual([expect.objectContaining({ attempt: 1, message: 'AI服务超时' })]);
+    expect(jobs[0].runAt.getTime()).toBeGreaterThanOrEqual(before + 1000);
+  });
+
+  it('尝试次数用尽后应标记失败', async () => {
+    const onRunSettled = jest.fn();
+    queue.setHandler({ runJob: async () => { throw new Error('AI服务超时'); }, onRunSettled });
+    await queue.enqueueRun(document, ['summary']);
+    jobs[0].attempts = 2;
+
+    await queue._execute(await ProcessingJob.claimNext(queue.workerId));
+
+    expect(jobs[0].status).toBe('failed');
+    expect(jobs[0].completedAt).toBeInstanceOf(Date);
+    expect(onRunSettled).toHaveBeenCalledWith(jobs[0].runId, [expect.objectContaining({ status: 'failed' })]);
+  });
+
+  it('提取不可重试的失败应取消等待中的阶段', async () => {
+    const onRunSettled = jest.fn();
+    queue.setHandler({
+      runJob: async () => {
+        const error = new Error('不支持的文件类型');
+        error.retryable = false;
+        throw error;
+      },
+      onRunSettled
+    });
+    await queue.enqueueRun(document, ['extraction', 'summary']);
+
+    await queue._execute(await ProcessingJob.claimNext(queue.workerId));
+
+    expect(jobs.map(job => job.status)).toEqual(['failed', 'cancelled']);
+    expect(jobs[0].attempts).toBe(1);
+    expect(onRunSettled).toHaveBeenCalledTimes(1);
+  });
+
+  it('同时执行的任务数不应超过并发上限', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const settled = new Promise(resolve => {
+      queue.setHandler({
+        runJob: async () => {
+          active++;
+          maxActive = Math.max(maxActive, active);
+          await new Promise(done => setTimeout(done, 20));
+          active--;
+        },
+        onRunSettled: async () => resolve()
+      });
+    });
+
+    await queue.enqueueRun(document, ['restructure', 'summary', 'concepts', 'exercises', 'mindmap']);
+    queue.start();
+    await settled;
+
+    expect(maxActive).toBe(2);
+    expect(jobs.every(job => job.status === 'completed')).toBe(true);
+  });
+
+  it('应发布阶段开始、进度、完成和运行结束事件', async () => {
+    const settled = new Promise(resolve => {
+      queue.setHandler({
+        runJob: async (job, reportProgress) => {
+          reportProgress({ percent: 49.6, message: '正在解析第 1/2 页' });
+          reportProgress({ percent: 49.8, message: '正在解析第 1/2 页' });
+          reportProgress({ percent: 100, message: '正在解析第 2/2 页' });
+        },
+        onRunSettled: async () => resolve()
+      });
+    });
+
+    const { runId } = await queue.enqueueRun(document, ['extraction']);
+    queue.start();
+    await settled;
+    // 运行事件在 onRunSettled 完成后发布
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(events.map(event => [event.type, event.status, event.percent])).toEqual([
+      ['stage', 'started', undefined],
+      ['stage', 'progress', 50],
+      ['stage', 'progress', 100],
+      ['stage', 'completed', 100],
+      ['run', 'completed', undefined]
+    ]);
+    expect(events[1]).toMatchObject({ documentId: 'doc1', userId: 'user1', runId, stage: 'extraction', message: '正在解析第 1/2 页' });
+    expect(events[4].stages).toEqual([{ stage: 'extraction', status: 'completed', error: null }]);
+  });
+
+  it('提取失败时应发布失败、取消和运行失败事件', async () => {
+    queue.setHandler({
+      runJob: async () => {
+        const error = new Error('文件内容为空');
+        error.retryable = false;
+        throw error;
+      }
+    });
+    await queue.enqueueRun(document, ['extraction', 'summary']);
+
+    await queue._execute(await ProcessingJob.claimNext(queue.workerId));
+
+    expect(events.map(event => [event.type, event.stage, event.status])).toEqual([
+      ['stage', 'extraction', 'started'],
+      ['stage', 'extraction', 'failed'],
+      ['stage', 'summary', 'cancelled'],
+      ['run', undefined, 'failed']
+    ]);
+    expect(events[1].error).toBe('文件内容为空');
+  });
+
+  it('重试时应发布下次执行时间', async () => {
+    queue.setHandler({ runJob: async () => { throw new Error('AI服务超时'); } });
+    await queue.enqueueRun(document, ['summary']);
+
+    await queue._execute(await ProcessingJob.claimNext(queue.workerId));
+
+    expect(events[1]).toMatchObject({ status: 'retrying', attempt: 1, error: 'AI服务超时' });
+    expect(new Date(events[1].nextRunAt).getTime()).toBe(jobs[0].runAt.getTime());
+  });
+
+  it('应恢复锁定过期的处理中任务', async () => {
+    const onRunSettled = jest.fn();
+    queue.setHandler({ runJob: jest.fn(), onRunSettled });
+    await queue.enqueueRun(document, ['summary', 'concepts']);
+    const expired = new Date(Date.now() - 120000);
+    Object.assign(jobs[0], { status: 'processing', attempts: 1, lockedAt: expired, lockedBy: 'old-worker' });
+    Object.assign(jobs[1], { status: 'processing', attempts: 3, lockedAt: expired, lockedBy: 'old-worker' });
+
+    const recovered = await queue.recoverStaleJobs();
+
+    expect(recovered).toBe(2);
+    expect(jobs[0]).toMatchObject({ status: 'pending', lockedBy: null });
+    expect(jobs[0].errorHistory[0].message).toContain('处理中断');
+    expect(jobs[1].status).toBe('failed');
+    expect(onRunSettled).not.toHaveBeenCalled();
+  });
+});
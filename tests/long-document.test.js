@@ -0,0 +1,228 @@
+const AIService = require('../src/services/AIService');
+const { splitMarkdown, estimateTokens, truncateMarkdown } = require('../src/utils/markdownChunker');
+
+/**
+ * 生成指定长度的段落
+ */
+function paragraph(text, times) {
+  return Array.from({ length: times }, () => text).join('');
+}
+
+describe('Markdown切分', () => {
+  it('中文按字计算token，其余按4个字符计算', () => {
+    expect(estimateTokens('概念图谱')).toBe(4);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('')).toBe(0);
+  });
+
+  it('短文档应作为单个片段', () => {
+    const chunks = splitMarkdown('# 标题\n\n正文内容', { maxTokens: 100 });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ index: 0, offset: 0, content: '# 标题\n\n正文内容', title: '标题' });
+  });
+
+  it('应在标题处切分，并记录片段的标题路径和原文位置', () => {
+    const markdown = [
+      '# 第一章',
+      paragraph('甲', 60),
+      '## 1.1 小节',
+      paragraph('乙', 60),
+      '# 第二章',
+      paragraph('丙', 60)
+    ].join('\n\n');
+
+    const chunks = splitMarkdown(markdown, { maxTokens: 80 });
+
+    expect(chunks.map(chunk => chunk.title)).toEqual(['第一章', '第一章 > 1.1 小节', '第二章']);
+    expect(chunks.every(chunk => chunk.tokens <= 80)).toBe(true);
+    chunks.forEach(chunk => {
+      expect(markdown.slice(chunk.offset, chunk.offset + chunk.content.length)).toBe(chunk.content);
+    });
+  });
+
+  it('相邻的短章节应合并到同一片段', () => {
+    const markdown = '# 一\n\n短\n\n# 二\n\n短\n\n# 三\n\n' + paragraph('长', 95);
+
+    const chunks = splitMarkdown(markdown, { maxTokens: 100 });
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].headings).toEqual(['一', '二']);
+    expect(chunks[1].content.startsWith('# 三')).toBe(true);
+  });
+
+  it('单个章节过长时应按段落和句子切分', () => {
+    const markdown = '# 长章节\n\n' + paragraph('这是一句话。', 50) + '\n\n' + paragraph('另一段落。', 20);
+
+    const chunks = splitMarkdown(markdown, { maxTokens: 100 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(chunk => chunk.tokens <= 100)).toBe(true);
+    expect(chunks.every(chunk => chunk.title === '长章节')).toBe(true);
+    expect(chunks.slice(0, -1).every(chunk => chunk.content.endsWith('。'))).toBe(true);
+  });
+
+  it('代码块中的#不应视为标题', () => {
+    const markdown = '# 示例\n\n```bash\n# 安装依赖\nnpm install\n```\n\n' + paragraph('说', 90);
+
+    const chunks = splitMarkdown(markdown, { maxTokens: 60 });
+
+    expect(chunks.flatMap(chunk => chunk.headings)).toEqual(['示例']);
+  });
+
+  it('截断时应在段落边界处结束', () => {
+    const markdown = paragraph('甲', 40) + '\n\n' + paragraph('乙', 40);
+
+    expect(truncateMarkdown(markdown, 60)).toBe(paragraph('甲', 40));
+    expect(truncateMarkdown('短内容', 60)).toBe('短内容');
+  });
+});
+
+describe('AIService长文档分段处理', () => {
+  const longDocument = [
+    '# 第一章 细胞',
+    paragraph('细胞是生命的基本单位。', 20),
+    '# 第二章 遗传',
+    paragraph('基因控制生物的性状。', 20),
+    '# 第三章 进化',
+    paragraph('自然选择推动物种进化。', 26)
+  ].join('\n\n');
+
+  let service;
+  let create;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new AIService();
+    create = jest.fn();
+    service.provider = { name: 'test', isAvailable: () => true, complete: create };
+    service.chunkTokens = 300;
+    service.chunkConcurrency = 2;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reply = content => ({ content });
+  const promptOf = call => call[0].messages[0].content;
+
+  it('应按原顺序拼接各章节的重构结果并报告进度', async () => {
+    create.mockImplementation(async (request) => {
+      const prompt = request.messages[0].content;
+      const part = prompt.match(/第(\d)\/3部分/)[1];
+      // 第一部分返回较慢，验证结果顺序不受完成顺序影响
+      await new Promise(resolve => setTimeout(resolve, part === '1' ? 20 : 0));
+      return reply(`## 重构第${part}部分`);
+    });
+    const progress = [];
+
+    const result = await service.restructureDocument(longDocument, { onProgress: event => progress.push(event) });
+
+    expect(create).toHaveBeenCalledTimes(3);
+    expect(result).toBe('## 重构第1部分\n\n## 重构第2部分\n\n## 重构第3部分');
+    expect(promptOf(create.mock.calls.find(call => promptOf(call).includes('第3/3部分')))).toContain('所在章节：第三章 进化');
+    expect(progress.map(event => event.percent)).toEqual([33, 67, 100]);
+    expect(progress[2].message).toBe('已处理 3/3 部分');
+  });
+
+  it('拼接结果超过长度上限时应压缩较长的部分', () => {
+    const sections = ['短部分', paragraph('长', 100), paragraph('中', 30)];
+
+    const stitched = service._stitchSections(sections, 80);
+
+    expect(stitched.length).toBeLessThanOrEqual(80);
+    expect(stitched.startsWith('短部分\n\n')).toBe(true);
+    expect(stitched).toContain(paragraph('中', 30));
+  });
+
+  it('摘要应先概括各部分再生成全文摘要', async () => {
+    create.mockImplementation(async (request) => {
+      const prompt = request.messages[0].content;
+      const part = prompt.match(/第(\d)\/3部分/);
+      return reply(part ? `第${part[1]}部分要点` : '全文摘要');
+    });
+
+    const summary = await service.generateSummary(longDocument);
+
+    expect(summary).toBe('全文摘要');
+    const finalPrompt = promptOf(create.mock.calls[3]);
+    expect(finalPrompt).toContain('各部分的摘要');
+    expect(finalPrompt).toContain('## 第一章 细胞\n\n第1部分要点');
+    expect(finalPrompt).toContain('## 第三章 进化\n\n第3部分要点');
+  });
+
+  it('应合并各部分重复的概念并换算出现位置', async () => {
+    const chunks = service._splitContent(longDocument);
+    create.mockImplementation(async (request) => {
+      const part = Number(request.messages[0].content.match(/第(\d)\/3部分/)[1]);
+      const concepts = [{
+        term: part === 1 ? '细胞' : ' 细 胞',
+        definition: part === 1 ? '生命的基本单位' : '构成生物体结构和功能的基本单位',
+        category: 'concept',
+        importance: part,
+        occurrences: [{ position: 5, context: '细胞是生命的基本单位', confidence: 0.9 }],
+        relatedTerms: ['细胞膜', '细胞']
+      }];
+      if (part === 2) {
+        concepts.push({ term: '基因', definition: '遗传的基本单位', category: 'term', importance: 5, occurrences: [] });
+      }
+      return reply(JSON.stringify({ concepts }));
+    });
+
+    const concepts = await service.extractConcepts(longDocument, { maxConcepts: 10 });
+
+    expect(concepts).toHaveLength(2);
+    expect(concepts[0]).toMatchObject({ term: '基因', category: 'term', importance: 5 });
+    expect(concepts[1]).toMatchObject({
+      term: '细胞',
+      definition: '构成生物体结构和功能的基本单位',
+      importance: 3,
+      relatedTerms: ['细胞膜']
+    });
+    expect(concepts[1].occurrences.map(occurrence => occurrence.position))
+      .toEqual(chunks.map(chunk => chunk.offset + 5));
+  });
+
+  it('概念数量不应超过上限，字段长度应符合模型约束', () => {
+    const concepts = service._mergeConcepts([[
+      { term: 'A', definition: 'x'.repeat(3000), importance: 2 },
+      { term: 'B', importance: 5, occurrences: [{ position: 1, context: 'y'.repeat(600) }] },
+      { term: 'C', importance: 4 }
+    ]], 2);
+
+    expect(concepts.map(concept => concept.term)).toEqual(['B', 'C']);
+    expect(concepts[0].occurrences[0].context).toHaveLength(500);
+    expect(service._mergeConcepts([[{ term: 'A', definition: 'x'.repeat(3000) }]], 1)[0].definition).toHaveLength(2000);
+  });
+
+  it('练习题应按各部分篇幅分配数量并记录来源章节', async () => {
+    create.mockImplementation(async (request) => {
+      const prompt = request.messages[0].content;
+      const count = Number(prompt.match(/生成(\d+)道练习题/)[1]);
+      const exercises = Array.from({ length: count + 1 }, (item, index) => ({
+        type: 'true_false',
+        question: `题目${index}`,
+        correct_answer: true
+      }));
+      return reply(JSON.stringify({ exercises }));
+    });
+
+    const result = await service.generateExercises(longDocument, '生物', { count: 8, saveToDatabase: false });
+
+    const counts = create.mock.calls.map(call => Number(promptOf(call).match(/生成(\d+)道练习题/)[1]));
+    expect(counts).toEqual([3, 2, 3]);
+    expect(result.exercises).toHaveLength(8);
+    expect(result.exercises.map(exercise => exercise.source_section)).toEqual([
+      '第一章 细胞', '第一章 细胞', '第一章 细胞', '第二章 遗传',
+      '第二章 遗传', '第三章 进化', '第三章 进化', '第三章 进化'
+    ]);
+  });
+
+  it('题目数量少于片段数时，篇幅小的片段可不出题', () => {
+    const allocation = service._allocateByTokens([{ tokens: 100 }, { tokens: 300 }, { tokens: 600 }], 2);
+
+    expect(allocation).toEqual([0, 1, 1]);
+  });
+});
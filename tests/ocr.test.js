@@ -0,0 +1,190 @@
+const zlib = require('zlib');
+const { PNG } = require('pngjs');
+const OcrService = require('../src/services/OcrService');
+const PdfLayoutExtractor = require('../src/services/PdfLayoutExtractor');
+const FileExtractService = require('../src/services/FileExtractService');
+
+/**
+ * 构造由整页RGB图像组成、没有文本层的PDF（模拟扫描件），
+ * scannedPages 为扫描页数，text 提供时在最后追加一页带文本层的页面
+ */
+function buildScannedPdf(width, height, pixels, { scannedPages = 1, text } = {}) {
+  const image = zlib.deflateSync(pixels);
+  const stream = (dict, data) => Buffer.concat([
+    Buffer.from(`${dict.replace('>>', `/Length ${data.length} >>`)}\nstream\n`),
+    data,
+    Buffer.from('\nendstream')
+  ]);
+
+  // 1-4号对象为目录、页面树、图像和字体，之后每页依次为页面和内容流
+  const contents = Array.from({ length: scannedPages }, () => `q ${width} 0 0 ${height} 0 0 cm /Im1 Do Q`);
+  if (text) {
+    contents.push(`BT /F1 12 Tf 2 4 Td (${text}) Tj ET`);
+  }
+  const pageRefs = contents.map((_, index) => `${5 + index * 2} 0 R`).join(' ');
+
+  const objects = [
+    Buffer.from('<< /Type /Catalog /Pages 2 0 R >>'),
+    Buffer.from(`<< /Type /Pages /Kids [${pageRefs}] /Count ${contents.length} >>`),
+    stream(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+      '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode >>', image),
+    Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>')
+  ];
+  contents.forEach((content, index) => {
+    objects.push(
+      Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /XObject << /Im1 3 0 R >> /Font << /F1 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`),
+      stream('<< >>', Buffer.from(content))
+    );
+  });
+
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  const offsets = [];
+  let length = parts[0].length;
+  objects.forEach((object, index) => {
+    const part = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), object, Buffer.from('\nendobj\n')]);
+    offsets.push(length);
+    length += part.length;
+    parts.push(part);
+  });
+
+  parts.push(Buffer.from(
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`
+  ));
+
+  return Buffer.concat(parts);
+}
+
+describe('OCR', () => {
+  describe('OcrService', () => {
+    it('应去除中文字符间的空格并保留英文单词间距', () => {
+      const service = new OcrService();
+      const text = service._formatText('第 一 章  绪 论\n\n\n\nMachine learning 是 人 工 智 能 的 分 支 。\n');
+
+      expect(text).toBe('第一章绪论\n\nMachine learning 是人工智能的分支。');
+    });
+
+    it('应按阈值判断低置信度', () => {
+      const service = new OcrService({ lowConfidenceThreshold: 0.7 });
+
+      expect(service.isLowConfidence(0.65)).toBe(true);
+      expect(service.isLowConfidence(0.9)).toBe(false);
+    });
+  });
+
+  describe('扫描版PDF', () => {
+    const width = 40;
+    const height = 20;
+    const pixels = Buffer.alloc(width * height * 3, 255);
+    // 左上角像素设为红色，用于校验图像数据
+    pixels[1] = 0;
+    pixels[2] = 0;
+
+    it('应对没有文本层的页面调用OCR，并输出页面图像', async () => {
+      const calls = [];
+      const extractor = new PdfLayoutExtractor();
+
+      const result = await extractor.extract(buildScannedPdf(width, height, pixels), {
+        ocrPage: async (imageBuffer, pageNumber) => {
+          calls.push({ image: PNG.sync.read(imageBuffer), pageNumber });
+          return { markdown: '扫描页文字', confidence: 0.82 };
+        }
+      });
+
+      expect(calls).toHaveLength(1);
+      expect(calls[0].pageNumber).toBe(1);
+      expect(calls[0].image.width).toBe(width);
+      expect(calls[0].image.height).toBe(height);
+      expect(Array.from(calls[0].image.data.slice(0, 4))).toEqual([255, 0, 0, 255]);
+
+      expect(result.markdown).toBe('<!-- page: 1 -->\n\n扫描页文字\n');
+      expect(result.pages).toEqual([{ pageNumber: 1, hasText: false, ocrConfidence: 0.82, ocrFailed: false }]);
+    });
+
+    it('单页OCR失败时标记该页并保留其他页面的内容', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const extractor = new PdfLayoutExtractor();
+
+      const result = await extractor.extract(buildScannedPdf(width, height, pixels, { scannedPages: 2, text: 'Text layer page' }), {
+        ocrPage: async (imageBuffer, pageNumber) => {
+          if (pageNumber === 1) {
+            throw new Error('tesseract failed to start');
+          }
+          return { markdown: '扫描页文字', confidence: 0.82 };
+        }
+      });
+
+      expect(result.pages).toEqual([
+        { pageNumber: 1, hasText: false, ocrConfidence: null, ocrFailed: true },
+        { pageNumber: 2, hasText: false, ocrConfidence: 0.82, ocrFailed: false },
+        { pageNumber: 3, hasText: true, ocrConfidence: null, ocrFailed: false }
+      ]);
+      expect(result.markdown).toContain('<!-- page: 2 -->\n\n扫描页文字');
+      expect(result.markdown).toContain('Text layer page');
+      expect(console.warn).toHaveBeenCalledWith('第1页OCR失败:', 'tesseract failed to start');
+      console.warn.mockRestore();
+    });
+
+    it('未提供OCR时扫描页输出为空', async () => {
+      const result = await new PdfLayoutExtractor().extract(buildScannedPdf(width, height, pixels));
+
+      expect(result.markdown).toBe('<!-- page: 1 -->\n');
+      expect(result.pages[0].ocrConfidence).toBeNull();
+    });
+  });
+
+  describe('FileExtractService', () => {
+    const createService = (results) => {
+      const ocrService = new OcrService({ lowConfidenceThreshold: 0.6 });
+      ocrService.recognize = jest.fn(async () => results.shift());
+      return new FileExtractService({ ocrService });
+    };
+
+    it('图片上传应通过OCR提取文字并记录置信度', async () => {
+      const service = createService([{ markdown: '光合作用\nPhotosynthesis', confidence: 0.91 }]);
+      const context = {};
+
+      const markdown = await service.extractImageToMarkdown(Buffer.from('image'), context);
+
+      expect(markdown).toBe('光合作用\nPhotosynthesis');
+      expect(context.pageCount).toBe(1);
+      expect(context.ocrPages).toEqual([{ pageNumber: 1, confidence: 0.91 }]);
+    });
+
+    it('图片中没有文字时应报错', async () => {
+      const service = createService([{ markdown: '', confidence: 0 }]);
+
+      await expect(service.extractImageToMarkdown(Buffer.from('image'), {}))
+        .rejects.toThrow('图片中未识别到文字');
+    });
+
+    it('应汇总置信度并标记低质量页面', () => {
+      const service = createService([]);
+
+      const metadata = service._buildOcrMetadata([
+        { pageNumber: 1, confidence: 0.9 },
+        { pageNumber: 2, confidence: 0.4 }
+      ]);
+
+      expect(metadata).toEqual({
+        engine: 'tesseract',
+        languages: 'eng+chi_sim',
+        averageConfidence: 0.65,
+        lowConfidencePages: [2],
+        failedPages: [],
+        pages: [
+          { pageNumber: 1, confidence: 0.9, lowConfidence: false },
+          { pageNumber: 2, confidence: 0.4, lowConfidence: true }
+        ]
+      });
+    });
+
+    it('应记录识别失败的页面', () => {
+      const metadata = createService([])._buildOcrMetadata([], [3]);
+
+      expect(metadata).toMatchObject({ averageConfidence: null, lowConfidencePages: [], failedPages: [3], pages: [] });
+    });
+  });
+});
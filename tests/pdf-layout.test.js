@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const PdfLayoutExtractor = require('../src/services/PdfLayoutExtractor');
+
+const item = (text, x, y, fontSize = 10, options = {}) => ({
+  text,
+  x,
+  y,
+  width: options.width || text.length * fontSize * 0.5,
+  fontSize,
+  bold: !!options.bold
+});
+
+const page = (pageNumber, items) => ({ pageNumber, width: 600, height: 800, items });
+
+describe('PdfLayoutExtractor', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new PdfLayoutExtractor();
+  });
+
+  const render = (pages) => {
+    const bodyFontSize = extractor._getBodyFontSize(pages);
+    const repeatedKeys = extractor._findRepeatedHeaderFooters(pages);
+    const pageLines = pages.map(p => extractor._getPageLines(p, repeatedKeys));
+    const headingLevels = extractor._getHeadingLevels(pageLines, bodyFontSize);
+    return pageLines.map(lines => extractor._buildBlocks(lines, bodyFontSize, headingLevels));
+  };
+
+  it('should detect heading levels from font size and weight', () => {
+    const [markdown] = render([page(1, [
+      item('第一章 机器学习', 50, 700, 20),
+      item('1.1 监督学习', 50, 660, 14),
+      item('这是正文内容，介绍监督学习的基本思想与常见算法的分类方式。', 50, 630),
+      item('这里继续正文描述，用于确定正文字号为十号字体的情况。', 50, 616),
+      item('核心要点', 50, 590, 10, { bold: true }),
+      item('更多正文内容，用于说明加粗短行会被识别为低一级标题。', 50, 570)
+    ])]);
+
+    expect(markdown).toContain('# 第一章 机器学习');
+    expect(markdown).toContain('## 1.1 监督学习');
+    expect(markdown).toContain('### 核心要点');
+    expect(markdown).toContain('这是正文内容，介绍监督学习的基本思想与常见算法的分类方式。这里继续正文描述');
+  });
+
+  it('should rebuild bullet and numbered lists', () => {
+    const [markdown] = render([page(1, [
+      item('• 第一项', 50, 700),
+      item('• 第二项，内容较长需要', 50, 686),
+      item('换行继续', 62, 672),
+      item('1. 步骤一', 50, 650),
+      item('2) 步骤二', 50, 636)
+    ])]);
+
+    expect(markdown).toContain('- 第一项\n- 第二项，内容较长需要换行继续\n1. 步骤一\n2. 步骤二');
+  });
+
+  it('should rebuild simple tables from aligned columns', () => {
+    const [markdown] = render([page(1, [
+      item('算法', 50, 700), item('类型', 250, 700), item('复杂度', 450, 700),
+      item('KNN', 50, 686), item('分类', 250, 686), item('O(n)', 450, 686)
+    ])]);
+
+    expect(markdown).toContain('| 算法 | 类型 | 复杂度 |\n| --- | --- | --- |\n| KNN | 分类 | O(n) |');
+  });
+
+  it('should de-hyphenate words broken across lines', () => {
+    const [markdown] = render([page(1, [
+      item('The storage system is optimized for photo applica-', 50, 700),
+      item('tions at very large scale.', 50, 686)
+    ])]);
+
+    expect(markdown).toContain('optimized for photo applications at very large scale.');
+  });
+
+  it('should strip repeated headers, footers and page numbers', () => {
+    const pages = [1, 2, 3].map(n => page(n, [
+      item('机器学习讲义', 50, 780, 9),
+      item(`第${n}页正文内容。`, 50, 400),
+      item(`- ${n} -`, 290, 30, 9)
+    ]));
+
+    const markdownPages = render(pages);
+
+    markdownPages.forEach((markdown, index) => {
+      expect(markdown).toBe(`第${index + 1}页正文内容。`);
+    });
+  });
+
+  it('should read two-column layouts column by column', () => {
+    const left = Array.from({ length: 8 }, (_, i) => item(`左栏第${i + 1}行内容`, 50, 700 - i * 14, 10, { width: 220 }));
+    const right = Array.from({ length: 8 }, (_, i) => item(`右栏第${i + 1}行内容`, 320, 700 - i * 14, 10, { width: 220 }));
+
+    const [markdown] = render([page(1, [...left, ...right])]);
+
+    expect(markdown.indexOf('左栏第8行内容')).toBeLessThan(markdown.indexOf('右栏第1行内容'));
+    expect(markdown).not.toContain('|');
+  });
+
+  it('should treat bold weights as bold but not medium weights', async () => {
+    const fonts = { f1: 'ABCDEF+Roboto-Medium', f2: 'ABCDEF+Roboto-Bold', f3: 'ABCDEF+SourceHanSans-SemiBold' };
+    const textItem = (str, fontName, y) => ({ str, fontName, width: 40, transform: [10, 0, 0, 10, 50, y] });
+    const pageData = {
+      pageIndex: 0,
+      view: [0, 0, 600, 800],
+      getTextContent: async () => ({
+        items: [textItem('正文', 'f1', 700), textItem('标题', 'f2', 680), textItem('小节', 'f3', 660)]
+      }),
+      getOperatorList: async () => ({}),
+      commonObjs: { get: (fontName, callback) => callback({ name: fonts[fontName] }) }
+    };
+
+    const { items } = await extractor._readPage(pageData);
+
+    expect(items.map(entry => entry.bold)).toEqual([false, true, true]);
+  });
+
+  it('should record page boundaries and page count for a real PDF', async () => {
+    const buffer = fs.readFileSync(path.join(__dirname, 'example.pdf'));
+
+    const onProgress = jest.fn();
+
+    const result = await extractor.extract(buffer, { onProgress });
+
+    expect(onProgress).toHaveBeenCalledWith(1, 1, 'parse');
+    expect(result.pageCount).toBe(1);
+    expect(result.pages).toEqual([{ pageNumber: 1, hasText: true, ocrConfidence: null, ocrFailed: false }]);
+    expect(result.markdown.startsWith('<!-- page: 1 -->')).toBe(true);
+    expect(result.markdown).toContain('# Finding a needle in Haystack');
+    expect(result.markdown).toContain('an object storage system optimized');
+  });
+});
@@ -0,0 +1,101 @@
+const JSZip = require('jszip');
+const FileExtractService = require('../src/services/FileExtractService');
+
+const NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const shape = (paragraphsXml, placeholderType) =>
+  `<p:sp><p:nvSpPr><p:cNvPr id="1" name="s"/><p:cNvSpPr/><p:nvPr>${placeholderType ? `<p:ph type="${placeholderType}"/>` : ''}</p:nvPr></p:nvSpPr>` +
+  `<p:txBody>${paragraphsXml}</p:txBody></p:sp>`;
+
+const para = (text, level = 0, bold = false) =>
+  `<a:p>${level ? `<a:pPr lvl="${level}"/>` : ''}<a:r>${bold ? '<a:rPr b="1"/>' : ''}<a:t>${text}</a:t></a:r></a:p>`;
+
+const table = (rows) =>
+  '<p:graphicFrame><a:graphic><a:graphicData><a:tbl>' +
+  rows.map(row => `<a:tr>${row.map(text => `<a:tc><a:txBody>${para(text)}</a:txBody></a:tc>`).join('')}</a:tr>`).join('') +
+  '</a:tbl></a:graphicData></a:graphic></p:graphicFrame>';
+
+/**
+ * 构造一个最小化的pptx文件，slides按放映顺序给出
+ */
+async function buildPptx(slides) {
+  const zip = new JSZip();
+
+  // 故意让放映顺序与文件编号相反，验证按sldIdLst排序
+  const order = slides.map((_, i) => slides.length - i);
+
+  zip.file('ppt/presentation.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<p:presentation ${NS}><p:sldIdLst>${order.map((n, i) => `<p:sldId id="${256 + i}" r:id="rId${n}"/>`).join('')}</p:sldIdLst></p:presentation>`);
+
+  zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="${REL_NS}">${order.map(n =>
+    `<Relationship Id="rId${n}" Type="${REL_TYPE}/slide" Target="slides/slide${n}.xml"/>`).join('')}</Relationships>`);
+
+  slides.forEach((slide, i) => {
+    const n = order[i];
+    zip.file(`ppt/slides/slide${n}.xml`, `<?xml version="1.0" encoding="UTF-8"?>
+<p:sld ${NS}><p:cSld><p:spTree>${slide.body}</p:spTree></p:cSld></p:sld>`);
+
+    if (slide.notes) {
+      zip.file(`ppt/slides/_rels/slide${n}.xml.rels`, `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="${REL_NS}"><Relationship Id="rId1" Type="${REL_TYPE}/notesSlide" Target="../notesSlides/notesSlide${n}.xml"/></Relationships>`);
+      zip.file(`ppt/notesSlides/notesSlide${n}.xml`, `<?xml version="1.0" encoding="UTF-8"?>
+<p:notes ${NS}><p:cSld><p:spTree>${shape(para('1'), 'sldNum')}${shape(slide.notes.map(text => para(text)).join(''), 'body')}</p:spTree></p:cSld></p:notes>`);
+    }
+  });
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('FileExtractService PowerPoint提取', () => {
+  let fileExtractService;
+
+  beforeEach(() => {
+    fileExtractService = new FileExtractService();
+  });
+
+  it('should emit one section per slide in presentation order', async () => {
+    const buffer = await buildPptx([
+      { body: shape(para('课程导论'), 'ctrTitle') + shape(para('第一讲'), 'subTitle') },
+      { body: shape(para('学习目标'), 'title') + shape(para('理解概念') + para('掌握方法') + para('实践练习', 1)) }
+    ]);
+    const context = {};
+
+    const markdown = await fileExtractService.extractPptxToMarkdown(buffer, context);
+
+    expect(context.pageCount).toBe(2);
+    expect(markdown.indexOf('## 幻灯片 1：课程导论')).toBeLessThan(markdown.indexOf('## 幻灯片 2：学习目标'));
+    expect(markdown).toContain('- 第一讲');
+    expect(markdown).toContain('- 理解概念\n- 掌握方法\n  - 实践练习');
+  });
+
+  it('should include tables, bold runs and speaker notes', async () => {
+    const buffer = await buildPptx([
+      {
+        body: shape(para('对比'), 'title') + shape(para('重点', 0, true)) +
+          table([['方法', '优点'], ['监督学习', '准确']]) +
+          shape(para('12'), 'sldNum'),
+        notes: ['先介绍背景', '再讲对比']
+      }
+    ]);
+
+    const markdown = await fileExtractService.extractPptxToMarkdown(buffer);
+
+    expect(markdown).toContain('- **重点**');
+    expect(markdown).toContain('| 方法 | 优点 |\n| --- | --- |\n| 监督学习 | 准确 |');
+    expect(markdown).toContain('> **备注：** 先介绍背景\n> 再讲对比');
+    expect(markdown).not.toContain('12');
+  });
+
+  it('should reject files that are not presentations', async () => {
+    const zip = new JSZip();
+    zip.file('word/document.xml', '<w:document/>');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+    await expect(fileExtractService.extractPptxToMarkdown(buffer)).rejects.toThrow('PowerPoint解析失败');
+  });
+});
@@ -0,0 +1,152 @@
+const http = require('http');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const DocumentService = require('../src/services/DocumentService');
+const processingEvents = require('../src/services/ProcessingEvents');
+const { generateToken } = require('../src/middleware/auth');
+
+/**
+ * 连接SSE接口，按事件逐个读取
+ */
+function connect(port, path) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({ port, path, agent: false }, (response) => {
+      const queue = [];
+      const waiters = [];
+      let buffer = '';
+
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          const event = block.match(/^event: (.+)$/m);
+          const data = block.match(/^data: (.+)$/m);
+          if (event && data) {
+            const message = { event: event[1], data: JSON.parse(data[1]) };
+            waiters.length > 0 ? waiters.shift()(message) : queue.push(message);
+          }
+        }
+      });
+
+      resolve({
+        response,
+        next: () => queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(done => waiters.push(done)),
+        close: () => request.destroy()
+      });
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * 等待服务端处理完连接关闭（订阅者数量降到预期值）
+ */
+async function waitForListeners(count) {
+  for (let i = 0; i < 100 && processingEvents.listenerCount('event') !== count; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return processingEvents.listenerCount('event');
+}
+
+describe('处理进度SSE接口', () => {
+  let server;
+  let port;
+  let token;
+
+  beforeAll((done) => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    token = generateToken('user1');
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: async () => ({ _id: 'user1', id: 'user1', isActive: true })
+    });
+  });
+
+  afterEach(async () => {
+    await waitForListeners(0);
+    jest.restoreAllMocks();
+  });
+
+  it('文档接口应先发送快照，再推送该文档的事件', async () => {
+    jest.spyOn(DocumentService.prototype, 'getDocumentJobs').mockResolvedValue({
+      documentId: 'doc1',
+      processingStatus: 'processing',
+      runs: [{ runId: 'run1', stages: [{ stage: 'extraction', status: 'processing' }] }]
+    });
+
+    const stream = await connect(port, `/api/documents/doc1/events?access_token=${token}`);
+
+    expect(stream.response.statusCode).toBe(200);
+    expect(stream.response.headers['content-type']).toContain('text/event-stream');
+    const snapshot = await stream.next();
+    expect(snapshot).toEqual({
+      event: 'snapshot',
+      data: {
+        documentId: 'doc1',
+        processingStatus: 'processing',
+        run: { runId: 'run1', stages: [{ stage: 'extraction', status: 'processing' }] }
+      }
+    });
+
+    processingEvents.publish({ type: 'stage', documentId: 'doc2', userId: 'user1', stage: 'summary', status: 'started' });
+    processingEvents.publish({ type: 'stage', documentId: 'doc1', userId: 'user1', stage: 'extraction', status: 'progress', percent: 40 });
+
+    const progress = await stream.next();
+    expect(progress.event).toBe('stage');
+    expect(progress.data).toMatchObject({ documentId: 'doc1', stage: 'extraction', status: 'progress', percent: 40 });
+    stream.close();
+  });
+
+  it('用户接口应只推送当前用户的事件', async () => {
+    const stream = await connect(port, '/api/documents/events?access_token=' + token);
+    expect((await stream.next()).event).toBe('ready');
+
+    processingEvents.publish({ type: 'run', documentId: 'doc9', userId: 'user2', status: 'completed' });
+    processingEvents.publish({ type: 'run', documentId: 'doc3', userId: 'user1', status: 'partial' });
+
+    const run = await stream.next();
+    expect(run).toMatchObject({ event: 'run', data: { documentId: 'doc3', status: 'partial' } });
+    stream.close();
+  });
+
+  it('连接断开后应取消订阅', async () => {
+    const stream = await connect(port, '/api/documents/events?access_token=' + token);
+    await stream.next();
+    expect(processingEvents.listenerCount('event')).toBe(1);
+
+    stream.close();
+
+    expect(await waitForListeners(0)).toBe(0);
+  });
+
+  it('文档不存在时应返回404', async () => {
+    jest.spyOn(DocumentService.prototype, 'getDocumentJobs').mockRejectedValue(new Error('文档不存在或无权访问'));
+
+    const stream = await connect(port, `/api/documents/doc1/events?access_token=${token}`);
+
+    expect(stream.response.statusCode).toBe(404);
+    expect(processingEvents.listenerCount('event')).toBe(0);
+    stream.close();
+  });
+
+  it('缺少令牌时应返回401', async () => {
+    const stream = await connect(port, '/api/documents/events');
+
+    expect(stream.response.statusCode).toBe(401);
+    stream.close();
+  });
+});
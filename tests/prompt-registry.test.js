@@ -0,0 +1,166 @@
+const PromptRegistry = require('../src/services/PromptRegistry');
+const AIService = require('../src/services/AIService');
+const FileExtractService = require('../src/services/FileExtractService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const { Exercise, MindMap, Summary, PromptTemplate } = require('../src/models');
+
+const content = '# 机器学习\n\n机器学习让计算机从数据中学习。\n\n## 监督学习\n\n使用带标签的数据训练模型。';
+
+describe('提示词模板注册表', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    registry = new PromptRegistry();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('模板渲染', () => {
+    it('应替换变量并按条件保留内容', () => {
+      const body = '第{{number}}部分{{#title}}（{{title}}）{{/title}}{{^title}}（无标题）{{/title}}';
+
+      expect(PromptRegistry.renderTemplate(body, { number: 2, title: '概述' })).toBe('第2部分（概述）');
+      expect(PromptRegistry.renderTemplate(body, { number: 2, title: '' })).toBe('第2部分（无标题）');
+    });
+
+    it('缺少变量时应报错', () => {
+      expect(() => PromptRegistry.renderTemplate('{{content}}', {})).toThrow('提示词模板缺少变量: content');
+    });
+
+    it('变量内容中的模板语法不再解析', () => {
+      expect(PromptRegistry.renderTemplate('{{content}}', { content: '{{style}}' })).toBe('{{style}}');
+    });
+
+    it('分段重构的提示词应包含片段信息', async () => {
+      const { prompt, template } = await registry.render('restructure', 'zh', {
+        content: '正文',
+        style: 'academic',
+        language: 'zh',
+        chunk: true,
+        chunkNumber: 2,
+        totalChunks: 3,
+        chunkTitle: '监督学习',
+        maxLength: 1000
+      });
+
+      expect(template).toMatchObject({ id: 'restructure', version: 1, language: 'zh', source: 'file', ref: 'restructure@1:zh' });
+      expect(prompt).toContain('8. 这是长文档的第2/3部分（所在章节：监督学习），只重构这一部分');
+      expect(prompt).toContain('9. 篇幅不超过1000字');
+      expect(prompt.endsWith('原始内容：\n正文\n\n请输出重构后的文档：')).toBe(true);
+    });
+
+    it('出题提示词的序号应随是否分段变化', async () => {
+      const variables = { content: '正文', count: 3, types: ['multiple_choice', 'true_false'], difficulty: 'easy', language: 'zh' };
+
+      const whole = await registry.render('exercises', 'zh', variables);
+      const part = await registry.render('exercises', 'zh', { ...variables, chunk: true, chunkNumber: 1, totalChunks: 2, chunkTitle: '' });
+
+      expect(whole.prompt).toContain('1. 题目类型：multiple_choice, true_false\n2. 难度：easy\n3. 语言：zh\n4. 必须严格');
+      expect(part.prompt).toContain('4. 内容是长文档的第1/2部分，题目只考查这一部分\n5. 必须严格');
+    });
+
+    it('思维导图语法说明中的 {{文本}} 应原样保留', async () => {
+      const { prompt } = await registry.render('mindmap', 'zh', { content: '正文', maxNodes: 20, language: 'zh', style: 'mindmap' });
+
+      expect(prompt).toContain('`{{文本}}` - 六边形');
+    });
+  });
+
+  describe('语言版本', () => {
+    it('英文及其地区代码使用英文模板', async () => {
+      await expect(registry.get('summary', 'en-US')).resolves.toMatchObject({ language: 'en', ref: 'summary@2:en' });
+    });
+
+    it('其他语言使用中文模板', async () => {
+      await expect(registry.get('summary', 'zh-CN')).resolves.toMatchObject({ language: 'zh' });
+      await expect(registry.get('summary', 'fr')).resolves.toMatchObject({ language: 'zh' });
+      await expect(registry.get('summary')).resolves.toMatchObject({ language: 'zh' });
+    });
+
+    it('未知模板应报错', async () => {
+      await expect(registry.get('unknown', 'zh')).rejects.toThrow('提示词模板不存在');
+    });
+  });
+
+  describe('数据库覆盖', () => {
+    beforeEach(() => {
+      jest.spyOn(registry, '_isDatabaseReady').mockReturnValue(true);
+    });
+
+    it('数据库中版本更高的模板应覆盖内置模板', async () => {
+      const findLatest = jest.spyOn(PromptTemplate, 'findLatest').mockResolvedValue({ version: 3, body: '请概括：{{content}}' });
+
+      const { prompt, template } = await registry.render('summary', 'zh', { content: '正文' });
+
+      expect(findLatest).toHaveBeenCalledWith('summary', 'zh');
+      expect(prompt).toBe('请概括：正文');
+      expect(template).toMatchObject({ version: 3, source: 'database', ref: 'summary@3:zh' });
+    });
+
+    it('版本不高于内置模板时仍使用内置模板', async () => {
+      jest.spyOn(PromptTemplate, 'findLatest').mockResolvedValue({ version: 2, body: '请概括：{{content}}' });
+
+      await expect(registry.get('summary', 'zh')).resolves.toMatchObject({ version: 2, source: 'file' });
+    });
+
+    it('引用未声明变量的模板应被忽略', async () => {
+      jest.spyOn(PromptTemplate, 'findLatest').mockResolvedValue({ version: 4, body: '{{content}} {{secret}}' });
+
+      await expect(registry.get('summary', 'zh')).resolves.toMatchObject({ source: 'file' });
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('secret'));
+    });
+
+    it('数据库模板应缓存，清空缓存后重新读取', async () => {
+      const findLatest = jest.spyOn(PromptTemplate, 'findLatest').mockResolvedValue(null);
+
+      await registry.get('concepts', 'zh');
+      await registry.get('concepts', 'zh');
+      expect(findLatest).toHaveBeenCalledTimes(1);
+
+      registry.clearCache();
+      await registry.get('concepts', 'zh');
+      expect(findLatest).toHaveBeenCalledTimes(2);
+    });
+
+    it('读取失败时使用内置模板', async () => {
+      jest.spyOn(PromptTemplate, 'findLatest').mockRejectedValue(new Error('连接断开'));
+
+      await expect(registry.get('mindmap', 'zh')).resolves.toMatchObject({ source: 'file' });
+    });
+  });
+
+  describe('记录模板引用', () => {
+    let service;
+
+    beforeEach(() => {
+      const usageService = { checkQuota: jest.fn(async () => {}), record: jest.fn(async () => ({})) };
+      service = new AIService({ provider: new MockProvider(), usageService });
+    });
+
+    it('练习题和思维导图应记录生成时使用的模板', async () => {
+      jest.spyOn(Exercise.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(MindMap.prototype, 'save').mockImplementation(async function() { return this; });
+      const ids = { documentId: '507f1f77bcf86cd799439011', userId: '507f1f77bcf86cd799439012' };
+
+      const exercises = await service.generateExercises(content, '机器学习', { count: 2, language: 'en', ...ids });
+      const mindMap = await service.generateMindMap(content, ids);
+
+      expect(exercises.databaseObject.metadata.generationPrompt).toMatch(/^exercises@1:en /);
+      expect(mindMap.databaseObject.metadata.generationPrompt).toMatch(/^mindmap@1:zh /);
+    });
+
+    it('保存摘要时应记录模板', async () => {
+      const fileExtractService = new FileExtractService();
+      jest.spyOn(Summary, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Summary.prototype, 'save').mockImplementation(async function() { return this; });
+
+      const summary = await fileExtractService.saveSummary('507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', '摘要', content.length);
+
+      expect(summary.metadata.prompt).toBe('summary@2:zh');
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const DocumentService = require('../src/services/DocumentService');
+const Document = require('../src/models/Document');
+const Concept = require('../src/models/Concept');
+const Exercise = require('../src/models/Exercise');
+const MindMap = require('../src/models/MindMap');
+const ProcessingJob = require('../src/models/ProcessingJob');
+
+describe('文档重新处理', () => {
+  let service;
+  let updates;
+
+  const document = {
+    _id: 'doc1',
+    userId: 'user1',
+    title: '细胞生物学',
+    originalFormat: 'pdf',
+    filePath: 'documents/cell.pdf',
+    markdownContent: '# 旧内容',
+    metadata: { mimeType: 'application/pdf' }
+  };
+
+  beforeEach(() => {
+    service = new DocumentService();
+    updates = [];
+    jest.spyOn(Document, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      updates.push(update);
+      return null;
+    });
+    jest.spyOn(Concept, 'updateMany').mockResolvedValue({});
+    service.getFileBuffer = jest.fn(async () => Buffer.from('pdf'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('_normalizeStages', () => {
+    it('未指定时使用默认阶段', () => {
+      expect(service._normalizeStages()).toEqual(['extraction', 'restructure', 'summary', 'concepts']);
+    });
+
+    it('应按执行顺序整理阶段，并支持逗号分隔', () => {
+      expect(service._normalizeStages('mindmap, extraction')).toEqual(['extraction', 'mindmap']);
+      expect(service._normalizeStages(['summary', 'restructure'])).toEqual(['restructure', 'summary']);
+    });
+
+    it('应拒绝无效阶段', () => {
+      expect(() => service._normalizeStages(['extraction', 'translate'])).toThrow('无效的处理阶段: translate');
+    });
+  });
+
+  describe('reprocessDocument', () => {
+    it('应将指定阶段加入任务队列', async () => {
+      jest.spyOn(service, 'getDocument').mockResolvedValue({ ...document, processingStatus: 'completed' });
+      jest.spyOn(ProcessingJob, 'hasActiveJobs').mockResolvedValue(false);
+      service.jobQueue = { enqueueRun: jest.fn(async () => ({ runId: 'run1' })) };
+
+      const result = await service.reprocessDocument('doc1', 'user1', { stages: ['summary', 'extraction'] });
+
+      expect(result).toEqual({ documentId: 'doc1', runId: 'run1', stages: ['extraction', 'summary'], status: 'processing' });
+      expect(service.jobQueue.enqueueRun).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'doc1' }),
+        ['extraction', 'summary'],
+        { reprocess: true }
+      );
+      expect(updates[0]).toEqual({ processingStatus: 'processing', processingError: null });
+    });
+
+    it('文档有未结束的任务时应拒绝', async () => {
+      jest.spyOn(service, 'getDocument').mockResolvedValue({ ...document, processingStatus: 'failed' });
+      jest.spyOn(ProcessingJob, 'hasActiveJobs').mockResolvedValue(true);
+
+      await expect(service.reprocessDocument('doc1', 'user1')).rejects.toThrow('文档正在处理中');
+    });
+  });
+
+  describe('_runStage', () => {
+    it('重新提取时只替换内容，不修改处理状态', async () => {
+      const extractService = service.fileExtractService;
+      jest.spyOn(extractService, 'extractContent').mockResolvedValue({
+        markdownContent: '# 新内容',
+        update: { markdownContent: '# 新内容', 'metadata.wordCount': 3 }
+      });
+
+      await service._runStage('extraction', document, { reprocess: true });
+
+      expect(extractService.extractContent).toHaveBeenCalledWith('doc1', expect.any(Buffer), 'application/pdf', { onProgress: null });
+      expect(updates).toEqual([{ markdownContent: '# 新内容', 'metadata.wordCount': 3 }]);
+    });
+
+    it('上传后的首次提取完成即标记文档可用', async () => {
+      jest.spyOn(service.fileExtractService, 'extractContent').mockResolvedValue({
+        markdownContent: '# 内容',
+        update: { markdownContent: '# 内容' }
+      });
+
+      await service._runStage('extraction', { ...document, markdownContent: undefined });
+
+      expect(updates[0]).toEqual({ processingStatus: 'processing' });
+      expect(updates[1]).toEqual({ markdownContent: '# 内容', processingStatus: 'completed', processingError: null });
+    });
+
+    it('格式不支持的提取错误不应重试', async () => {
+      jest.spyOn(service.fileExtractService, 'extractContent').mockRejectedValue(new Error('不支持的文件类型: application/zip'));
+
+      await expect(service._runStage('extraction', document, { reprocess: true }))
+        .rejects.toMatchObject({ retryable: false });
+    });
+
+    it('概念阶段成功后应移除未再提取到的旧概念', async () => {
+      jest.spyOn(service.fileExtractService, 'extractAndSaveConcepts').mockResolvedValue([{ _id: 'c1' }, { _id: 'c2' }]);
+
+      await service._runStage('concepts', document);
+
+      expect(service.fileExtractService.extractAndSaveConcepts).toHaveBeenCalledWith('doc1', 'user1', '# 旧内容', {
+        onProgress: null,
+        onValidation: expect.any(Function)
+      });
+      expect(Concept.updateMany).toHaveBeenCalledWith(
+        { documentId: 'doc1', isDeleted: false, _id: { $nin: ['c1', 'c2'] } },
+        { isDeleted: true }
+      );
+    });
+
+    it('练习题和思维导图保存成功后应移除之前生成的版本', async () => {
+      const aiService = service.fileExtractService.aiService;
+      jest.spyOn(aiService, 'generateExercises').mockResolvedValue({ saved: true, databaseObject: { _id: 'e2' } });
+      jest.spyOn(aiService, 'generateMindMap').mockResolvedValue({ saved: true, databaseObject: { _id: 'm2' } });
+      jest.spyOn(Exercise, 'updateMany').mockResolvedValue({});
+      jest.spyOn(MindMap, 'updateMany').mockResolvedValue({});
+
+      await service._runStage('exercises', document);
+      await service._runStage('mindmap', document);
+
+      expect(Exercise.updateMany).toHaveBeenCalledWith(
+        { documentId: 'doc1', isDeleted: false, _id: { $ne: 'e2' } },
+        { isDeleted: true }
+      );
+      expect(MindMap.updateMany).toHaveBeenCalledWith(
+        { documentId: 'doc1', isDeleted: false, _id: { $ne: 'm2' } },
+        { isDeleted: true }
+      );
+    });
+
+    it('练习题保存失败时应保留之前的版本', async () => {
+      jest.spyOn(service.fileExtractService.aiService, 'generateExercises').mockResolvedValue({ saved: false, error: 'AI服务不可用' });
+      jest.spyOn(Exercise, 'updateMany').mockResolvedValue({});
+
+      await expect(service._runStage('exercises', document)).rejects.toThrow('AI服务不可用');
+      expect(Exercise.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('URL文档应使用HTML快照重新提取', async () => {
+      const extractService = service.fileExtractService;
+      jest.spyOn(extractService, 'extractContent').mockResolvedValue({ markdownContent: '# 网页', update: {} });
+
+      await service._runStage('extraction', {
+        ...document,
+        originalFormat: 'url',
+        metadata: { url: 'https://example.com/a', mimeType: 'text/html; charset=gbk' }
+      }, { reprocess: true });
+
+      expect(extractService.extractContent).toHaveBeenCalledWith('doc1', expect.any(Buffer), 'text/html', {
+        sourceUrl: 'https://example.com/a',
+        contentType: 'text/html; charset=gbk',
+        onProgress: null
+      });
+    });
+
+    it('文档没有内容时AI阶段不应重试', async () => {
+      await expect(service._runStage('summary', { ...document, markdownContent: '' }))
+        .rejects.toMatchObject({ message: '文档尚未提取内容', retryable: false });
+    });
+  });
+
+  describe('onRunSettled', () => {
+    const mockDocument = (markdownContent) => {
+      jest.spyOn(Document, 'findById').mockReturnValue({ select: async () => ({ markdownContent }) });
+    };
+
+    it('重新处理结束后应记录失败阶段并递增版本号', async () => {
+      mockDocument('# 新内容');
+
+      await service.onRunSettled('run1', [
+        { documentId: 'doc1', stage: 'extraction', status: 'completed', payload: { reprocess: true } },
+        { documentId: 'doc1', stage: 'summary', status: 'failed', lastError: 'AI服务超时', payload: { reprocess: true } }
+      ]);
+
+      const finalUpdate = updates[0];
+      expect(finalUpdate.processingStatus).toBe('completed');
+      expect(finalUpdate.processingError).toBe('重新处理失败: summary(AI服务超时)');
+      expect(finalUpdate.$inc).toEqual({ 'syncStatus.version': 1 });
+    });
+
+    it('重新提取失败时应保留旧内容且不递增版本号', async () => {
+      mockDocument('# 旧内容');
+
+      await service.onRunSettled('run1', [
+        { documentId: 'doc1', stage: 'extraction', status: 'failed', lastError: 'PDF解析失败', payload: { reprocess: true } },
+        { documentId: 'doc1', stage: 'restructure', status: 'cancelled', payload: { reprocess: true } }
+      ]);
+
+      expect(updates[0].processingStatus).toBe('completed');
+      expect(updates[0].processingError).toBe('重新处理失败: extraction(PDF解析失败)');
+      expect(updates[0].$inc).toBeUndefined();
+    });
+
+    it('上传后提取失败应标记文档处理失败', async () => {
+      mockDocument(undefined);
+
+      await service.onRunSettled('run1', [
+        { documentId: 'doc1', stage: 'extraction', status: 'failed', lastError: '文件内容为空', payload: {} },
+        { documentId: 'doc1', stage: 'summary', status: 'cancelled', payload: {} }
+      ]);
+
+      expect(updates[0]).toEqual({ processingStatus: 'failed', processingError: '处理失败: extraction(文件内容为空)' });
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const ReviewService = require('../src/services/ReviewService');
+const reviewController = require('../src/controllers/reviewController');
+const { Concept, Document, ReviewCard } = require('../src/models');
+
+const id = () => new mongoose.Types.ObjectId();
+const userId = String(id());
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-28T09:30:00Z');
+const today = new Date('2026-01-28T00:00:00Z');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// 模拟 Mongoose 查询链，await 时返回 result
+const mockQuery = result => {
+  const query = {};
+  ['select', 'sort', 'limit', 'populate'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+describe('概念复习', () => {
+  let service;
+
+  // 用户未删除的文档
+  const documentIds = [id(), id()];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Document, 'distinct').mockResolvedValue(documentIds);
+    service = new ReviewService({ newCardsPerDay: 3 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('SM-2 间隔依次为1天、6天，之后乘以难度系数，遗忘时重新开始', () => {
+    let card = { ease: 2.5, interval: 0, repetitions: 0, lapses: 0 };
+
+    card = ReviewService.schedule(card, 4);
+    expect(card).toEqual({ ease: 2.5, interval: 1, repetitions: 1, lapses: 0 });
+    card = ReviewService.schedule(card, 5);
+    expect(card).toEqual({ ease: 2.6, interval: 6, repetitions: 2, lapses: 0 });
+    card = ReviewService.schedule(card, 3);
+    expect(card).toEqual({ ease: 2.46, interval: 16, repetitions: 3, lapses: 0 });
+
+    card = ReviewService.schedule(card, 1);
+    expect(card).toEqual({ ease: 1.92, interval: 1, repetitions: 0, lapses: 1 });
+
+    // 难度系数不低于1.3，间隔不超过365天
+    expect(ReviewService.schedule({ ease: 1.3, interval: 1, repetitions: 0, lapses: 2 }, 0).ease).toBe(1.3);
+    expect(ReviewService.schedule({ ease: 2.5, interval: 300, repetitions: 8, lapses: 0 }, 5).interval).toBe(365);
+  });
+
+  it('评分可以是0-5的整数或按钮名称', () => {
+    expect(ReviewService.parseGrade(0)).toBe(0);
+    expect(ReviewService.parseGrade('5')).toBe(5);
+    expect(ReviewService.parseGrade('Good')).toBe(4);
+    expect(ReviewService.parseGrade('again')).toBe(1);
+    expect(ReviewService.parseGrade(6)).toBeNull();
+    expect(ReviewService.parseGrade(2.5)).toBeNull();
+    expect(ReviewService.parseGrade('')).toBeNull();
+    expect(ReviewService.parseGrade(undefined)).toBeNull();
+  });
+
+  it('第一次复习时创建卡片，并更新概念的复习记录而不改动 updatedAt', async () => {
+    const concept = { _id: id(), documentId: documentIds[0], term: '线粒体', definition: '细胞进行有氧呼吸的主要场所', category: 'concept' };
+    jest.spyOn(Concept, 'findOne').mockReturnValue(mockQuery(concept));
+    jest.spyOn(ReviewCard, 'findOne').mockResolvedValue(null);
+    const save = jest.spyOn(ReviewCard.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const updateOne = jest.spyOn(Concept, 'updateOne').mockResolvedValue({});
+
+    const card = await service.review(userId, String(concept._id), 4, { now });
+
+    expect(Document.distinct).toHaveBeenCalledWith('_id', { userId, isDeleted: false });
+    // 文档已删除的概念视为不存在
+    expect(Concept.findOne.mock.calls[0][0]).toEqual({
+      _id: String(concept._id),
+      userId,
+      isDeleted: false,
+      documentId: { $in: documentIds }
+    });
+    expect(save).toHaveBeenCalled();
+    expect(card).toMatchObject({
+      conceptId: concept._id,
+      term: '线粒体',
+      definition: '细胞进行有氧呼吸的主要场所',
+      state: 'learning',
+      interval: 1,
+      reviewCount: 1,
+      dueAt: new Date(today.getTime() + DAY),
+      lastReviewedAt: now
+    });
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: concept._id },
+      { $set: { 'metadata.lastReviewed': now }, $inc: { 'metadata.reviewCount': 1 } },
+      { timestamps: false }
+    );
+
+    Concept.findOne.mockReturnValue(mockQuery(null));
+    await expect(service.review(userId, String(id()), 4, { now })).rejects.toThrow('概念不存在或无权访问');
+  });
+
+  it('今天的卡片先列到期的，再按剩余的每日上限补充新卡片，移除概念或文档已删除的卡片', async () => {
+    const concept = term => ({ _id: id(), documentId: documentIds[1], term, definition: `${term}的定义`, category: 'concept', isDeleted: false });
+    const dueCard = {
+      _id: id(),
+      conceptId: concept('线粒体'),
+      dueAt: new Date(today.getTime() - DAY),
+      interval: 6,
+      ease: 2.5,
+      repetitions: 2,
+      reviewCount: 2,
+      lastReviewedAt: new Date(today.getTime() - 7 * DAY)
+    };
+    const orphan = { _id: id(), conceptId: null, dueAt: today };
+    jest.spyOn(ReviewCard, 'find').mockReturnValue(mockQuery([dueCard, orphan]));
+    // 到期的卡片数、今天已引入的新卡片数
+    jest.spyOn(ReviewCard, 'countDocuments').mockResolvedValueOnce(2).mockResolvedValueOnce(1).mockResolvedValue(0);
+    const deleteMany = jest.spyOn(ReviewCard, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(ReviewCard, 'distinct').mockResolvedValue([dueCard.conceptId._id]);
+    const newQuery = mockQuery([concept('核糖体'), concept('高尔基体')]);
+    const conceptFind = jest.spyOn(Concept, 'find').mockReturnValue(newQuery);
+
+    const result = await service.getDueCards(userId, { now });
+
+    expect(ReviewCard.find.mock.calls[0][0]).toEqual({ userId, dueAt: { $lt: new Date(today.getTime() + DAY) } });
+    expect(deleteMany).toHaveBeenCalledWith({ userId, documentId: { $nin: documentIds } });
+    expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: [orphan._id] } });
+    expect(conceptFind.mock.calls[0][0]).toEqual({
+      userId,
+      isDeleted: false,
+      _id: { $nin: [dueCard.conceptId._id] },
+      documentId: { $in: documentIds }
+    });
+    expect(newQuery.sort).toHaveBeenCalledWith({ importance: -1, createdAt: 1 });
+    expect(newQuery.limit).toHaveBeenCalledWith(2);
+    expect(result.cards.map(card => [card.term, card.state])).toEqual([
+      ['线粒体', 'review'],
+      ['核糖体', 'new'],
+      ['高尔基体', 'new']
+    ]);
+    expect(result.counts).toEqual({ due: 1, new: 2 });
+    expect(result.newCards).toEqual({ perDay: 3, introducedToday: 1, remainingToday: 2 });
+
+    // 只复习指定文档时，该文档已删除则没有新卡片
+    await service.getDueCards(userId, { now, documentId: String(id()) });
+    expect(conceptFind.mock.calls[1][0].documentId).toEqual({ $in: [] });
+  });
+
+  it('复习量预测应把过期的卡片计入今天，并按每日上限分配新卡片', async () => {
+    const aggregate = jest.spyOn(ReviewCard, 'aggregate').mockResolvedValue([
+      { _id: '2026-01-28', count: 4 },
+      { _id: '2026-01-30', count: 2 }
+    ]);
+    jest.spyOn(ReviewCard, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(ReviewCard, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Concept, 'countDocuments').mockResolvedValue(5);
+
+    const forecast = await service.getForecast(userId, { days: 4, now });
+
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline[0].$match.documentId).toEqual({ $in: documentIds });
+    expect(pipeline[0].$match.dueAt).toEqual({ $lt: new Date(today.getTime() + 4 * DAY) });
+    expect(Concept.countDocuments.mock.calls[0][0].documentId).toEqual({ $in: documentIds });
+    expect(pipeline[1].$group._id.$dateToString.date).toEqual({ $max: ['$dueAt', today] });
+    expect(forecast.days).toEqual([
+      { date: '2026-01-28', due: 4, new: 1 },
+      { date: '2026-01-29', due: 0, new: 3 },
+      { date: '2026-01-30', due: 2, new: 1 },
+      { date: '2026-01-31', due: 0, new: 0 }
+    ]);
+    expect(forecast.totals).toEqual({ due: 6, new: 5 });
+    expect(forecast.newCards).toEqual({ perDay: 3, introducedToday: 2, unseen: 5 });
+  });
+
+  it('接口应校验评分和查询参数', async () => {
+    const review = jest.spyOn(ReviewService.prototype, 'review').mockResolvedValue({ state: 'learning' });
+    const conceptId = String(id());
+
+    let res = mockResponse();
+    await reviewController.reviewConcept({ user: { id: userId }, params: { conceptId }, body: { grade: 'perfect' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = mockResponse();
+    await reviewController.reviewConcept({ user: { id: userId }, params: { conceptId: 'abc' }, body: { grade: 4 } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(review).not.toHaveBeenCalled();
+
+    res = mockResponse();
+    await reviewController.reviewConcept({ user: { id: userId }, params: { conceptId }, body: { grade: 'easy' } }, res);
+    expect(review).toHaveBeenCalledWith(userId, conceptId, 5);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, data: { state: 'learning' } });
+
+    review.mockRejectedValueOnce(new Error('概念不存在或无权访问'));
+    res = mockResponse();
+    await reviewController.reviewConcept({ user: { id: userId }, params: { conceptId }, body: { grade: 3 } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    const getDueCards = jest.spyOn(ReviewService.prototype, 'getDueCards').mockResolvedValue({ cards: [] });
+    res = mockResponse();
+    await reviewController.getDueCards({ user: { id: userId }, query: { limit: '0' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = mockResponse();
+    await reviewController.getDueCards({ user: { id: userId }, query: { newLimit: '5' } }, res);
+    expect(getDueCards).toHaveBeenCalledWith(userId, { limit: 50, newCardsPerDay: 5, documentId: undefined });
+
+    res = mockResponse();
+    await reviewController.getForecast({ user: { id: userId }, query: { days: '120' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
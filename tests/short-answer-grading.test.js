@@ -0,0 +1,101 @@
+const AIService = require('../src/services/AIService');
+const GradingService = require('../src/services/GradingService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const { validateAIOutput } = require('../src/utils/aiOutputSchemas');
+
+const question = {
+  id: 'q1',
+  type: 'short_answer',
+  question: '细胞膜有哪些结构和功能特点？',
+  correctAnswer: '细胞膜由磷脂双分子层构成，控制物质进出细胞，具有选择透过性。',
+  points: 20,
+  metadata: { keywordsCovered: ['磷脂双分子层', '控制物质进出', '选择透过性'] }
+};
+
+describe('简答题评分', () => {
+  let aiService;
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    aiService = new AIService({
+      provider: new MockProvider(),
+      cache: { enabled: false },
+      usageService: { checkQuota: jest.fn(async () => {}), record: jest.fn(async () => ({})) }
+    });
+    service = new GradingService({ aiService, aiGrading: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('应按答到的要点给部分分，并在反馈中列出未答到的要点', async () => {
+    const result = await service.gradeShortAnswer(question, '细胞膜由磷脂双分子层构成，能够控制物质的进出。');
+
+    expect(result).toMatchObject({
+      isCorrect: true,
+      points: 13.3,
+      method: 'keywords',
+      coveredKeyPoints: ['磷脂双分子层', '控制物质进出'],
+      missedKeyPoints: ['选择透过性']
+    });
+    expect(result.feedback).toBe('得分 13.3/20，未答到的要点：选择透过性');
+
+    const full = await service.gradeShortAnswer(question, '磷脂双分子层；控制物质进出；选择透过性');
+    expect(full).toMatchObject({ isCorrect: true, points: 20, feedback: '得分 20/20，答案覆盖了全部要点' });
+  });
+
+  it('英文要点按单词比较', async () => {
+    const result = await service.gradeShortAnswer({
+      question: 'What does photosynthesis need?',
+      correctAnswer: 'Light energy and carbon dioxide to make glucose.',
+      points: 10,
+      metadata: { keywordsCovered: ['light energy', 'glucose'] }
+    }, 'Plants convert LIGHT into chemical energy.');
+
+    expect(result).toMatchObject({ isCorrect: false, points: 5, missedKeyPoints: ['glucose'] });
+  });
+
+  it('没有要点时由参考答案拆分', () => {
+    expect(service.getKeyPoints({ ...question, metadata: {} })).toEqual([
+      '细胞膜由磷脂双分子层构成，控制物质进出细胞，具有选择透过性'
+    ]);
+    expect(service.getKeyPoints({ correctAnswer: '细胞膜控制物质进出。细胞核储存遗传信息。', metadata: { keywordsCovered: [] } }))
+      .toEqual(['细胞膜控制物质进出', '细胞核储存遗传信息']);
+  });
+
+  it('开启AI评分时按要点评分', async () => {
+    jest.spyOn(aiService.provider, 'complete');
+
+    const result = await service.gradeShortAnswer(question, '细胞膜具有选择透过性', { aiGrading: true, userId: 'user1' });
+
+    expect(result).toMatchObject({
+      method: 'ai',
+      points: 6.7,
+      isCorrect: false,
+      coveredKeyPoints: ['选择透过性'],
+      missedKeyPoints: ['磷脂双分子层', '控制物质进出']
+    });
+    expect(result.feedback).toContain('未答到的要点：磷脂双分子层；控制物质进出');
+    const prompt = aiService.provider.complete.mock.calls[0][0].messages[0].content;
+    expect(prompt).toContain('满分20分');
+    expect(prompt).toContain('1. 磷脂双分子层\n2. 控制物质进出\n3. 选择透过性');
+  });
+
+  it('AI评分失败时退回本地评分', async () => {
+    jest.spyOn(aiService, 'gradeShortAnswer').mockRejectedValue(new Error('超出AI用量配额'));
+
+    const result = await service.gradeShortAnswer(question, '选择透过性', { aiGrading: true });
+
+    expect(result).toMatchObject({ method: 'keywords', points: 6.7 });
+  });
+
+  it('AI评分的得分不能超过满分，要点序号须在范围内', () => {
+    const result = validateAIOutput('grading', { coveredKeyPoints: [1, 4], score: 25, feedback: '' }, { maxPoints: 20, keyPointCount: 3 });
+
+    expect(result.value).toBeNull();
+    expect(result.errors).toEqual(['$.score 不能大于满分20', '$.coveredKeyPoints[1] 超出要点数量3']);
+  });
+});
@@ -0,0 +1,170 @@
+const AIService = require('../src/services/AIService');
+const DocumentService = require('../src/services/DocumentService');
+const FileExtractService = require('../src/services/FileExtractService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const Summary = require('../src/models/Summary');
+const { splitSections } = require('../src/utils/markdownChunker');
+
+const content = [
+  '# 细胞生物学',
+  '',
+  '本书介绍细胞的结构与功能。',
+  '',
+  '## 细胞膜',
+  '',
+  '细胞膜控制物质进出细胞。它由磷脂双分子层构成。',
+  '',
+  '### 膜蛋白',
+  '',
+  '膜蛋白负责物质运输。',
+  '',
+  '## 细胞核',
+  '',
+  '细胞核储存遗传信息。'
+].join('\n');
+
+describe('摘要类型', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new AIService({
+      provider: new MockProvider(),
+      usageService: { checkQuota: jest.fn(async () => {}), record: jest.fn(async () => ({})) }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('splitSections', () => {
+    it('唯一的一级标题视为文档标题，按二级标题切分', () => {
+      const sections = splitSections(content);
+
+      expect(sections.map(section => section.heading)).toEqual([null, '细胞膜', '细胞核']);
+      expect(sections[0].content).toBe('# 细胞生物学\n\n本书介绍细胞的结构与功能。');
+      expect(sections[1]).toMatchObject({ level: 2, path: '细胞生物学 > 细胞膜' });
+      expect(sections[1].content).toContain('### 膜蛋白');
+      expect(content.slice(sections[2].offset)).toBe(sections[2].content);
+    });
+
+    it('开头只有标题时不产生无标题章节', () => {
+      const sections = splitSections('# 标题\n\n## 第一章\n\n内容一\n\n## 第二章\n\n内容二');
+
+      expect(sections.map(section => section.heading)).toEqual(['第一章', '第二章']);
+    });
+
+    it('没有标题时整篇为一个章节', () => {
+      expect(splitSections('只有正文。')).toEqual([
+        { index: 0, offset: 0, heading: null, level: null, path: '', content: '只有正文。' }
+      ]);
+      expect(splitSections('  ')).toEqual([]);
+    });
+  });
+
+  describe('AIService', () => {
+    it('应按类型选择提示词', async () => {
+      jest.spyOn(service.provider, 'complete');
+
+      const oneline = await service.generateSummary(content, { variant: 'oneline' });
+      const keypoints = await service.generateSummary(content, { variant: 'keypoints' });
+
+      expect(oneline).toBe('本书介绍细胞的结构与功能。');
+      expect(keypoints.split('\n').every(line => line.startsWith('- '))).toBe(true);
+      expect(service.provider.complete.mock.calls[0][0].messages[0].content).toContain('请用一句话概括');
+      expect(service.provider.complete.mock.calls[1][0].messages[0].content).toContain('请提炼以下文档的关键要点');
+    });
+
+    it('不支持的类型应报错', async () => {
+      await expect(service.generateSummary(content, { variant: 'outline' })).rejects.toThrow('不支持的摘要类型: outline');
+    });
+
+    it('应为每个章节生成摘要', async () => {
+      jest.spyOn(service.provider, 'complete');
+      const onProgress = jest.fn();
+
+      const sections = await service.generateSectionSummaries(content, { onProgress });
+
+      expect(sections).toEqual([
+        { heading: null, level: null, path: '', offset: 0, summary: '本书介绍细胞的结构与功能。' },
+        expect.objectContaining({ heading: '细胞膜', level: 2, summary: '细胞膜控制物质进出细胞。它由磷脂双分子层构成。' }),
+        expect.objectContaining({ heading: '细胞核', level: 2, summary: '细胞核储存遗传信息。' })
+      ]);
+      const prompts = service.provider.complete.mock.calls.map(call => call[0].messages[0].content);
+      expect(prompts[0]).toContain('请概括文档中“引言”一节的内容');
+      expect(prompts[1]).toContain('请概括文档中“细胞膜”一节的内容');
+      expect(onProgress).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('保存与按需生成', () => {
+    it('按章节摘要应拼接各章节保存', async () => {
+      const fileExtractService = new FileExtractService();
+      jest.spyOn(Summary, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Summary.prototype, 'save').mockImplementation(async function() { return this; });
+      const sections = [
+        { heading: null, level: null, path: '', offset: 0, summary: '引言摘要' },
+        { heading: '细胞膜', level: 2, path: '细胞生物学 > 细胞膜', offset: 30, summary: '细胞膜摘要' }
+      ];
+
+      const summary = await fileExtractService.saveSummary('507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', null, content.length, {
+        type: 'sections',
+        sections
+      });
+
+      expect(Summary.findOne).toHaveBeenCalledWith({ documentId: '507f1f77bcf86cd799439011', type: 'sections' });
+      expect(summary.content).toBe('引言摘要\n\n## 细胞膜\n\n细胞膜摘要');
+      expect(summary.sections.map(section => section.heading)).toEqual([null, '细胞膜']);
+      expect(summary.validateSync()).toBeUndefined();
+    });
+
+    it('尚未生成的类型应立即生成，已有的直接返回', async () => {
+      const documentService = new DocumentService();
+      const fileExtractService = documentService.fileExtractService;
+      fileExtractService.aiService = service;
+      jest.spyOn(documentService, 'getDocument').mockResolvedValue({ _id: 'doc1', userId: 'user1', markdownContent: content });
+      jest.spyOn(fileExtractService, 'saveSummary').mockImplementation(async (id, userId, summaryContent, length, options) =>
+        ({ content: summaryContent, type: options.type }));
+      const findOne = jest.spyOn(Summary, 'findOne').mockResolvedValue(null);
+
+      const created = await documentService.getOrCreateSummary('doc1', 'user1', 'oneline');
+
+      expect(created).toEqual({ summary: { content: '本书介绍细胞的结构与功能。', type: 'oneline' }, generated: true });
+      expect(findOne).toHaveBeenCalledWith({ documentId: 'doc1', type: 'oneline', isDeleted: false });
+
+      const existing = { content: '已有摘要', type: 'keypoints' };
+      findOne.mockResolvedValue(existing);
+      await expect(documentService.getOrCreateSummary('doc1', 'user1', 'keypoints')).resolves.toEqual({ summary: existing, generated: false });
+
+      findOne.mockResolvedValue(null);
+      await expect(documentService.getOrCreateSummary('doc1', 'user1', 'manual')).resolves.toEqual({ summary: null, generated: false });
+      expect(fileExtractService.saveSummary).toHaveBeenCalledTimes(1);
+    });
+
+    it('并发请求同一摘要时只生成一次，其他进程先保存时返回已保存的摘要', async () => {
+      const documentService = new DocumentService();
+      const fileExtractService = documentService.fileExtractService;
+      jest.spyOn(documentService, 'getDocument').mockResolvedValue({ _id: 'doc1', userId: 'user1', markdownContent: content });
+      const findOne = jest.spyOn(Summary, 'findOne').mockResolvedValue(null);
+      const generate = jest.spyOn(fileExtractService, 'generateAndSaveSummary').mockResolvedValue({ content: '摘要', type: 'oneline' });
+
+      const results = await Promise.all([
+        documentService.getOrCreateSummary('doc1', 'user1', 'oneline'),
+        documentService.getOrCreateSummary('doc1', 'user1', 'oneline')
+      ]);
+
+      expect(generate).toHaveBeenCalledTimes(1);
+      expect(results[1]).toEqual({ summary: { content: '摘要', type: 'oneline' }, generated: true });
+
+      const duplicate = Object.assign(new Error('摘要生成失败: E11000 duplicate key error'), { code: 11000 });
+      generate.mockRejectedValueOnce(duplicate);
+      const saved = { content: '其他进程生成的摘要', type: 'oneline' };
+      findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(saved);
+
+      await expect(documentService.getOrCreateSummary('doc1', 'user1', 'oneline')).resolves.toEqual({ summary: saved, generated: true });
+      expect(findOne).toHaveBeenLastCalledWith({ documentId: 'doc1', type: 'oneline', isDeleted: false });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const FileExtractService = require('../src/services/FileExtractService');
+const { detectTextCharset, decodeText } = require('../src/utils/textEncoding');
+
+/**
+ * 将字符串编码为GB18030（Node未内置GBK编码器，通过解码表反查）
+ */
+function encodeGbk(text) {
+  const decoder = new TextDecoder('gb18030');
+  const table = new Map();
+  for (let lead = 0x81; lead <= 0xfe; lead++) {
+    for (let trail = 0x40; trail <= 0xfe; trail++) {
+      const char = decoder.decode(Buffer.from([lead, trail]));
+      if (char.length === 1 && !table.has(char)) {
+        table.set(char, [lead, trail]);
+      }
+    }
+  }
+
+  const bytes = [];
+  for (const char of text) {
+    bytes.push(...(char.charCodeAt(0) < 0x80 ? [char.charCodeAt(0)] : table.get(char)));
+  }
+  return Buffer.from(bytes);
+}
+
+const toUtf16be = (text) => Buffer.from(text, 'utf16le').swap16();
+
+describe('纯文本与Markdown导入', () => {
+  const service = new FileExtractService();
+  const markdown = '# 细胞结构\n\n细胞膜、细胞质和细胞核是真核细胞的基本结构。\n\n- 细胞膜\n- 细胞核\n';
+
+  describe('编码识别', () => {
+    it('应识别UTF-8（含BOM）', () => {
+      const withBom = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(markdown)]);
+
+      expect(detectTextCharset(Buffer.from(markdown))).toBe('utf-8');
+      expect(detectTextCharset(withBom)).toBe('utf-8');
+      expect(decodeText(withBom, 'utf-8')).toBe(markdown);
+    });
+
+    it('应识别GBK', () => {
+      const buffer = encodeGbk(markdown);
+
+      expect(detectTextCharset(buffer)).toBe('gb18030');
+      expect(decodeText(buffer, 'gb18030')).toBe(markdown);
+    });
+
+    it('应识别有BOM和无BOM的UTF-16', () => {
+      const le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(markdown, 'utf16le')]);
+      const be = Buffer.concat([Buffer.from([0xfe, 0xff]), toUtf16be(markdown)]);
+      const english = 'Cell structure\nThe cell membrane surrounds the cytoplasm.\n';
+
+      expect(detectTextCharset(le)).toBe('utf-16le');
+      expect(detectTextCharset(be)).toBe('utf-16be');
+      expect(decodeText(be, 'utf-16be')).toBe(markdown);
+      expect(detectTextCharset(Buffer.from(english, 'utf16le'))).toBe('utf-16le');
+      expect(detectTextCharset(toUtf16be(english))).toBe('utf-16be');
+    });
+  });
+
+  describe('front-matter', () => {
+    it('应解析标题和标签，并从正文中去除', () => {
+      const source = '---\ntitle: 细胞生物学笔记\ntags: [生物, 细胞]\nauthor: 张三\n---\n\n' + markdown;
+
+      const result = service.readTextDocument(Buffer.from(source), 'text/markdown');
+
+      expect(result.frontMatter).toEqual({ title: '细胞生物学笔记', tags: ['生物', '细胞'] });
+      expect(result.content).toBe(markdown);
+      expect(result.charset).toBe('utf-8');
+    });
+
+    it('应支持逗号分隔的标签和Windows换行', () => {
+      const source = '---\r\ntitle: 第一章\r\ntags: 生物，遗传, 复习\r\n---\r\n正文\r\n';
+
+      const result = service.readTextDocument(Buffer.from(source), 'text/markdown');
+
+      expect(result.frontMatter).toEqual({ title: '第一章', tags: ['生物', '遗传', '复习'] });
+      expect(result.content).toBe('正文\n');
+    });
+
+    it('YAML无效时应保留原文', () => {
+      const source = '---\ntitle: [未闭合\n---\n正文\n';
+
+      const result = service.readTextDocument(Buffer.from(source), 'text/markdown');
+
+      expect(result.frontMatter).toEqual({});
+      expect(result.content).toBe(source);
+    });
+
+    it('纯文本文件不解析front-matter', () => {
+      const source = '---\ntitle: 不是元数据\n---\n正文\n';
+
+      const result = service.readTextDocument(Buffer.from(source), 'text/plain');
+
+      expect(result.frontMatter).toEqual({});
+      expect(result.content).toBe(source);
+    });
+  });
+
+  describe('extractTextToMarkdown', () => {
+    it('应原样保留Markdown并记录编码', async () => {
+      const context = {};
+
+      const content = await service.extractTextToMarkdown(encodeGbk(markdown), 'text/markdown', context);
+
+      expect(content).toBe(markdown);
+      expect(context.encoding).toBe('gb18030');
+    });
+
+    it('空文件应报错', async () => {
+      await expect(service.extractTextToMarkdown(Buffer.from('  \n'), 'text/plain', {}))
+        .rejects.toThrow('文件内容为空');
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const http = require('http');
+const UrlFetchService = require('../src/services/UrlFetchService');
+const FileExtractService = require('../src/services/FileExtractService');
+const { detectHtmlCharset, decodeText } = require('../src/utils/textEncoding');
+
+const ARTICLE_HTML = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>光合作用简介 - 生物百科</title></head>
+<body>
+  <nav class="navigation"><a href="/">首页</a> <a href="/about">关于我们</a> <a href="/login">登录</a></nav>
+  <div class="ad-banner sponsored">限时优惠！点击购买课程</div>
+  <article>
+    <h1>光合作用简介</h1>
+    <p>光合作用是植物、藻类和某些细菌利用光能，将二氧化碳和水转化为有机物并释放氧气的过程。
+    这一过程为地球上绝大多数生命提供了能量来源，也维持了大气中氧气的含量。</p>
+    <h2>主要阶段</h2>
+    <p>光合作用分为光反应和暗反应两个阶段。光反应在类囊体膜上进行，产生ATP和NADPH；
+    暗反应在叶绿体基质中进行，通过卡尔文循环固定二氧化碳。详见<a href="/wiki/calvin">卡尔文循环</a>。</p>
+    <ul><li>光反应：需要光照</li><li>暗反应：不直接需要光照</li></ul>
+    <p>影响光合作用速率的因素包括光照强度、二氧化碳浓度、温度以及水分供应等，
+    在农业生产中常通过调节这些因素来提高作物产量。</p>
+  </article>
+  <footer class="footer">版权所有 生物百科</footer>
+</body>
+</html>`;
+
+describe('URL文档', () => {
+  describe('UrlFetchService 地址校验', () => {
+    const service = new UrlFetchService();
+
+    it('应拦截内网、环回和链路本地地址', () => {
+      ['127.0.0.1', '10.1.2.3', '172.16.0.5', '192.168.1.1', '169.254.169.254', '0.0.0.0',
+        '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'].forEach(address => {
+        expect(service._isBlockedAddress(address)).toBe(true);
+      });
+    });
+
+    it('应允许公网地址', () => {
+      ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'].forEach(address => {
+        expect(service._isBlockedAddress(address)).toBe(false);
+      });
+    });
+
+    it('应拒绝解析到内网地址的域名', async () => {
+      const rebinding = new UrlFetchService({
+        lookup: (hostname, options, callback) => callback(null, [{ address: '10.0.0.8', family: 4 }])
+      });
+
+      await expect(rebinding.fetchPage('http://intranet.example.com/')).rejects.toThrow('禁止访问内网地址');
+      await expect(service.fetchPage('http://127.0.0.1:8080/admin')).rejects.toThrow('禁止访问内网地址');
+      await expect(service.fetchPage('http://[::1]/')).rejects.toThrow('禁止访问内网地址');
+    });
+
+    it('应拒绝非http协议', async () => {
+      await expect(service.fetchPage('file:///etc/passwd')).rejects.toThrow('仅支持http和https协议的网址');
+    });
+  });
+
+  describe('UrlFetchService robots.txt', () => {
+    const service = new UrlFetchService();
+    const robotsTxt = [
+      'User-agent: *',
+      'Disallow: /private/',
+      'Allow: /private/public-notes',
+      'Disallow: /*.pdf$',
+      '',
+      'User-agent: OtherBot',
+      'Disallow: /'
+    ].join('\n');
+
+    it('应按最长匹配规则判断', () => {
+      expect(service._matchRobotsRules(robotsTxt, '/articles/1')).toBe(true);
+      expect(service._matchRobotsRules(robotsTxt, '/private/data')).toBe(false);
+      expect(service._matchRobotsRules(robotsTxt, '/private/public-notes/1')).toBe(true);
+      expect(service._matchRobotsRules(robotsTxt, '/files/a.pdf')).toBe(false);
+      expect(service._matchRobotsRules(robotsTxt, '/files/a.pdf?download=1')).toBe(true);
+    });
+
+    it('存在针对本爬虫的规则组时应只使用该组', () => {
+      const rules = 'User-agent: *\nDisallow: /\n\nUser-agent: ZhimoBot\nDisallow: /admin';
+
+      expect(service._matchRobotsRules(rules, '/articles/1')).toBe(true);
+      expect(service._matchRobotsRules(rules, '/admin/users')).toBe(false);
+    });
+  });
+
+  describe('UrlFetchService 抓取', () => {
+    let server;
+    let baseUrl;
+    let service;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        switch (req.url) {
+          case '/robots.txt':
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('User-agent: *\nDisallow: /secret');
+            break;
+          case '/article':
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(ARTICLE_HTML);
+            break;
+          case '/moved':
+            res.writeHead(301, { Location: '/article' });
+            res.end();
+            break;
+          case '/large':
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><body>${'x'.repeat(4096)}</body></html>`);
+            break;
+          case '/file.zip':
+            res.writeHead(200, { 'Content-Type': 'application/zip' });
+            res.end('PK');
+            break;
+          case '/slow':
+            setTimeout(() => res.end('<html></html>'), 1000);
+            break;
+          default:
+            res.writeHead(404);
+            res.end();
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      service = new UrlFetchService({ timeout: 300, maxSize: 2048 });
+      // 测试服务器位于本机，跳过内网地址拦截
+      service._isBlockedAddress = () => false;
+    });
+
+    it('应跟随重定向并返回最终地址', async () => {
+      const page = await service.fetchPage(`${baseUrl}/moved`);
+
+      expect(page.url).toBe(`${baseUrl}/article`);
+      expect(page.contentType).toContain('text/html');
+      expect(page.buffer.toString('utf-8')).toContain('光合作用简介');
+    });
+
+    it('应遵守robots.txt', async () => {
+      await expect(service.fetchPage(`${baseUrl}/secret`)).rejects.toThrow('robots.txt');
+    });
+
+    it('应限制网页大小、类型和请求时间', async () => {
+      await expect(service.fetchPage(`${baseUrl}/large`)).rejects.toThrow('网页大小超过限制');
+      await expect(service.fetchPage(`${baseUrl}/file.zip`)).rejects.toThrow('仅支持HTML网页');
+      await expect(service.fetchPage(`${baseUrl}/slow`)).rejects.toThrow('网页请求超时');
+      await expect(service.fetchPage(`${baseUrl}/missing`)).rejects.toThrow('HTTP 404');
+    });
+  });
+
+  describe('网页正文提取', () => {
+    const service = new FileExtractService();
+
+    it('应提取正文并去除导航、广告和页脚', async () => {
+      const markdown = await service.extractHtmlToMarkdown(Buffer.from(ARTICLE_HTML), {
+        sourceUrl: 'https://bio.example.com/articles/photosynthesis'
+      });
+
+      expect(markdown).toContain('光合作用是植物、藻类和某些细菌利用光能');
+      expect(markdown).toContain('## 主要阶段');
+      expect(markdown).toMatch(/^-\s+光反应：需要光照$/m);
+      expect(markdown.startsWith('# 光合作用简介\n')).toBe(true);
+      expect(markdown).toContain('[卡尔文循环](https://bio.example.com/wiki/calvin)');
+      expect(markdown).not.toContain('关于我们');
+      expect(markdown).not.toContain('限时优惠');
+      expect(markdown).not.toContain('版权所有');
+    });
+
+    it('应按声明的字符集解码GBK网页', async () => {
+      const gbkHtml = ARTICLE_HTML.replace('charset="utf-8"', 'charset="gbk"');
+      // 借助TextDecoder的逆映射构造GBK编码的字节
+      const buffer = encodeGbk(gbkHtml);
+
+      expect(detectHtmlCharset(buffer)).toBe('gbk');
+      expect(decodeText(buffer, 'gbk')).toBe(gbkHtml);
+
+      const markdown = await service.extractHtmlToMarkdown(buffer, {});
+      expect(markdown).toContain('光反应在类囊体膜上进行');
+    });
+  });
+});
+
+/**
+ * 将字符串编码为GBK（Node未内置GBK编码器，通过解码表反查）
+ */
+function encodeGbk(text) {
+  const decoder = new TextDecoder('gbk');
+  const table = new Map();
+  for (let lead = 0x81; lead <= 0xfe; lead++) {
+    for (let trail = 0x40; trail <= 0xfe; trail++) {
+      const char = decoder.decode(Buffer.from([lead, trail]));
+      if (char.length === 1 && !table.has(char)) {
+        table.set(char, [lead, trail]);
+      }
+    }
+  }
+
+  const bytes = [];
+  for (const char of text) {
+    if (char.charCodeAt(0) < 0x80) {
+      bytes.push(char.charCodeAt(0));
+    } else {
+      bytes.push(...table.get(char));
+    }
+  }
+  return Buffer.from(bytes);
+}
@@ -0,0 +1,248 @@
+const http = require('http');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const AIUsage = require('../src/models/AIUsage');
+const AIService = require('../src/services/AIService');
+const UsageService = require('../src/services/UsageService');
+const DocumentService = require('../src/services/DocumentService');
+const MockProvider = require('../src/services/providers/MockProvider');
+const { generateToken } = require('../src/middleware/auth');
+
+const content = '# 机器学习\n\n机器学习让计算机从数据中学习。\n\n## 监督学习\n\n使用带标签的数据训练模型。';
+
+/**
+ * 发起请求并解析JSON响应
+ */
+function request(port, method, path, token, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const req = http.request({
+      port,
+      path,
+      method,
+      agent: false,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) })
+      }
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+function quotaError() {
+  const error = new Error('AI用量已超出每日配额（1200/1000 tokens）');
+  error.status = 429;
+  error.code = 'AI_QUOTA_EXCEEDED';
+  error.quota = { period: 'daily', limit: 1000, used: 1200, resetAt: new Date(Date.now() + 3600 * 1000) };
+  return error;
+}
+
+describe('AI用量计量与配额', () => {
+  const quotaEnv = ['AI_DAILY_TOKEN_QUOTA', 'AI_MONTHLY_TOKEN_QUOTA', 'AI_ROLE_QUOTAS', 'AI_MODEL_PRICING'];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    quotaEnv.forEach(name => delete process.env[name]);
+    jest.restoreAllMocks();
+  });
+
+  describe('UsageService', () => {
+    it('配额优先级：用户单独设置 > 角色 > 全局，0表示不限', () => {
+      process.env.AI_DAILY_TOKEN_QUOTA = '1000';
+      process.env.AI_MONTHLY_TOKEN_QUOTA = '20000';
+      process.env.AI_ROLE_QUOTAS = JSON.stringify({ teacher: { daily: 5000 }, admin: { daily: 0, monthly: 0 } });
+      const service = new UsageService();
+
+      expect(service.resolveLimits({ role: 'student' })).toEqual({ daily: 1000, monthly: 20000 });
+      expect(service.resolveLimits({ role: 'teacher' })).toEqual({ daily: 5000, monthly: 20000 });
+      expect(service.resolveLimits({ role: 'admin' })).toEqual({ daily: null, monthly: null });
+      expect(service.resolveLimits({ role: 'teacher', aiQuota: { daily: 100, monthly: null } })).toEqual({ daily: 100, monthly: 20000 });
+    });
+
+    it('超出配额时应抛出429错误并说明重置时间', async () => {
+      process.env.AI_DAILY_TOKEN_QUOTA = '1000';
+      const service = new UsageService();
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ role: 'student' }) }) });
+      jest.spyOn(AIUsage, 'sumTokens').mockResolvedValue(1200);
+
+      const error = await service.checkQuota('507f1f77bcf86cd799439011').catch(err => err);
+
+      expect(error).toMatchObject({ status: 429, code: 'AI_QUOTA_EXCEEDED', retryable: false });
+      expect(error.quota).toEqual({
+        period: 'daily',
+        limit: 1000,
+        used: 1200,
+        resetAt: UsageService.periodEnd('daily')
+      });
+    });
+
+    it('未设置配额时不限制', async () => {
+      delete process.env.AI_DAILY_TOKEN_QUOTA;
+      delete process.env.AI_MONTHLY_TOKEN_QUOTA;
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ role: 'student' }) }) });
+      jest.spyOn(AIUsage, 'sumTokens').mockResolvedValue(1e9);
+
+      await expect(new UsageService().checkQuota('507f1f77bcf86cd799439011')).resolves.toBeUndefined();
+    });
+
+    it('记录用量时应计算总token数和费用', async () => {
+      process.env.AI_MODEL_PRICING = JSON.stringify({ 'local-model': { prompt: 1, completion: 2 } });
+      const create = jest.spyOn(AIUsage, 'create').mockImplementation(async doc => doc);
+
+      await new UsageService().record({
+        userId: 'user1',
+        operation: 'summary',
+        provider: 'ollama',
+        model: 'local-model',
+        promptTokens: 1000,
+        completionTokens: 500
+      });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        documentId: null,
+        totalTokens: 1500,
+        cost: 0.002
+      }));
+    });
+
+    it('未知模型的费用计为0', () => {
+      expect(new UsageService().estimateCost('qwen2.5:7b', 1000, 1000)).toBe(0);
+    });
+  });
+
+  describe('AIService', () => {
+    let usageService;
+    let service;
+
+    beforeEach(() => {
+      usageService = { checkQuota: jest.fn(async () => {}), record: jest.fn(async () => ({})) };
+      service = new AIService({ provider: new MockProvider(), usageService });
+    });
+
+    it('每次调用应按用户、文档和操作记录用量', async () => {
+      await service.extractConcepts(content, { userId: 'user1', documentId: 'doc1' });
+
+      expect(usageService.checkQuota).toHaveBeenCalledWith('user1');
+      expect(usageService.record).toHaveBeenCalledWith({
+        userId: 'user1',
+        documentId: 'doc1',
+        operation: 'concepts',
+        provider: 'mock',
+        model: 'mock',
+        promptTokens: expect.any(Number),
+        completionTokens: expect.any(Number)
+      });
+    });
+
+    it('流式输出应按文本估算用量', async () => {
+      const deltas = service.generateSummaryStream(content, { userId: 'user1', documentId: 'doc1' });
+      for await (const delta of deltas) {
+        expect(typeof delta).toBe('string');
+      }
+
+      expect(usageService.record).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'summary',
+        estimated: true,
+        completionTokens: expect.any(Number)
+      }));
+    });
+
+    it('超出配额时不调用AI服务提供方', async () => {
+      usageService.checkQuota.mockRejectedValue(quotaError());
+      const complete = jest.spyOn(service.provider, 'complete');
+
+      await expect(service.generateMindMap(content, { userId: 'user1', saveToDatabase: false }))
+        .rejects.toMatchObject({ code: 'AI_QUOTA_EXCEEDED' });
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('未提供用户时不检查配额也不记录用量', async () => {
+      await service.generateSummary(content);
+
+      expect(usageService.checkQuota).not.toHaveBeenCalled();
+      expect(usageService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('接口', () => {
+    let server;
+    let port;
+    let token;
+    let user;
+
+    beforeAll((done) => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+      token = generateToken('user1');
+      server = app.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      user = { _id: 'user1', id: 'user1', role: 'student', isActive: true };
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    });
+
+    it('GET /api/usage 应返回按操作和模型分组的用量及配额', async () => {
+      const report = {
+        totals: { calls: 2, promptTokens: 300, completionTokens: 100, totalTokens: 400, cost: 0.0003 },
+        byOperation: [{ operation: 'summary', calls: 2, promptTokens: 300, completionTokens: 100, totalTokens: 400, cost: 0.0003 }],
+        byModel: [{ provider: 'openai', model: 'gpt-4o-mini', calls: 2, promptTokens: 300, completionTokens: 100, totalTokens: 400, cost: 0.0003 }]
+      };
+      const getUsageReport = jest.spyOn(UsageService.prototype, 'getUsageReport').mockResolvedValue(report);
+      jest.spyOn(UsageService.prototype, 'getQuotaStatus').mockResolvedValue({
+        daily: { limit: null, used: 400, remaining: null },
+        monthly: { limit: 10000, used: 400, remaining: 9600 }
+      });
+
+      const response = await request(port, 'GET', '/api/usage?from=2026-01-01', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ userId: 'user1', ...report, quota: { monthly: { remaining: 9600 } } });
+      expect(getUsageReport.mock.calls[0][1].from).toEqual(new Date('2026-01-01'));
+    });
+
+    it('非管理员不能查看其他用户的用量', async () => {
+      const response = await request(port, 'GET', '/api/usage?userId=507f1f77bcf86cd799439011', token);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('无效的时间范围应返回400', async () => {
+      const response = await request(port, 'GET', '/api/usage?from=2026-02-01&to=2026-01-01', token);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('超出配额时AI接口应返回429和 Retry-After', async () => {
+      jest.spyOn(DocumentService.prototype, 'getDocument').mockResolvedValue({ _id: 'doc1', markdownContent: content });
+      jest.spyOn(DocumentService.prototype, 'getContentHash').mockResolvedValue('hash');
+      jest.spyOn(AIService.prototype, 'generateMindMap').mockRejectedValue(quotaError());
+
+      const response = await request(port, 'POST', '/api/documents/doc1/ai/mindmap', token, {});
+
+      expect(response.status).toBe(429);
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(3500);
+      expect(response.body).toMatchObject({ success: false, code: 'AI_QUOTA_EXCEEDED', quota: { period: 'daily', limit: 1000 } });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const JSZip = require('jszip');
+const FileExtractService = require('../src/services/FileExtractService');
+
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+/**
+ * 构造一个最小化的docx文件
+ */
+async function buildDocx(bodyXml, { footnotes = '' } = {}) {
+  const zip = new JSZip();
+
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`);
+
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footnotes" Target="footnotes.xml"/>
+</Relationships>`);
+
+  zip.file('word/styles.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<w:styles ${W_NS}>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/></w:style>
+  <w:style w:type="paragraph" w:styleId="CnHeading"><w:name w:val="标题 3"/></w:style>
+</w:styles>`);
+
+  zip.file('word/numbering.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<w:numbering ${W_NS}>
+  <w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>
+  <w:abstractNum w:abstractNumId="1"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+  <w:num w:numId="2"><w:abstractNumId w:val="1"/></w:num>
+</w:numbering>`);
+
+  zip.file('word/footnotes.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<w:footnotes ${W_NS}>${footnotes}</w:footnotes>`);
+
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<w:document ${W_NS}><w:body>${bodyXml}</w:body></w:document>`);
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const paragraph = (text, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+const listItem = (text, numId) =>
+  `<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+const cell = (text) => `<w:tc>${paragraph(text)}</w:tc>`;
+
+describe('FileExtractService Word提取', () => {
+  let fileExtractService;
+
+  beforeEach(() => {
+    fileExtractService = new FileExtractService();
+  });
+
+  it('should convert headings and inline formatting', async () => {
+    const buffer = await buildDocx([
+      paragraph('机器学习', 'Heading1'),
+      paragraph('监督学习', 'Heading2'),
+      paragraph('分类方法', 'CnHeading'),
+      '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>粗体</w:t></w:r><w:r><w:t xml:space="preserve"> 和 </w:t></w:r>' +
+        '<w:r><w:rPr><w:i/></w:rPr><w:t>斜体</w:t></w:r></w:p>'
+    ].join(''));
+
+    const markdown = await fileExtractService.extractWordToMarkdown(buffer);
+
+    expect(markdown).toContain('# 机器学习');
+    expect(markdown).toContain('## 监督学习');
+    expect(markdown).toContain('### 分类方法');
+    expect(markdown).toContain('**粗体** 和 *斜体*');
+  });
+
+  it('should convert ordered and unordered lists', async () => {
+    const buffer = await buildDocx([
+      listItem('苹果', 1),
+      listItem('香蕉', 1),
+      paragraph('间隔'),
+      listItem('第一步', 2),
+      listItem('第二步', 2)
+    ].join(''));
+
+    const markdown = await fileExtractService.extractWordToMarkdown(buffer);
+
+    expect(markdown).toMatch(/^-\s+苹果$/m);
+    expect(markdown).toMatch(/^-\s+香蕉$/m);
+    expect(markdown).toMatch(/^1\.\s+第一步$/m);
+    expect(markdown).toMatch(/^2\.\s+第二步$/m);
+  });
+
+  it('should convert tables to GFM tables with the first row as header', async () => {
+    const buffer = await buildDocx(
+      `<w:tbl><w:tr>${cell('算法')}${cell('类型')}</w:tr><w:tr>${cell('SVM')}${cell('分类|回归')}</w:tr></w:tbl>`
+    );
+
+    const markdown = await fileExtractService.extractWordToMarkdown(buffer);
+
+    expect(markdown).toContain('| 算法 | 类型 |');
+    expect(markdown).toContain('| --- | --- |');
+    expect(markdown).toContain('| SVM | 分类\\|回归 |');
+  });
+
+  it('should convert footnotes to Markdown footnote syntax', async () => {
+    const buffer = await buildDocx(
+      '<w:p><w:r><w:t>深度学习</w:t></w:r><w:r><w:footnoteReference w:id="1"/></w:r></w:p>',
+      { footnotes: `<w:footnote w:id="1">${paragraph('源自神经网络研究')}</w:footnote>` }
+    );
+
+    const markdown = await fileExtractService.extractWordToMarkdown(buffer);
+
+    expect(markdown).toContain('深度学习[^1]');
+    expect(markdown).toMatch(/^\[\^1\]: 源自神经网络研究$/m);
+  });
+
+  it('should reject legacy .doc files with a clear message', async () => {
+    const Document = require('../src/models/Document');
+    const updateSpy = jest.spyOn(Document, 'findByIdAndUpdate').mockResolvedValue(null);
+
+    await expect(
+      fileExtractService.extractToMarkdown('507f1f77bcf86cd799439011', Buffer.from('doc'), 'application/msword')
+    ).rejects.toThrow('.docx');
+
+    expect(updateSpy).toHaveBeenCalledWith('507f1f77bcf86cd799439011', expect.objectContaining({
+      processingStatus: 'failed'
+    }));
+    updateSpy.mockRestore();
+  });
+
+  it('should reject legacy .doc uploads with a 400 before storing the file', async () => {
+    const DocumentController = require('../src/controllers/documentController');
+    const controller = new DocumentController();
+    const uploadSpy = jest.spyOn(controller.documentService, '_uploadToS3');
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+    await controller.uploadDocument({
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: {},
+      file: { originalname: 'notes.doc', mimetype: 'application/msword', size: 3, buffer: Buffer.from('doc') }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toContain('请另存为.docx后重新上传');
+    expect(uploadSpy).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});